@@ -0,0 +1,95 @@
+/**
+ * Build identity for Gabriel Family Clinic
+ * Consumed by:
+ *   - next.config.js generateBuildId and env (inlined into the bundles)
+ *   - src/lib/version (GET /api/version)
+ *
+ * The build ID is derived from the git commit and a hash of the lockfile,
+ * so blue and green images built from the same source get the same ID and
+ * the same /_next/static paths, which nginx caches across both. Docker
+ * builds have no .git directory: pass the commit as the GIT_COMMIT build
+ * argument instead.
+ */
+
+const { execSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = __dirname;
+const MIGRATIONS_DIR = path.join(ROOT, 'supabase', 'migrations');
+
+function git(args) {
+  try {
+    return execSync(`git ${args}`, { cwd: ROOT, stdio: ['ignore', 'pipe', 'ignore'] })
+      .toString()
+      .trim();
+  } catch {
+    return null;
+  }
+}
+
+/** Full commit SHA, or null outside a git checkout without GIT_COMMIT */
+function resolveCommit() {
+  const fromEnv = process.env.GIT_COMMIT || process.env.SOURCE_COMMIT;
+  if (fromEnv) return { sha: fromEnv.trim(), dirty: false };
+  const sha = git('rev-parse HEAD');
+  if (!sha) return null;
+  return { sha, dirty: Boolean(git('status --porcelain --untracked-files=no')) };
+}
+
+function lockfileHash() {
+  const lockfile = ['package-lock.json', 'package.json']
+    .map((name) => path.join(ROOT, name))
+    .find((file) => fs.existsSync(file));
+  return crypto.createHash('sha256').update(fs.readFileSync(lockfile)).digest('hex');
+}
+
+/** Newest file in supabase/migrations, without .sql: the schema this build expects */
+function latestMigration() {
+  try {
+    const files = fs.readdirSync(MIGRATIONS_DIR).filter((file) => file.endsWith('.sql'));
+    return (
+      files
+        .sort()
+        .pop()
+        ?.replace(/\.sql$/, '') ?? null
+    );
+  } catch {
+    return null;
+  }
+}
+
+function createBuildInfo() {
+  const commit = resolveCommit();
+  const lockHash = lockfileHash();
+
+  let buildId = process.env.BUILD_ID;
+  if (!buildId && commit) {
+    // Uncommitted changes to tracked files must not reuse the commit's ID
+    const dirty = commit.dirty ? '-dirty' : '';
+    buildId = `${commit.sha.slice(0, 12)}${dirty}-${lockHash.slice(0, 12)}`;
+  }
+  if (!buildId) {
+    console.warn('⚠ No git commit (set GIT_COMMIT); build ID falls back to a timestamp');
+    buildId = `build-${Date.now()}`;
+  }
+
+  return {
+    buildId,
+    commit: commit?.sha ?? 'unknown',
+    builtAt: new Date().toISOString(),
+    version: require('./package.json').version,
+    migration: latestMigration(),
+  };
+}
+
+let buildInfo;
+
+/** Computed once per process, so every caller in a build sees the same values */
+function getBuildInfo() {
+  if (!buildInfo) buildInfo = createBuildInfo();
+  return buildInfo;
+}
+
+module.exports = { getBuildInfo };
@@ -25,15 +25,20 @@ echo "Environment: $ENVIRONMENT"
 echo "Version: $VERSION"
 
 # Function to check health
+# Uses readiness mode: exit 0 = ready, 3 = degraded (a dependency is down), 1 = dead
 check_health() {
     local container=$1
     local max_attempts=30
     local attempt=1
+    local status=1
+    local report=""
     
     echo -n "Checking health of $container"
     
     while [ $attempt -le $max_attempts ]; do
-        if docker exec $container curl -f http://localhost:3000/api/health > /dev/null 2>&1; then
+        status=0
+        report=$(docker exec $container node healthcheck.js --mode=readiness 2>/dev/null) || status=$?
+        if [ $status -eq 0 ]; then
             echo -e " ${GREEN}✓${NC}"
             return 0
         fi
@@ -42,13 +47,18 @@ check_health() {
         attempt=$((attempt + 1))
     done
     
-    echo -e " ${RED}✗${NC}"
+    if [ $status -eq 3 ]; then
+        echo -e " ${RED}degraded${NC}"
+    else
+        echo -e " ${RED}✗${NC}"
+    fi
+    echo "$report"
     return 1
 }
 
 # Build and tag image
 echo "Building Docker image..."
-docker build -t ${REGISTRY}/${IMAGE_NAME}:${VERSION} .
+docker build --build-arg GIT_COMMIT="$(git rev-parse HEAD)" -t ${REGISTRY}/${IMAGE_NAME}:${VERSION} .
 
 # Push to registry
 echo "Pushing image to registry..."
@@ -1,58 +1,802 @@
 document.addEventListener('DOMContentLoaded', () => {
-  const navToggle = document.querySelector('[data-nav-toggle]');
-  const navMenu = document.querySelector('[data-nav-menu]');
-
-  // Mobile nav toggle
-  if (navToggle && navMenu) {
-    navToggle.addEventListener('click', () => {
-      const isOpen = navMenu.classList.toggle('is-open');
-      navToggle.setAttribute('aria-expanded', isOpen ? 'true' : 'false');
-    });
+  initNavigation();
+  initSectionLinks();
+  initScrollSpy();
+  renderOpeningHours();
+  initBookingForm();
+  initQueueSnapshot();
+});
 
-    // Close nav on link click (mobile)
-    navMenu.addEventListener('click', (event) => {
-      const target = event.target;
-      if (
-        target instanceof HTMLElement &&
-        target.tagName === 'A' &&
-        navMenu.classList.contains('is-open')
-      ) {
-        navMenu.classList.remove('is-open');
-        navToggle.setAttribute('aria-expanded', 'false');
-      }
-    });
+/* Navigation */
+
+// Matches the breakpoint in globals.css where the menu collapses
+const MOBILE_NAV_QUERY = '(max-width: 840px)';
+const FOCUSABLE_SELECTOR =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+function scrollBehavior() {
+  return reducedMotionQuery.matches ? 'auto' : 'smooth';
+}
+
+/**
+ * Mobile disclosure menu: the toggle opens and closes it, focus stays inside
+ * while it is open, and Escape, an outside click or following a link closes
+ * it. Focus goes back to the toggle when it is dismissed from the keyboard.
+ */
+function initNavigation() {
+  const toggle = document.querySelector('[data-nav-toggle]');
+  const menu = document.querySelector('[data-nav-menu]');
+  if (!toggle || !menu) return;
+
+  const mobileQuery = window.matchMedia(MOBILE_NAV_QUERY);
+  const isOpen = () => menu.classList.contains('is-open');
+
+  function setOpen(open, { returnFocus = false } = {}) {
+    menu.classList.toggle('is-open', open);
+    toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+    toggle.setAttribute('aria-label', open ? 'Close menu' : 'Open menu');
+
+    if (open) {
+      const first = menu.querySelector(FOCUSABLE_SELECTOR);
+      if (first) first.focus();
+    } else if (returnFocus) {
+      toggle.focus();
+    }
   }
 
-  // Smooth scroll for elements with data-scroll-to
-  document.body.addEventListener('click', (event) => {
-    const target = event.target;
-    if (
-      target instanceof HTMLElement &&
-      target.hasAttribute('data-scroll-to')
-    ) {
-      const selector = target.getAttribute('data-scroll-to');
-      if (!selector) return;
+  toggle.addEventListener('click', () => setOpen(!isOpen()));
+
+  // Following a link closes the menu; the link handler moves focus onwards
+  menu.addEventListener('click', (event) => {
+    if (event.target instanceof Element && event.target.closest('a') && isOpen()) {
+      setOpen(false);
+    }
+  });
 
-      const section = document.querySelector(selector);
-      if (!section) return;
+  document.addEventListener('keydown', (event) => {
+    if (!isOpen()) return;
 
+    if (event.key === 'Escape') {
       event.preventDefault();
-      section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      setOpen(false, { returnFocus: true });
+      return;
+    }
+
+    // Trap Tab within the toggle and the open menu
+    if (event.key === 'Tab') {
+      const focusable = [toggle, ...menu.querySelectorAll(FOCUSABLE_SELECTOR)];
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+
+      if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      } else if (!focusable.includes(document.activeElement)) {
+        event.preventDefault();
+        first.focus();
+      }
+    }
+  });
+
+  document.addEventListener('click', (event) => {
+    if (isOpen() && !menu.contains(event.target) && !toggle.contains(event.target)) {
+      setOpen(false);
     }
   });
 
-  // Smooth scroll for internal nav links (#hash)
-  const navLinks = document.querySelectorAll('a[href^="#"]');
-  navLinks.forEach((link) => {
-    link.addEventListener('click', (event) => {
+  // Widening past the breakpoint shows the inline links; drop the open state
+  mobileQuery.addEventListener('change', (event) => {
+    if (!event.matches && isOpen()) setOpen(false);
+  });
+}
+
+/** The heading that should receive focus when `section` is navigated to */
+function sectionHeading(section) {
+  const heading = section.matches('h1, h2, h3')
+    ? section
+    : section.querySelector('h1, h2, h3') || section;
+  if (!heading.hasAttribute('tabindex')) heading.setAttribute('tabindex', '-1');
+  heading.setAttribute('data-section-heading', '');
+  return heading;
+}
+
+/**
+ * Scrolls to a section (smoothly unless the user prefers reduced motion)
+ * and moves focus to its heading, so keyboard and screen-reader users
+ * continue reading from there rather than from the link they activated.
+ */
+function goToSection(selector, { updateHash = true } = {}) {
+  const section = document.querySelector(selector);
+  if (!section) return false;
+
+  section.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
+  // preventScroll keeps focus() from cutting the smooth scroll short
+  sectionHeading(section).focus({ preventScroll: true });
+
+  if (updateHash && selector.startsWith('#') && window.location.hash !== selector) {
+    history.pushState(null, '', selector);
+  }
+  return true;
+}
+
+function initSectionLinks() {
+  document.body.addEventListener('click', (event) => {
+    if (!(event.target instanceof Element)) return;
+
+    const trigger = event.target.closest('[data-scroll-to]');
+    if (trigger) {
+      const selector = trigger.getAttribute('data-scroll-to');
+      if (selector && goToSection(selector)) event.preventDefault();
+      return;
+    }
+
+    const link = event.target.closest('a[href^="#"]');
+    if (link) {
       const href = link.getAttribute('href');
-      if (!href || href === '#') return;
+      if (href && href !== '#' && goToSection(href)) event.preventDefault();
+    }
+  });
 
-      const section = document.querySelector(href);
-      if (!section) return;
+  // Back/forward between in-page sections
+  window.addEventListener('popstate', () => {
+    if (window.location.hash) goToSection(window.location.hash, { updateHash: false });
+  });
+}
 
-      event.preventDefault();
-      section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+/**
+ * Marks the nav link of the section currently in view with
+ * aria-current="location". A section counts as current once its top passes
+ * the band just below the sticky header.
+ */
+function initScrollSpy() {
+  const menu = document.querySelector('[data-nav-menu]');
+  if (!menu || !('IntersectionObserver' in window)) return;
+
+  const links = new Map();
+  menu.querySelectorAll('a[href^="#"]').forEach((link) => {
+    const section = document.querySelector(link.getAttribute('href'));
+    if (section) links.set(section, [...(links.get(section) || []), link]);
+  });
+  if (links.size === 0) return;
+
+  // Nav order is not page order (Contact is listed before Book)
+  const sections = [...links.keys()].sort((a, b) =>
+    a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+  );
+  const visible = new Set();
+
+  function update() {
+    // The first visible section in page order wins
+    const current = sections.find((section) => visible.has(section));
+    links.forEach((sectionLinks, section) => {
+      sectionLinks.forEach((link) => {
+        if (section === current) {
+          link.setAttribute('aria-current', 'location');
+        } else {
+          link.removeAttribute('aria-current');
+        }
+      });
     });
+  }
+
+  const observer = new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting) {
+          visible.add(entry.target);
+        } else {
+          visible.delete(entry.target);
+        }
+      });
+      update();
+    },
+    // 64px sticky header on top; ignore sections only peeking in at the bottom
+    { rootMargin: '-64px 0px -55% 0px' }
+  );
+
+  sections.forEach((section) => observer.observe(section));
+}
+
+/* Opening hours (served by /api/clinic/hours) */
+
+const CLINIC_TIME_ZONE = 'Asia/Singapore';
+const DAY_LABELS = {
+  mon: 'Mon',
+  tue: 'Tue',
+  wed: 'Wed',
+  thu: 'Thu',
+  fri: 'Fri',
+  sat: 'Sat',
+  sun: 'Sun',
+};
+
+function apiUrl(path) {
+  const base = document.body.dataset.apiBase || '/api';
+  return `${base.replace(/\/$/, '')}${path}`;
+}
+
+/** "13:30" -> "1:30 PM" */
+function formatClock(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const suffix = hours < 12 ? 'AM' : 'PM';
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+}
+
+function formatSessions(sessions) {
+  if (sessions.length === 0) return 'Closed';
+  return sessions
+    .map((session) => `${formatClock(session.start)} – ${formatClock(session.end)}`)
+    .join(', ');
+}
+
+/** Clinic-local "YYYY-MM-DD" for an instant */
+function clinicDate(value) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: CLINIC_TIME_ZONE }).format(new Date(value));
+}
+
+function clinicClock(value) {
+  return new Intl.DateTimeFormat('en-SG', {
+    timeZone: CLINIC_TIME_ZONE,
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+  })
+    .format(new Date(value))
+    .toUpperCase();
+}
+
+/** "Today", "Tomorrow" or e.g. "Mon 17 Feb", relative to clinic time */
+function clinicDayLabel(value, now) {
+  const date = clinicDate(value);
+  const today = clinicDate(now);
+  const tomorrow = clinicDate(new Date(now).getTime() + 24 * 60 * 60 * 1000);
+  if (date === today) return 'Today';
+  if (date === tomorrow) return 'Tomorrow';
+  return new Intl.DateTimeFormat('en-SG', {
+    timeZone: CLINIC_TIME_ZONE,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+  }).format(new Date(value));
+}
+
+/**
+ * Groups consecutive days with identical hours:
+ * "Mon–Fri: 9:00 AM – 12:00 PM, 1:00 PM – 6:00 PM". Closed days are listed
+ * together with public holidays at the end.
+ */
+function describeWeek(weekly) {
+  const lines = [];
+  const closed = [];
+  let group = null;
+
+  weekly.forEach((day) => {
+    if (day.sessions.length === 0) {
+      closed.push(DAY_LABELS[day.weekday]);
+      group = null;
+      return;
+    }
+    const hours = formatSessions(day.sessions);
+    if (group && group.hours === hours) {
+      group.last = DAY_LABELS[day.weekday];
+      return;
+    }
+    group = { first: DAY_LABELS[day.weekday], last: null, hours };
+    lines.push(group);
   });
-});
+
+  return [
+    ...lines.map(
+      (line) => `${line.last ? `${line.first}–${line.last}` : line.first}: ${line.hours}`
+    ),
+    `${[...closed, 'PH'].join(' & ')}: Closed`,
+  ];
+}
+
+function describeStatus({ status, generatedAt }) {
+  const next = status.nextOpening
+    ? `${clinicDayLabel(status.nextOpening, generatedAt)} ${clinicClock(status.nextOpening)}`
+    : null;
+  const opens = next ? ` · opens ${next}` : '';
+
+  switch (status.reason) {
+    case 'open':
+      return `Open now · closes ${clinicClock(status.closesAt)}`;
+    case 'lunch':
+      return `Closed for lunch · reopens ${clinicClock(status.nextOpening)}`;
+    case 'public-holiday':
+      return `Closed today for ${status.holiday.name}${opens}`;
+    default:
+      return `Closed now${opens}`;
+  }
+}
+
+let clinicHoursRequest = null;
+
+/** GET /api/clinic/hours once per page; resolves to null when unavailable */
+function loadClinicHours() {
+  clinicHoursRequest ||= fetch(apiUrl('/clinic/hours'), {
+    headers: { Accept: 'application/json' },
+  })
+    .then((response) => (response.ok ? response.json() : null))
+    .catch(() => null);
+  return clinicHoursRequest;
+}
+
+async function renderOpeningHours() {
+  const hoursEl = document.querySelector('[data-clinic-hours]');
+  const statusEl = document.querySelector('[data-clinic-status]');
+  if (!hoursEl && !statusEl) return;
+
+  const data = await loadClinicHours();
+  // Offline or API unavailable: the static hours in the markup stay
+  if (!data) return;
+
+  if (hoursEl) {
+    hoursEl.replaceChildren(
+      ...describeWeek(data.weekly).flatMap((line, index) =>
+        index === 0 ? [line] : [document.createElement('br'), line]
+      )
+    );
+  }
+
+  if (statusEl) {
+    statusEl.textContent = describeStatus(data);
+    statusEl.classList.toggle('is-open', data.status.isOpen);
+    statusEl.hidden = false;
+  }
+}
+
+/* Quick booking (served by /api/doctors, /api/appointments/*) */
+
+// Keep in step with src/lib/booking/validation.ts
+const BOOKING_NAME_PATTERN = /^[\p{L}\p{M}][\p{L}\p{M} .,'@/()-]*$/u;
+const BOOKING_WINDOW_DAYS = 60;
+const BOOKING_MESSAGES = {
+  nameRequired: 'Please enter your name.',
+  mobileInvalid: 'Please enter a Singapore mobile number, e.g. 9123 4567.',
+  slotRequired: 'Please choose a date and time.',
+  slotTaken: 'Sorry, that time was just taken. Please choose another slot.',
+  alreadyBooked: 'You already have a booking on that day. Call us to change it.',
+  tooManyAttempts: 'Too many attempts with this number. Please wait a while or call us.',
+  unavailable: 'Booking is unavailable right now. Please try again shortly or call us.',
+  noSlots: 'No slots left on this day. Please choose another date.',
+  loadingSlots: 'Loading times…',
+  queued:
+    "You're offline. Your booking is saved on this phone and will be sent as soon as you're back online.",
+};
+// Keep in step with src/lib/offline/booking-sync.ts
+const BOOKING_SYNC_RESULT_MESSAGE = 'booking-sync-result';
+const BOOKING_SYNC_REPLAY_MESSAGE = 'booking-sync-replay';
+// Which field an error code belongs to
+const BOOKING_ERROR_FIELDS = {
+  nameRequired: 'name',
+  mobileInvalid: 'mobile',
+  slotRequired: 'slot',
+  slotTaken: 'slot',
+};
+
+/** "9123 4567" / "+65 9123-4567" -> "+6591234567", or null */
+function normaliseMobile(value) {
+  const digits = value.replace(/[\s()-]/g, '').replace(/^\+?65(?=\d{8}$)/, '');
+  return /^[89]\d{7}$/.test(digits) ? `+65${digits}` : null;
+}
+
+function addDaysToDate(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+async function fetchJson(path, options = {}) {
+  const response = await fetch(apiUrl(path), {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers },
+  });
+  const body = await response.json().catch(() => ({}));
+  return { ok: response.ok, status: response.status, body };
+}
+
+function initBookingForm() {
+  const form = document.querySelector('[data-booking-form]');
+  if (!form) return;
+
+  const doctorSelect = form.querySelector('[data-booking-doctor]');
+  const dateInput = form.querySelector('[data-booking-date]');
+  const timeInput = form.querySelector('[data-booking-time]');
+  const slotSelect = form.querySelector('[data-booking-slot]');
+  const submitButton = form.querySelector('[data-booking-submit]');
+  const statusEl = form.querySelector('[data-booking-status]');
+  const confirmation = document.querySelector('[data-booking-confirmation]');
+  const fields = {
+    name: form.elements.namedItem('name'),
+    mobile: form.elements.namedItem('mobile'),
+    slot: slotSelect,
+  };
+
+  let slotsRequest = 0;
+
+  // From here on this script validates and submits; the browser's own
+  // validation bubbles would double up with the inline messages.
+  form.noValidate = true;
+  const localeInput = form.elements.namedItem('locale');
+  if (localeInput) localeInput.value = document.documentElement.lang || 'en';
+
+  // The free-form time input is only for the no-JavaScript post
+  timeInput.hidden = true;
+  timeInput.disabled = true;
+  slotSelect.hidden = false;
+  slotSelect.disabled = false;
+
+  const today = clinicDate(new Date());
+  dateInput.min = today;
+  dateInput.max = addDaysToDate(today, BOOKING_WINDOW_DAYS);
+  dateInput.value = today;
+
+  function showFieldError(field, message) {
+    const input = fields[field];
+    const errorEl = form.querySelector(`[data-error-for="${field}"]`);
+    if (input) input.setAttribute('aria-invalid', message ? 'true' : 'false');
+    if (errorEl) {
+      errorEl.textContent = message || '';
+      errorEl.hidden = !message;
+    }
+  }
+
+  function showStatus(message) {
+    statusEl.textContent = message || '';
+    statusEl.hidden = !message;
+  }
+
+  function setSlotOptions(options, placeholder) {
+    slotSelect.replaceChildren(
+      ...(placeholder ? [new Option(placeholder, '')] : []),
+      ...options.map((option) => new Option(option.label, option.value))
+    );
+    slotSelect.disabled = options.length === 0;
+  }
+
+  async function loadDoctors() {
+    try {
+      const { ok, body } = await fetchJson('/doctors');
+      if (!ok) return;
+      body.doctors.forEach((doctor) => {
+        const label = doctor.specializations.length
+          ? `${doctor.name} (${doctor.specializations[0]})`
+          : doctor.name;
+        doctorSelect.append(new Option(label, doctor.id));
+      });
+    } catch {
+      // "Any available doctor" still works without the list
+    }
+  }
+
+  /** Slots for the chosen doctor (with ids) or the clinic grid (times only) */
+  async function loadSlots() {
+    const request = ++slotsRequest;
+    const doctorId = doctorSelect.value;
+    const params = new URLSearchParams({ date: dateInput.value });
+    if (doctorId) params.set('doctor_id', doctorId);
+
+    showFieldError('slot', '');
+    setSlotOptions([], BOOKING_MESSAGES.loadingSlots);
+
+    let result;
+    try {
+      result = await fetchJson(`/appointments/availability?${params}`);
+    } catch {
+      result = { ok: false, body: {} };
+    }
+    // A newer date or doctor was picked while this was in flight
+    if (request !== slotsRequest) return;
+
+    if (!result.ok) {
+      setSlotOptions([], '—');
+      showFieldError('slot', result.body.error || BOOKING_MESSAGES.unavailable);
+      return;
+    }
+
+    const slots = result.body.slots.map((slot) => ({
+      value: doctorId ? slot.id : slot.time,
+      label: clinicClock(slot.start),
+    }));
+    if (slots.length === 0) {
+      setSlotOptions([], '—');
+      showFieldError(
+        'slot',
+        result.body.holiday
+          ? `Closed for ${result.body.holiday.name}. ${BOOKING_MESSAGES.noSlots}`
+          : BOOKING_MESSAGES.noSlots
+      );
+      return;
+    }
+    setSlotOptions(slots);
+  }
+
+  function validate() {
+    const errors = {};
+    const name = fields.name.value.trim();
+    if (name.length < 2 || name.length > 100 || !BOOKING_NAME_PATTERN.test(name)) {
+      errors.name = BOOKING_MESSAGES.nameRequired;
+    }
+    if (!normaliseMobile(fields.mobile.value)) {
+      errors.mobile = BOOKING_MESSAGES.mobileInvalid;
+    }
+    if (!slotSelect.value) {
+      errors.slot = BOOKING_MESSAGES.slotRequired;
+    }
+
+    ['slot', 'name', 'mobile'].forEach((field) => showFieldError(field, errors[field]));
+    return errors;
+  }
+
+  function showConfirmation(booking) {
+    const when = `${clinicDayLabel(booking.scheduledTime, new Date())} at ${clinicClock(
+      booking.scheduledTime
+    )}`;
+    confirmation.querySelector('[data-booking-summary]').textContent = booking.doctorName
+      ? `${when} with ${booking.doctorName}.`
+      : `${when}.`;
+    confirmation.querySelector('[data-booking-queue]').textContent = booking.queueNumber;
+
+    form.hidden = true;
+    confirmation.hidden = false;
+    // Move focus so screen readers announce the confirmation
+    confirmation.querySelector('[data-booking-confirmation-title]').focus();
+  }
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    showStatus('');
+
+    const errors = validate();
+    const firstInvalid = ['slot', 'name', 'mobile'].find((field) => errors[field]);
+    if (firstInvalid) {
+      fields[firstInvalid].focus();
+      return;
+    }
+
+    const payload = {
+      name: fields.name.value.trim(),
+      mobile: fields.mobile.value,
+      locale: localeInput ? localeInput.value : 'en',
+    };
+    if (doctorSelect.value) {
+      payload.slot_id = slotSelect.value;
+    } else {
+      payload.date = dateInput.value;
+      payload.time = slotSelect.value;
+    }
+
+    submitButton.disabled = true;
+    submitButton.setAttribute('aria-busy', 'true');
+    try {
+      const { ok, status, body } = await fetchJson('/appointments/book', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      });
+
+      // The service worker queued it for background sync
+      if (status === 202 && body.queued) {
+        showStatus(BOOKING_MESSAGES.queued);
+        return;
+      }
+      if (ok) {
+        showConfirmation(body.booking);
+        return;
+      }
+
+      const message = BOOKING_MESSAGES[body.code] || body.error || BOOKING_MESSAGES.unavailable;
+      const field = BOOKING_ERROR_FIELDS[body.code];
+      if (field) {
+        showFieldError(field, message);
+        fields[field].focus();
+      } else {
+        showStatus(message);
+      }
+      if (body.code === 'slotTaken') loadSlots();
+    } catch {
+      showStatus(BOOKING_MESSAGES.unavailable);
+    } finally {
+      submitButton.disabled = false;
+      submitButton.removeAttribute('aria-busy');
+    }
+  });
+
+  // Clear a field's error as soon as it is edited
+  ['name', 'mobile'].forEach((field) => {
+    fields[field].addEventListener('input', () => showFieldError(field, ''));
+  });
+
+  doctorSelect.addEventListener('change', loadSlots);
+  dateInput.addEventListener('change', () => {
+    if (dateInput.value) loadSlots();
+  });
+
+  confirmation.querySelector('[data-booking-reset]').addEventListener('click', () => {
+    form.reset();
+    if (localeInput) localeInput.value = document.documentElement.lang || 'en';
+    dateInput.value = today;
+    confirmation.hidden = true;
+    form.hidden = false;
+    loadSlots();
+    fields.name.focus();
+  });
+
+  // Outcome of a booking queued offline, replayed by the service worker
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', ({ data }) => {
+      if (!data || data.type !== BOOKING_SYNC_RESULT_MESSAGE) return;
+      const { result } = data;
+      if (result.outcome === 'confirmed' && result.booking) {
+        showConfirmation(result.booking);
+      } else {
+        showStatus(BOOKING_MESSAGES[result.code] || BOOKING_MESSAGES.unavailable);
+      }
+    });
+    // Browsers without the Background Sync API wait for this nudge
+    window.addEventListener('online', () => {
+      const worker = navigator.serviceWorker.controller;
+      if (worker) worker.postMessage({ type: BOOKING_SYNC_REPLAY_MESSAGE });
+    });
+  }
+
+  loadDoctors();
+  // Start on the next day with an opening rather than a closed today
+  loadClinicHours().then((hours) => {
+    if (hours && hours.nextSlot) dateInput.value = clinicDate(hours.nextSlot.start);
+    loadSlots();
+  });
+}
+
+/* Live queue snapshot (served by /api/queue/subscribe, /api/queue/status) */
+
+// Server pings every 15s; two missed pings means the link is gone
+const QUEUE_STALE_AFTER_MS = 40 * 1000;
+const QUEUE_POLL_INTERVAL_MS = 15 * 1000;
+const QUEUE_POLL_MAX_INTERVAL_MS = 2 * 60 * 1000;
+// Consecutive stream errors before giving up on SSE and polling instead
+const QUEUE_STREAM_MAX_FAILURES = 3;
+
+function formatMinutes(minutes) {
+  if (minutes === null || minutes === undefined) return '—';
+  if (minutes === 0) return 'No wait';
+  return minutes === 1 ? '1 min' : `${minutes} mins`;
+}
+
+/** "10–20 mins" from snapshot.estimatedWait, the single estimate when there is no range */
+function formatWait(wait, minutes) {
+  if (!wait) return formatMinutes(minutes);
+  return wait.low === wait.high ? formatMinutes(wait.high) : `${wait.low}–${wait.high} mins`;
+}
+
+function initQueueSnapshot() {
+  const card = document.querySelector('[data-queue-snapshot]');
+  if (!card) return;
+
+  const nowEl = card.querySelector('[data-queue-now]');
+  const nextEl = card.querySelector('[data-queue-next]');
+  const waitEl = card.querySelector('[data-queue-wait]');
+  const staleEl = card.querySelector('[data-queue-stale]');
+  const noteEl = card.querySelector('[data-queue-note]');
+  const announcer = card.querySelector('[data-queue-announcer]');
+
+  let source = null;
+  let pollTimer = null;
+  let staleTimer = null;
+  let pollDelay = QUEUE_POLL_INTERVAL_MS;
+  let streamFailures = 0;
+  // Set when the server says it cannot refresh the queue (pings still arrive)
+  let unavailable = false;
+  let last = null;
+
+  function setStale(isStale) {
+    card.classList.toggle('is-stale', isStale);
+    if (staleEl) staleEl.hidden = !isStale;
+  }
+
+  /** Any sign of life from the server restarts the stale countdown */
+  function touch() {
+    setStale(unavailable);
+    clearTimeout(staleTimer);
+    staleTimer = setTimeout(() => setStale(true), QUEUE_STALE_AFTER_MS);
+  }
+
+  function announce(snapshot) {
+    if (!announcer || !last) return;
+    if (snapshot.paused !== last.paused) {
+      announcer.textContent = snapshot.paused ? 'The queue is paused.' : 'The queue has resumed.';
+    } else if (snapshot.nowServing && snapshot.nowServing !== last.nowServing) {
+      announcer.textContent = `Now seeing ${snapshot.nowServing}.`;
+    }
+  }
+
+  function render(snapshot) {
+    unavailable = false;
+    touch();
+    announce(snapshot);
+
+    if (nowEl) nowEl.textContent = snapshot.nowServing || '—';
+    if (nextEl) nextEl.textContent = snapshot.nextUp || '—';
+    if (waitEl) {
+      waitEl.textContent = snapshot.paused
+        ? 'Paused'
+        : formatWait(snapshot.estimatedWait, snapshot.estimatedWaitMinutes);
+    }
+    if (noteEl) {
+      noteEl.textContent = `${snapshot.waitingCount} waiting · updated ${clinicClock(new Date())}`;
+    }
+    last = snapshot;
+  }
+
+  function markUnavailable() {
+    unavailable = true;
+    setStale(true);
+  }
+
+  async function poll() {
+    try {
+      const response = await fetch(apiUrl('/queue/status'), {
+        headers: { Accept: 'application/json' },
+        cache: 'no-store',
+      });
+      if (!response.ok) throw new Error(`queue status ${response.status}`);
+      render(await response.json());
+      pollDelay = QUEUE_POLL_INTERVAL_MS;
+    } catch {
+      markUnavailable();
+      pollDelay = Math.min(pollDelay * 2, QUEUE_POLL_MAX_INTERVAL_MS);
+    }
+    pollTimer = setTimeout(poll, pollDelay);
+  }
+
+  function connect() {
+    if (!('EventSource' in window) || streamFailures >= QUEUE_STREAM_MAX_FAILURES) {
+      poll();
+      return;
+    }
+
+    source = new EventSource(apiUrl('/queue/subscribe'));
+    source.addEventListener('queue', (event) => {
+      streamFailures = 0;
+      render(JSON.parse(event.data));
+    });
+    source.addEventListener('ping', touch);
+    source.addEventListener('unavailable', markUnavailable);
+    source.addEventListener('error', () => {
+      setStale(true);
+      streamFailures += 1;
+      // EventSource reconnects by itself unless the server refused the stream
+      if (source.readyState === EventSource.CLOSED || streamFailures >= QUEUE_STREAM_MAX_FAILURES) {
+        source.close();
+        source = null;
+        poll();
+      }
+    });
+  }
+
+  function disconnect() {
+    if (source) source.close();
+    source = null;
+    clearTimeout(pollTimer);
+    clearTimeout(staleTimer);
+  }
+
+  // No point holding a connection open for a background tab
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      disconnect();
+    } else {
+      streamFailures = 0;
+      connect();
+    }
+  });
+
+  connect();
+}
@@ -171,7 +171,14 @@ module.exports = [
 
   // Configuration files
   {
-    files: ['*.config.{js,ts}', 'scripts/**/*.{js,ts}'],
+    files: [
+      '*.config.{js,ts}',
+      'build-info.js',
+      'feature-flags.js',
+      'healthcheck.js',
+      'pwa-runtime-caching.js',
+      'scripts/**/*.{js,ts}',
+    ],
     rules: {
       'no-console': 'off',
       '@typescript-eslint/no-var-requires': 'off',
@@ -0,0 +1,152 @@
+/**
+ * Feature flags for Gabriel Family Clinic
+ * Single source of truth consumed by:
+ *   - next.config.js redirects() and rewrites() (featureRules)
+ *   - src/lib/features (API routes, pages and components)
+ *
+ * Each flag's default comes from its FEATURE_* environment variable.
+ * src/lib/features layers the per-clinic overrides from the admin dashboard
+ * (feature_flag_overrides) and percentage rollouts on top; next.config.js
+ * rules are fixed when the image is built, so they only see the defaults.
+ */
+
+/**
+ * `default` applies when the variable is unset and must match featureFlag()
+ * in src/lib/config/schema.ts. `requires`: flags that must also be on, e.g.
+ * no SMS reminders while notifications as a whole are switched off.
+ */
+const FEATURE_FLAGS = {
+  appointmentBooking: {
+    env: 'FEATURE_APPOINTMENT_BOOKING',
+    default: true,
+    description: 'Online appointment booking',
+    requires: [],
+  },
+  queueManagement: {
+    env: 'FEATURE_QUEUE_MANAGEMENT',
+    default: true,
+    description: 'Live queue status and follow links',
+    requires: [],
+  },
+  medicalRecords: {
+    env: 'FEATURE_MEDICAL_RECORDS',
+    default: true,
+    description: 'Patients can view their medical records',
+    requires: [],
+  },
+  notifications: {
+    env: 'FEATURE_NOTIFICATIONS',
+    default: true,
+    description: 'All patient notifications',
+    requires: [],
+  },
+  smsNotifications: {
+    env: 'FEATURE_SMS_NOTIFICATIONS',
+    default: true,
+    description: 'SMS notifications',
+    requires: ['notifications'],
+  },
+  whatsappNotifications: {
+    env: 'FEATURE_WHATSAPP_NOTIFICATIONS',
+    default: true,
+    description: 'WhatsApp notifications',
+    requires: ['notifications'],
+  },
+  emailNotifications: {
+    env: 'FEATURE_EMAIL_NOTIFICATIONS',
+    default: false,
+    description: 'Email notifications',
+    requires: ['notifications'],
+  },
+  pushNotifications: {
+    env: 'FEATURE_PUSH_NOTIFICATIONS',
+    default: true,
+    description: 'Browser push queue alerts',
+    requires: ['notifications', 'queueManagement'],
+  },
+  onlinePayment: {
+    env: 'FEATURE_ONLINE_PAYMENT',
+    default: false,
+    description: 'Online payment',
+    requires: [],
+  },
+  chasIntegration: {
+    env: 'FEATURE_CHAS_INTEGRATION',
+    default: true,
+    description: 'CHAS subsidies and claims',
+    requires: [],
+  },
+  telemedicine: {
+    env: 'FEATURE_TELEMEDICINE',
+    default: false,
+    description: 'Video consultations',
+    requires: [],
+  },
+  pharmacyIntegration: {
+    env: 'FEATURE_PHARMACY_INTEGRATION',
+    default: false,
+    description: 'Pharmacy integration',
+    requires: [],
+  },
+  labResults: {
+    env: 'FEATURE_LAB_RESULTS',
+    default: false,
+    description: 'Lab results',
+    requires: ['medicalRecords'],
+  },
+  healthScreening: {
+    env: 'FEATURE_HEALTH_SCREENING',
+    default: false,
+    description: 'Health screening packages',
+    requires: [],
+  },
+  adminDashboard: {
+    env: 'FEATURE_ADMIN_DASHBOARD',
+    default: true,
+    description: 'Staff admin dashboard',
+    requires: [],
+  },
+  analyticsDashboard: {
+    env: 'FEATURE_ANALYTICS_DASHBOARD',
+    default: false,
+    description: 'Analytics dashboard',
+    requires: ['adminDashboard'],
+  },
+  auditLogs: {
+    env: 'FEATURE_AUDIT_LOGS',
+    default: true,
+    description: 'Audit log viewer',
+    requires: ['adminDashboard'],
+  },
+};
+
+/** Same parsing as featureFlag() in src/lib/config/schema.ts */
+function parseFlag(value, defaultValue) {
+  if (value === undefined || value === '') return defaultValue;
+  return value === 'true' || value === '1';
+}
+
+/** Whether a flag is on by its environment default alone, including the flags it requires */
+function isFeatureOnByDefault(flag, env = process.env) {
+  const definition = FEATURE_FLAGS[flag];
+  if (!definition) throw new Error(`Unknown feature flag "${flag}"`);
+  return (
+    parseFlag(env[definition.env], definition.default) &&
+    definition.requires.every((required) => isFeatureOnByDefault(required, env))
+  );
+}
+
+/**
+ * Redirect or rewrite rules that apply only while a flag is on, e.g.
+ *   ...featureRules('telemedicine', [{ source: '/video', destination: '/telemedicine' }])
+ */
+function featureRules(flag, rules, env = process.env) {
+  return isFeatureOnByDefault(flag, env) ? rules : [];
+}
+
+module.exports = {
+  FEATURE_FLAGS,
+  parseFlag,
+  isFeatureOnByDefault,
+  featureRules,
+};
@@ -1,33 +1,231 @@
 /**
  * Health check script for Docker container
- * Verifies application is running and responsive
+ *
+ * Two modes:
+ *   liveness  (default) - is the Next.js process up and answering /api/health?
+ *   readiness           - liveness plus Postgres, Redis and Supabase reachability
+ *
+ * Usage:
+ *   node healthcheck.js                  # liveness
+ *   node healthcheck.js --mode=readiness # readiness
+ *   HEALTHCHECK_MODE=readiness node healthcheck.js
+ *
+ * Prints a JSON report to stdout and exits with one of EXIT_CODES so that
+ * Docker, compose and deploy.sh can tell "degraded" (app up, a dependency
+ * down) from "dead" (app not responding).
  */
 
 const http = require('http');
+const https = require('https');
+const net = require('net');
 
-const options = {
-  hostname: 'localhost',
-  port: process.env.PORT || 3000,
-  path: '/api/health',
-  method: 'GET',
-  timeout: 5000,
+// Exit code 2 is reserved by Docker HEALTHCHECK, so "degraded" uses 3.
+// Docker treats any non-zero code as unhealthy; deploy.sh reads the exact value.
+const EXIT_CODES = {
+  healthy: 0,
+  dead: 1,
+  degraded: 3,
 };
 
-const req = http.request(options, (res) => {
-  if (res.statusCode === 200) {
-    process.exit(0); // Healthy
-  } else {
-    process.exit(1); // Unhealthy
+const MODES = ['liveness', 'readiness'];
+
+const TIMEOUTS = {
+  app: Number(process.env.HEALTHCHECK_TIMEOUT_APP_MS) || 5000,
+  database: Number(process.env.HEALTHCHECK_TIMEOUT_DB_MS) || 3000,
+  redis: Number(process.env.HEALTHCHECK_TIMEOUT_REDIS_MS) || 2000,
+  supabase: Number(process.env.HEALTHCHECK_TIMEOUT_SUPABASE_MS) || 5000,
+};
+
+function parseMode(argv) {
+  const flag = argv.find((arg) => arg.startsWith('--mode='));
+  const mode = flag ? flag.slice('--mode='.length) : process.env.HEALTHCHECK_MODE || 'liveness';
+  return MODES.includes(mode) ? mode : 'liveness';
+}
+
+/**
+ * Runs a single check and records its outcome and duration.
+ * Checks reject with an Error whose message ends up in the report.
+ */
+async function runCheck(name, check) {
+  const startedAt = Date.now();
+  try {
+    const detail = await check();
+    return { name, status: 'up', durationMs: Date.now() - startedAt, ...(detail && { detail }) };
+  } catch (error) {
+    return {
+      name,
+      status: 'down',
+      durationMs: Date.now() - startedAt,
+      error: error instanceof Error ? error.message : String(error),
+    };
+  }
+}
+
+function httpGet(url, { timeout, headers = {} }) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, { method: 'GET', timeout, headers }, (res) => {
+      res.resume(); // Discard body, we only need the status code
+      resolve(res.statusCode);
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy(new Error(`timed out after ${timeout}ms`));
+    });
+    req.end();
+  });
+}
+
+/**
+ * Opens a TCP connection, writes `payload` and resolves with the first chunk
+ * the server sends back. Used for protocol-level pings without client libraries,
+ * which the standalone image does not ship.
+ */
+function tcpExchange({ host, port, payload, timeout }) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    socket.setTimeout(timeout);
+
+    socket.once('connect', () => socket.write(payload));
+    socket.once('data', (chunk) => {
+      socket.destroy();
+      resolve(chunk);
+    });
+    socket.once('timeout', () => {
+      socket.destroy();
+      reject(new Error(`timed out after ${timeout}ms`));
+    });
+    socket.once('error', (error) => {
+      socket.destroy();
+      reject(error);
+    });
+    // A server that accepts and then hangs up would otherwise leave this
+    // pending forever. Once a reply has resolved the promise these are no-ops.
+    socket.once('end', () => {
+      socket.destroy();
+      reject(new Error('connection closed before a reply'));
+    });
+    socket.once('close', () => {
+      reject(new Error('connection closed before a reply'));
+    });
+  });
+}
+
+async function checkApp() {
+  const url = new URL(
+    process.env.HEALTH_CHECK_PATH || '/api/health',
+    `http://localhost:${process.env.PORT || 3000}`
+  );
+  const statusCode = await httpGet(url, { timeout: TIMEOUTS.app });
+  if (statusCode !== 200) {
+    throw new Error(`${url.pathname} responded with ${statusCode}`);
+  }
+}
+
+async function checkDatabase() {
+  const connectionString = process.env.DATABASE_POOL_URL || process.env.DATABASE_URL;
+  if (!connectionString) throw new Error('DATABASE_URL is not set');
+
+  const { hostname, port } = new URL(connectionString);
+
+  // SSLRequest packet: length 8, code 80877103. Postgres answers a single
+  // byte, 'S' or 'N', before any authentication takes place.
+  const payload = Buffer.alloc(8);
+  payload.writeInt32BE(8, 0);
+  payload.writeInt32BE(80877103, 4);
+
+  const reply = await tcpExchange({
+    host: hostname,
+    port: Number(port) || 5432,
+    payload,
+    timeout: TIMEOUTS.database,
+  });
+
+  const answer = String.fromCharCode(reply[0]);
+  if (answer !== 'S' && answer !== 'N') {
+    throw new Error(`unexpected handshake reply "${answer}"`);
+  }
+}
+
+async function checkRedis() {
+  if (!process.env.REDIS_URL) throw new Error('REDIS_URL is not set');
+
+  const { hostname, port, password } = new URL(process.env.REDIS_URL);
+  const secret = decodeURIComponent(password) || process.env.REDIS_PASSWORD;
+  const payload = secret ? `AUTH ${secret}\r\nPING\r\n` : 'PING\r\n';
+
+  const reply = await tcpExchange({
+    host: hostname,
+    port: Number(port) || 6379,
+    payload,
+    timeout: TIMEOUTS.redis,
+  });
+
+  const text = reply.toString('utf8');
+  if (!text.startsWith('+')) {
+    throw new Error(`unexpected reply "${text.split('\r\n')[0]}"`);
+  }
+}
+
+async function checkSupabase() {
+  if (!process.env.NEXT_PUBLIC_SUPABASE_URL) {
+    throw new Error('NEXT_PUBLIC_SUPABASE_URL is not set');
   }
-});
 
-req.on('error', () => {
-  process.exit(1); // Unhealthy
-});
+  const url = new URL('/auth/v1/health', process.env.NEXT_PUBLIC_SUPABASE_URL);
+  const headers = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
+    ? { apikey: process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY }
+    : {};
+
+  const statusCode = await httpGet(url, { timeout: TIMEOUTS.supabase, headers });
+  if (statusCode >= 500) {
+    throw new Error(`${url.host} responded with ${statusCode}`);
+  }
+}
+
+async function main() {
+  const mode = parseMode(process.argv.slice(2));
+  const app = await runCheck('app', checkApp);
+
+  const dependencies =
+    mode === 'readiness' && app.status === 'up'
+      ? await Promise.all([
+          runCheck('database', checkDatabase),
+          runCheck('redis', checkRedis),
+          runCheck('supabase', checkSupabase),
+        ])
+      : [];
+
+  let status = 'healthy';
+  if (app.status === 'down') {
+    status = 'dead';
+  } else if (dependencies.some((check) => check.status === 'down')) {
+    status = 'degraded';
+  }
+
+  const report = {
+    status,
+    mode,
+    instance: process.env.INSTANCE_ID || 'default',
+    timestamp: new Date().toISOString(),
+    checks: [app, ...dependencies],
+    failed: [app, ...dependencies]
+      .filter((check) => check.status === 'down')
+      .map((check) => check.name),
+  };
+
+  process.stdout.write(`${JSON.stringify(report)}\n`);
+  process.exit(EXIT_CODES[status]);
+}
+
+function exitDead(message) {
+  process.stdout.write(`${JSON.stringify({ status: 'dead', error: message })}\n`);
+  process.exit(EXIT_CODES.dead);
+}
 
-req.on('timeout', () => {
-  req.abort();
-  process.exit(1); // Unhealthy
-});
+// main() always exits explicitly, so reaching an empty event loop means a
+// check never settled. Without this Node would exit 0 and read as healthy.
+process.once('beforeExit', () => exitDead('a check never completed'));
 
-req.end();
+main().catch((error) => exitDead(error instanceof Error ? error.message : String(error)));
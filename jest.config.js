@@ -0,0 +1,34 @@
+/**
+ * Jest configuration for Gabriel Family Clinic
+ * next/jest compiles TypeScript with the app's own SWC setup. Unit tests
+ * live in tests/unit and run in Node against the .env.example defaults
+ * (tests/setup-env.ts); Playwright specs in tests/e2e are not Jest's.
+ */
+
+const nextJest = require('next/jest');
+
+const createJestConfig = nextJest({ dir: __dirname });
+
+/** Published as ES modules only, so Jest must compile them too */
+const ESM_PACKAGES = ['@t3-oss'];
+
+const jestConfig = createJestConfig({
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/tests/**/*.test.{ts,tsx}'],
+  setupFiles: ['<rootDir>/tests/setup-env.ts'],
+  moduleNameMapper: {
+    '^@/(.*)$': '<rootDir>/src/$1',
+  },
+});
+
+// next/jest ignores all of node_modules; extra patterns could only ignore more
+module.exports = async () => {
+  const config = await jestConfig();
+  return {
+    ...config,
+    transformIgnorePatterns: [
+      `/node_modules/(?!(${ESM_PACKAGES.join('|')})/)`,
+      ...config.transformIgnorePatterns.filter((pattern) => !pattern.includes('node_modules')),
+    ],
+  };
+};
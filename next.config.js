@@ -5,6 +5,14 @@
 
 const path = require('path');
 
+const bundleAnalyzer = require('@next/bundle-analyzer');
+const nextPWA = require('next-pwa');
+
+const { getBuildInfo } = require('./build-info');
+const { featureRules } = require('./feature-flags');
+const { RUNTIME_CACHING } = require('./pwa-runtime-caching');
+const { SECURITY_HEADERS } = require('./security-headers');
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   // Use Pages Router for simplicity (as per Master Plan)
@@ -43,54 +51,14 @@ const nextConfig = {
     minimumCacheTTL: 60 * 60 * 24 * 30, // 30 days
   },
 
-  // Security Headers
+  // Security Headers (policy lives in security-headers.js, shared with nginx.conf)
   async headers() {
     return [
       {
         source: '/:path*',
         headers: [
-          {
-            key: 'X-DNS-Prefetch-Control',
-            value: 'on',
-          },
-          {
-            key: 'Strict-Transport-Security',
-            value: 'max-age=63072000; includeSubDomains; preload',
-          },
-          {
-            key: 'X-Content-Type-Options',
-            value: 'nosniff',
-          },
-          {
-            key: 'X-Frame-Options',
-            value: 'DENY',
-          },
-          {
-            key: 'X-XSS-Protection',
-            value: '1; mode=block',
-          },
-          {
-            key: 'Referrer-Policy',
-            value: 'origin-when-cross-origin',
-          },
-          {
-            key: 'Permissions-Policy',
-            value: 'camera=(), microphone=(), geolocation=()',
-          },
-          {
-            key: 'Content-Security-Policy',
-            value: `
-              default-src 'self';
-              script-src 'self' 'unsafe-eval' 'unsafe-inline' *.supabase.co *.vercel.app;
-              style-src 'self' 'unsafe-inline';
-              img-src 'self' blob: data: *.supabase.co *.githubusercontent.com;
-              font-src 'self' data:;
-              connect-src 'self' *.supabase.co *.twilio.com wss://*.supabase.co;
-              frame-ancestors 'none';
-              base-uri 'self';
-              form-action 'self';
-            `.replace(/\s{2,}/g, ' ').trim(),
-          },
+          ...SECURITY_HEADERS,
+          // Content-Security-Policy is set per request in src/middleware.ts (nonce-based)
         ],
       },
       {
@@ -106,6 +74,8 @@ const nextConfig = {
   },
 
   // Redirects for common paths
+  // featureRules() drops a flag's rules when its FEATURE_* default is off at
+  // build time; database overrides are applied per request in src/lib/features
   async redirects() {
     return [
       {
@@ -113,16 +83,20 @@ const nextConfig = {
         destination: '/',
         permanent: true,
       },
-      {
-        source: '/admin',
-        destination: '/doctor/login',
-        permanent: false,
-      },
-      {
-        source: '/appointments',
-        destination: '/portal/appointments',
-        permanent: false,
-      },
+      ...featureRules('adminDashboard', [
+        {
+          source: '/admin',
+          destination: '/doctor/login',
+          permanent: false,
+        },
+      ]),
+      ...featureRules('appointmentBooking', [
+        {
+          source: '/appointments',
+          destination: '/portal/appointments',
+          permanent: false,
+        },
+      ]),
     ];
   },
 
@@ -135,13 +109,14 @@ const nextConfig = {
     };
   },
 
-  // Environment Variables Validation
+  // Environment variables are validated and read at runtime (src/lib/config/env.ts),
+  // not inlined here, so one image can serve staging and production.
+  // Build metadata is the exception: it describes the image (see build-info.js).
   env: {
-    NEXT_PUBLIC_APP_URL: process.env.NEXT_PUBLIC_APP_URL,
-    NEXT_PUBLIC_APP_NAME: 'Gabriel Family Clinic',
-    NEXT_PUBLIC_APP_VERSION: '3.0.0',
-    NEXT_PUBLIC_CLINIC_PHONE: '+6567891234',
-    NEXT_PUBLIC_CLINIC_ADDRESS: '123 Tampines Street 11, #01-456, Singapore 521123',
+    BUILD_COMMIT: getBuildInfo().commit,
+    BUILD_TIME: getBuildInfo().builtAt,
+    BUILD_MIGRATION: getBuildInfo().migration ?? '',
+    APP_VERSION: getBuildInfo().version,
   },
 
   // Webpack Configuration
@@ -183,6 +158,7 @@ const nextConfig = {
   experimental: {
     optimizeCss: true,
     scrollRestoration: true,
+    instrumentationHook: true, // src/instrumentation.ts validates env at start-up
     // serverActions: false, // Not using server actions for simplicity
   },
 
@@ -190,10 +166,8 @@ const nextConfig = {
   output: 'standalone', // For Docker deployment
   distDir: '.next',
   cleanDistDir: true,
-  generateBuildId: async () => {
-    // Generate build ID based on git commit or timestamp
-    return process.env.BUILD_ID || `build-${Date.now()}`;
-  },
+  // Git commit + lockfile hash, identical for blue and green (build-info.js)
+  generateBuildId: async () => getBuildInfo().buildId,
 
   // Performance Monitoring
   analyticsId: process.env.NEXT_PUBLIC_ANALYTICS_ID,
@@ -203,7 +177,7 @@ const nextConfig = {
 };
 
 // PWA Configuration wrapper
-const withPWA = require('next-pwa')({
+const withPWA = nextPWA({
   dest: 'public',
   register: true,
   skipWaiting: true,
@@ -216,12 +190,16 @@ const withPWA = require('next-pwa')({
   fallbacks: {
     document: '/offline',
   },
+  // Per-route strategies (pwa-runtime-caching.js); offline booking sync is
+  // custom worker code in src/worker
+  runtimeCaching: RUNTIME_CACHING,
+  customWorkerDir: 'src/worker',
   cacheStartUrl: true,
   dynamicStartUrl: false,
 });
 
 // Bundle Analyzer wrapper (only when ANALYZE is true)
-const withBundleAnalyzer = require('@next/bundle-analyzer')({
+const withBundleAnalyzer = bundleAnalyzer({
   enabled: process.env.ANALYZE === 'true',
 });
 
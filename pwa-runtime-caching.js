@@ -0,0 +1,87 @@
+/**
+ * Service worker runtime caching for Gabriel Family Clinic
+ * Consumed by the next-pwa wrapper in next.config.js. Routes are matched in
+ * order and the first match wins, so the clinic rules sit ahead of the
+ * next-pwa defaults (static assets, fonts, a NetworkFirst catch-all for
+ * /api). Rules only see GET requests; booking posts are handled by the
+ * custom worker in src/worker.
+ *
+ * urlPattern functions are copied into the generated service worker as
+ * source text: they must not reference anything outside their own body.
+ */
+
+const NEXT_PWA_DEFAULTS = require('next-pwa/cache');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const CLINIC_RUNTIME_CACHING = [
+  // Patient records, profiles and auth never touch the cache, not even as
+  // an offline fallback, so nothing private is left on a shared device
+  {
+    urlPattern: ({ url }) =>
+      self.origin === url.origin &&
+      /^\/(?:[a-z]{2}\/)?(?:portal\/records|api\/(?:medical-records|records|profile|auth)(?:\/|$))/.test(
+        url.pathname
+      ),
+    handler: 'NetworkOnly',
+  },
+  // The live queue is only useful live; the page shows its own stale state
+  {
+    urlPattern: ({ url }) => self.origin === url.origin && url.pathname.startsWith('/api/queue/'),
+    handler: 'NetworkOnly',
+  },
+  // A cached answer would hide a new deployment from the update prompt
+  {
+    urlPattern: ({ url }) => self.origin === url.origin && url.pathname === '/api/version',
+    handler: 'NetworkOnly',
+  },
+  // Settings for pages prerendered at build time, the offline page among
+  // them; src/worker keeps a copy from install so it works offline at once
+  {
+    urlPattern: ({ url }) => self.origin === url.origin && url.pathname === '/api/config',
+    handler: 'NetworkFirst',
+    options: {
+      cacheName: 'public-config',
+      networkTimeoutSeconds: 4,
+      expiration: { maxEntries: 1 },
+      cacheableResponse: { statuses: [200] },
+    },
+  },
+  // Doctor list and opening hours change rarely: answer from cache at once
+  // and refresh in the background
+  {
+    urlPattern: ({ url }) => self.origin === url.origin && url.pathname === '/api/doctors',
+    handler: 'StaleWhileRevalidate',
+    options: {
+      cacheName: 'doctors',
+      expiration: { maxEntries: 4, maxAgeSeconds: 7 * DAY_SECONDS },
+      cacheableResponse: { statuses: [200] },
+    },
+  },
+  {
+    urlPattern: ({ url }) => self.origin === url.origin && url.pathname === '/api/clinic/hours',
+    handler: 'StaleWhileRevalidate',
+    options: {
+      cacheName: 'clinic-hours',
+      expiration: { maxEntries: 4, maxAgeSeconds: DAY_SECONDS },
+      cacheableResponse: { statuses: [200] },
+    },
+  },
+  // Free slots go quickly: prefer the network, fall back to the last answer
+  // on a weak signal so the form still shows something to choose from
+  {
+    urlPattern: ({ url }) =>
+      self.origin === url.origin && url.pathname === '/api/appointments/availability',
+    handler: 'NetworkFirst',
+    options: {
+      cacheName: 'availability',
+      networkTimeoutSeconds: 4,
+      expiration: { maxEntries: 32, maxAgeSeconds: 60 * 60 },
+      cacheableResponse: { statuses: [200] },
+    },
+  },
+];
+
+const RUNTIME_CACHING = [...CLINIC_RUNTIME_CACHING, ...NEXT_PWA_DEFAULTS];
+
+module.exports = { RUNTIME_CACHING };
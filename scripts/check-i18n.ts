@@ -0,0 +1,128 @@
+/**
+ * Build-time check for the translation catalogs in src/locales
+ *
+ * Usage: npm run i18n:check   (also runs as prebuild)
+ *
+ * Fails when a locale catalog:
+ *   - is missing a key that exists in en.json
+ *   - has a message that does not parse as ICU
+ *   - uses or drops an argument compared with English
+ *   - lacks a plural category the locale needs (Intl.PluralRules)
+ *   - contains Han characters but the locale has no CJK font family, or its
+ *     font family is not defined in tailwind.config.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { DEFAULT_LOCALE, LOCALE_META, SUPPORTED_LOCALES } from '../src/lib/i18n/config';
+import { describeMessage } from '../src/lib/i18n/message-format';
+import { flattenCatalog } from '../src/lib/i18n/translator';
+
+import type { Locale } from '../src/lib/i18n/config';
+import type { MessageCatalog } from '../src/lib/i18n/translator';
+
+const ROOT = path.resolve(__dirname, '..');
+const LOCALES_DIR = path.join(ROOT, 'src', 'locales');
+const HAN_PATTERN = /\p{Script=Han}/u;
+
+const errors: string[] = [];
+const warnings: string[] = [];
+
+function readCatalog(locale: Locale): Record<string, string> {
+  const file = path.join(LOCALES_DIR, `${locale}.json`);
+  if (!fs.existsSync(file)) {
+    errors.push(`${locale}: catalog ${path.relative(ROOT, file)} does not exist`);
+    return {};
+  }
+  return flattenCatalog(JSON.parse(fs.readFileSync(file, 'utf8')) as MessageCatalog);
+}
+
+/**
+ * Reads the font family names from tailwind.config.js without executing it,
+ * so the check does not depend on Tailwind plugins being installed.
+ */
+function tailwindFontFamilies(): Set<string> {
+  const source = fs.readFileSync(path.join(ROOT, 'tailwind.config.js'), 'utf8');
+  const block = source.match(/fontFamily:\s*\{([\s\S]*?)\n\s*\},/);
+  const names = block?.[1]?.matchAll(/^\s*['"]?([\w-]+)['"]?\s*:/gm) ?? [];
+  return new Set(Array.from(names, (match) => match[1] ?? ''));
+}
+
+function describe(locale: Locale, key: string, message: string) {
+  try {
+    return describeMessage(message);
+  } catch (error) {
+    errors.push(`${locale}: ${key} does not parse (${(error as Error).message})`);
+    return null;
+  }
+}
+
+function checkLocale(locale: Locale, reference: Record<string, string>, fontFamilies: Set<string>) {
+  const catalog = readCatalog(locale);
+  const { tag, fontFamily } = LOCALE_META[locale];
+  const pluralCategories = new Intl.PluralRules(tag).resolvedOptions().pluralCategories;
+
+  if (fontFamily && !fontFamilies.has(fontFamily)) {
+    errors.push(`${locale}: font family "${fontFamily}" is not defined in tailwind.config.js`);
+  }
+
+  Object.entries(reference).forEach(([key, englishMessage]) => {
+    const message = catalog[key];
+    if (message === undefined) {
+      errors.push(`${locale}: missing key ${key}`);
+      return;
+    }
+
+    if (HAN_PATTERN.test(message) && fontFamily !== 'chinese') {
+      errors.push(`${locale}: ${key} contains Chinese characters but the locale has no CJK font`);
+    }
+
+    const expected = describe(DEFAULT_LOCALE, key, englishMessage);
+    const actual = describe(locale, key, message);
+    if (!expected || !actual) return;
+
+    expected.arguments.forEach((name) => {
+      if (!actual.arguments.has(name)) errors.push(`${locale}: ${key} drops argument {${name}}`);
+    });
+    actual.arguments.forEach((name) => {
+      if (!expected.arguments.has(name))
+        errors.push(`${locale}: ${key} uses unknown argument {${name}}`);
+    });
+
+    actual.plurals.forEach(({ name, selectors }) => {
+      pluralCategories
+        .filter((category) => !selectors.includes(category))
+        .forEach((category) => {
+          errors.push(`${locale}: ${key} plural {${name}} is missing the "${category}" form`);
+        });
+    });
+  });
+
+  Object.keys(catalog)
+    .filter((key) => !(key in reference))
+    .forEach((key) =>
+      warnings.push(`${locale}: unused key ${key} (not in ${DEFAULT_LOCALE}.json)`)
+    );
+}
+
+function main() {
+  const reference = readCatalog(DEFAULT_LOCALE);
+  const fontFamilies = tailwindFontFamilies();
+
+  SUPPORTED_LOCALES.forEach((locale) => checkLocale(locale, reference, fontFamilies));
+
+  warnings.forEach((warning) => console.warn(`⚠ ${warning}`));
+  errors.forEach((error) => console.error(`✗ ${error}`));
+
+  if (errors.length > 0) {
+    console.error(`\ni18n check failed with ${errors.length} error(s)`);
+    process.exit(1);
+  }
+
+  console.info(
+    `i18n check passed: ${Object.keys(reference).length} keys across ${SUPPORTED_LOCALES.join(', ')}`
+  );
+}
+
+main();
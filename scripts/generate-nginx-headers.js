@@ -0,0 +1,121 @@
+/**
+ * Generates nginx's security header include from security-headers.js
+ *
+ * Usage:
+ *   node scripts/generate-nginx-headers.js          # rewrite security-headers.conf
+ *   node scripts/generate-nginx-headers.js --check  # exit 1 if it is stale or not included
+ *
+ * Each header is hidden from the upstream response before being re-added,
+ * so the app and nginx can never send conflicting duplicates.
+ *
+ * nginx only inherits add_header into a block that has none of its own, so
+ * the headers live in an include file: nginx.conf includes it in the http {}
+ * context and again in every server or location that adds a header of its
+ * own (e.g. Cache-Control on /_next/static). --check fails if one does not.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { APP_OWNED_HEADERS, SECURITY_HEADERS } = require('../security-headers');
+
+const ROOT = path.resolve(__dirname, '..');
+const NGINX_CONF = path.join(ROOT, 'nginx.conf');
+const HEADERS_CONF = path.join(ROOT, 'security-headers.conf');
+/** Where docker-compose.prod.yml mounts HEADERS_CONF */
+const INCLUDE_PATH = '/etc/nginx/security-headers.conf';
+
+function renderInclude() {
+  return [
+    '# Generated by scripts/generate-nginx-headers.js from security-headers.js.',
+    '# Do not edit by hand: change security-headers.js and re-run the generator.',
+    `# ${APP_OWNED_HEADERS.join(', ')} come from the app (per-request nonce).`,
+    ...SECURITY_HEADERS.map(({ key }) => `proxy_hide_header ${key};`),
+    ...SECURITY_HEADERS.map(({ key, value }) => `add_header ${key} "${value}" always;`),
+    '',
+  ].join('\n');
+}
+
+/**
+ * The http, server and location blocks in an nginx config, with whether
+ * each adds headers of its own and whether it includes the security headers
+ */
+function findBlocks(conf) {
+  const blocks = [];
+  const stack = [];
+
+  conf.split('\n').forEach((raw, index) => {
+    const line = raw.replace(/#.*$/, '').trim();
+    if (!line) return;
+
+    const opening = line.match(/^(http|server|location)\b([^{]*)\{$/);
+    if (opening) {
+      const block = {
+        name: `${opening[1]} ${opening[2].trim()}`.trim(),
+        line: index + 1,
+        addsHeaders: false,
+        includesHeaders: false,
+      };
+      blocks.push(block);
+      stack.push(block);
+      return;
+    }
+    if (line.endsWith('{')) {
+      stack.push(null);
+      return;
+    }
+    if (line === '}') {
+      stack.pop();
+      return;
+    }
+
+    const current = stack[stack.length - 1];
+    if (!current) return;
+    if (/^add_header\s/.test(line)) current.addsHeaders = true;
+    if (line === `include ${INCLUDE_PATH};`) current.includesHeaders = true;
+  });
+
+  return blocks;
+}
+
+/** Blocks that would serve responses without the security headers */
+function findUncovered(conf) {
+  return findBlocks(conf).filter(
+    (block) => !block.includesHeaders && (block.name === 'http' || block.addsHeaders)
+  );
+}
+
+function main() {
+  const checkOnly = process.argv.includes('--check');
+  const next = renderInclude();
+  const current = fs.existsSync(HEADERS_CONF) ? fs.readFileSync(HEADERS_CONF, 'utf8') : null;
+
+  const uncovered = findUncovered(fs.readFileSync(NGINX_CONF, 'utf8'));
+  if (uncovered.length > 0) {
+    uncovered.forEach((block) =>
+      console.error(
+        `nginx.conf:${block.line} ${block.name} ` +
+          (block.name === 'http'
+            ? 'is missing the security headers;'
+            : 'has its own add_header, so it inherits no security headers;') +
+          ` add "include ${INCLUDE_PATH};"`
+      )
+    );
+    process.exit(1);
+  }
+
+  if (next === current) {
+    console.info('security-headers.conf is up to date and included wherever nginx.conf needs it');
+    return;
+  }
+
+  if (checkOnly) {
+    console.error('security-headers.conf is out of date; run npm run headers:nginx');
+    process.exit(1);
+  }
+
+  fs.writeFileSync(HEADERS_CONF, next);
+  console.info(`Wrote ${SECURITY_HEADERS.length} security headers to security-headers.conf`);
+}
+
+main();
@@ -0,0 +1,139 @@
+/**
+ * Imports a public-holiday calendar (ICS) into the JSON list the
+ * opening-hours engine reads (src/data/holidays/sg-public-holidays.json)
+ *
+ * Usage:
+ *   npm run holidays:import                      # re-import the bundled ICS
+ *   npm run holidays:import -- path/to/file.ics  # import a newer MOM calendar
+ *   npm run holidays:import -- --check           # fail if the JSON is stale
+ *
+ * Only all-day VEVENTs are read. Multi-day events (DTEND is exclusive) are
+ * expanded to one entry per date, and holidays already in the JSON that are
+ * not in the ICS are kept so older years survive a partial import.
+ *
+ * Both modes fail when this year has no holidays and warn when next year
+ * has none, so the list is topped up before opening hours run past it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { missingHolidayYears } from '../src/lib/clinic/holidays';
+
+import type { PublicHoliday } from '../src/lib/clinic/holidays';
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT, 'src', 'data', 'holidays');
+const DEFAULT_SOURCE = path.join(DATA_DIR, 'sg-public-holidays.ics');
+const OUTPUT = path.join(DATA_DIR, 'sg-public-holidays.json');
+
+/** RFC 5545 3.1: lines starting with a space or tab continue the previous one */
+function unfold(source: string): string[] {
+  return source.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+}
+
+function unescapeText(value: string): string {
+  return value.replace(/\\([\\;,nN])/g, (_, char: string) =>
+    char.toLowerCase() === 'n' ? ' ' : char
+  );
+}
+
+/** "20250129" or "20250129T000000" -> "2025-01-29" */
+function parseDate(value: string): string | null {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+function addDay(date: string): string {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+export function parseHolidayCalendar(source: string): PublicHoliday[] {
+  const holidays: PublicHoliday[] = [];
+  let event: Record<string, string> | null = null;
+
+  unfold(source).forEach((line) => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      const start = event?.DTSTART && parseDate(event.DTSTART);
+      const name = event?.SUMMARY && unescapeText(event.SUMMARY).trim();
+      if (start && name) {
+        const end = (event?.DTEND && parseDate(event.DTEND)) || addDay(start);
+        for (let date = start; date < end; date = addDay(date)) {
+          holidays.push({ date, name });
+        }
+      }
+      event = null;
+      return;
+    }
+    if (!event) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    // Drop parameters: "DTSTART;VALUE=DATE" -> "DTSTART"
+    const property = line.slice(0, separator).split(';')[0]?.toUpperCase() ?? '';
+    event[property] = line.slice(separator + 1);
+  });
+
+  return holidays;
+}
+
+function merge(existing: PublicHoliday[], imported: PublicHoliday[]): PublicHoliday[] {
+  const byDate = new Map(existing.map((holiday) => [holiday.date, holiday]));
+  imported.forEach((holiday) => byDate.set(holiday.date, holiday));
+  return Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/** Exits when this year is missing; returns after warning about next year */
+function checkCoverage(holidays: PublicHoliday[]) {
+  const year = new Date().getFullYear();
+  const [missing] = missingHolidayYears([year], holidays);
+  if (missing) {
+    console.error(`✗ no public holidays for ${missing}; import MOM's ${missing} calendar`);
+    process.exit(1);
+  }
+  if (missingHolidayYears([year + 1], holidays).length > 0) {
+    console.warn(`⚠ no public holidays for ${year + 1} yet; import MOM's calendar once published`);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const check = args.includes('--check');
+  const source = path.resolve(args.find((arg) => !arg.startsWith('--')) ?? DEFAULT_SOURCE);
+
+  const imported = parseHolidayCalendar(fs.readFileSync(source, 'utf8'));
+  if (imported.length === 0) {
+    console.error(`✗ no all-day events found in ${path.relative(ROOT, source)}`);
+    process.exit(1);
+  }
+
+  const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '[]';
+  const holidays = merge(JSON.parse(current) as PublicHoliday[], imported);
+  const output = `${JSON.stringify(holidays, null, 2)}\n`;
+
+  checkCoverage(holidays);
+
+  if (check) {
+    if (output !== current) {
+      console.error(`✗ ${path.relative(ROOT, OUTPUT)} is out of date; run npm run holidays:import`);
+      process.exit(1);
+    }
+    console.info(`holidays check passed: ${holidays.length} dates`);
+    return;
+  }
+
+  fs.writeFileSync(OUTPUT, output);
+  const years = Array.from(new Set(holidays.map((holiday) => holiday.date.slice(0, 4))));
+  console.info(
+    `Imported ${imported.length} dates from ${path.relative(ROOT, source)}; ` +
+      `${holidays.length} holidays covering ${years.join(', ')}`
+  );
+}
+
+main();
@@ -0,0 +1,210 @@
+/**
+ * Local stand-in for a browser push service, for exercising queue alerts
+ * without a real browser
+ *
+ * Hands out PushSubscriptions whose endpoints point back at this server,
+ * then accepts Web Push requests to them the way FCM or Mozilla's autopush
+ * would: it checks the VAPID signature, decrypts the aes128gcm payload
+ * (RFC 8291) with the subscription's private key and logs the notification
+ * the browser would show.
+ *
+ * Usage:
+ *   node scripts/mock-push-service.js [options]
+ *   npm run mock:push -- --gone
+ *
+ * Then, with MOCK_PUSH=true so the app accepts http:// endpoints:
+ *   curl -X POST localhost:4020/subscriptions        -> a PushSubscription
+ *   POST it to /api/push/subscriptions with a ticket's follow token
+ *   curl localhost:4020/push/<id>                    -> alerts received so far
+ *
+ * Options:
+ *   --port=4020   port to listen on
+ *   --gone        answer every push with 410, as when the browser has
+ *                 unsubscribed, to exercise subscription clean-up
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const MAX_BODY_BYTES = 8192;
+
+function parseOptions(argv) {
+  const flag = argv.find((arg) => arg.startsWith('--port='));
+  return {
+    port: flag ? Number(flag.slice('--port='.length)) : Number(process.env.PORT) || 4020,
+    gone: argv.includes('--gone'),
+  };
+}
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('payload too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function createSubscription(origin) {
+  const id = crypto.randomUUID();
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    id,
+    ecdh,
+    auth: crypto.randomBytes(16),
+    messages: [],
+    json() {
+      return {
+        endpoint: `${origin}/push/${id}`,
+        expirationTime: null,
+        keys: { p256dh: base64url(ecdh.getPublicKey()), auth: base64url(this.auth) },
+      };
+    },
+  };
+}
+
+/** Checks `Authorization: vapid t=<JWT>, k=<public key>` (RFC 8292) */
+function verifyVapid(header, audience) {
+  const match = /^vapid t=([^,\s]+),\s*k=([^,\s]+)$/.exec(header || '');
+  if (!match) throw new Error('missing VAPID authorization');
+  const [, jwt, key] = match;
+  const [encodedHeader, encodedClaims, signature] = jwt.split('.');
+
+  const raw = Buffer.from(key, 'base64url');
+  const publicKey = crypto.createPublicKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: base64url(raw.subarray(1, 33)),
+      y: base64url(raw.subarray(33, 65)),
+    },
+    format: 'jwk',
+  });
+  const valid = crypto.verify(
+    'sha256',
+    Buffer.from(`${encodedHeader}.${encodedClaims}`),
+    { key: publicKey, dsaEncoding: 'ieee-p1363' },
+    Buffer.from(signature || '', 'base64url')
+  );
+  if (!valid) throw new Error('bad VAPID signature');
+
+  const claims = JSON.parse(Buffer.from(encodedClaims, 'base64url').toString('utf8'));
+  if (claims.aud !== audience) throw new Error(`VAPID audience ${claims.aud} is not ${audience}`);
+  if (!(claims.exp > Date.now() / 1000)) throw new Error('VAPID token expired');
+  if (!/^(mailto:|https:)/.test(claims.sub || '')) throw new Error('VAPID subject missing');
+  return claims;
+}
+
+/** Decrypts a single-record aes128gcm body (RFC 8188 with RFC 8291 keys) */
+function decrypt(subscription, body) {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const senderKey = body.subarray(21, 21 + idLength);
+  const record = body.subarray(21 + idLength);
+
+  const receiverKey = subscription.ecdh.getPublicKey();
+  const ecdhSecret = subscription.ecdh.computeSecret(senderKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), receiverKey, senderKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', ecdhSecret, subscription.auth, keyInfo, 32));
+
+  const cek = crypto.hkdfSync('sha256', ikm, salt, 'Content-Encoding: aes128gcm\0', 16);
+  const nonce = crypto.hkdfSync('sha256', ikm, salt, 'Content-Encoding: nonce\0', 12);
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', Buffer.from(cek), Buffer.from(nonce));
+  decipher.setAuthTag(record.subarray(record.length - 16));
+  const padded = Buffer.concat([
+    decipher.update(record.subarray(0, record.length - 16)),
+    decipher.final(),
+  ]);
+
+  // The last record ends with a 0x02 delimiter followed by zero padding
+  const delimiter = padded.lastIndexOf(2);
+  return padded.subarray(0, delimiter).toString('utf8');
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function main() {
+  const options = parseOptions(process.argv.slice(2));
+  const origin = `http://localhost:${options.port}`;
+  const subscriptions = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, origin);
+    const pushMatch = /^\/push\/([\w-]+)$/.exec(pathname);
+
+    if (pathname === '/subscriptions' && req.method === 'POST') {
+      const subscription = createSubscription(origin);
+      subscriptions.set(subscription.id, subscription);
+      console.info(`[mock-push] subscription ${subscription.id} created`);
+      sendJson(res, 201, subscription.json());
+      return;
+    }
+
+    if (!pushMatch) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    const subscription = subscriptions.get(pushMatch[1]);
+    if (!subscription || options.gone) {
+      sendJson(res, 410, { error: 'Subscription is gone' });
+      return;
+    }
+
+    if (req.method === 'GET') {
+      sendJson(res, 200, { messages: subscription.messages });
+      return;
+    }
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    try {
+      const claims = verifyVapid(req.headers.authorization, origin);
+      if (req.headers['content-encoding'] !== 'aes128gcm') {
+        throw new Error(`unsupported Content-Encoding ${req.headers['content-encoding']}`);
+      }
+      const body = await readBody(req);
+      const payload = body.length > 0 ? JSON.parse(decrypt(subscription, body)) : null;
+
+      subscription.messages.push({
+        receivedAt: new Date().toISOString(),
+        ttl: Number(req.headers.ttl),
+        urgency: req.headers.urgency || 'normal',
+        topic: req.headers.topic || null,
+        subject: claims.sub,
+        payload,
+      });
+      console.info(`[mock-push] ${subscription.id}: ${JSON.stringify(payload)}`);
+      res.writeHead(201, { Location: `${origin}/push/${subscription.id}` }).end();
+    } catch (error) {
+      console.warn(`[mock-push] rejected push to ${subscription.id}: ${error.message}`);
+      sendJson(res, 400, { error: error.message });
+    }
+  });
+
+  server.listen(options.port, () => {
+    console.info(`Mock push service on ${origin}/`);
+    console.info(`Options: ${JSON.stringify(options)}`);
+  });
+}
+
+main();
@@ -0,0 +1,200 @@
+/**
+ * Local mock of the queue feed, for working on the landing page without
+ * Supabase
+ *
+ * Serves docs/gpt/static at / and a simulated queue at /api/queue/status
+ * (JSON) and /api/queue/subscribe (Server-Sent Events), using the same
+ * payloads and event names as the real API routes.
+ *
+ * Usage:
+ *   node scripts/mock-queue-server.js [options]
+ *   npm run mock:queue -- --drop-every=60
+ *
+ * Options:
+ *   --port=4010          port to listen on
+ *   --advance-every=10   seconds between simulated queue changes
+ *   --drop-every=0       close every stream after N seconds (0 = never), to
+ *                        exercise reconnects
+ *   --stall-after=0      stop sending events after N seconds but keep the
+ *                        stream open (0 = never), to exercise the stale badge
+ *   --unavailable        report the queue as unavailable, as when the
+ *                        database is down
+ *   --no-sse             answer /api/queue/subscribe with 404, to exercise
+ *                        the polling fallback
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const STATIC_ROOT = path.resolve(__dirname, '..', 'docs', 'gpt', 'static');
+const PING_INTERVAL_MS = 15000;
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+};
+
+function parseOptions(argv) {
+  const value = (name, fallback) => {
+    const flag = argv.find((arg) => arg.startsWith(`--${name}=`));
+    return flag ? Number(flag.slice(name.length + 3)) : fallback;
+  };
+  return {
+    port: value('port', Number(process.env.PORT) || 4010),
+    advanceEvery: value('advance-every', 10),
+    dropEvery: value('drop-every', 0),
+    stallAfter: value('stall-after', 0),
+    unavailable: argv.includes('--unavailable'),
+    sse: !argv.includes('--no-sse'),
+  };
+}
+
+/** A single-doctor queue that calls and admits patients at random */
+function createQueue() {
+  let serving = 12;
+  let lastIssued = 15;
+
+  const label = (sequence) => `A${String(sequence).padStart(3, '0')}`;
+
+  return {
+    advance() {
+      if (lastIssued > serving && Math.random() < 0.6) serving += 1;
+      if (Math.random() < 0.5) lastIssued += 1;
+    },
+    snapshot() {
+      const waitingCount = lastIssued - serving;
+      return {
+        doctorId: null,
+        nowServing: label(serving),
+        nextUp: waitingCount > 0 ? label(serving + 1) : null,
+        waitingCount,
+        estimatedWaitMinutes: waitingCount * 8,
+        estimatedWait: {
+          minutes: waitingCount * 8,
+          low: waitingCount * 6,
+          high: waitingCount * 11,
+        },
+        paused: false,
+        updatedAt: new Date().toISOString(),
+      };
+    },
+  };
+}
+
+function serveStatic(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const file = path.join(STATIC_ROOT, pathname === '/' ? 'index.html' : pathname);
+
+  if (!file.startsWith(STATIC_ROOT)) {
+    res.writeHead(403).end();
+    return;
+  }
+
+  fs.readFile(file, (error, body) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+      return;
+    }
+    const type = CONTENT_TYPES[path.extname(file)] || 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' }).end(body);
+  });
+}
+
+function main() {
+  const options = parseOptions(process.argv.slice(2));
+  const queue = createQueue();
+  const streams = new Set();
+
+  const broadcast = (event, data) => {
+    streams.forEach((stream) => {
+      if (!stream.stalled) stream.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    });
+  };
+
+  setInterval(() => {
+    queue.advance();
+    broadcast(options.unavailable ? 'unavailable' : 'queue', queue.snapshot());
+  }, options.advanceEvery * 1000);
+
+  setInterval(() => broadcast('ping', { at: new Date().toISOString() }), PING_INTERVAL_MS);
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/api/queue/status') {
+      if (options.unavailable) {
+        res.writeHead(503, { 'Content-Type': 'application/json', 'Retry-After': '15' });
+        res.end(
+          JSON.stringify({ error: 'Queue status is temporarily unavailable', retry_after: 15 })
+        );
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+      res.end(JSON.stringify(queue.snapshot()));
+      return;
+    }
+
+    if (pathname === '/api/queue/subscribe') {
+      if (!options.sse) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Not found' }));
+        return;
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+      });
+      res.write('retry: 5000\n\n');
+
+      const stream = { res, stalled: false, timers: [] };
+      streams.add(stream);
+      console.info(`[mock-queue] stream opened (${streams.size} open)`);
+
+      if (options.unavailable) {
+        res.write(
+          `event: unavailable\ndata: ${JSON.stringify({ at: new Date().toISOString() })}\n\n`
+        );
+      } else {
+        res.write(`event: queue\ndata: ${JSON.stringify(queue.snapshot())}\n\n`);
+      }
+      if (options.dropEvery > 0) {
+        stream.timers.push(setTimeout(() => res.end(), options.dropEvery * 1000));
+      }
+      if (options.stallAfter > 0) {
+        stream.timers.push(
+          setTimeout(() => {
+            stream.stalled = true;
+          }, options.stallAfter * 1000)
+        );
+      }
+
+      req.on('close', () => {
+        stream.timers.forEach(clearTimeout);
+        streams.delete(stream);
+        console.info(`[mock-queue] stream closed (${streams.size} open)`);
+      });
+      return;
+    }
+
+    if (pathname.startsWith('/api/')) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Not mocked' }));
+      return;
+    }
+
+    serveStatic(req, res);
+  });
+
+  server.listen(options.port, () => {
+    console.info(`Mock queue server on http://localhost:${options.port}/`);
+    console.info(`Options: ${JSON.stringify(options)}`);
+  });
+}
+
+main();
@@ -0,0 +1,98 @@
+/**
+ * Scores the queue wait-time estimator against past clinic days
+ * (src/lib/queue/wait-replay.ts)
+ *
+ * Usage:
+ *   npm run queue:replay                                         # the last 28 days
+ *   npm run queue:replay -- --from 2026-09-01 --to 2026-09-30
+ *   npm run queue:replay -- --doctor <uuid>                      # one doctor's queue
+ *   npm run queue:replay -- --json                               # machine-readable report
+ *
+ * Reads completed appointments with the service-role key from .env.local
+ * (or .env, or the environment). Each day is estimated with durations
+ * learned from the QUEUE_ESTIMATE_HISTORY_DAYS before it, as the app would
+ * have had at the start of that day.
+ */
+
+import path from 'path';
+
+import { config } from 'dotenv';
+
+import type { ReplayScore } from '../src/lib/queue';
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_DAYS = 28;
+
+function option(args: string[], name: string): string | undefined {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+function row(label: string, score: ReplayScore): string {
+  return [
+    label.padEnd(10),
+    String(score.predictions).padStart(6),
+    score.meanAbsoluteError.toFixed(1).padStart(8),
+    score.medianAbsoluteError.toFixed(1).padStart(8),
+    score.bias.toFixed(1).padStart(7),
+    `${(score.coverage * 100).toFixed(0)}%`.padStart(9),
+    score.meanRangeWidth.toFixed(1).padStart(8),
+  ].join(' ');
+}
+
+async function main() {
+  // Next.js precedence: .env.local over .env, and neither over the real environment
+  config({ path: path.join(ROOT, '.env.local') });
+  config({ path: path.join(ROOT, '.env') });
+
+  // Loaded after the environment, which these read when imported
+  const { addDays, clinicDate, getClinicSchedule } = await import('../src/lib/clinic');
+  const { env } = await import('../src/lib/config/env');
+  const { loadConsultationRecords, replayWaitEstimates } = await import('../src/lib/queue');
+
+  const args = process.argv.slice(2);
+  const yesterday = addDays(clinicDate(new Date()), -1);
+  const to = option(args, '--to') ?? yesterday;
+  const from = option(args, '--from') ?? addDays(to, 1 - DEFAULT_DAYS);
+  const doctorId = option(args, '--doctor');
+  const historyDays = env.QUEUE_ESTIMATE_HISTORY_DAYS;
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+    console.error('✗ --from and --to must be dates (YYYY-MM-DD), --from first');
+    process.exit(1);
+  }
+
+  const records = await loadConsultationRecords(addDays(from, -historyDays), to);
+  const report = replayWaitEstimates(records, {
+    from,
+    to,
+    historyDays,
+    schedule: getClinicSchedule(),
+    doctorId,
+  });
+
+  if (args.includes('--json')) {
+    console.info(JSON.stringify({ from, to, historyDays, ...report }, null, 2));
+    return;
+  }
+  if (report.overall.predictions === 0) {
+    console.error(`✗ no checked-in, completed consultations between ${from} and ${to}`);
+    process.exit(1);
+  }
+
+  console.info(
+    `Wait estimates replayed ${from} to ${to}, learning from ${historyDays} days before each\n`
+  );
+  console.info('date       checks  MAE min  median    bias  in range   range');
+  report.days.forEach(({ date, score }) => console.info(row(date, score)));
+  console.info(row('overall', report.overall));
+  console.info(
+    '\nMAE: mean |most likely - actual| wait. Bias > 0: estimates run long. ' +
+      'In range: actual wait inside the estimated range (aim for about 80%).'
+  );
+}
+
+main().catch((error: unknown) => {
+  console.error('✗', error instanceof Error ? error.message : error);
+  process.exit(1);
+});
@@ -0,0 +1,102 @@
+/**
+ * Verifies the headers a running instance serves against security-headers.js
+ *
+ * Usage:
+ *   node scripts/verify-security-headers.js [url]
+ *   npm run headers:verify -- https://gabrielfamilyclinic.sg/
+ *
+ * Reports missing, mismatched and duplicated headers, and sanity-checks the
+ * per-request CSP. Exits 1 when anything differs from the policy.
+ */
+
+const http = require('http');
+const https = require('https');
+
+const { SECURITY_HEADERS } = require('../security-headers');
+
+const DEFAULT_URL = `http://localhost:${process.env.PORT || 3000}/`;
+const TIMEOUT_MS = 10000;
+
+function fetchRawHeaders(url) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, { timeout: TIMEOUT_MS }, (res) => {
+      res.resume();
+
+      // rawHeaders keeps duplicates that res.headers would merge
+      const headers = new Map();
+      for (let i = 0; i < res.rawHeaders.length; i += 2) {
+        const name = res.rawHeaders[i].toLowerCase();
+        headers.set(name, [...(headers.get(name) || []), res.rawHeaders[i + 1]]);
+      }
+      resolve({ statusCode: res.statusCode, headers });
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => req.destroy(new Error(`timed out after ${TIMEOUT_MS}ms`)));
+  });
+}
+
+function diffHeaders(served) {
+  const problems = [];
+
+  SECURITY_HEADERS.forEach(({ key, value }) => {
+    const values = served.get(key.toLowerCase()) || [];
+    if (values.length === 0) {
+      problems.push({ header: key, issue: 'missing', expected: value });
+    } else if (values.length > 1) {
+      problems.push({ header: key, issue: 'duplicated', expected: value, actual: values });
+    } else if (values[0] !== value) {
+      problems.push({ header: key, issue: 'mismatch', expected: value, actual: values[0] });
+    }
+  });
+
+  const csp = served.get('content-security-policy') || [];
+  if (csp.length !== 1) {
+    problems.push({
+      header: 'Content-Security-Policy',
+      issue: csp.length === 0 ? 'missing' : 'duplicated',
+      actual: csp,
+    });
+  } else {
+    const scriptSrc = csp[0]
+      .split(';')
+      .find((directive) => directive.trim().startsWith('script-src'));
+    if (!scriptSrc || !scriptSrc.includes("'nonce-")) {
+      problems.push({ header: 'Content-Security-Policy', issue: 'script-src has no nonce' });
+    }
+    if (scriptSrc && scriptSrc.includes("'unsafe-inline'")) {
+      problems.push({
+        header: 'Content-Security-Policy',
+        issue: "script-src allows 'unsafe-inline'",
+      });
+    }
+  }
+
+  return problems;
+}
+
+async function main() {
+  const url = new URL(process.argv[2] || DEFAULT_URL);
+  const { statusCode, headers } = await fetchRawHeaders(url);
+
+  console.info(`GET ${url.href} -> ${statusCode}`);
+  const problems = diffHeaders(headers);
+
+  if (problems.length === 0) {
+    console.info(`OK: served headers match security-headers.js (${SECURITY_HEADERS.length} + CSP)`);
+    return;
+  }
+
+  problems.forEach(({ header, issue, expected, actual }) => {
+    console.error(`✗ ${header}: ${issue}`);
+    if (expected !== undefined) console.error(`    expected: ${expected}`);
+    if (actual !== undefined) console.error(`    actual:   ${JSON.stringify(actual)}`);
+  });
+  process.exit(1);
+}
+
+main().catch((error) => {
+  console.error(`Could not verify headers: ${error.message}`);
+  process.exit(1);
+});
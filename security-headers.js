@@ -0,0 +1,51 @@
+/**
+ * Security header policy for Gabriel Family Clinic
+ * Single source of truth consumed by:
+ *   - next.config.js headers()
+ *   - src/lib/security/csp.ts (per-request CSP)
+ *   - scripts/generate-nginx-headers.js (security-headers.conf, included by nginx.conf)
+ *   - scripts/verify-security-headers.js (diff against a running instance)
+ */
+
+/**
+ * Static headers sent on every response.
+ * nginx hides the upstream copy and re-adds these, so browsers only ever
+ * receive one value per header.
+ */
+const SECURITY_HEADERS = [
+  { key: 'X-DNS-Prefetch-Control', value: 'on' },
+  { key: 'Strict-Transport-Security', value: 'max-age=63072000; includeSubDomains; preload' },
+  { key: 'X-Content-Type-Options', value: 'nosniff' },
+  { key: 'X-Frame-Options', value: 'DENY' },
+  { key: 'X-XSS-Protection', value: '1; mode=block' },
+  { key: 'Referrer-Policy', value: 'strict-origin-when-cross-origin' },
+  // The self check-in kiosk (/check-in) scans QR codes with the camera
+  { key: 'Permissions-Policy', value: 'camera=(self), microphone=(), geolocation=()' },
+];
+
+/**
+ * Base CSP source lists. The script nonce and dev-only relaxations are added
+ * per request in src/lib/security/csp.ts; nginx must never set this header.
+ */
+const CSP_DIRECTIVES = {
+  'default-src': ["'self'"],
+  'script-src': ["'self'", "'strict-dynamic'"],
+  // Mantine and Emotion inject runtime <style> tags
+  'style-src': ["'self'", "'unsafe-inline'"],
+  'img-src': ["'self'", 'blob:', 'data:', '*.supabase.co', '*.githubusercontent.com'],
+  'font-src': ["'self'", 'data:'],
+  'connect-src': ["'self'", '*.supabase.co', 'wss://*.supabase.co', '*.twilio.com'],
+  'object-src': ["'none'"],
+  'frame-ancestors': ["'none'"],
+  'base-uri': ["'self'"],
+  'form-action': ["'self'"],
+};
+
+/** Headers owned by the app that nginx must pass through untouched. */
+const APP_OWNED_HEADERS = ['Content-Security-Policy', 'Reporting-Endpoints'];
+
+module.exports = {
+  SECURITY_HEADERS,
+  CSP_DIRECTIVES,
+  APP_OWNED_HEADERS,
+};
@@ -0,0 +1,151 @@
+/**
+ * Accessibility panel
+ * A floating "Display settings" button that opens text size, contrast and
+ * motion controls. Fixed to the corner so it never shifts page layout, and
+ * scrolls internally when large text makes it taller than the screen.
+ */
+
+import { useEffect, useId, useRef, useState } from 'react';
+
+import { useAccessibility } from '@/hooks/useAccessibility';
+import { useTranslation } from '@/hooks/useTranslation';
+import { TEXT_SCALES } from '@/lib/accessibility';
+import type { TextScale } from '@/lib/accessibility';
+
+import type { KeyboardEvent } from 'react';
+
+const TEXT_SCALE_LABELS: Record<TextScale, string> = {
+  100: 'accessibility.textSizeStandard',
+  125: 'accessibility.textSizeLarge',
+  150: 'accessibility.textSizeLargest',
+};
+
+export function AccessibilityPanel() {
+  const { t } = useTranslation();
+  const { preferences, updatePreferences, resetPreferences } = useAccessibility();
+  const [open, setOpen] = useState(false);
+  const toggleRef = useRef<HTMLButtonElement>(null);
+  const titleRef = useRef<HTMLHeadingElement>(null);
+  const id = useId();
+  const panelId = `${id}-panel`;
+  const titleId = `${id}-title`;
+
+  useEffect(() => {
+    if (open) titleRef.current?.focus();
+  }, [open]);
+
+  const close = () => {
+    setOpen(false);
+    toggleRef.current?.focus();
+  };
+
+  const handleKeyDown = (event: KeyboardEvent<HTMLElement>) => {
+    if (event.key === 'Escape') {
+      event.stopPropagation();
+      close();
+    }
+  };
+
+  return (
+    <div className="fixed bottom-4 right-4 z-popover flex flex-col items-end gap-2">
+      {open && (
+        <section
+          id={panelId}
+          aria-labelledby={titleId}
+          className="max-h-[calc(100vh-6rem)] w-[min(24rem,calc(100vw-2rem))] overflow-y-auto rounded-lg border border-border bg-popover p-4 text-popover-foreground shadow-lg"
+          onKeyDown={handleKeyDown}
+        >
+          <h2 id={titleId} ref={titleRef} tabIndex={-1} className="text-xl font-semibold">
+            {t('accessibility.title')}
+          </h2>
+
+          <fieldset className="mt-4">
+            <legend className="text-lg font-medium">{t('accessibility.textSize')}</legend>
+            <div className="mt-2 flex flex-col gap-1">
+              {TEXT_SCALES.map((scale) => (
+                <label key={scale} className="touch-target flex items-center gap-3">
+                  <input
+                    type="radio"
+                    name={`${id}-text-scale`}
+                    className="h-5 w-5"
+                    value={scale}
+                    checked={preferences.textScale === scale}
+                    onChange={() => updatePreferences({ textScale: scale })}
+                  />
+                  <span>{t(TEXT_SCALE_LABELS[scale])}</span>
+                  <span
+                    aria-hidden="true"
+                    className="ml-auto font-semibold"
+                    style={{ fontSize: `${scale}%` }}
+                  >
+                    A
+                  </span>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          <label className="touch-target mt-4 flex items-start gap-3">
+            <input
+              type="checkbox"
+              className="mt-1 h-5 w-5"
+              checked={preferences.contrast === 'high'}
+              onChange={(event) =>
+                updatePreferences({ contrast: event.target.checked ? 'high' : 'standard' })
+              }
+            />
+            <span>
+              <span className="block font-medium">{t('accessibility.highContrast')}</span>
+              <span className="block text-muted-foreground">
+                {t('accessibility.highContrastHint')}
+              </span>
+            </span>
+          </label>
+
+          <label className="touch-target mt-2 flex items-start gap-3">
+            <input
+              type="checkbox"
+              className="mt-1 h-5 w-5"
+              checked={preferences.reducedMotion}
+              onChange={(event) => updatePreferences({ reducedMotion: event.target.checked })}
+            />
+            <span>
+              <span className="block font-medium">{t('accessibility.reducedMotion')}</span>
+              <span className="block text-muted-foreground">
+                {t('accessibility.reducedMotionHint')}
+              </span>
+            </span>
+          </label>
+
+          <div className="mt-4 flex flex-wrap justify-end gap-2">
+            <button
+              type="button"
+              className="touch-target focus-visible-ring rounded-md border border-input px-4"
+              onClick={resetPreferences}
+            >
+              {t('accessibility.reset')}
+            </button>
+            <button
+              type="button"
+              className="touch-target focus-visible-ring rounded-md bg-foreground px-4 text-background"
+              onClick={close}
+            >
+              {t('common.close')}
+            </button>
+          </div>
+        </section>
+      )}
+
+      <button
+        ref={toggleRef}
+        type="button"
+        className="touch-target focus-visible-ring rounded-full bg-foreground px-4 text-background shadow-lg"
+        aria-expanded={open}
+        aria-controls={open ? panelId : undefined}
+        onClick={() => (open ? close() : setOpen(true))}
+      >
+        {t('accessibility.open')}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+/**
+ * Accessibility preferences provider
+ * The boot script in _document has already applied stored preferences by
+ * the time this mounts; the provider takes over from there, keeping
+ * localStorage, other tabs and (when signed in) the user profile in sync.
+ */
+
+import { createContext, useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+import {
+  ACCESSIBILITY_STORAGE_KEY,
+  applyAccessibilityPreferences,
+  DEFAULT_ACCESSIBILITY_PREFERENCES,
+  isSamePreferences,
+  parseAccessibilityPreferences,
+} from '@/lib/accessibility';
+import type { AccessibilityPreferences } from '@/lib/accessibility';
+
+import type { ReactNode } from 'react';
+
+const PROFILE_ENDPOINT = '/api/profile/accessibility';
+
+export interface AccessibilityContextValue {
+  preferences: AccessibilityPreferences;
+  updatePreferences: (changes: Partial<AccessibilityPreferences>) => void;
+  resetPreferences: () => void;
+}
+
+export const AccessibilityContext = createContext<AccessibilityContextValue>({
+  preferences: DEFAULT_ACCESSIBILITY_PREFERENCES,
+  updatePreferences: () => undefined,
+  resetPreferences: () => undefined,
+});
+
+function parseStored(raw: string | null): AccessibilityPreferences | null {
+  if (!raw) return null;
+  try {
+    return parseAccessibilityPreferences(JSON.parse(raw));
+  } catch {
+    return null;
+  }
+}
+
+function readStored(): AccessibilityPreferences | null {
+  try {
+    return parseStored(window.localStorage.getItem(ACCESSIBILITY_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+function writeStored(preferences: AccessibilityPreferences) {
+  try {
+    window.localStorage.setItem(ACCESSIBILITY_STORAGE_KEY, JSON.stringify(preferences));
+  } catch {
+    // Private browsing can block storage; the choice lasts for this page
+  }
+}
+
+async function saveToProfile(preferences: AccessibilityPreferences) {
+  try {
+    await fetch(PROFILE_ENDPOINT, {
+      method: 'PUT',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(preferences),
+    });
+  } catch {
+    // Saved locally already; the profile catches up on the next change
+  }
+}
+
+export function AccessibilityProvider({ children }: { children: ReactNode }) {
+  // Null until mounted, so the server render and hydration agree and the
+  // attributes set by the boot script are not reset to the defaults
+  const [preferences, setPreferences] = useState<AccessibilityPreferences | null>(null);
+  const current = useRef<AccessibilityPreferences>(DEFAULT_ACCESSIBILITY_PREFERENCES);
+  const signedIn = useRef(false);
+
+  useEffect(() => {
+    const local = readStored();
+    setPreferences(local ?? DEFAULT_ACCESSIBILITY_PREFERENCES);
+
+    let cancelled = false;
+    const loadProfile = async () => {
+      const response = await fetch(PROFILE_ENDPOINT, {
+        credentials: 'same-origin',
+        headers: { Accept: 'application/json' },
+      });
+      if (!response.ok || cancelled) return;
+
+      signedIn.current = true;
+      const body = (await response.json()) as { preferences: unknown };
+      if (body.preferences) {
+        // The profile wins, so a choice made on another device carries over
+        const saved = parseAccessibilityPreferences(body.preferences);
+        setPreferences(saved);
+        writeStored(saved);
+      } else if (local) {
+        void saveToProfile(local);
+      }
+    };
+    loadProfile().catch(() => undefined);
+
+    const handleStorage = (event: StorageEvent) => {
+      if (event.key !== ACCESSIBILITY_STORAGE_KEY) return;
+      setPreferences(parseStored(event.newValue) ?? DEFAULT_ACCESSIBILITY_PREFERENCES);
+    };
+    window.addEventListener('storage', handleStorage);
+
+    return () => {
+      cancelled = true;
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!preferences) return;
+    current.current = preferences;
+    applyAccessibilityPreferences(document.documentElement, preferences);
+  }, [preferences]);
+
+  const save = useCallback((next: AccessibilityPreferences) => {
+    if (isSamePreferences(next, current.current)) return;
+    current.current = next;
+    setPreferences(next);
+    writeStored(next);
+    if (signedIn.current) void saveToProfile(next);
+  }, []);
+
+  const value = useMemo<AccessibilityContextValue>(
+    () => ({
+      preferences: preferences ?? DEFAULT_ACCESSIBILITY_PREFERENCES,
+      updatePreferences: (changes) => save({ ...current.current, ...changes }),
+      resetPreferences: () => save(DEFAULT_ACCESSIBILITY_PREFERENCES),
+    }),
+    [preferences, save]
+  );
+
+  return <AccessibilityContext.Provider value={value}>{children}</AccessibilityContext.Provider>;
+}
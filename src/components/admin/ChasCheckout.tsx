@@ -0,0 +1,300 @@
+/**
+ * CHAS checkout at the front desk
+ * Find today's visit by queue number, confirm what it is claimed as and the
+ * bill, and see the subsidy and what the patient pays before recording the
+ * claim. The API recalculates the subsidy; the figures here are a preview.
+ */
+
+import { useState } from 'react';
+
+import { ChasTierBadge } from '@/components/chas/ChasTierBadge';
+import { useAdminApi } from '@/hooks/useAdminApi';
+import type { AdminLoadState } from '@/hooks/useAdminApi';
+import { useTranslation } from '@/hooks/useTranslation';
+import type { CheckoutDetails } from '@/lib/chas';
+import { calculateSubsidy, VISIT_CATEGORIES } from '@/lib/chas/subsidy';
+import type { SubsidyBreakdown, VisitCategory } from '@/lib/chas/subsidy';
+import { clinicDate } from '@/lib/clinic';
+import { formatCurrency, formatDate } from '@/lib/i18n';
+
+import type { FormEvent } from 'react';
+
+export const LOAD_MESSAGES: Partial<Record<AdminLoadState, string>> = {
+  loading: 'common.loading',
+  signIn: 'chas.signIn',
+  forbidden: 'chas.forbidden',
+  unavailable: 'chas.unavailable',
+};
+
+/** Dollars typed at the desk, e.g. "35" or "12.50", in cents; NaN when not a price */
+function toCents(value: string): number {
+  return /^\d+(\.\d{1,2})?$/.test(value.trim()) ? Math.round(Number(value) * 100) : NaN;
+}
+
+function Breakdown({ breakdown }: { breakdown: SubsidyBreakdown }) {
+  const { locale, t } = useTranslation();
+  return (
+    <dl className="mt-3 grid grid-cols-2 gap-1 text-lg">
+      <dt>{t('chas.checkout.total')}</dt>
+      <dd className="text-right">{formatCurrency(breakdown.feeCents, locale)}</dd>
+      <dt>{t('chas.checkout.subsidy')}</dt>
+      <dd className="text-right">−{formatCurrency(breakdown.subsidyCents, locale)}</dd>
+      <dt className="font-semibold">{t('chas.checkout.payable')}</dt>
+      <dd className="text-right text-2xl font-bold">
+        {formatCurrency(breakdown.payableCents, locale)}
+      </dd>
+    </dl>
+  );
+}
+
+interface CheckoutCardProps {
+  checkout: CheckoutDetails;
+  onRecord: (values: {
+    appointmentId: string;
+    category: VisitCategory;
+    consultationFeeCents: number;
+    medicationFeeCents: number;
+  }) => Promise<string | null>;
+}
+
+function CheckoutCard({ checkout, onRecord }: CheckoutCardProps) {
+  const { locale, t } = useTranslation();
+  const [category, setCategory] = useState<VisitCategory>(checkout.category);
+  const [consultationFee, setConsultationFee] = useState(
+    (checkout.consultationFeeCents / 100).toFixed(2)
+  );
+  const [medicationFee, setMedicationFee] = useState('0.00');
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  const consultationFeeCents = toCents(consultationFee);
+  const medicationFeeCents = toCents(medicationFee);
+  const valid = !Number.isNaN(consultationFeeCents) && !Number.isNaN(medicationFeeCents);
+  const preview = valid
+    ? calculateSubsidy({
+        tier: checkout.tier,
+        category,
+        feeCents: consultationFeeCents + medicationFeeCents,
+        chronicClaimedCents: checkout.chronicClaimedCents,
+      })
+    : null;
+
+  const submit = async (event: FormEvent) => {
+    event.preventDefault();
+    setBusy(true);
+    setError(null);
+    const message = await onRecord({
+      appointmentId: checkout.appointmentId,
+      category,
+      consultationFeeCents,
+      medicationFeeCents,
+    });
+    setBusy(false);
+    setError(message);
+  };
+
+  const { claim } = checkout;
+
+  return (
+    <li className="rounded-lg border border-border p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-lg font-semibold">
+          {checkout.queueNumber} · {checkout.patientName}
+          {checkout.nricMasked && ` · ${checkout.nricMasked}`}
+        </p>
+        <ChasTierBadge tier={checkout.tier} />
+      </div>
+      <p className="text-muted-foreground">
+        {checkout.cardNumber
+          ? t('chas.checkout.card', {
+              number: checkout.cardNumber,
+              date: checkout.cardExpiry ? formatDate(checkout.cardExpiry, locale) : '—',
+            })
+          : t('chas.checkout.noCard')}
+      </p>
+
+      {claim ? (
+        <>
+          <p className="mt-3 font-medium" role="status">
+            {t('chas.checkout.claimed', {
+              category: claim.category ? t(`chas.category.${claim.category}`) : '—',
+            })}
+          </p>
+          <Breakdown
+            breakdown={{
+              tier: claim.tier,
+              category: claim.category ?? category,
+              feeCents: claim.totalFeeCents,
+              subsidyCents: claim.subsidyCents,
+              payableCents: claim.payableCents,
+              capped: false,
+            }}
+          />
+        </>
+      ) : (
+        <form className="mt-3 space-y-4" onSubmit={(event) => void submit(event)}>
+          <label className="block">
+            <span className="block font-medium">{t('chas.checkout.category')}</span>
+            <select
+              className="touch-target mt-1 w-full rounded-md border border-input px-3"
+              value={category}
+              onChange={(event) => setCategory(event.target.value as VisitCategory)}
+            >
+              {VISIT_CATEGORIES.map((option) => (
+                <option key={option} value={option}>
+                  {t(`chas.category.${option}`)}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div className="flex flex-wrap gap-4">
+            <label className="block">
+              <span className="block font-medium">{t('chas.checkout.consultationFee')}</span>
+              <input
+                inputMode="decimal"
+                required
+                className="touch-target mt-1 w-32 rounded-md border border-input px-3"
+                value={consultationFee}
+                onChange={(event) => setConsultationFee(event.target.value)}
+              />
+            </label>
+            <label className="block">
+              <span className="block font-medium">{t('chas.checkout.medicationFee')}</span>
+              <input
+                inputMode="decimal"
+                required
+                className="touch-target mt-1 w-32 rounded-md border border-input px-3"
+                value={medicationFee}
+                onChange={(event) => setMedicationFee(event.target.value)}
+              />
+            </label>
+          </div>
+
+          {preview ? (
+            <>
+              <Breakdown breakdown={preview} />
+              {preview.capped && <p>{t('chas.checkout.capped')}</p>}
+            </>
+          ) : (
+            <p role="alert">{t('chas.checkout.invalidFee')}</p>
+          )}
+          {error && (
+            <p className="text-lg" role="alert">
+              {error}
+            </p>
+          )}
+
+          <button
+            type="submit"
+            className="touch-target focus-visible-ring rounded-md bg-foreground px-4 text-background disabled:opacity-60"
+            disabled={busy || !valid}
+          >
+            {t('chas.checkout.record')}
+          </button>
+        </form>
+      )}
+    </li>
+  );
+}
+
+interface CheckoutResultsProps {
+  queueNumber: string;
+  date: string;
+}
+
+function CheckoutResults({ queueNumber, date }: CheckoutResultsProps) {
+  const { t } = useTranslation();
+  const {
+    items: checkouts,
+    loadState,
+    send,
+  } = useAdminApi<CheckoutDetails>(
+    `/api/chas/checkout?queue_number=${encodeURIComponent(queueNumber)}&date=${date}`,
+    'checkouts'
+  );
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const record: CheckoutCardProps['onRecord'] = async (values) => {
+    const result = await send({ method: 'POST', body: JSON.stringify(values) });
+    if (result.ok) {
+      setNotice(t('chas.checkout.recorded'));
+      return null;
+    }
+    if (result.code === 'alreadyClaimed') return t('chas.checkout.alreadyClaimed');
+    if (result.code === 'notAttended') return t('chas.checkout.notAttended');
+    return t('chas.checkout.failed');
+  };
+
+  const messageKey = LOAD_MESSAGES[loadState];
+  if (messageKey) {
+    return (
+      <p className="mt-4 text-lg" role={loadState === 'loading' ? 'status' : 'alert'}>
+        {t(messageKey)}
+      </p>
+    );
+  }
+
+  return (
+    <>
+      <p className="mt-4" role="status">
+        {notice}
+      </p>
+      {checkouts.length === 0 && (
+        <p className="mt-2 text-lg">{t('chas.checkout.notFound', { queueNumber })}</p>
+      )}
+      <ul className="mt-4 space-y-4">
+        {checkouts.map((checkout) => (
+          <CheckoutCard key={checkout.appointmentId} checkout={checkout} onRecord={record} />
+        ))}
+      </ul>
+    </>
+  );
+}
+
+export function ChasCheckout() {
+  const { t } = useTranslation();
+  const [queueNumber, setQueueNumber] = useState('');
+  const [date, setDate] = useState(() => clinicDate(new Date()));
+  const [search, setSearch] = useState<CheckoutResultsProps | null>(null);
+
+  const find = (event: FormEvent) => {
+    event.preventDefault();
+    setSearch({ queueNumber: queueNumber.trim().toUpperCase(), date });
+  };
+
+  return (
+    <section className="mt-8">
+      <h2 className="text-xl font-semibold">{t('chas.checkout.title')}</h2>
+      <form className="mt-4 flex flex-wrap items-end gap-4" onSubmit={find}>
+        <label className="block">
+          <span className="block font-medium">{t('chas.checkout.queueNumber')}</span>
+          <input
+            required
+            autoComplete="off"
+            className="touch-target mt-1 w-32 rounded-md border border-input px-3 uppercase"
+            value={queueNumber}
+            onChange={(event) => setQueueNumber(event.target.value)}
+          />
+        </label>
+        <label className="block">
+          <span className="block font-medium">{t('chas.checkout.date')}</span>
+          <input
+            type="date"
+            required
+            className="touch-target mt-1 rounded-md border border-input px-3"
+            value={date}
+            onChange={(event) => setDate(event.target.value)}
+          />
+        </label>
+        <button
+          type="submit"
+          className="touch-target focus-visible-ring rounded-md bg-foreground px-4 text-background"
+        >
+          {t('chas.checkout.find')}
+        </button>
+      </form>
+
+      {search && <CheckoutResults key={`${search.queueNumber}:${search.date}`} {...search} />}
+    </section>
+  );
+}
@@ -0,0 +1,114 @@
+/**
+ * Monthly CHAS claims batch
+ * Claims awaiting submission for a month, each with what would get it
+ * rejected, and the CSV to send. Claims with issues are still exported,
+ * with the issues in their validation_errors column, so nothing is dropped
+ * silently.
+ */
+
+import { useState } from 'react';
+
+import { LOAD_MESSAGES } from '@/components/admin/ChasCheckout';
+import { ChasTierBadge } from '@/components/chas/ChasTierBadge';
+import { useAdminApi } from '@/hooks/useAdminApi';
+import { useTranslation } from '@/hooks/useTranslation';
+import type { BatchClaim } from '@/lib/chas';
+import { clinicDate } from '@/lib/clinic';
+import { formatCurrency, formatDate } from '@/lib/i18n';
+
+function BatchList({ month }: { month: string }) {
+  const { locale, t } = useTranslation();
+  const { items: claims, loadState } = useAdminApi<BatchClaim>(
+    `/api/chas/claims?month=${month}`,
+    'claims'
+  );
+
+  const messageKey = LOAD_MESSAGES[loadState];
+  if (messageKey) {
+    return (
+      <p className="mt-4 text-lg" role={loadState === 'loading' ? 'status' : 'alert'}>
+        {t(messageKey)}
+      </p>
+    );
+  }
+  if (claims.length === 0) {
+    return <p className="mt-4 text-lg">{t('chas.batch.empty')}</p>;
+  }
+
+  const withIssues = claims.filter((claim) => claim.issues.length > 0).length;
+  const subsidyCents = claims.reduce((total, claim) => total + claim.subsidyCents, 0);
+
+  return (
+    <>
+      <p className="mt-4 text-lg">
+        {t('chas.batch.summary', {
+          count: claims.length,
+          total: formatCurrency(subsidyCents, locale),
+        })}
+        {withIssues > 0 && ` · ${t('chas.batch.withIssues', { count: withIssues })}`}
+      </p>
+      <a
+        className="touch-target focus-visible-ring mt-3 inline-flex items-center rounded-md bg-foreground px-4 text-background"
+        href={`/api/chas/claims?month=${month}&format=csv`}
+        download
+      >
+        {t('chas.batch.download')}
+      </a>
+
+      <ul className="mt-6 space-y-4">
+        {claims.map((claim) => (
+          <li key={claim.id} className="rounded-lg border border-border p-4">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <p className="text-lg font-semibold">
+                {claim.queueNumber} · {claim.patientName}
+              </p>
+              <ChasTierBadge tier={claim.tier} />
+            </div>
+            <p className="text-muted-foreground">
+              {formatDate(claim.claimDate, locale)} ·{' '}
+              {claim.category ? t(`chas.category.${claim.category}`) : '—'} · {claim.doctorName}
+            </p>
+            <p>
+              {t('chas.batch.amounts', {
+                fee: formatCurrency(claim.totalFeeCents, locale),
+                subsidy: formatCurrency(claim.subsidyCents, locale),
+              })}
+            </p>
+            {claim.issues.length > 0 ? (
+              <ul className="mt-2 list-disc pl-6" aria-label={t('chas.batch.issues')}>
+                {claim.issues.map((issue) => (
+                  <li key={issue}>{t(`chas.claimIssues.${issue}`)}</li>
+                ))}
+              </ul>
+            ) : (
+              <p className="mt-2">{t('chas.batch.ready')}</p>
+            )}
+          </li>
+        ))}
+      </ul>
+    </>
+  );
+}
+
+export function ChasClaimsBatch() {
+  const { t } = useTranslation();
+  const [month, setMonth] = useState(() => clinicDate(new Date()).slice(0, 7));
+
+  return (
+    <section className="mt-12">
+      <h2 className="text-xl font-semibold">{t('chas.batch.title')}</h2>
+      <label className="mt-4 block">
+        <span className="block font-medium">{t('chas.batch.month')}</span>
+        <input
+          type="month"
+          required
+          className="touch-target mt-1 rounded-md border border-input px-3"
+          value={month}
+          onChange={(event) => setMonth(event.target.value)}
+        />
+      </label>
+
+      {/^\d{4}-\d{2}$/.test(month) && <BatchList key={month} month={month} />}
+    </section>
+  );
+}
@@ -0,0 +1,108 @@
+/**
+ * One feature flag in the admin dashboard: switch it on or off, roll it out
+ * to a share of patients, or go back to the FEATURE_* default
+ */
+
+import { useEffect, useId, useState } from 'react';
+
+import { useTranslation } from '@/hooks/useTranslation';
+import type { FeatureSetting, FeatureState } from '@/lib/features';
+import { featureDescription } from '@/lib/features/flags';
+import { formatDateTime } from '@/lib/i18n';
+
+interface FeatureSettingRowProps {
+  setting: FeatureSetting;
+  /** Null removes the override */
+  onSave: (state: FeatureState | null) => Promise<boolean>;
+}
+
+export function FeatureSettingRow({ setting, onSave }: FeatureSettingRowProps) {
+  const { locale, t } = useTranslation();
+  const [enabled, setEnabled] = useState(setting.effective.enabled);
+  const [rolloutPercent, setRolloutPercent] = useState(setting.effective.rolloutPercent);
+  const [result, setResult] = useState<'saved' | 'failed' | null>(null);
+  const [busy, setBusy] = useState(false);
+  const headingId = useId();
+
+  // Follow the saved state, e.g. back to the default after a reset
+  useEffect(() => {
+    setEnabled(setting.effective.enabled);
+    setRolloutPercent(setting.effective.rolloutPercent);
+  }, [setting.effective.enabled, setting.effective.rolloutPercent]);
+
+  const changed =
+    enabled !== setting.effective.enabled || rolloutPercent !== setting.effective.rolloutPercent;
+
+  const save = async (state: FeatureState | null) => {
+    setBusy(true);
+    setResult(null);
+    const ok = await onSave(state);
+    setBusy(false);
+    setResult(ok ? 'saved' : 'failed');
+  };
+
+  return (
+    <section aria-labelledby={headingId} className="rounded-lg border border-border p-4">
+      <h2 id={headingId} className="text-lg font-semibold">
+        {featureDescription(setting.flag)}
+      </h2>
+      <p className="text-muted-foreground">
+        {t('features.default', {
+          state: setting.defaultEnabled ? 'on' : 'off',
+          envVar: setting.envVar,
+        })}
+        {setting.override &&
+          ` · ${t('features.changed', { date: formatDateTime(setting.override.updatedAt, locale) })}`}
+      </p>
+
+      <div className="mt-3 flex flex-wrap items-center gap-4">
+        <label className="touch-target inline-flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(event) => setEnabled(event.target.checked)}
+          />
+          {t('features.enabled')}
+        </label>
+        <label className="inline-flex items-center gap-2">
+          {t('features.rollout')}
+          <input
+            type="number"
+            className="touch-target w-24 rounded-md border border-input px-3"
+            min={0}
+            max={100}
+            step={5}
+            disabled={!enabled}
+            value={rolloutPercent}
+            onChange={(event) =>
+              setRolloutPercent(Math.min(100, Math.max(0, Math.round(Number(event.target.value)))))
+            }
+          />
+        </label>
+        <button
+          type="button"
+          className="touch-target focus-visible-ring rounded-md bg-foreground px-4 text-background disabled:opacity-60"
+          disabled={busy || !changed}
+          onClick={() => void save({ enabled, rolloutPercent })}
+        >
+          {t('features.save')}
+        </button>
+        {setting.override && (
+          <button
+            type="button"
+            className="touch-target focus-visible-ring rounded-md border border-input px-4 disabled:opacity-60"
+            disabled={busy}
+            onClick={() => void save(null)}
+          >
+            {t('features.reset')}
+          </button>
+        )}
+      </div>
+
+      <p className="mt-2" role="status">
+        {result === 'saved' && t('features.saved')}
+        {result === 'failed' && t('features.saveFailed')}
+      </p>
+    </section>
+  );
+}
@@ -0,0 +1,139 @@
+/**
+ * Create or edit a short link
+ */
+
+import { useState } from 'react';
+
+import { useTranslation } from '@/hooks/useTranslation';
+import type { ShortLinkDetails } from '@/lib/short-links';
+
+import type { FormEvent } from 'react';
+
+export interface ShortLinkFormValues {
+  path: string;
+  destination: string;
+  description: string | null;
+  permanent: boolean;
+  expiresAt: string | null;
+}
+
+interface ShortLinkFormProps {
+  /** The link being edited, or null to add one */
+  link: ShortLinkDetails | null;
+  /** Resolves to an error message to show, or null once saved */
+  onSubmit: (values: ShortLinkFormValues) => Promise<string | null>;
+  onCancel: () => void;
+}
+
+/** <input type="datetime-local"> works in local time without a zone */
+function toLocalInput(iso: string | null): string {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+export function ShortLinkForm({ link, onSubmit, onCancel }: ShortLinkFormProps) {
+  const { t } = useTranslation();
+  const [path, setPath] = useState(link?.path ?? '/');
+  const [destination, setDestination] = useState(link?.destination ?? '/');
+  const [description, setDescription] = useState(link?.description ?? '');
+  const [permanent, setPermanent] = useState(link?.permanent ?? false);
+  const [expires, setExpires] = useState(toLocalInput(link?.expiresAt ?? null));
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (event: FormEvent) => {
+    event.preventDefault();
+    setBusy(true);
+    setError(null);
+    const message = await onSubmit({
+      path: path.trim(),
+      destination: destination.trim(),
+      description: description.trim() || null,
+      permanent,
+      expiresAt: expires ? new Date(expires).toISOString() : null,
+    });
+    setBusy(false);
+    setError(message);
+  };
+
+  return (
+    <form
+      className="space-y-4 rounded-lg border border-border p-4"
+      onSubmit={(event) => void submit(event)}
+    >
+      <label className="block">
+        <span className="block font-medium">{t('shortLinks.path')}</span>
+        <input
+          type="text"
+          required
+          className="touch-target mt-1 w-full rounded-md border border-input px-3"
+          value={path}
+          onChange={(event) => setPath(event.target.value)}
+        />
+        <span className="mt-1 block text-muted-foreground">{t('shortLinks.pathHint')}</span>
+      </label>
+      <label className="block">
+        <span className="block font-medium">{t('shortLinks.destination')}</span>
+        <input
+          type="text"
+          required
+          className="touch-target mt-1 w-full rounded-md border border-input px-3"
+          value={destination}
+          onChange={(event) => setDestination(event.target.value)}
+        />
+        <span className="mt-1 block text-muted-foreground">{t('shortLinks.destinationHint')}</span>
+      </label>
+      <label className="block">
+        <span className="block font-medium">{t('shortLinks.description')}</span>
+        <input
+          type="text"
+          className="touch-target mt-1 w-full rounded-md border border-input px-3"
+          maxLength={200}
+          value={description}
+          onChange={(event) => setDescription(event.target.value)}
+        />
+      </label>
+      <label className="block">
+        <span className="block font-medium">{t('shortLinks.expires')}</span>
+        <input
+          type="datetime-local"
+          className="touch-target mt-1 rounded-md border border-input px-3"
+          value={expires}
+          onChange={(event) => setExpires(event.target.value)}
+        />
+      </label>
+      <label className="touch-target inline-flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={permanent}
+          onChange={(event) => setPermanent(event.target.checked)}
+        />
+        {t('shortLinks.permanent')}
+      </label>
+
+      {error && (
+        <p className="text-lg" role="alert">
+          {error}
+        </p>
+      )}
+
+      <div className="flex flex-wrap gap-3">
+        <button
+          type="submit"
+          className="touch-target focus-visible-ring rounded-md bg-foreground px-4 text-background disabled:opacity-60"
+          disabled={busy}
+        >
+          {link ? t('shortLinks.update') : t('shortLinks.create')}
+        </button>
+        <button
+          type="button"
+          className="touch-target focus-visible-ring rounded-md border border-input px-4"
+          onClick={onCancel}
+        >
+          {t('shortLinks.cancel')}
+        </button>
+      </div>
+    </form>
+  );
+}
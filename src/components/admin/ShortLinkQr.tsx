@@ -0,0 +1,62 @@
+/**
+ * QR code downloads for a short link. Links with :params need a value
+ * first, e.g. the queue number for /q/:number.
+ */
+
+import { useId, useState } from 'react';
+
+import { useTranslation } from '@/hooks/useTranslation';
+import { pathParams } from '@/lib/short-links/patterns';
+
+function qrUrl(path: string, format: 'svg' | 'png') {
+  return `/api/short-links/qr?${new URLSearchParams({ path, format }).toString()}`;
+}
+
+export function ShortLinkQr({ path }: { path: string }) {
+  const { t } = useTranslation();
+  const params = pathParams(path);
+  const [values, setValues] = useState<Record<string, string>>({});
+  const inputId = useId();
+
+  const filled = path.replace(/:([A-Za-z][A-Za-z0-9]*)/g, (_, name: string) =>
+    encodeURIComponent(values[name]?.trim() ?? '')
+  );
+  const complete = params.every((name) => values[name]?.trim());
+
+  return (
+    <div className="mt-3 flex flex-wrap items-end gap-3">
+      {params.map((name) => (
+        <label key={name} htmlFor={`${inputId}-${name}`} className="block">
+          <span className="block text-sm">{t('shortLinks.qrValue', { param: name })}</span>
+          <input
+            id={`${inputId}-${name}`}
+            type="text"
+            className="touch-target mt-1 w-32 rounded-md border border-input px-3"
+            maxLength={40}
+            value={values[name] ?? ''}
+            onChange={(event) => setValues({ ...values, [name]: event.target.value })}
+          />
+        </label>
+      ))}
+      {complete && (
+        <>
+          <span className="font-medium">{t('shortLinks.qr')}</span>
+          <a
+            className="touch-target inline-flex items-center underline"
+            href={qrUrl(filled, 'svg')}
+            download
+          >
+            {t('shortLinks.qrSvg')}
+          </a>
+          <a
+            className="touch-target inline-flex items-center underline"
+            href={qrUrl(filled, 'png')}
+            download
+          >
+            {t('shortLinks.qrPng')}
+          </a>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+/**
+ * Second sign-in step: enter the one-time code
+ * Magic links arrive with the code filled in, so the patient only taps
+ * Sign in; opening the link alone never signs anyone in, which keeps link
+ * scanners in mail apps from using up the code.
+ */
+
+import { useEffect, useState } from 'react';
+
+import { useTranslation } from '@/hooks/useTranslation';
+
+import type { FormEvent } from 'react';
+
+interface SignInCodeFormProps {
+  /** Where the code went; null when the page was opened from a magic link */
+  destination: string | null;
+  initialCode: string;
+  /** Epoch ms when a new code may be requested; null when it cannot be from here */
+  resendAt: number | null;
+  /** Resolve to an error message to show, or null on success */
+  onSubmit: (code: string) => Promise<string | null>;
+  onResend: () => Promise<string | null>;
+  onChangeDestination: () => void;
+}
+
+export function SignInCodeForm({
+  destination,
+  initialCode,
+  resendAt,
+  onSubmit,
+  onResend,
+  onChangeDestination,
+}: SignInCodeFormProps) {
+  const { t } = useTranslation();
+  const [code, setCode] = useState(initialCode);
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (resendAt === null) return undefined;
+    const timer = window.setInterval(() => setNow(Date.now()), 1000);
+    return () => window.clearInterval(timer);
+  }, [resendAt]);
+
+  const run = async (action: () => Promise<string | null>) => {
+    setBusy(true);
+    setError(null);
+    const message = await action();
+    setBusy(false);
+    setError(message);
+  };
+
+  const submit = (event: FormEvent) => {
+    event.preventDefault();
+    void run(() => onSubmit(code.trim()));
+  };
+
+  const resendIn = resendAt === null ? 0 : Math.ceil((resendAt - now) / 1000);
+
+  return (
+    <form className="mt-6 space-y-4" onSubmit={submit}>
+      <p className="text-lg" role="status">
+        {destination ? t('signIn.codeSent', { destination }) : t('signIn.magicLink')}
+      </p>
+
+      <label className="block">
+        <span className="block font-medium">{t('signIn.code')}</span>
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          pattern="[0-9 ]{6,7}"
+          required
+          className="touch-target mt-1 w-40 rounded-md border border-input px-3 text-xl tracking-widest"
+          value={code}
+          onChange={(event) => setCode(event.target.value)}
+        />
+      </label>
+
+      {error && (
+        <p className="text-lg" role="alert">
+          {error}
+        </p>
+      )}
+
+      <div className="flex flex-wrap gap-3">
+        <button
+          type="submit"
+          className="touch-target focus-visible-ring rounded-md bg-foreground px-4 text-background disabled:opacity-60"
+          disabled={busy}
+        >
+          {busy ? t('signIn.verifying') : t('signIn.verify')}
+        </button>
+        {resendAt !== null && (
+          <button
+            type="button"
+            className="touch-target focus-visible-ring rounded-md border border-input px-4 disabled:opacity-60"
+            disabled={busy || resendIn > 0}
+            onClick={() => void run(onResend)}
+          >
+            {t('signIn.resend')}
+          </button>
+        )}
+        <button
+          type="button"
+          className="touch-target focus-visible-ring rounded-md border border-input px-4"
+          onClick={onChangeDestination}
+        >
+          {t('signIn.changeDestination')}
+        </button>
+      </div>
+      {resendIn > 0 && (
+        <p className="text-muted-foreground">{t('signIn.resendIn', { seconds: resendIn })}</p>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,105 @@
+/**
+ * First sign-in step: where to send the one-time code
+ * Only channels whose notification feature is on are offered.
+ */
+
+import { useState } from 'react';
+
+import { useFeature } from '@/hooks/useFeature';
+import { useTranslation } from '@/hooks/useTranslation';
+import { OTP_CHANNELS } from '@/lib/auth/channels';
+import type { OtpChannel } from '@/lib/auth/channels';
+
+import type { FormEvent } from 'react';
+
+interface SignInRequestFormProps {
+  /** Resolves to an error message to show, or null once the code is sent */
+  onSubmit: (channel: OtpChannel, destination: string) => Promise<string | null>;
+}
+
+export function SignInRequestForm({ onSubmit }: SignInRequestFormProps) {
+  const { t } = useTranslation();
+  const available: Record<OtpChannel, boolean> = {
+    sms: useFeature('smsNotifications'),
+    whatsapp: useFeature('whatsappNotifications'),
+    email: useFeature('emailNotifications'),
+  };
+  const channels = OTP_CHANNELS.filter((channel) => available[channel]);
+
+  const [chosen, setChosen] = useState<OtpChannel | null>(null);
+  const [destination, setDestination] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+  const channel = chosen && channels.includes(chosen) ? chosen : (channels[0] ?? null);
+
+  if (!channel) {
+    return (
+      <p className="mt-6 text-lg" role="alert">
+        {t('signIn.errors.channelUnavailable')}
+      </p>
+    );
+  }
+
+  const submit = async (event: FormEvent) => {
+    event.preventDefault();
+    setBusy(true);
+    setError(null);
+    const message = await onSubmit(channel, destination.trim());
+    setBusy(false);
+    setError(message);
+  };
+
+  const isEmail = channel === 'email';
+
+  return (
+    <form className="mt-6 space-y-4" onSubmit={(event) => void submit(event)}>
+      {channels.length > 1 && (
+        <fieldset>
+          <legend className="font-medium">{t('signIn.channel')}</legend>
+          <div className="mt-1 flex flex-wrap gap-4">
+            {channels.map((option) => (
+              <label key={option} className="touch-target inline-flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="channel"
+                  value={option}
+                  checked={option === channel}
+                  onChange={() => setChosen(option)}
+                />
+                {t(`signIn.channels.${option}`)}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+      )}
+
+      <label className="block">
+        <span className="block font-medium">
+          {isEmail ? t('signIn.email') : t('signIn.mobile')}
+        </span>
+        <input
+          type={isEmail ? 'email' : 'tel'}
+          autoComplete={isEmail ? 'email' : 'tel'}
+          required
+          className="touch-target mt-1 w-full rounded-md border border-input px-3"
+          value={destination}
+          onChange={(event) => setDestination(event.target.value)}
+        />
+      </label>
+
+      {error && (
+        <p className="text-lg" role="alert">
+          {error}
+        </p>
+      )}
+
+      <button
+        type="submit"
+        className="touch-target focus-visible-ring rounded-md bg-foreground px-4 text-background disabled:opacity-60"
+        disabled={busy}
+      >
+        {busy ? t('signIn.sending') : t('signIn.sendCode')}
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,43 @@
+/**
+ * What a booked visit should cost after CHAS
+ * Shown on the booking confirmation and in the portal. The fee is the
+ * doctor's standard consultation; medication is added at checkout.
+ */
+
+import { useTranslation } from '@/hooks/useTranslation';
+import type { SubsidyBreakdown } from '@/lib/chas/subsidy';
+import { formatCurrency } from '@/lib/i18n';
+
+import { ChasTierBadge } from './ChasTierBadge';
+
+interface ChasEstimateProps {
+  estimate: SubsidyBreakdown;
+}
+
+export function ChasEstimate({ estimate }: ChasEstimateProps) {
+  const { locale, t } = useTranslation();
+
+  return (
+    <div className="mt-4 rounded-lg border border-border p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="font-semibold">{t('chas.estimate.title')}</p>
+        <ChasTierBadge tier={estimate.tier} />
+      </div>
+      <dl className="mt-3 grid grid-cols-2 gap-1 text-lg">
+        <dt>{t('chas.estimate.fee')}</dt>
+        <dd className="text-right">{formatCurrency(estimate.feeCents, locale)}</dd>
+        {estimate.subsidyCents > 0 && (
+          <>
+            <dt>{t('chas.estimate.subsidy')}</dt>
+            <dd className="text-right">−{formatCurrency(estimate.subsidyCents, locale)}</dd>
+          </>
+        )}
+        <dt className="font-semibold">{t('chas.estimate.payable')}</dt>
+        <dd className="text-right font-semibold">
+          {formatCurrency(estimate.payableCents, locale)}
+        </dd>
+      </dl>
+      <p className="mt-2 text-muted-foreground">{t('chas.estimate.note')}</p>
+    </div>
+  );
+}
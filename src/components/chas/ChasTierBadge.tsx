@@ -0,0 +1,39 @@
+/**
+ * A patient's CHAS tier as a badge in the card's colour
+ * The colour is a swatch next to the name rather than the background, so
+ * the text keeps full contrast on every tier.
+ */
+
+import { useTranslation } from '@/hooks/useTranslation';
+import type { ChasTier } from '@/lib/chas/tiers';
+
+/** Tailwind's chas.* palette; tiers without a card colour get a plain outline */
+const SWATCH_CLASSES: Record<ChasTier, string | null> = {
+  blue: 'bg-chas-blue',
+  orange: 'bg-chas-orange',
+  green: 'bg-chas-green',
+  pioneer: 'bg-chas-pioneer',
+  merdeka: 'bg-chas-merdeka',
+  pg_merdeka: 'bg-chas-pioneer',
+  chas_card: null,
+  none: null,
+};
+
+interface ChasTierBadgeProps {
+  tier: ChasTier;
+}
+
+export function ChasTierBadge({ tier }: ChasTierBadgeProps) {
+  const { t } = useTranslation();
+  const swatch = SWATCH_CLASSES[tier];
+
+  return (
+    <span className="inline-flex items-center gap-2 rounded-full border border-border px-3 py-1 font-medium">
+      <span
+        aria-hidden="true"
+        className={`h-3 w-3 rounded-full ${swatch ?? 'border border-muted-foreground'}`}
+      />
+      {t(`chas.tier.${tier}`)}
+    </span>
+  );
+}
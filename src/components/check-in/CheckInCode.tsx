@@ -0,0 +1,35 @@
+/**
+ * QR code for the self check-in kiosk
+ * Shown on the booking confirmation. The code only works on the day of the
+ * appointment, so the date is spelled out next to it.
+ */
+
+import { useTranslation } from '@/hooks/useTranslation';
+import { formatDate } from '@/lib/i18n';
+
+interface CheckInCodeProps {
+  /** SVG data URL */
+  qrCode: string;
+  /** Clinic date the code works on, YYYY-MM-DD */
+  date: string;
+}
+
+export function CheckInCode({ qrCode, date }: CheckInCodeProps) {
+  const { locale, t } = useTranslation();
+
+  return (
+    <div className="mt-4 rounded-lg border border-border p-4">
+      <p className="font-semibold">{t('checkIn.code.title')}</p>
+      <p className="mt-1 text-lg">{t('checkIn.code.hint', { date: formatDate(date, locale) })}</p>
+      {/* A data URL: nothing for next/image to optimise */}
+      {/* eslint-disable-next-line @next/next/no-img-element */}
+      <img
+        className="mx-auto mt-3 h-64 w-64 bg-white"
+        src={qrCode}
+        alt={t('checkIn.code.alt')}
+        width={256}
+        height={256}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+/**
+ * Check in without a QR code: the last 4 characters of the NRIC and the
+ * date of birth. Patients who booked with only a name and mobile number
+ * have neither on file yet and are sent to the front desk.
+ */
+
+import { useState } from 'react';
+
+import { useTranslation } from '@/hooks/useTranslation';
+
+import type { FormEvent } from 'react';
+
+export interface IdentityValues {
+  nricLast4: string;
+  dateOfBirth: string;
+}
+
+interface IdentityFormProps {
+  busy: boolean;
+  onSubmit: (values: IdentityValues) => void;
+}
+
+export function IdentityForm({ busy, onSubmit }: IdentityFormProps) {
+  const { t } = useTranslation();
+  const [nricLast4, setNricLast4] = useState('');
+  const [dateOfBirth, setDateOfBirth] = useState('');
+
+  const submit = (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    onSubmit({ nricLast4, dateOfBirth });
+  };
+
+  return (
+    <form className="mx-auto mt-6 max-w-md space-y-4" onSubmit={submit}>
+      <label className="block">
+        <span className="block text-lg font-medium">{t('checkIn.identity.nricLast4')}</span>
+        <span className="block text-muted-foreground">{t('checkIn.identity.nricHint')}</span>
+        <input
+          type="text"
+          className="touch-target mt-1 w-full rounded-md border border-input px-3 text-2xl uppercase tracking-widest"
+          autoComplete="off"
+          autoCapitalize="characters"
+          inputMode="text"
+          maxLength={4}
+          pattern="[0-9]{3}[A-Za-z]"
+          required
+          value={nricLast4}
+          onChange={(event) => setNricLast4(event.target.value)}
+        />
+      </label>
+      <label className="block">
+        <span className="block text-lg font-medium">{t('checkIn.identity.dateOfBirth')}</span>
+        <input
+          type="date"
+          className="touch-target mt-1 w-full rounded-md border border-input px-3 text-2xl"
+          autoComplete="off"
+          required
+          value={dateOfBirth}
+          onChange={(event) => setDateOfBirth(event.target.value)}
+        />
+      </label>
+      <button
+        type="submit"
+        className="touch-target focus-visible-ring w-full rounded-md bg-foreground px-4 text-xl text-background disabled:opacity-60"
+        disabled={busy}
+      >
+        {t('checkIn.identity.submit')}
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,97 @@
+/**
+ * Camera QR scanner for the self check-in kiosk
+ * Uses the browser's BarcodeDetector on the front camera, which faces the
+ * patient on a kiosk tablet. Browsers without it, or tablets where the
+ * camera is refused, report `onUnavailable` and the kiosk falls back to the
+ * NRIC form.
+ */
+
+import { useEffect, useRef } from 'react';
+
+/** How often a video frame is checked for a QR code */
+const SCAN_INTERVAL_MS = 300;
+
+interface DetectedBarcode {
+  rawValue: string;
+}
+
+interface BarcodeDetectorLike {
+  detect(source: HTMLVideoElement): Promise<DetectedBarcode[]>;
+}
+
+type BarcodeDetectorConstructor = new (options: { formats: string[] }) => BarcodeDetectorLike;
+
+interface QrScannerProps {
+  /** While true the camera stays on but codes are ignored */
+  paused: boolean;
+  onCode: (code: string) => void;
+  onUnavailable: () => void;
+}
+
+export function QrScanner({ paused, onCode, onUnavailable }: QrScannerProps) {
+  const video = useRef<HTMLVideoElement>(null);
+  // Read inside the scan loop, so changing them does not restart the camera
+  const latest = useRef({ paused, onCode });
+  latest.current = { paused, onCode };
+
+  useEffect(() => {
+    const Detector = (window as { BarcodeDetector?: BarcodeDetectorConstructor }).BarcodeDetector;
+    if (!Detector || !navigator.mediaDevices?.getUserMedia) {
+      onUnavailable();
+      return undefined;
+    }
+
+    const detector = new Detector({ formats: ['qr_code'] });
+    let stream: MediaStream | null = null;
+    let timer: ReturnType<typeof setInterval> | undefined;
+    let cancelled = false;
+    let detecting = false;
+
+    const scan = async () => {
+      const element = video.current;
+      if (detecting || latest.current.paused || !element || element.readyState < 2) return;
+      detecting = true;
+      try {
+        const [code] = await detector.detect(element);
+        if (code?.rawValue && !latest.current.paused) latest.current.onCode(code.rawValue);
+      } catch {
+        // A frame that cannot be read; the next one usually can
+      } finally {
+        detecting = false;
+      }
+    };
+
+    navigator.mediaDevices
+      .getUserMedia({ video: { facingMode: 'user' }, audio: false })
+      .then(async (media) => {
+        if (cancelled) {
+          media.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        stream = media;
+        if (video.current) {
+          video.current.srcObject = media;
+          await video.current.play();
+        }
+        timer = setInterval(() => void scan(), SCAN_INTERVAL_MS);
+      })
+      .catch(() => {
+        if (!cancelled) onUnavailable();
+      });
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [onUnavailable]);
+
+  return (
+    <video
+      ref={video}
+      className="mx-auto mt-6 aspect-video w-full max-w-2xl -scale-x-100 rounded-lg bg-muted object-cover"
+      muted
+      playsInline
+    />
+  );
+}
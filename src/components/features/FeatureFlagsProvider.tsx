@@ -0,0 +1,43 @@
+/**
+ * Feature flags provider
+ * Starts from the FEATURE_* defaults embedded in the page, so the server
+ * render and hydration agree, then switches to the flags resolved for this
+ * browser (overrides and rollouts) from /api/features. The server checks
+ * flags again on every request; this only decides what to show.
+ */
+
+import { createContext, useEffect, useState } from 'react';
+
+import { getPublicConfig } from '@/lib/config/public';
+import type { FeatureFlag } from '@/lib/features/flags';
+
+import type { ReactNode } from 'react';
+
+export type FeatureFlagValues = Record<FeatureFlag, boolean>;
+
+/** Null outside the provider; useFeature then falls back to the defaults */
+export const FeatureFlagsContext = createContext<FeatureFlagValues | null>(null);
+
+export function FeatureFlagsProvider({ children }: { children: ReactNode }) {
+  const [features, setFeatures] = useState<FeatureFlagValues>(() => getPublicConfig().features);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      const response = await fetch('/api/features', {
+        credentials: 'same-origin',
+        headers: { Accept: 'application/json' },
+      });
+      if (!response.ok || cancelled) return;
+      const body = (await response.json()) as { features: FeatureFlagValues };
+      setFeatures(body.features);
+    };
+    // Offline: the defaults stand until the next page load
+    load().catch(() => undefined);
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return <FeatureFlagsContext.Provider value={features}>{children}</FeatureFlagsContext.Provider>;
+}
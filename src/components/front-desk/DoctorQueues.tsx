@@ -0,0 +1,48 @@
+/**
+ * Each doctor's queue at a glance, with how long a walk-in joining it now
+ * would wait and the button that calls their next patient (and finishes
+ * the one they are seeing)
+ */
+
+import { useTranslation } from '@/hooks/useTranslation';
+import type { FrontDeskDoctor } from '@/lib/front-desk';
+import { formatWait } from '@/lib/queue/wait-estimate';
+
+interface DoctorQueuesProps {
+  doctors: FrontDeskDoctor[];
+  busy: boolean;
+  onCallNext: (doctor: FrontDeskDoctor) => void;
+}
+
+export function DoctorQueues({ doctors, busy, onCallNext }: DoctorQueuesProps) {
+  const { t } = useTranslation();
+
+  return (
+    <ul className="mt-6 grid gap-4 sm:grid-cols-2">
+      {doctors.map((doctor) => (
+        <li key={doctor.id} className="rounded-lg border border-border p-4">
+          <p className="text-lg font-semibold">{doctor.name}</p>
+          <p>
+            {doctor.nowServing
+              ? t('frontDesk.doctors.nowServing', { number: doctor.nowServing })
+              : t('frontDesk.doctors.nobody')}
+          </p>
+          <p>{t('frontDesk.doctors.waiting', { count: doctor.waitingCount })}</p>
+          {doctor.walkInWait && (
+            <p className="text-muted-foreground">
+              {t('frontDesk.doctors.walkInWait', { wait: formatWait(t, doctor.walkInWait) })}
+            </p>
+          )}
+          <button
+            type="button"
+            className="touch-target focus-visible-ring mt-3 rounded-md bg-foreground px-4 text-background disabled:opacity-60"
+            disabled={busy || (doctor.waitingCount === 0 && !doctor.nowServing)}
+            onClick={() => onCallNext(doctor)}
+          >
+            {t('frontDesk.doctors.callNext')}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,75 @@
+/**
+ * One appointment or walk-in on the front-desk board, with the changes
+ * that make sense at its stage: check in a booked patient, mark anyone not
+ * here as a no-show, and put a no-show or a called patient who did not come
+ * in back at the end of the queue.
+ */
+
+import { useTranslation } from '@/hooks/useTranslation';
+import type { FrontDeskEntry, FrontDeskStage } from '@/lib/front-desk';
+import { formatTime } from '@/lib/i18n';
+import { formatWait } from '@/lib/queue/wait-estimate';
+
+export type EntryAction = 'checkIn' | 'noShow' | 'requeue';
+
+const STAGE_ACTIONS: Record<FrontDeskStage, readonly EntryAction[]> = {
+  booked: ['checkIn', 'noShow'],
+  waiting: ['noShow'],
+  called: ['requeue', 'noShow'],
+  done: [],
+  noShow: ['requeue'],
+};
+
+/** Stages in which the patient holds a place in the queue */
+const QUEUED_STAGES: readonly FrontDeskStage[] = ['waiting', 'called'];
+
+interface FrontDeskEntryRowProps {
+  entry: FrontDeskEntry;
+  /** Shown when the board lists more than one doctor */
+  doctorName: string | null;
+  busy: boolean;
+  onAction: (entry: FrontDeskEntry, action: EntryAction) => void;
+}
+
+export function FrontDeskEntryRow({ entry, doctorName, busy, onAction }: FrontDeskEntryRowProps) {
+  const { locale, t } = useTranslation();
+  const stage = t(`frontDesk.stage.${entry.stage}`);
+
+  return (
+    <li className="flex flex-wrap items-center justify-between gap-3 border-b border-border py-3">
+      <div>
+        <p className="text-lg">
+          {entry.scheduledTime
+            ? formatTime(entry.scheduledTime, locale)
+            : t('frontDesk.walkIn.label')}{' '}
+          – <span className="font-semibold">{entry.patientName}</span>
+        </p>
+        <p className="text-muted-foreground">
+          {doctorName && `${doctorName} · `}
+          {entry.provisional ? t('frontDesk.provisional') : t('frontDesk.registered')}
+          {entry.wait && ` · ${t('frontDesk.wait', { wait: formatWait(t, entry.wait) })}`}
+        </p>
+      </div>
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="rounded-full bg-muted px-3 py-1 font-medium">
+          {QUEUED_STAGES.includes(entry.stage) ? `${stage} · ${entry.queueNumber}` : stage}
+        </span>
+        {STAGE_ACTIONS[entry.stage].map((action) => (
+          <button
+            key={action}
+            type="button"
+            className={
+              action === 'checkIn'
+                ? 'touch-target focus-visible-ring rounded-md bg-foreground px-4 text-background disabled:opacity-60'
+                : 'touch-target focus-visible-ring rounded-md border border-input px-4 disabled:opacity-60'
+            }
+            disabled={busy}
+            onClick={() => onAction(entry, action)}
+          >
+            {t(`frontDesk.actions.${action}`)}
+          </button>
+        ))}
+      </div>
+    </li>
+  );
+}
@@ -0,0 +1,137 @@
+/**
+ * Walk-in intake
+ * Name, mobile and doctor, then one tap on the prefix to number them under
+ * (W001, W002, ...). A returning patient is matched by mobile number; new
+ * ones are registered provisionally, as with quick booking.
+ */
+
+import { useState } from 'react';
+
+import { useTranslation } from '@/hooks/useTranslation';
+import type { FrontDeskDoctor } from '@/lib/front-desk';
+import { LOCALE_META, SUPPORTED_LOCALES } from '@/lib/i18n/config';
+import type { Locale } from '@/lib/i18n/config';
+
+import type { FormEvent } from 'react';
+
+export interface WalkInValues {
+  name: string;
+  mobile: string;
+  language: Locale;
+  doctorId: string;
+  prefix: string;
+}
+
+interface WalkInFormProps {
+  doctors: FrontDeskDoctor[];
+  prefixes: string[];
+  busy: boolean;
+  /** Resolves to true when the walk-in was queued, so the form can clear */
+  onSubmit: (values: WalkInValues) => Promise<boolean>;
+}
+
+export function WalkInForm({ doctors, prefixes, busy, onSubmit }: WalkInFormProps) {
+  const { locale, t } = useTranslation();
+  const [name, setName] = useState('');
+  const [mobile, setMobile] = useState('');
+  const [language, setLanguage] = useState<Locale>(
+    SUPPORTED_LOCALES.find((candidate) => candidate === locale) ?? 'en'
+  );
+  const [doctorId, setDoctorId] = useState('');
+  const selectedDoctor = doctors.find((doctor) => doctor.id === doctorId) ?? doctors[0];
+
+  const submit = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    const submitter = (event.nativeEvent as SubmitEvent).submitter;
+    const prefix = submitter instanceof HTMLButtonElement ? submitter.value : prefixes[0];
+    if (!selectedDoctor || !prefix) return;
+
+    const queued = await onSubmit({
+      name,
+      mobile,
+      language,
+      doctorId: selectedDoctor.id,
+      prefix,
+    });
+    if (queued) {
+      setName('');
+      setMobile('');
+    }
+  };
+
+  return (
+    <form
+      className="mt-4 space-y-4 rounded-lg border border-border p-4"
+      onSubmit={(event) => void submit(event)}
+    >
+      <div className="flex flex-wrap gap-4">
+        <label className="block">
+          <span className="block font-medium">{t('frontDesk.walkIn.name')}</span>
+          <input
+            required
+            autoComplete="off"
+            maxLength={100}
+            className="touch-target mt-1 w-64 rounded-md border border-input px-3"
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+          />
+        </label>
+        <label className="block">
+          <span className="block font-medium">{t('frontDesk.walkIn.mobile')}</span>
+          <input
+            required
+            type="tel"
+            inputMode="tel"
+            autoComplete="off"
+            className="touch-target mt-1 w-44 rounded-md border border-input px-3"
+            value={mobile}
+            onChange={(event) => setMobile(event.target.value)}
+          />
+        </label>
+      </div>
+      <div className="flex flex-wrap gap-4">
+        <label className="block">
+          <span className="block font-medium">{t('frontDesk.walkIn.doctor')}</span>
+          <select
+            className="touch-target mt-1 rounded-md border border-input px-3"
+            value={selectedDoctor?.id ?? ''}
+            onChange={(event) => setDoctorId(event.target.value)}
+          >
+            {doctors.map((doctor) => (
+              <option key={doctor.id} value={doctor.id}>
+                {doctor.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="block font-medium">{t('frontDesk.walkIn.language')}</span>
+          <select
+            className="touch-target mt-1 rounded-md border border-input px-3"
+            value={language}
+            onChange={(event) => setLanguage(event.target.value as Locale)}
+          >
+            {SUPPORTED_LOCALES.map((option) => (
+              <option key={option} value={option}>
+                {LOCALE_META[option].label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div className="flex flex-wrap gap-3">
+        {prefixes.map((prefix) => (
+          <button
+            key={prefix}
+            type="submit"
+            value={prefix}
+            className="touch-target focus-visible-ring rounded-md bg-foreground px-4 text-background disabled:opacity-60"
+            disabled={busy || !selectedDoctor}
+          >
+            {t('frontDesk.walkIn.queueAs', { prefix })}
+          </button>
+        ))}
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,40 @@
+/**
+ * I18n context provider
+ * Receives the catalogs loaded by getI18nProps() through page props.
+ */
+
+import { createContext, useMemo } from 'react';
+
+import { createTranslator, DEFAULT_LOCALE, resolveLocale } from '@/lib/i18n';
+import type { Locale, MessageCatalog, TranslateFn } from '@/lib/i18n';
+
+import type { ReactNode } from 'react';
+
+export interface I18nContextValue {
+  locale: Locale;
+  t: TranslateFn;
+}
+
+export const I18nContext = createContext<I18nContextValue>({
+  locale: DEFAULT_LOCALE,
+  t: (key) => key,
+});
+
+interface I18nProviderProps {
+  locale: string | undefined;
+  messages?: MessageCatalog;
+  fallbackMessages?: MessageCatalog | null;
+  children: ReactNode;
+}
+
+export function I18nProvider({ locale, messages, fallbackMessages, children }: I18nProviderProps) {
+  const value = useMemo<I18nContextValue>(() => {
+    const activeLocale = resolveLocale(locale);
+    return {
+      locale: activeLocale,
+      t: createTranslator(activeLocale, messages ?? {}, fallbackMessages ?? undefined),
+    };
+  }, [locale, messages, fallbackMessages]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
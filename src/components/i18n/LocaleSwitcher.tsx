@@ -0,0 +1,49 @@
+/**
+ * Locale switcher
+ * Persists the choice in the NEXT_LOCALE cookie so Next.js locale detection
+ * keeps honouring it on the next visit.
+ */
+
+import { useRouter } from 'next/router';
+
+import { useTranslation } from '@/hooks/useTranslation';
+import { LOCALE_META, localeFontClass, SUPPORTED_LOCALES } from '@/lib/i18n';
+
+import type { ChangeEvent } from 'react';
+
+const ONE_YEAR_SECONDS = 60 * 60 * 24 * 365;
+
+export function LocaleSwitcher() {
+  const router = useRouter();
+  const { locale, t } = useTranslation();
+
+  const handleChange = (event: ChangeEvent<HTMLSelectElement>) => {
+    const nextLocale = event.target.value;
+    document.cookie = `NEXT_LOCALE=${nextLocale}; path=/; max-age=${ONE_YEAR_SECONDS}; samesite=lax`;
+    void router.push({ pathname: router.pathname, query: router.query }, router.asPath, {
+      locale: nextLocale,
+    });
+  };
+
+  return (
+    <label className="inline-flex items-center gap-2 text-base">
+      <span>{t('nav.language')}</span>
+      <select
+        className="touch-target rounded-md border border-input bg-background px-3"
+        value={locale}
+        onChange={handleChange}
+      >
+        {SUPPORTED_LOCALES.map((code) => (
+          <option
+            key={code}
+            value={code}
+            lang={LOCALE_META[code].tag}
+            className={localeFontClass(code)}
+          >
+            {LOCALE_META[code].label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
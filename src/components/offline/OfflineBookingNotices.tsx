@@ -0,0 +1,100 @@
+/**
+ * Outcomes of bookings made offline
+ * Shows what happened when the service worker replayed a queued booking,
+ * whether it finished while this page was open or before it was opened.
+ * Also nudges the worker to replay as soon as the connection returns, for
+ * browsers without the Background Sync API.
+ */
+
+import { useEffect, useState } from 'react';
+
+import { useTranslation } from '@/hooks/useTranslation';
+import { formatDate, formatDateTime, formatTime } from '@/lib/i18n';
+import {
+  acknowledgeBookingResult,
+  BOOKING_SYNC_REPLAY_MESSAGE,
+  isBookingSyncResultMessage,
+  listBookingResults,
+} from '@/lib/offline';
+import type { QueuedBookingResult } from '@/lib/offline';
+
+export function OfflineBookingNotices() {
+  const { locale, t } = useTranslation();
+  const [results, setResults] = useState<QueuedBookingResult[]>([]);
+
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) return undefined;
+
+    const add = (result: QueuedBookingResult) =>
+      setResults((current) =>
+        current.some((shown) => shown.id === result.id) ? current : [...current, result]
+      );
+
+    listBookingResults()
+      .then((stored) => stored.forEach(add))
+      .catch(() => undefined);
+
+    const handleMessage = (event: MessageEvent) => {
+      if (isBookingSyncResultMessage(event.data)) add(event.data.result);
+    };
+    const handleOnline = () => {
+      navigator.serviceWorker.controller?.postMessage({ type: BOOKING_SYNC_REPLAY_MESSAGE });
+    };
+
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    window.addEventListener('online', handleOnline);
+    return () => {
+      navigator.serviceWorker.removeEventListener('message', handleMessage);
+      window.removeEventListener('online', handleOnline);
+    };
+  }, []);
+
+  const dismiss = (id: string) => {
+    setResults((current) => current.filter((result) => result.id !== id));
+    acknowledgeBookingResult(id).catch(() => undefined);
+  };
+
+  const describe = (result: QueuedBookingResult) => {
+    if (result.outcome === 'confirmed' && result.booking) {
+      return t('booking.confirmed', {
+        date: formatDate(result.booking.scheduledTime, locale),
+        time: formatTime(result.booking.scheduledTime, locale),
+        queueNumber: result.booking.queueNumber,
+      });
+    }
+    return t(`booking.errors.${result.code ?? 'unavailable'}`);
+  };
+
+  // The live region stays mounted (and click-through) so screen readers
+  // announce new outcomes
+  return (
+    <div
+      role="status"
+      className="pointer-events-none fixed inset-x-0 top-0 z-toast mx-auto flex max-w-lg flex-col gap-2 p-4"
+    >
+      {results.map((result) => (
+        <section
+          key={result.id}
+          className="pointer-events-auto rounded-lg border border-border bg-card p-4 text-card-foreground shadow-lg"
+        >
+          <h2 className="text-lg font-semibold">
+            {result.outcome === 'confirmed'
+              ? t('booking.confirmedTitle')
+              : t('booking.failedTitle')}
+          </h2>
+          <p className="text-muted-foreground">
+            {t('offline.sentLater', { date: formatDateTime(result.queuedAt, locale) })}
+          </p>
+          <p className="mt-2 text-lg">{describe(result)}</p>
+          <button
+            type="button"
+            className="touch-target focus-visible-ring mt-2 underline"
+            onClick={() => dismiss(result.id)}
+          >
+            {t('common.close')}
+          </button>
+        </section>
+      ))}
+    </div>
+  );
+}
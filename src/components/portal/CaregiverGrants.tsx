@@ -0,0 +1,270 @@
+/**
+ * Who may help with a patient's appointments
+ * Patients give a family member or helper's mobile number access in the
+ * chosen scopes until a date; changes go through /api/caregivers/grants,
+ * which writes the audit log.
+ */
+
+import { useState } from 'react';
+
+import { useAdminApi } from '@/hooks/useAdminApi';
+import { useTranslation } from '@/hooks/useTranslation';
+import type { CaregiverGrant } from '@/lib/caregivers';
+import { CAREGIVER_SCOPES } from '@/lib/caregivers/scopes';
+import type { CaregiverScope } from '@/lib/caregivers/scopes';
+import { formatDate } from '@/lib/i18n';
+
+import type { FormEvent } from 'react';
+
+const DEFAULT_SCOPES: CaregiverScope[] = ['view_queue'];
+const DEFAULT_DAYS = 90;
+
+/** <input type="date"> value for a day in local time */
+function toDateInput(date: Date): string {
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+interface GrantFormProps {
+  /** The grant being changed, or null to add one */
+  grant: CaregiverGrant | null;
+  /** Resolves to an error message to show, or null once saved */
+  onSubmit: (values: {
+    caregiverPhone: string;
+    label: string | null;
+    scopes: CaregiverScope[];
+    expiresAt: string;
+  }) => Promise<string | null>;
+  onCancel: () => void;
+}
+
+function GrantForm({ grant, onSubmit, onCancel }: GrantFormProps) {
+  const { t } = useTranslation();
+  const [phone, setPhone] = useState(grant?.caregiverPhone ?? '');
+  const [label, setLabel] = useState(grant?.label ?? '');
+  const [scopes, setScopes] = useState<CaregiverScope[]>(grant?.scopes ?? DEFAULT_SCOPES);
+  const [expires, setExpires] = useState(
+    toDateInput(
+      grant ? new Date(grant.expiresAt) : new Date(Date.now() + DEFAULT_DAYS * 24 * 3600 * 1000)
+    )
+  );
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  const toggle = (scope: CaregiverScope, checked: boolean) =>
+    setScopes((current) =>
+      checked ? [...current, scope] : current.filter((existing) => existing !== scope)
+    );
+
+  const submit = async (event: FormEvent) => {
+    event.preventDefault();
+    setBusy(true);
+    setError(null);
+    const message = await onSubmit({
+      caregiverPhone: phone.trim(),
+      label: label.trim() || null,
+      scopes,
+      // Access lasts to the end of the chosen day
+      expiresAt: new Date(`${expires}T23:59:59`).toISOString(),
+    });
+    setBusy(false);
+    setError(message);
+  };
+
+  return (
+    <form
+      className="space-y-4 rounded-lg border border-border p-4"
+      onSubmit={(event) => void submit(event)}
+    >
+      <label className="block">
+        <span className="block font-medium">{t('caregivers.mobile')}</span>
+        <input
+          type="tel"
+          autoComplete="off"
+          required
+          disabled={grant !== null}
+          className="touch-target mt-1 w-full rounded-md border border-input px-3"
+          value={phone}
+          onChange={(event) => setPhone(event.target.value)}
+        />
+      </label>
+      <label className="block">
+        <span className="block font-medium">{t('caregivers.label')}</span>
+        <input
+          type="text"
+          maxLength={50}
+          className="touch-target mt-1 w-full rounded-md border border-input px-3"
+          value={label}
+          onChange={(event) => setLabel(event.target.value)}
+        />
+        <span className="mt-1 block text-muted-foreground">{t('caregivers.labelHint')}</span>
+      </label>
+      <fieldset>
+        <legend className="font-medium">{t('caregivers.scopes')}</legend>
+        {CAREGIVER_SCOPES.map((scope) => (
+          <label key={scope} className="touch-target flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={scopes.includes(scope)}
+              onChange={(event) => toggle(scope, event.target.checked)}
+            />
+            {t(`caregivers.scope.${scope}`)}
+          </label>
+        ))}
+      </fieldset>
+      <label className="block">
+        <span className="block font-medium">{t('caregivers.expires')}</span>
+        <input
+          type="date"
+          required
+          className="touch-target mt-1 rounded-md border border-input px-3"
+          value={expires}
+          onChange={(event) => setExpires(event.target.value)}
+        />
+      </label>
+
+      {error && (
+        <p className="text-lg" role="alert">
+          {error}
+        </p>
+      )}
+
+      <div className="flex flex-wrap gap-3">
+        <button
+          type="submit"
+          className="touch-target focus-visible-ring rounded-md bg-foreground px-4 text-background disabled:opacity-60"
+          disabled={busy || scopes.length === 0}
+        >
+          {grant ? t('caregivers.update') : t('caregivers.add')}
+        </button>
+        <button
+          type="button"
+          className="touch-target focus-visible-ring rounded-md border border-input px-4"
+          onClick={onCancel}
+        >
+          {t('caregivers.cancel')}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+interface CaregiverGrantsProps {
+  patientId: string;
+}
+
+/** Null: the form is closed; 'new': adding a caregiver */
+type Editing = CaregiverGrant | 'new' | null;
+
+export function CaregiverGrants({ patientId }: CaregiverGrantsProps) {
+  const { locale, t } = useTranslation();
+  const {
+    items: grants,
+    loadState,
+    send,
+  } = useAdminApi<CaregiverGrant>(`/api/caregivers/grants?patient_id=${patientId}`, 'grants');
+  const [editing, setEditing] = useState<Editing>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const submit: GrantFormProps['onSubmit'] = async (values) => {
+    const grant = editing === 'new' ? null : editing;
+    const result = grant
+      ? await send({ method: 'PUT', body: JSON.stringify(values) }, `&id=${grant.id}`)
+      : await send({ method: 'POST', body: JSON.stringify(values) });
+    if (result.ok) {
+      setEditing(null);
+      setNotice(t('caregivers.saved'));
+      return null;
+    }
+    if (result.code === 'alreadyGranted') return t('caregivers.alreadyGranted');
+    if (result.code === 'ownNumber') return t('caregivers.ownNumber');
+    if (result.status === 400 && result.error) {
+      return t('caregivers.invalid', { reason: result.error });
+    }
+    return t('caregivers.saveFailed');
+  };
+
+  const revoke = async (grant: CaregiverGrant) => {
+    // eslint-disable-next-line no-alert
+    if (!window.confirm(t('caregivers.confirmRevoke', { phone: grant.caregiverPhone }))) return;
+    const result = await send({ method: 'DELETE' }, `&id=${grant.id}`);
+    setNotice(result.ok ? t('caregivers.revoked') : t('caregivers.saveFailed'));
+  };
+
+  if (loadState !== 'ready') {
+    return loadState === 'loading' ? null : (
+      <p className="mt-8 text-lg" role="alert">
+        {t('portal.unavailable')}
+      </p>
+    );
+  }
+
+  const now = Date.now();
+
+  return (
+    <section className="mt-8">
+      <h2 className="text-xl font-semibold">{t('caregivers.title')}</h2>
+      <p className="mt-2 text-lg">{t('caregivers.intro')}</p>
+      <p className="mt-2" role="status">
+        {notice}
+      </p>
+
+      {grants.length === 0 && <p className="mt-2 text-lg">{t('caregivers.empty')}</p>}
+      <ul className="mt-4 space-y-4">
+        {grants.map((grant) => (
+          <li key={grant.id} className="rounded-lg border border-border p-4">
+            <p className="text-lg font-semibold">
+              {grant.label ? `${grant.label} · ${grant.caregiverPhone}` : grant.caregiverPhone}
+            </p>
+            <p>{grant.scopes.map((scope) => t(`caregivers.scope.${scope}`)).join(', ')}</p>
+            <p>
+              {Date.parse(grant.expiresAt) <= now
+                ? t('caregivers.expired')
+                : t('caregivers.until', { date: formatDate(grant.expiresAt, locale) })}
+            </p>
+            <div className="mt-3 flex flex-wrap gap-3">
+              <button
+                type="button"
+                className="touch-target focus-visible-ring rounded-md border border-input px-4"
+                onClick={() => {
+                  setNotice(null);
+                  setEditing(grant);
+                }}
+              >
+                {t('caregivers.edit')}
+              </button>
+              <button
+                type="button"
+                className="touch-target focus-visible-ring rounded-md border border-input px-4"
+                onClick={() => void revoke(grant)}
+              >
+                {t('caregivers.revoke')}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <div className="mt-4">
+        {editing ? (
+          <GrantForm
+            key={editing === 'new' ? 'new' : editing.id}
+            grant={editing === 'new' ? null : editing}
+            onSubmit={submit}
+            onCancel={() => setEditing(null)}
+          />
+        ) : (
+          <button
+            type="button"
+            className="touch-target focus-visible-ring rounded-md bg-foreground px-4 text-background"
+            onClick={() => {
+              setNotice(null);
+              setEditing('new');
+            }}
+          >
+            {t('caregivers.add')}
+          </button>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,35 @@
+/**
+ * Choose whose appointments the portal shows
+ * The user's own records come first; caregivers also see everyone who has
+ * given their number access.
+ */
+
+import { useTranslation } from '@/hooks/useTranslation';
+import type { PortalPatient } from '@/lib/caregivers/scopes';
+
+interface PatientSwitcherProps {
+  patients: PortalPatient[];
+  selectedId: string;
+  onSelect: (patientId: string) => void;
+}
+
+export function PatientSwitcher({ patients, selectedId, onSelect }: PatientSwitcherProps) {
+  const { t } = useTranslation();
+
+  return (
+    <label className="mt-6 block">
+      <span className="block font-medium">{t('portal.showing')}</span>
+      <select
+        className="touch-target mt-1 w-full rounded-md border border-input px-3"
+        value={selectedId}
+        onChange={(event) => onSelect(event.target.value)}
+      >
+        {patients.map((patient) => (
+          <option key={patient.id} value={patient.id}>
+            {patient.grant ? patient.name : t('portal.self', { name: patient.name })}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,165 @@
+/**
+ * A patient's upcoming appointments in the portal
+ * Today's appointments link to the live queue. Cancelling and booking are
+ * offered only when the user may do them for this patient.
+ */
+
+import Link from 'next/link';
+import { useState } from 'react';
+
+import { ChasEstimate } from '@/components/chas/ChasEstimate';
+import { useAdminApi } from '@/hooks/useAdminApi';
+import type { AdminApiResult } from '@/hooks/useAdminApi';
+import { useTranslation } from '@/hooks/useTranslation';
+import type { PortalAppointment, PortalErrorCode } from '@/lib/caregivers';
+import { canActFor } from '@/lib/caregivers/scopes';
+import type { PortalPatient } from '@/lib/caregivers/scopes';
+import { formatDate, formatTime } from '@/lib/i18n';
+import type { TranslateFn } from '@/lib/i18n';
+
+import type { FormEvent } from 'react';
+
+const ERROR_CODES: readonly PortalErrorCode[] = [
+  'slotRequired',
+  'slotTaken',
+  'alreadyBooked',
+  'notCancellable',
+  'forbidden',
+];
+
+function errorMessage(t: TranslateFn, result: AdminApiResult): string {
+  const code = ERROR_CODES.find((known) => known === result.code) ?? 'unavailable';
+  return t(`portal.errors.${code}`);
+}
+
+interface PortalAppointmentsProps {
+  patient: PortalPatient;
+}
+
+export function PortalAppointments({ patient }: PortalAppointmentsProps) {
+  const { locale, t } = useTranslation();
+  const {
+    items: appointments,
+    loadState,
+    send,
+  } = useAdminApi<PortalAppointment>(
+    `/api/portal/appointments?patient_id=${patient.id}`,
+    'appointments'
+  );
+  const [date, setDate] = useState('');
+  const [time, setTime] = useState('');
+  const [notice, setNotice] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  const book = async (event: FormEvent) => {
+    event.preventDefault();
+    setBusy(true);
+    setNotice(null);
+    const result = await send({
+      method: 'POST',
+      body: JSON.stringify({ patientId: patient.id, date, time }),
+    });
+    setBusy(false);
+    setNotice(result.ok ? t('portal.booked') : errorMessage(t, result));
+  };
+
+  const cancel = async (appointment: PortalAppointment) => {
+    const when = formatDate(appointment.scheduledTime, locale);
+    // eslint-disable-next-line no-alert
+    if (!window.confirm(t('portal.confirmCancel', { date: when }))) return;
+    const result = await send({ method: 'DELETE' }, `&id=${appointment.id}`);
+    setNotice(result.ok ? t('portal.cancelled') : errorMessage(t, result));
+  };
+
+  if (loadState !== 'ready') {
+    return (
+      <p className="mt-6 text-lg" role={loadState === 'loading' ? 'status' : 'alert'}>
+        {loadState === 'loading' ? t('common.loading') : t('portal.unavailable')}
+      </p>
+    );
+  }
+
+  return (
+    <section className="mt-8">
+      <h2 className="text-xl font-semibold">{t('portal.appointments')}</h2>
+      <p className="mt-2" role="status">
+        {notice}
+      </p>
+
+      {appointments.length === 0 && <p className="mt-2 text-lg">{t('portal.noAppointments')}</p>}
+      <ul className="mt-4 space-y-4">
+        {appointments.map((appointment) => (
+          <li key={appointment.id} className="rounded-lg border border-border p-4">
+            <p className="text-lg font-semibold">
+              {t('portal.queueNumber', { queueNumber: appointment.queueNumber })}
+            </p>
+            <p>
+              {formatDate(appointment.scheduledTime, locale)} ·{' '}
+              {formatTime(appointment.scheduledTime, locale)}
+              {appointment.doctorName && ` · ${appointment.doctorName}`}
+            </p>
+            {appointment.estimate && <ChasEstimate estimate={appointment.estimate} />}
+            <div className="mt-3 flex flex-wrap gap-3">
+              {appointment.followToken && (
+                <Link
+                  className="touch-target focus-visible-ring inline-flex items-center rounded-md bg-foreground px-4 text-background"
+                  href={{ pathname: '/queue/follow', query: { token: appointment.followToken } }}
+                >
+                  {t('portal.followQueue')}
+                </Link>
+              )}
+              {appointment.cancellable && canActFor(patient, 'cancel') && (
+                <button
+                  type="button"
+                  className="touch-target focus-visible-ring rounded-md border border-input px-4"
+                  onClick={() => void cancel(appointment)}
+                >
+                  {t('portal.cancel')}
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {canActFor(patient, 'book') && (
+        <form
+          className="mt-6 space-y-4 rounded-lg border border-border p-4"
+          onSubmit={(event) => void book(event)}
+        >
+          <h3 className="text-lg font-semibold">{t('portal.book')}</h3>
+          <div className="flex flex-wrap gap-4">
+            <label className="block">
+              <span className="block font-medium">{t('portal.date')}</span>
+              <input
+                type="date"
+                required
+                className="touch-target mt-1 rounded-md border border-input px-3"
+                value={date}
+                onChange={(event) => setDate(event.target.value)}
+              />
+            </label>
+            <label className="block">
+              <span className="block font-medium">{t('portal.time')}</span>
+              <input
+                type="time"
+                required
+                step={900}
+                className="touch-target mt-1 rounded-md border border-input px-3"
+                value={time}
+                onChange={(event) => setTime(event.target.value)}
+              />
+            </label>
+          </div>
+          <button
+            type="submit"
+            className="touch-target focus-visible-ring rounded-md bg-foreground px-4 text-background disabled:opacity-60"
+            disabled={busy}
+          >
+            {t('portal.bookSubmit')}
+          </button>
+        </form>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,95 @@
+/**
+ * A patient's visit summaries in the portal
+ * Loaded only when asked for, so a caregiver opening the portal to check
+ * the queue does not also read (and log a look at) the patient's records.
+ */
+
+import { useState } from 'react';
+
+import { useAdminApi } from '@/hooks/useAdminApi';
+import { useTranslation } from '@/hooks/useTranslation';
+import type { PortalRecord } from '@/lib/caregivers';
+import { formatDate } from '@/lib/i18n';
+
+interface PortalRecordsProps {
+  patientId: string;
+}
+
+function RecordList({ patientId }: PortalRecordsProps) {
+  const { locale, t } = useTranslation();
+  const { items: records, loadState } = useAdminApi<PortalRecord>(
+    `/api/portal/records?patient_id=${patientId}`,
+    'records'
+  );
+
+  if (loadState !== 'ready') {
+    return (
+      <p className="mt-4 text-lg" role={loadState === 'loading' ? 'status' : 'alert'}>
+        {loadState === 'loading' ? t('common.loading') : t('portal.unavailable')}
+      </p>
+    );
+  }
+  if (records.length === 0) return <p className="mt-4 text-lg">{t('portal.noRecords')}</p>;
+
+  return (
+    <ul className="mt-4 space-y-4">
+      {records.map((record) => (
+        <li key={record.id} className="rounded-lg border border-border p-4">
+          <p className="text-lg font-semibold">
+            {formatDate(record.visitDate, locale)}
+            {record.doctorName && ` · ${record.doctorName}`}
+          </p>
+          {record.diagnosis && <p>{t('portal.diagnosis', { diagnosis: record.diagnosis })}</p>}
+          {record.plan && <p>{t('portal.plan', { plan: record.plan })}</p>}
+          {record.prescriptions.length > 0 && (
+            <ul className="mt-2 list-disc pl-6">
+              {record.prescriptions.map((item, index) => (
+                <li key={index}>
+                  {[item.drugName, item.dosage, item.instructions].filter(Boolean).join(' · ')}
+                </li>
+              ))}
+            </ul>
+          )}
+          {record.medicalCertificate && (
+            <p className="mt-2">
+              {t('portal.medicalCertificate', {
+                count: record.medicalCertificate.days,
+                date: formatDate(record.medicalCertificate.startDate, locale),
+              })}
+            </p>
+          )}
+          {record.followUp && (
+            <p className="mt-2">
+              {record.followUp.date
+                ? t('portal.followUpOn', { date: formatDate(record.followUp.date, locale) })
+                : t('portal.followUp')}
+              {record.followUp.instructions && ` ${record.followUp.instructions}`}
+            </p>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export function PortalRecords({ patientId }: PortalRecordsProps) {
+  const { t } = useTranslation();
+  const [open, setOpen] = useState(false);
+
+  return (
+    <section className="mt-8">
+      <h2 className="text-xl font-semibold">{t('portal.records')}</h2>
+      {open ? (
+        <RecordList patientId={patientId} />
+      ) : (
+        <button
+          type="button"
+          className="touch-target focus-visible-ring mt-4 rounded-md border border-input px-4"
+          onClick={() => setOpen(true)}
+        >
+          {t('portal.showRecords')}
+        </button>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,55 @@
+/**
+ * Share a queue ticket with family
+ * The follow link lets a caregiver watch the ticket and get their own
+ * alerts. Uses the share sheet where there is one, otherwise copies the
+ * link; the link itself stays visible so it can be copied by hand.
+ */
+
+import { useState } from 'react';
+
+import { useTranslation } from '@/hooks/useTranslation';
+
+interface FollowLinkShareProps {
+  url: string;
+  queueNumber: string;
+}
+
+export function FollowLinkShare({ url, queueNumber }: FollowLinkShareProps) {
+  const { t } = useTranslation();
+  const [copied, setCopied] = useState(false);
+
+  const share = async () => {
+    const title = t('push.followTitle', { queueNumber });
+    if (navigator.share) {
+      // Rejects when the patient closes the share sheet; nothing to report
+      await navigator.share({ title, url }).catch(() => undefined);
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  return (
+    <section className="mt-8 rounded-lg border border-border p-4">
+      <h2 className="text-lg font-semibold">{t('push.share')}</h2>
+      <p className="mt-1 text-muted-foreground">{t('push.shareHint')}</p>
+      <a className="mt-2 block break-all underline" href={url}>
+        {url}
+      </a>
+      <button
+        type="button"
+        className="touch-target focus-visible-ring mt-2 rounded-md border border-input px-4"
+        onClick={() => void share()}
+      >
+        {t('push.shareButton')}
+      </button>
+      <p role="status" className="mt-2">
+        {copied ? t('push.copied') : null}
+      </p>
+    </section>
+  );
+}
@@ -0,0 +1,184 @@
+/**
+ * "Notify me when my turn is near"
+ * Subscribes this browser to Web Push alerts for one queue ticket. Used on
+ * the booking confirmation (the patient) and on shared follow links (a
+ * caregiver). Renders nothing when push alerts are not configured.
+ */
+
+import { useEffect, useId, useState } from 'react';
+
+import { useFeature } from '@/hooks/useFeature';
+import { usePublicConfig } from '@/hooks/usePublicConfig';
+import { useTranslation } from '@/hooks/useTranslation';
+
+type AlertState = 'checking' | 'unsupported' | 'blocked' | 'off' | 'busy' | 'on' | 'failed';
+
+interface QueueAlertsToggleProps {
+  /** Follow token for the ticket */
+  ticket: string;
+  follower: 'patient' | 'caregiver';
+  /** Caregiver's name for the patient, shown in their notifications */
+  label?: string;
+}
+
+const STATUS_MESSAGES: Partial<Record<AlertState, string>> = {
+  on: 'push.on',
+  blocked: 'push.blocked',
+  unsupported: 'push.unsupported',
+  failed: 'push.failed',
+};
+
+/** Follow tokens this browser has turned alerts on for */
+const STORAGE_KEY = 'gfc:queue-alerts';
+
+function readFollowed(): string[] {
+  try {
+    const stored: unknown = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+    return Array.isArray(stored) ? stored.filter((item) => typeof item === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeFollowed(ticket: string, following: boolean) {
+  const others = readFollowed().filter((item) => item !== ticket);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(following ? [...others, ticket] : others));
+  } catch {
+    // Storage can be blocked; the toggle just forgets its state on reload
+  }
+}
+
+/** VAPID keys are base64url; PushManager.subscribe() wants the raw bytes */
+function decodeKey(base64url: string) {
+  const base64 = (base64url + '='.repeat((4 - (base64url.length % 4)) % 4))
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+async function getPushRegistration() {
+  if (
+    !('serviceWorker' in navigator) ||
+    !('PushManager' in window) ||
+    !('Notification' in window)
+  ) {
+    return null;
+  }
+  // Undefined in development, where the service worker is disabled
+  return (await navigator.serviceWorker.getRegistration()) ?? null;
+}
+
+export function QueueAlertsToggle({ ticket, follower, label }: QueueAlertsToggleProps) {
+  const { locale, t } = useTranslation();
+  const { push } = usePublicConfig();
+  // Null while push alerts are switched off or not configured
+  const publicKey = useFeature('pushNotifications') ? push.vapidPublicKey : null;
+  const [state, setState] = useState<AlertState>('checking');
+  const statusId = useId();
+
+  useEffect(() => {
+    if (!publicKey) return;
+    let cancelled = false;
+
+    getPushRegistration()
+      .then(async (registration) => {
+        if (!registration) return 'unsupported';
+        if (Notification.permission === 'denied') return 'blocked';
+        const subscription = await registration.pushManager.getSubscription();
+        return subscription && readFollowed().includes(ticket) ? 'on' : 'off';
+      })
+      .catch((): AlertState => 'unsupported')
+      .then((initial) => {
+        if (!cancelled) setState(initial);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [publicKey, ticket]);
+
+  if (!publicKey) return null;
+
+  const enable = async (publicKey: string) => {
+    setState('busy');
+    try {
+      const registration = await getPushRegistration();
+      if (!registration) return setState('unsupported');
+      if ((await Notification.requestPermission()) !== 'granted') return setState('blocked');
+
+      const subscription =
+        (await registration.pushManager.getSubscription()) ??
+        (await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: decodeKey(publicKey),
+        }));
+
+      const response = await fetch('/api/push/subscriptions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ticket,
+          subscription: subscription.toJSON(),
+          role: follower,
+          label: label ?? null,
+          locale,
+        }),
+      });
+      if (!response.ok) throw new Error(`push subscribe ${response.status}`);
+
+      writeFollowed(ticket, true);
+      setState('on');
+    } catch (error) {
+      console.warn('[queue-alerts]', error);
+      setState('failed');
+    }
+  };
+
+  // The browser subscription is kept: it may be following other tickets
+  const disable = async () => {
+    setState('busy');
+    try {
+      const registration = await getPushRegistration();
+      const subscription = await registration?.pushManager.getSubscription();
+      if (subscription) {
+        const response = await fetch('/api/push/subscriptions', {
+          method: 'DELETE',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ endpoint: subscription.endpoint, ticket }),
+        });
+        if (!response.ok) throw new Error(`push unsubscribe ${response.status}`);
+      }
+      writeFollowed(ticket, false);
+      setState('off');
+    } catch (error) {
+      console.warn('[queue-alerts]', error);
+      setState('on');
+    }
+  };
+
+  const messageKey = STATUS_MESSAGES[state];
+  const message = messageKey ? t(messageKey) : null;
+
+  return (
+    <div className="mt-6">
+      {(state === 'off' || state === 'busy' || state === 'on' || state === 'failed') && (
+        <button
+          type="button"
+          className="touch-target focus-visible-ring rounded-md bg-foreground px-4 text-background disabled:opacity-60"
+          aria-describedby={message ? statusId : undefined}
+          disabled={state === 'busy'}
+          onClick={() => void (state === 'on' ? disable() : enable(publicKey))}
+        >
+          {state === 'on' ? t('push.disable') : t('push.enable')}
+        </button>
+      )}
+      <p id={statusId} role="status" className="mt-2 text-muted-foreground">
+        {message}
+      </p>
+    </div>
+  );
+}
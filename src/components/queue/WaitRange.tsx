@@ -0,0 +1,16 @@
+/**
+ * An estimated wait as a range, e.g. "10–20 mins"
+ */
+
+import { useTranslation } from '@/hooks/useTranslation';
+import { formatWait } from '@/lib/queue/wait-estimate';
+import type { WaitEstimate } from '@/lib/queue/wait-estimate';
+
+interface WaitRangeProps {
+  wait: WaitEstimate;
+}
+
+export function WaitRange({ wait }: WaitRangeProps) {
+  const { t } = useTranslation();
+  return <span className="tabular-nums">{formatWait(t, wait)}</span>;
+}
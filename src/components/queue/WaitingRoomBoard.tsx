@@ -0,0 +1,48 @@
+/**
+ * One card per doctor for the waiting-room TV: the number with the doctor
+ * and the next number waiting, in the largest type on the scale. The card
+ * for the latest call-out is shown inverted so it stands out across the room.
+ */
+
+import { useTranslation } from '@/hooks/useTranslation';
+import type { WaitingRoomDoctor } from '@/lib/queue';
+
+interface WaitingRoomBoardProps {
+  doctors: WaitingRoomDoctor[];
+  /** Doctor whose number was just called */
+  highlightId: string | null;
+}
+
+const NO_NUMBER = '—';
+
+export function WaitingRoomBoard({ doctors, highlightId }: WaitingRoomBoardProps) {
+  const { t } = useTranslation();
+
+  return (
+    <ul className="mt-8 grid gap-6 md:grid-cols-2 xl:grid-cols-3">
+      {doctors.map((doctor) => {
+        const highlighted = doctor.id === highlightId;
+        return (
+          <li
+            key={doctor.id}
+            className={`rounded-lg border-2 p-6 ${
+              highlighted ? 'border-foreground bg-foreground text-background' : 'border-border'
+            }`}
+          >
+            <div className="flex flex-wrap items-baseline justify-between gap-2">
+              <p className="text-2xl font-semibold">{doctor.name}</p>
+              {doctor.room && (
+                <p className="text-2xl">{t('waitingRoom.room', { room: doctor.room })}</p>
+              )}
+            </div>
+            <p className="mt-4 text-xl">{t('queue.nowSeeing')}</p>
+            <p className="text-5xl font-bold tabular-nums">{doctor.nowServing ?? NO_NUMBER}</p>
+            <p className="mt-4 text-xl">{t('waitingRoom.next')}</p>
+            <p className="text-4xl font-semibold tabular-nums">{doctor.nextUp ?? NO_NUMBER}</p>
+            {doctor.paused && <p className="mt-4 text-xl">{t('waitingRoom.paused')}</p>}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
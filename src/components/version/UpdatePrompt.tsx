@@ -0,0 +1,107 @@
+/**
+ * New version prompt
+ * After a deployment, pages opened on the old build would fail to load
+ * chunks that no longer exist. Checks /api/version when the tab comes back
+ * into view, every few minutes, and whenever a navigation or chunk fails,
+ * and offers a reload when the running build has changed. With
+ * `autoReload` (kiosk screens, where nobody is there to tap) it reloads
+ * straight away instead.
+ */
+
+import { useRouter } from 'next/router';
+import { useEffect, useState } from 'react';
+
+import { useTranslation } from '@/hooks/useTranslation';
+
+const CHECK_INTERVAL_MS = 10 * 60 * 1000;
+const CHUNK_ERROR_PATTERN = /ChunkLoadError|Loading (?:CSS )?chunk|dynamically imported module/i;
+
+/** The build this page was rendered by, from Next.js's page data */
+function renderedBuildId(): string | undefined {
+  // eslint-disable-next-line no-underscore-dangle
+  return (window as { __NEXT_DATA__?: { buildId?: string } }).__NEXT_DATA__?.buildId;
+}
+
+export function UpdatePrompt({ autoReload = false }: { autoReload?: boolean }) {
+  const { t } = useTranslation();
+  const router = useRouter();
+  const [available, setAvailable] = useState(false);
+
+  useEffect(() => {
+    const current = renderedBuildId();
+    // `next dev` has no stable build ID to compare
+    if (!current || current === 'development') return undefined;
+
+    let checking = false;
+    const check = async () => {
+      if (checking || !navigator.onLine) return;
+      checking = true;
+      try {
+        const response = await fetch('/api/version', { cache: 'no-store' });
+        if (!response.ok) return;
+        const { buildId } = (await response.json()) as { buildId?: string };
+        if (buildId && buildId !== current) setAvailable(true);
+      } catch {
+        // Offline or mid-deployment; the next trigger tries again
+      } finally {
+        checking = false;
+      }
+    };
+
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') void check();
+    };
+    const handleError = (event: ErrorEvent) => {
+      if (CHUNK_ERROR_PATTERN.test(event.message)) void check();
+    };
+    const handleRejection = (event: PromiseRejectionEvent) => {
+      const reason = event.reason as { name?: string; message?: string } | undefined;
+      if (CHUNK_ERROR_PATTERN.test(`${reason?.name ?? ''} ${reason?.message ?? ''}`)) {
+        void check();
+      }
+    };
+    const handleRouteError = () => void check();
+
+    const timer = setInterval(() => void check(), CHECK_INTERVAL_MS);
+    document.addEventListener('visibilitychange', handleVisibility);
+    window.addEventListener('error', handleError);
+    window.addEventListener('unhandledrejection', handleRejection);
+    router.events.on('routeChangeError', handleRouteError);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', handleVisibility);
+      window.removeEventListener('error', handleError);
+      window.removeEventListener('unhandledrejection', handleRejection);
+      router.events.off('routeChangeError', handleRouteError);
+    };
+  }, [router.events]);
+
+  useEffect(() => {
+    if (available && autoReload) window.location.reload();
+  }, [available, autoReload]);
+
+  if (!available || autoReload) return null;
+
+  return (
+    <div
+      role="alert"
+      className="fixed inset-x-0 bottom-20 z-toast mx-auto flex max-w-lg flex-wrap items-center gap-3 rounded-lg border border-border bg-card p-4 text-card-foreground shadow-lg"
+    >
+      <p className="flex-1 text-lg">{t('update.available')}</p>
+      <button
+        type="button"
+        className="touch-target focus-visible-ring rounded-md bg-foreground px-4 text-background"
+        onClick={() => window.location.reload()}
+      >
+        {t('update.reload')}
+      </button>
+      <button
+        type="button"
+        className="touch-target focus-visible-ring rounded-md border border-input px-4"
+        onClick={() => setAvailable(false)}
+      >
+        {t('update.later')}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,8 @@
+import { useContext } from 'react';
+
+import { AccessibilityContext } from '@/components/accessibility/AccessibilityProvider';
+
+/** Returns the active accessibility preferences and setters for them. */
+export function useAccessibility() {
+  return useContext(AccessibilityContext);
+}
@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useState } from 'react';
+
+export type AdminLoadState = 'loading' | 'ready' | 'signIn' | 'forbidden' | 'unavailable';
+
+export interface AdminApiResult {
+  ok: boolean;
+  status: number;
+  /** The API's error message or code, when it sent one */
+  error?: string;
+  code?: string;
+}
+
+function loadStateFor(status: number): AdminLoadState {
+  if (status === 401) return 'signIn';
+  if (status === 403) return 'forbidden';
+  return 'unavailable';
+}
+
+/**
+ * Loads an admin dashboard list from `endpoint` and sends changes to it.
+ * The admin APIs answer every change with the whole list under `key`,
+ * which replaces the one shown. Losing the session or the role switches
+ * loadState so the page can say why instead of showing stale data.
+ */
+export function useAdminApi<T>(endpoint: string, key: string) {
+  const [items, setItems] = useState<T[]>([]);
+  const [loadState, setLoadState] = useState<AdminLoadState>('loading');
+
+  const send = useCallback(
+    async (init?: RequestInit, query = ''): Promise<AdminApiResult> => {
+      try {
+        const response = await fetch(`${endpoint}${query}`, {
+          credentials: 'same-origin',
+          ...init,
+          headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+        });
+        const body = (await response.json().catch(() => ({}))) as Record<string, unknown>;
+        if (response.ok) {
+          setItems((body[key] as T[] | undefined) ?? []);
+          setLoadState('ready');
+          return { ok: true, status: response.status };
+        }
+        if (response.status === 401 || response.status === 403) {
+          setLoadState(loadStateFor(response.status));
+        }
+        return {
+          ok: false,
+          status: response.status,
+          error: typeof body.error === 'string' ? body.error : undefined,
+          code: typeof body.code === 'string' ? body.code : undefined,
+        };
+      } catch {
+        return { ok: false, status: 0 };
+      }
+    },
+    [endpoint, key]
+  );
+
+  useEffect(() => {
+    void send().then((result) => {
+      if (!result.ok) setLoadState(loadStateFor(result.status));
+    });
+  }, [send]);
+
+  return { items, loadState, send };
+}
@@ -0,0 +1,139 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+import type { Callout } from '@/lib/queue/callout';
+
+/** Two-note door chime: frequency (Hz) and start offset (s) */
+const CHIME_NOTES = [
+  { frequency: 659.25, at: 0 },
+  { frequency: 523.25, at: 0.45 },
+] as const;
+const CHIME_NOTE_SECONDS = 0.9;
+/** Never wait longer than this for one utterance; some voices never fire `end` */
+const UTTERANCE_TIMEOUT_MS = 15_000;
+
+type AudioContextConstructor = typeof AudioContext;
+
+function createAudioContext(): AudioContext | null {
+  const Constructor =
+    window.AudioContext ??
+    (window as { webkitAudioContext?: AudioContextConstructor }).webkitAudioContext;
+  return Constructor ? new Constructor() : null;
+}
+
+function playChime(context: AudioContext): Promise<void> {
+  const start = context.currentTime;
+  for (const note of CHIME_NOTES) {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.type = 'sine';
+    oscillator.frequency.value = note.frequency;
+    gain.gain.setValueAtTime(0.0001, start + note.at);
+    gain.gain.exponentialRampToValueAtTime(0.4, start + note.at + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + note.at + CHIME_NOTE_SECONDS);
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(start + note.at);
+    oscillator.stop(start + note.at + CHIME_NOTE_SECONDS);
+  }
+  const lastNote = CHIME_NOTES[CHIME_NOTES.length - 1]?.at ?? 0;
+  return new Promise((resolve) => {
+    setTimeout(resolve, (lastNote + CHIME_NOTE_SECONDS) * 1000);
+  });
+}
+
+/** The best installed voice for a language tag: exact match, then same language */
+function findVoice(voices: SpeechSynthesisVoice[], lang: string) {
+  const tag = lang.toLowerCase();
+  const language = tag.split('-')[0] ?? tag;
+  return (
+    voices.find((voice) => voice.lang.toLowerCase().replace('_', '-') === tag) ??
+    voices.find((voice) => voice.lang.toLowerCase().split(/[-_]/)[0] === language)
+  );
+}
+
+function speak(callout: Callout, voice: SpeechSynthesisVoice | undefined): Promise<void> {
+  return new Promise((resolve) => {
+    const utterance = new SpeechSynthesisUtterance(callout.text);
+    utterance.lang = callout.lang;
+    if (voice) utterance.voice = voice;
+    utterance.rate = 0.9;
+
+    const timeout = setTimeout(resolve, UTTERANCE_TIMEOUT_MS);
+    const done = () => {
+      clearTimeout(timeout);
+      resolve();
+    };
+    utterance.onend = done;
+    utterance.onerror = done;
+    window.speechSynthesis.speak(utterance);
+  });
+}
+
+/**
+ * Chime and spoken call-outs for the waiting-room display. Browsers only
+ * play sound after someone has interacted with the page, unless the kiosk
+ * browser is set up to allow autoplay, so `enabled` starts false wherever
+ * that is needed and `enable` must run from a tap. Call-outs are played one
+ * after another, never over each other. Languages after the first with no
+ * installed voice are skipped rather than read out by a voice for another
+ * language.
+ */
+export function useCallouts() {
+  const [enabled, setEnabled] = useState(false);
+  const context = useRef<AudioContext | null>(null);
+  const pending = useRef<Callout[][]>([]);
+  const playing = useRef(false);
+
+  useEffect(() => {
+    context.current = createAudioContext();
+    // Kiosk browsers started with autoplay allowed need no tap
+    setEnabled(context.current?.state === 'running');
+    return () => {
+      void context.current?.close();
+      if ('speechSynthesis' in window) window.speechSynthesis.cancel();
+    };
+  }, []);
+
+  const enable = useCallback(() => {
+    void context.current?.resume();
+    if ('speechSynthesis' in window) {
+      // Speaking once inside the tap unlocks speech for later call-outs
+      window.speechSynthesis.speak(new SpeechSynthesisUtterance(''));
+    }
+    setEnabled(true);
+  }, []);
+
+  const playNext = useCallback(async () => {
+    if (playing.current) return;
+    playing.current = true;
+    try {
+      for (let call = pending.current.shift(); call; call = pending.current.shift()) {
+        if (context.current) await playChime(context.current);
+        if (!('speechSynthesis' in window)) continue;
+
+        const voices = window.speechSynthesis.getVoices();
+        for (const callout of call) {
+          const voice = findVoice(voices, callout.lang);
+          // The first language is always spoken, with the default voice if need
+          // be; an empty list means voices are still loading, so let the browser pick
+          if (voice || voices.length === 0 || callout === call[0]) {
+            await speak(callout, voice);
+          }
+        }
+      }
+    } finally {
+      playing.current = false;
+    }
+  }, []);
+
+  /** Queues one call: the chime, then `callouts` in order */
+  const announce = useCallback(
+    (callouts: Callout[]) => {
+      if (!enabled) return;
+      pending.current.push(callouts);
+      void playNext();
+    },
+    [enabled, playNext]
+  );
+
+  return { enabled, enable, announce };
+}
@@ -0,0 +1,12 @@
+import { useContext } from 'react';
+
+import { FeatureFlagsContext } from '@/components/features/FeatureFlagsProvider';
+import { usePublicConfig } from '@/hooks/usePublicConfig';
+import type { FeatureFlag } from '@/lib/features/flags';
+
+/** Whether a feature is on for this browser, e.g. useFeature('telemedicine'). */
+export function useFeature(flag: FeatureFlag): boolean {
+  const features = useContext(FeatureFlagsContext);
+  const config = usePublicConfig();
+  return (features ?? config.features)[flag];
+}
@@ -0,0 +1,101 @@
+import { useCallback, useEffect, useState } from 'react';
+
+import type { AdminLoadState } from '@/hooks/useAdminApi';
+import type { FrontDeskActionInput, FrontDeskBoard, FrontDeskTicket } from '@/lib/front-desk';
+
+export interface FrontDeskResponse {
+  ok: boolean;
+  status: number;
+  code?: string;
+  /** The API's error message, e.g. why a walk-in was refused */
+  error?: string;
+  ticket?: FrontDeskTicket;
+}
+
+/** How often to re-read the board while the live stream is down */
+const FALLBACK_POLL_MS = 10_000;
+
+function loadStateFor(status: number): AdminLoadState {
+  if (status === 401) return 'signIn';
+  if (status === 403) return 'forbidden';
+  return 'unavailable';
+}
+
+/**
+ * Today's front-desk board, kept live over /api/front-desk/stream so every
+ * open console shows the same queue. While the stream is down the board is
+ * polled instead and `live` is false. `send` makes one change; the answer
+ * carries the new board, which replaces the one shown straight away.
+ */
+export function useFrontDesk() {
+  const [board, setBoard] = useState<FrontDeskBoard | null>(null);
+  const [loadState, setLoadState] = useState<AdminLoadState>('loading');
+  const [live, setLive] = useState(false);
+
+  const request = useCallback(async (init?: RequestInit): Promise<FrontDeskResponse> => {
+    try {
+      const response = await fetch('/api/front-desk', {
+        credentials: 'same-origin',
+        ...init,
+        headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+      });
+      const body = (await response.json().catch(() => ({}))) as {
+        board?: FrontDeskBoard;
+        ticket?: FrontDeskTicket;
+        code?: string;
+        error?: string;
+      };
+      if (body.board) {
+        setBoard(body.board);
+        setLoadState('ready');
+      } else if (response.status === 401 || response.status === 403) {
+        setLoadState(loadStateFor(response.status));
+      }
+      return {
+        ok: response.ok,
+        status: response.status,
+        code: body.code,
+        error: body.error,
+        ticket: body.ticket,
+      };
+    } catch {
+      return { ok: false, status: 0 };
+    }
+  }, []);
+
+  useEffect(() => {
+    void request().then((result) => {
+      if (!result.ok) setLoadState(loadStateFor(result.status));
+    });
+  }, [request]);
+
+  // The stream is opened once the first load shows this user may see the board
+  const signedIn = loadState === 'ready';
+  useEffect(() => {
+    if (!signedIn || typeof EventSource === 'undefined') return;
+
+    const source = new EventSource('/api/front-desk/stream');
+    source.addEventListener('board', (event) => {
+      setBoard(JSON.parse((event as MessageEvent<string>).data) as FrontDeskBoard);
+      setLive(true);
+    });
+    source.addEventListener('unavailable', () => setLive(false));
+    // The browser reconnects on its own after the server's retry delay
+    source.onerror = () => setLive(false);
+
+    return () => source.close();
+  }, [signedIn]);
+
+  useEffect(() => {
+    if (!signedIn || live) return;
+    const timer = setInterval(() => void request(), FALLBACK_POLL_MS);
+    return () => clearInterval(timer);
+  }, [signedIn, live, request]);
+
+  const send = useCallback(
+    (action: FrontDeskActionInput) => request({ method: 'POST', body: JSON.stringify(action) }),
+    [request]
+  );
+
+  return { board, loadState, live, send };
+}
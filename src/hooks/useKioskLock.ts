@@ -0,0 +1,65 @@
+import { useRouter } from 'next/router';
+import { useEffect } from 'react';
+
+/** Run on every tap, as browsers only allow full screen in response to one */
+function enterFullscreen() {
+  if (document.fullscreenElement || !document.documentElement.requestFullscreen) return;
+  document.documentElement.requestFullscreen().catch(() => {
+    // Not allowed here (e.g. inside an iframe); the page still works windowed
+  });
+}
+
+/**
+ * Locks a page that runs unattended on a shared screen: Back (including
+ * swipe-back) stays on the page, long-press menus, dragging and
+ * pull-to-refresh do nothing, and the screen is kept awake where the
+ * browser allows it. The page goes full screen on the first touch, and
+ * again on the next one if someone leaves full screen. Sets [data-kiosk]
+ * on <html> for the kiosk styles in globals.css.
+ */
+export function useKioskLock() {
+  const router = useRouter();
+
+  useEffect(() => {
+    const root = document.documentElement;
+    root.setAttribute('data-kiosk', '');
+
+    // A spare history entry for Back to land on, put back every time it is used
+    window.history.pushState(window.history.state, '', window.location.href);
+    router.beforePopState(() => {
+      window.history.pushState(window.history.state, '', window.location.href);
+      return false;
+    });
+
+    const prevent = (event: Event) => event.preventDefault();
+    document.addEventListener('contextmenu', prevent);
+    document.addEventListener('dragstart', prevent);
+    document.addEventListener('pointerdown', enterFullscreen);
+
+    let wakeLock: WakeLockSentinel | null = null;
+    const keepAwake = () => {
+      if (document.visibilityState !== 'visible' || !('wakeLock' in navigator)) return;
+      navigator.wakeLock
+        .request('screen')
+        .then((sentinel) => {
+          wakeLock = sentinel;
+        })
+        .catch(() => {
+          // Refused (e.g. battery saver); the screen's own settings apply
+        });
+    };
+    // The browser releases the lock whenever the page is hidden
+    document.addEventListener('visibilitychange', keepAwake);
+    keepAwake();
+
+    return () => {
+      root.removeAttribute('data-kiosk');
+      router.beforePopState(() => true);
+      document.removeEventListener('contextmenu', prevent);
+      document.removeEventListener('dragstart', prevent);
+      document.removeEventListener('pointerdown', enterFullscreen);
+      document.removeEventListener('visibilitychange', keepAwake);
+      void wakeLock?.release();
+    };
+  }, [router]);
+}
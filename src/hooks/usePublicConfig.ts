@@ -0,0 +1,8 @@
+import { useMemo } from 'react';
+
+import { getPublicConfig } from '@/lib/config/public';
+
+/** Runtime clinic settings (phone, address, hours...) for client components. */
+export function usePublicConfig() {
+  return useMemo(() => getPublicConfig(), []);
+}
@@ -0,0 +1,57 @@
+import { useCallback, useEffect, useState } from 'react';
+
+import type { AdminLoadState } from '@/hooks/useAdminApi';
+import type { SelfCheckInRequest, SelfCheckInTicket } from '@/lib/check-in';
+
+const ENDPOINT = '/api/check-in';
+
+export type CheckInResponse =
+  | { ok: true; ticket: SelfCheckInTicket }
+  | { ok: false; status: number; code?: string; error?: string };
+
+function loadStateFor(status: number): AdminLoadState {
+  if (status === 401) return 'signIn';
+  if (status === 403) return 'forbidden';
+  return 'unavailable';
+}
+
+/**
+ * The kiosk's connection to /api/check-in. `loadState` says whether the
+ * tablet is signed in with a staff account and can check patients in;
+ * `checkIn` sends one QR code or NRIC ending and date of birth.
+ */
+export function useSelfCheckIn() {
+  const [loadState, setLoadState] = useState<AdminLoadState>('loading');
+
+  useEffect(() => {
+    fetch(ENDPOINT, { credentials: 'same-origin', headers: { Accept: 'application/json' } })
+      .then((response) => setLoadState(response.ok ? 'ready' : loadStateFor(response.status)))
+      .catch(() => setLoadState('unavailable'));
+  }, []);
+
+  const checkIn = useCallback(async (request: SelfCheckInRequest): Promise<CheckInResponse> => {
+    try {
+      const response = await fetch(ENDPOINT, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+        body: JSON.stringify(request),
+      });
+      const body = (await response.json().catch(() => ({}))) as {
+        ticket?: SelfCheckInTicket;
+        code?: string;
+        error?: string;
+      };
+      if (response.ok && body.ticket) return { ok: true, ticket: body.ticket };
+      // The staff session on the tablet has run out
+      if (response.status === 401 || response.status === 403) {
+        setLoadState(loadStateFor(response.status));
+      }
+      return { ok: false, status: response.status, code: body.code, error: body.error };
+    } catch {
+      return { ok: false, status: 0 };
+    }
+  }, []);
+
+  return { loadState, checkIn };
+}
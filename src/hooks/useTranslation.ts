@@ -0,0 +1,8 @@
+import { useContext } from 'react';
+
+import { I18nContext } from '@/components/i18n/I18nProvider';
+
+/** Returns the active locale and a `t(key, values)` translator. */
+export function useTranslation() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,63 @@
+import { useEffect, useState } from 'react';
+
+import type { WaitingRoomDisplay } from '@/lib/queue';
+
+const STREAM_URL = '/api/queue/display';
+/** Three missed pings: the link is dead even if the browser has not noticed */
+const SILENCE_LIMIT_MS = 45_000;
+const CHECK_INTERVAL_MS = 5_000;
+
+/**
+ * The waiting-room display, kept live over /api/queue/display. The screen
+ * runs unattended, so it reconnects on its own: when the browser gives up on
+ * the stream (e.g. a 502 during a deployment), when nothing has arrived for
+ * SILENCE_LIMIT_MS (a dropped Wi-Fi link can leave the socket half-open) and
+ * as soon as the network comes back. `live` is false while reconnecting.
+ */
+export function useWaitingRoomDisplay() {
+  const [display, setDisplay] = useState<WaitingRoomDisplay | null>(null);
+  const [live, setLive] = useState(false);
+
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') return undefined;
+
+    let source: EventSource | null = null;
+    let lastHeard = Date.now();
+
+    const connect = () => {
+      source?.close();
+      lastHeard = Date.now();
+      const current = new EventSource(STREAM_URL);
+      source = current;
+
+      current.addEventListener('display', (event) => {
+        lastHeard = Date.now();
+        setDisplay(JSON.parse((event as MessageEvent<string>).data) as WaitingRoomDisplay);
+        setLive(true);
+      });
+      current.addEventListener('ping', () => {
+        lastHeard = Date.now();
+      });
+      current.addEventListener('unavailable', () => setLive(false));
+      current.onerror = () => setLive(false);
+    };
+
+    const check = () => {
+      const closed = source?.readyState === EventSource.CLOSED;
+      if (closed || Date.now() - lastHeard > SILENCE_LIMIT_MS) connect();
+    };
+    const handleOnline = () => connect();
+
+    connect();
+    const timer = setInterval(check, CHECK_INTERVAL_MS);
+    window.addEventListener('online', handleOnline);
+
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', handleOnline);
+      source?.close();
+    };
+  }, []);
+
+  return { display, live };
+}
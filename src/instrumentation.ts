@@ -0,0 +1,31 @@
+/**
+ * Server start-up hook
+ * Validates the environment before the first request so a misconfigured
+ * container fails fast instead of serving errors, warns when the bundled
+ * public holidays run out before the end of next year, then starts the
+ * queue alert loop (a no-op when push alerts are off) and the notification
+ * delivery loop.
+ */
+
+export async function register() {
+  if (process.env.NEXT_RUNTIME !== 'nodejs') return;
+
+  const { assertProductionSafety } = await import('@/lib/config/env');
+  assertProductionSafety();
+
+  const { clinicDate, missingHolidayYears } = await import('@/lib/clinic');
+  const year = Number(clinicDate(new Date()).slice(0, 4));
+  const missing = missingHolidayYears([year, year + 1]);
+  if (missing.length > 0) {
+    console.warn(
+      `[holidays] no public holidays for ${missing.join(', ')}: opening hours treat ` +
+        'those dates as ordinary days until npm run holidays:import adds them'
+    );
+  }
+
+  const { startQueueAlerts } = await import('@/lib/push/queue-alerts');
+  startQueueAlerts();
+
+  const { startNotificationDelivery } = await import('@/lib/notifications/delivery');
+  startNotificationDelivery();
+}
@@ -0,0 +1,102 @@
+/**
+ * Accessibility preferences
+ * Text size, contrast and motion settings chosen in the accessibility panel.
+ * They are applied as attributes on <html> so the CSS in globals.css can
+ * react to them, and stored in localStorage (and the signed-in user's
+ * profile) so they survive reloads and follow the user between devices.
+ */
+
+import { z } from 'zod';
+
+export const TEXT_SCALES = [100, 125, 150] as const;
+export type TextScale = (typeof TEXT_SCALES)[number];
+
+export type ContrastMode = 'standard' | 'high';
+
+export interface AccessibilityPreferences {
+  /** Root font size as a percentage of the browser default */
+  textScale: TextScale;
+  contrast: ContrastMode;
+  /** Forces reduced motion; when false the OS setting still applies */
+  reducedMotion: boolean;
+}
+
+export const DEFAULT_ACCESSIBILITY_PREFERENCES: AccessibilityPreferences = {
+  textScale: 100,
+  contrast: 'standard',
+  reducedMotion: false,
+};
+
+export const ACCESSIBILITY_STORAGE_KEY = 'gfc:accessibility';
+
+export const TEXT_SCALE_ATTRIBUTE = 'data-text-scale';
+export const HIGH_CONTRAST_CLASS = 'high-contrast';
+export const REDUCED_MOTION_ATTRIBUTE = 'data-reduced-motion';
+
+export const accessibilityPreferencesSchema = z.object({
+  textScale: z.union([z.literal(100), z.literal(125), z.literal(150)]),
+  contrast: z.enum(['standard', 'high']),
+  reducedMotion: z.boolean(),
+});
+
+const storedPreferencesSchema = z
+  .object({
+    textScale: accessibilityPreferencesSchema.shape.textScale.catch(
+      DEFAULT_ACCESSIBILITY_PREFERENCES.textScale
+    ),
+    contrast: accessibilityPreferencesSchema.shape.contrast.catch(
+      DEFAULT_ACCESSIBILITY_PREFERENCES.contrast
+    ),
+    reducedMotion: accessibilityPreferencesSchema.shape.reducedMotion.catch(
+      DEFAULT_ACCESSIBILITY_PREFERENCES.reducedMotion
+    ),
+  })
+  .catch(DEFAULT_ACCESSIBILITY_PREFERENCES);
+
+/**
+ * Reads preferences from storage or a profile, keeping every valid field
+ * and falling back to the default for the rest.
+ */
+export function parseAccessibilityPreferences(value: unknown): AccessibilityPreferences {
+  return storedPreferencesSchema.parse(value);
+}
+
+export function isSamePreferences(a: AccessibilityPreferences, b: AccessibilityPreferences) {
+  return (
+    a.textScale === b.textScale && a.contrast === b.contrast && a.reducedMotion === b.reducedMotion
+  );
+}
+
+/** Sets the <html> attributes globals.css keys off; defaults leave none behind */
+export function applyAccessibilityPreferences(
+  root: HTMLElement,
+  preferences: AccessibilityPreferences
+) {
+  if (preferences.textScale === DEFAULT_ACCESSIBILITY_PREFERENCES.textScale) {
+    root.removeAttribute(TEXT_SCALE_ATTRIBUTE);
+  } else {
+    root.setAttribute(TEXT_SCALE_ATTRIBUTE, String(preferences.textScale));
+  }
+  root.classList.toggle(HIGH_CONTRAST_CLASS, preferences.contrast === 'high');
+  root.toggleAttribute(REDUCED_MOTION_ATTRIBUTE, preferences.reducedMotion);
+}
+
+/**
+ * Inline script for the document head that applies stored preferences
+ * before first paint, so large text or high contrast never flashes in
+ * after hydration. Mirrors applyAccessibilityPreferences().
+ */
+export const ACCESSIBILITY_BOOT_SCRIPT = `(function () {
+  try {
+    var stored = JSON.parse(localStorage.getItem(${JSON.stringify(ACCESSIBILITY_STORAGE_KEY)}) || 'null');
+    if (!stored) return;
+    var root = document.documentElement;
+    if (stored.textScale !== ${DEFAULT_ACCESSIBILITY_PREFERENCES.textScale} && ${JSON.stringify(TEXT_SCALES)}.indexOf(stored.textScale) !== -1) {
+      root.setAttribute(${JSON.stringify(TEXT_SCALE_ATTRIBUTE)}, String(stored.textScale));
+    }
+    if (stored.contrast === 'high') root.classList.add(${JSON.stringify(HIGH_CONTRAST_CLASS)});
+    if (stored.reducedMotion === true) root.setAttribute(${JSON.stringify(REDUCED_MOTION_ATTRIBUTE)}, '');
+  } catch (error) {
+    // Storage can be blocked; the defaults apply
+  }
+})();`;
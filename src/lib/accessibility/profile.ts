@@ -0,0 +1,31 @@
+/**
+ * Accessibility preferences on the user profile (server-only)
+ * Kept in the Supabase Auth user metadata, so they follow patients and
+ * staff alike without a column on every profile table.
+ */
+
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import { parseAccessibilityPreferences } from './preferences';
+
+import type { AccessibilityPreferences } from './preferences';
+import type { User } from '@supabase/supabase-js';
+
+const METADATA_KEY = 'accessibility';
+
+/** Null when the user has never saved preferences */
+export function getProfilePreferences(user: User): AccessibilityPreferences | null {
+  const stored: unknown = user.user_metadata?.[METADATA_KEY];
+  return stored ? parseAccessibilityPreferences(stored) : null;
+}
+
+export async function saveProfilePreferences(
+  userId: string,
+  preferences: AccessibilityPreferences
+): Promise<void> {
+  // Supabase merges top-level metadata keys, so other metadata is kept
+  const { error } = await getSupabaseAdmin().auth.admin.updateUserById(userId, {
+    user_metadata: { [METADATA_KEY]: preferences },
+  });
+  if (error) throw new Error(`user metadata: ${error.message}`);
+}
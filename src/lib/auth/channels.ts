@@ -0,0 +1,27 @@
+/**
+ * Where sign-in codes can be sent
+ * Browser-safe. Each channel follows its notification feature flag, so
+ * switching off WhatsApp messages also stops WhatsApp sign-in codes.
+ */
+
+import type { FeatureFlag } from '@/lib/features/flags';
+import { DEFAULT_LOCALE } from '@/lib/i18n/config';
+
+export const OTP_CHANNELS = ['sms', 'whatsapp', 'email'] as const;
+export type OtpChannel = (typeof OTP_CHANNELS)[number];
+
+export const OTP_CHANNEL_FEATURES: Record<OtpChannel, FeatureFlag> = {
+  sms: 'smsNotifications',
+  whatsapp: 'whatsappNotifications',
+  email: 'emailNotifications',
+};
+
+/** Path of the sign-in page; with a challenge and code it is the magic link */
+export function signInPath(
+  locale: string = DEFAULT_LOCALE,
+  challenge?: { id: string; code: string }
+): string {
+  const prefix = locale === DEFAULT_LOCALE ? '' : `/${locale}`;
+  if (!challenge) return `${prefix}/login`;
+  return `${prefix}/login?challenge=${encodeURIComponent(challenge.id)}&code=${challenge.code}`;
+}
@@ -0,0 +1,5 @@
+export * from './channels';
+export * from './otp';
+export * from './request-user';
+export * from './session';
+export * from './sign-in';
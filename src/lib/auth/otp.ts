@@ -0,0 +1,188 @@
+/**
+ * One-time sign-in codes (server-only)
+ * A code is issued for a mobile number or email address as a challenge:
+ * a random ID the browser keeps, plus six digits sent to the destination.
+ * Redis holds only an HMAC of the code (keyed with OTP_SECRET) for
+ * REDIS_TTL_OTP seconds, and the code is refused after OTP_EXPIRES_IN
+ * seconds, whichever comes first.
+ *
+ * - A destination gets one code per OTP_COOLDOWN seconds, and a new code
+ *   replaces the one before it.
+ * - OTP_MAX_ATTEMPTS wrong guesses end the challenge.
+ * - A used or ended challenge is remembered until it would have expired,
+ *   so replaying its code (or magic link) is refused as such.
+ */
+
+import { createHmac, randomBytes, randomInt } from 'crypto';
+
+import { z } from 'zod';
+
+import { normaliseMobile } from '@/lib/booking/validation';
+import { env } from '@/lib/config/env';
+import { getRedis } from '@/lib/redis';
+
+import { OTP_CHANNELS } from './channels';
+
+import type { OtpChannel } from './channels';
+
+const CODE_PATTERN = /^\d{6}$/;
+const CHALLENGE_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+
+export const otpRequestSchema = z
+  .object({
+    channel: z.enum(OTP_CHANNELS),
+    destination: z.string().trim().max(254),
+    locale: z.string().optional(),
+  })
+  .transform((input, ctx) => {
+    const destination =
+      input.channel === 'email'
+        ? z.string().email().safeParse(input.destination).data?.toLowerCase()
+        : normaliseMobile(input.destination);
+    if (!destination) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['destination'] });
+      return z.NEVER;
+    }
+    return { ...input, destination };
+  });
+
+export const otpVerifySchema = z.object({
+  challenge: z.string().regex(CHALLENGE_PATTERN),
+  code: z
+    .string()
+    .transform((value) => value.replace(/\s/g, ''))
+    .pipe(z.string().regex(CODE_PATTERN)),
+});
+
+export interface OtpChallenge {
+  id: string;
+  code: string;
+  /** Epoch ms */
+  expiresAt: number;
+}
+
+export type OtpIssueResult =
+  | { ok: true; challenge: OtpChallenge }
+  | { ok: false; code: 'cooldown'; retryAfter: number };
+
+export type OtpVerifyErrorCode = 'invalidCode' | 'codeExpired' | 'codeUsed' | 'tooManyAttempts';
+
+export type OtpVerifyResult =
+  | { ok: true; channel: OtpChannel; destination: string }
+  | { ok: false; code: 'invalidCode'; attemptsLeft: number }
+  | { ok: false; code: Exclude<OtpVerifyErrorCode, 'invalidCode'> };
+
+function hmac(value: string): string {
+  return createHmac('sha256', env.OTP_SECRET).update(value).digest('hex');
+}
+
+const challengeKey = (id: string) => `otp:challenge:${id}`;
+/** Set once a challenge is used or locked, so replays get a clear answer */
+const endedKey = (id: string) => `otp:ended:${id}`;
+const latestKey = (destination: string) => `otp:latest:${hmac(destination)}`;
+const cooldownKey = (destination: string) => `otp:cooldown:${hmac(destination)}`;
+
+const challengeTtlMs = () => env.REDIS_TTL_OTP * 1000;
+
+export async function issueOtp(
+  channel: OtpChannel,
+  destination: string,
+  now = Date.now()
+): Promise<OtpIssueResult> {
+  const redis = getRedis();
+
+  if (env.OTP_COOLDOWN > 0) {
+    const started = await redis.set(cooldownKey(destination), '1', 'EX', env.OTP_COOLDOWN, 'NX');
+    if (!started) {
+      const ttl = await redis.ttl(cooldownKey(destination));
+      return { ok: false, code: 'cooldown', retryAfter: Math.max(1, ttl) };
+    }
+  }
+
+  const challenge: OtpChallenge = {
+    id: randomBytes(16).toString('base64url'),
+    code: String(randomInt(0, 1_000_000)).padStart(6, '0'),
+    expiresAt: now + env.OTP_EXPIRES_IN * 1000,
+  };
+
+  const previous = await redis.set(
+    latestKey(destination),
+    challenge.id,
+    'PX',
+    challengeTtlMs(),
+    'GET'
+  );
+  const transaction = redis
+    .multi()
+    .hset(challengeKey(challenge.id), {
+      channel,
+      destination,
+      codeHash: hmac(`${challenge.id}:${challenge.code}`),
+      expiresAt: challenge.expiresAt,
+    })
+    .pexpire(challengeKey(challenge.id), challengeTtlMs());
+  if (previous) transaction.del(challengeKey(previous));
+  await transaction.exec();
+
+  return { ok: true, challenge };
+}
+
+/** Withdraws a challenge whose code never reached the patient, lifting the cooldown */
+export async function cancelOtp(challengeId: string, destination: string): Promise<void> {
+  await getRedis().del(challengeKey(challengeId), cooldownKey(destination));
+}
+
+/**
+ * KEYS challenge, ended; ARGV now, codeHash, maxAttempts, endedTtlMs.
+ * Atomic, so two guesses racing on one challenge both count.
+ */
+const VERIFY_SCRIPT = `
+local ended = redis.call('GET', KEYS[2])
+if ended then return { ended } end
+if redis.call('EXISTS', KEYS[1]) == 0 then return { 'codeExpired' } end
+local challenge = redis.call('HMGET', KEYS[1], 'codeHash', 'expiresAt', 'channel', 'destination')
+if tonumber(challenge[2]) <= tonumber(ARGV[1]) then
+  redis.call('DEL', KEYS[1])
+  return { 'codeExpired' }
+end
+local attempts = redis.call('HINCRBY', KEYS[1], 'attempts', 1)
+if challenge[1] ~= ARGV[2] then
+  local left = tonumber(ARGV[3]) - attempts
+  if left > 0 then return { 'invalidCode', tostring(left) } end
+  redis.call('DEL', KEYS[1])
+  redis.call('SET', KEYS[2], 'tooManyAttempts', 'PX', ARGV[4])
+  return { 'tooManyAttempts' }
+end
+redis.call('DEL', KEYS[1])
+redis.call('SET', KEYS[2], 'codeUsed', 'PX', ARGV[4])
+return { 'ok', challenge[3], challenge[4] }
+`;
+
+export async function verifyOtp(
+  challengeId: string,
+  code: string,
+  now = Date.now()
+): Promise<OtpVerifyResult> {
+  const [status, detail, destination] = (await getRedis().eval(
+    VERIFY_SCRIPT,
+    2,
+    challengeKey(challengeId),
+    endedKey(challengeId),
+    now,
+    hmac(`${challengeId}:${code}`),
+    env.OTP_MAX_ATTEMPTS,
+    challengeTtlMs()
+  )) as [string, string?, string?];
+
+  switch (status) {
+    case 'ok':
+      return { ok: true, channel: detail as OtpChannel, destination: destination ?? '' };
+    case 'invalidCode':
+      return { ok: false, code: 'invalidCode', attemptsLeft: Number(detail) };
+    case 'codeUsed':
+    case 'tooManyAttempts':
+      return { ok: false, code: status };
+    default:
+      return { ok: false, code: 'codeExpired' };
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Signed-in user for an API request
+ * Callers authenticate with their Supabase access token in the
+ * Authorization header, verified with Supabase Auth, or with the session
+ * cookie from passwordless sign-in (see sign-in.ts).
+ */
+
+import { clientIp } from '@/lib/security/client-ip';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import { getSession, readSessionToken } from './session';
+
+import type { User } from '@supabase/supabase-js';
+import type { NextApiRequest } from 'next';
+
+const BEARER_PATTERN = /^Bearer\s+(\S+)$/i;
+
+/**
+ * The user the request is signed in as, or null when it is anonymous or the
+ * token or session is no longer valid
+ */
+export async function getRequestUser(req: NextApiRequest): Promise<User | null> {
+  const token = BEARER_PATTERN.exec(req.headers.authorization ?? '')?.[1];
+  if (token) {
+    const { data, error } = await getSupabaseAdmin().auth.getUser(token);
+    return error ? null : data.user;
+  }
+
+  const sessionToken = readSessionToken(req);
+  const session = sessionToken ? await getSession(sessionToken) : null;
+  if (!session) return null;
+
+  const { data, error } = await getSupabaseAdmin().auth.admin.getUserById(session.userId);
+  return error ? null : data.user;
+}
+
+export const STAFF_ROLES = ['doctor', 'nurse', 'receptionist', 'admin', 'superadmin'] as const;
+export type StaffRole = (typeof STAFF_ROLES)[number];
+
+/**
+ * Staff role from the user's app_metadata (set by the clinic, never by the
+ * user), or null for patients
+ */
+export function getStaffRole(user: User): StaffRole | null {
+  const role: unknown = user.app_metadata.role;
+  return STAFF_ROLES.find((staffRole) => staffRole === role) ?? null;
+}
+
+/** The user's mobile number in E.164; Supabase Auth stores it without the + */
+export function getUserPhone(user: User): string | null {
+  return user.phone ? `+${user.phone.replace(/^\+/, '')}` : null;
+}
+
+/** audit_logs.user_role: staff act in their role, everyone else as a patient */
+export type AuditRole = StaffRole | 'patient';
+
+/** Who made a change, for audit_logs */
+export interface AuditActor {
+  userId: string;
+  role: AuditRole;
+  ipAddress: string | null;
+  userAgent: string | null;
+}
+
+export function auditActor(req: NextApiRequest, user: User, role: AuditRole): AuditActor {
+  const ip = clientIp(req);
+  return {
+    userId: user.id,
+    role,
+    ipAddress: ip === 'unknown' ? null : ip,
+    userAgent: req.headers['user-agent'] ?? null,
+  };
+}
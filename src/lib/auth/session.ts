@@ -0,0 +1,93 @@
+/**
+ * Cookie sessions (server-only)
+ * Passwordless sign-in ends with a random session token in the
+ * SESSION_COOKIE_NAME cookie. Redis keeps only the token's hash, so a copy
+ * of Redis cannot be replayed as cookies.
+ *
+ * A session lasts SESSION_MAX_AGE seconds from sign-in at most, and ends
+ * sooner after REDIS_TTL_SESSION seconds without a request.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+
+import { env } from '@/lib/config/env';
+import { getRedis } from '@/lib/redis';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+export interface Session {
+  /** Hash of the token; safe to log and to store in audit_logs */
+  id: string;
+  userId: string;
+  /** Epoch ms */
+  createdAt: number;
+  expiresAt: number;
+}
+
+type StoredSession = Omit<Session, 'id'>;
+
+function sessionId(token: string): string {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+const sessionKey = (id: string) => `session:${id}`;
+
+function idleTtlMs(session: StoredSession, now: number): number {
+  return Math.min(env.REDIS_TTL_SESSION * 1000, session.expiresAt - now);
+}
+
+export async function createSession(
+  userId: string,
+  now = Date.now()
+): Promise<{ token: string; session: Session }> {
+  const token = randomBytes(32).toString('base64url');
+  const stored: StoredSession = {
+    userId,
+    createdAt: now,
+    expiresAt: now + env.SESSION_MAX_AGE * 1000,
+  };
+  const id = sessionId(token);
+  await getRedis().set(sessionKey(id), JSON.stringify(stored), 'PX', idleTtlMs(stored, now));
+  return { token, session: { id, ...stored } };
+}
+
+/** The live session for a token, renewing its idle timeout; null when it has ended */
+export async function getSession(token: string, now = Date.now()): Promise<Session | null> {
+  const id = sessionId(token);
+  const raw = await getRedis().get(sessionKey(id));
+  if (!raw) return null;
+
+  const stored = JSON.parse(raw) as StoredSession;
+  const ttl = idleTtlMs(stored, now);
+  if (ttl <= 0) return null;
+  await getRedis().pexpire(sessionKey(id), ttl);
+  return { id, ...stored };
+}
+
+export async function destroySession(token: string): Promise<void> {
+  await getRedis().del(sessionKey(sessionId(token)));
+}
+
+export function readSessionToken(req: Pick<NextApiRequest, 'cookies'>): string | null {
+  return req.cookies[env.SESSION_COOKIE_NAME] || null;
+}
+
+function sessionCookie(value: string, maxAge: number): string {
+  const attributes = [
+    `${env.SESSION_COOKIE_NAME}=${value}`,
+    'Path=/',
+    `Max-Age=${maxAge}`,
+    `SameSite=${env.SESSION_COOKIE_SAMESITE.charAt(0).toUpperCase()}${env.SESSION_COOKIE_SAMESITE.slice(1)}`,
+  ];
+  if (env.SESSION_COOKIE_HTTPONLY) attributes.push('HttpOnly');
+  if (env.SESSION_COOKIE_SECURE) attributes.push('Secure');
+  return attributes.join('; ');
+}
+
+export function setSessionCookie(res: NextApiResponse, token: string) {
+  res.setHeader('Set-Cookie', sessionCookie(token, env.SESSION_MAX_AGE));
+}
+
+export function clearSessionCookie(res: NextApiResponse) {
+  res.setHeader('Set-Cookie', sessionCookie('', 0));
+}
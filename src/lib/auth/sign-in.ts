@@ -0,0 +1,212 @@
+/**
+ * Passwordless sign-in (server-only)
+ * Sends a one-time code (with a magic link carrying the same code) and, once
+ * it is verified, signs the owner of the number or address in: their
+ * Supabase Auth user is found or created, a cookie session is started and
+ * the sign-in is recorded in audit_logs.
+ */
+
+import { env } from '@/lib/config/env';
+import { DEFAULT_LOCALE, createTranslator, loadMessages, resolveLocale } from '@/lib/i18n';
+import { sendEmail, sendTextMessage } from '@/lib/messaging';
+import { clientIp } from '@/lib/security/client-ip';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import { signInPath } from './channels';
+import { cancelOtp, issueOtp, verifyOtp } from './otp';
+import { getStaffRole } from './request-user';
+import { createSession, destroySession, getSession } from './session';
+
+import type { OtpChannel } from './channels';
+import type { OtpVerifyErrorCode } from './otp';
+import type { Session } from './session';
+import type { User } from '@supabase/supabase-js';
+import type { NextApiRequest } from 'next';
+
+/** Error codes map to signIn.errors.* in the locale catalogs */
+export type SignInErrorCode =
+  | 'invalidDestination'
+  | 'channelUnavailable'
+  | 'cooldown'
+  | 'deliveryFailed'
+  | 'accountDisabled'
+  | 'rateLimited'
+  | 'unavailable'
+  | OtpVerifyErrorCode;
+
+export type SendCodeResult =
+  | { ok: true; challengeId: string; expiresIn: number; resendIn: number }
+  | { ok: false; code: 'cooldown'; retryAfter: number }
+  | { ok: false; code: 'deliveryFailed' };
+
+export type SignInResult =
+  | { ok: true; user: User; token: string; session: Session }
+  | { ok: false; code: 'invalidCode'; attemptsLeft: number }
+  | { ok: false; code: Exclude<OtpVerifyErrorCode, 'invalidCode'> | 'accountDisabled' };
+
+/** Where a sign-in request came from, for audit_logs */
+export interface AuthRequestContext {
+  ipAddress: string | null;
+  userAgent: string | null;
+}
+
+export function authRequestContext(req: NextApiRequest): AuthRequestContext {
+  const ip = clientIp(req);
+  return { ipAddress: ip === 'unknown' ? null : ip, userAgent: req.headers['user-agent'] ?? null };
+}
+
+async function codeMessage(locale: string, challenge: { id: string; code: string }) {
+  const resolved = resolveLocale(locale);
+  const [messages, fallbackMessages] = await Promise.all([
+    loadMessages(resolved),
+    resolved === DEFAULT_LOCALE ? Promise.resolve(undefined) : loadMessages(DEFAULT_LOCALE),
+  ]);
+  const t = createTranslator(resolved, messages, fallbackMessages);
+  const values = {
+    clinic: env.NEXT_PUBLIC_CLINIC_NAME,
+    code: challenge.code,
+    minutes: Math.ceil(Math.min(env.OTP_EXPIRES_IN, env.REDIS_TTL_OTP) / 60),
+    link: `${env.NEXT_PUBLIC_APP_URL}${signInPath(resolved, challenge)}`,
+  };
+  return { subject: t('signIn.codeSubject', values), text: t('signIn.codeMessage', values) };
+}
+
+export async function sendSignInCode(
+  channel: OtpChannel,
+  destination: string,
+  locale: string
+): Promise<SendCodeResult> {
+  const issued = await issueOtp(channel, destination);
+  if (!issued.ok) return issued;
+
+  const { challenge } = issued;
+  const message = await codeMessage(locale, challenge);
+  const sent =
+    channel === 'email'
+      ? await sendEmail({ to: destination, subject: message.subject, text: message.text })
+      : await sendTextMessage(channel, destination, message.text);
+  if (!sent) {
+    await cancelOtp(challenge.id, destination);
+    return { ok: false, code: 'deliveryFailed' };
+  }
+
+  return {
+    ok: true,
+    challengeId: challenge.id,
+    expiresIn: Math.ceil((challenge.expiresAt - Date.now()) / 1000),
+    resendIn: env.OTP_COOLDOWN,
+  };
+}
+
+async function findAuthUserId(channel: OtpChannel, destination: string) {
+  const { data, error } = await getSupabaseAdmin().rpc('find_auth_user', {
+    p_phone: channel === 'email' ? null : destination,
+    p_email: channel === 'email' ? destination : null,
+  });
+  if (error) throw new Error(`find_auth_user: ${error.message}`);
+  return (data as string | null) ?? null;
+}
+
+/** The user a verified number or address belongs to, registering it on first sign-in */
+async function findOrCreateUser(channel: OtpChannel, destination: string): Promise<User> {
+  const admin = getSupabaseAdmin().auth.admin;
+  const existingId = await findAuthUserId(channel, destination);
+  if (existingId) {
+    const { data, error } = await admin.getUserById(existingId);
+    if (error) throw new Error(`auth user: ${error.message}`);
+    return data.user;
+  }
+
+  const { data, error } = await admin.createUser(
+    channel === 'email'
+      ? { email: destination, email_confirm: true }
+      : { phone: destination, phone_confirm: true }
+  );
+  if (!error) return data.user;
+
+  // Another sign-in for the same number may have registered it first
+  const racedId = await findAuthUserId(channel, destination);
+  if (!racedId) throw new Error(`auth user: ${error.message}`);
+  const raced = await admin.getUserById(racedId);
+  if (raced.error) throw new Error(`auth user: ${raced.error.message}`);
+  return raced.data.user;
+}
+
+function isBanned(user: User, now = Date.now()): boolean {
+  const bannedUntil = (user as User & { banned_until?: string | null }).banned_until;
+  return Boolean(bannedUntil && Date.parse(bannedUntil) > now);
+}
+
+interface AuthEvent {
+  action: 'login' | 'logout' | 'login_refused';
+  user: User | null;
+  sessionId: string | null;
+  context: AuthRequestContext;
+  /** For refused sign-ins: why, e.g. tooManyAttempts */
+  reason?: string;
+}
+
+/** Audit failures are logged rather than failing the sign-in itself */
+async function recordAuthEvent({ action, user, sessionId, context, reason }: AuthEvent) {
+  const refused = action === 'login_refused';
+  const { error } = await getSupabaseAdmin()
+    .from('audit_logs')
+    .insert({
+      user_id: user?.id ?? null,
+      user_role: user ? (getStaffRole(user) ?? 'patient') : null,
+      session_id: sessionId,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      action,
+      action_category: 'auth',
+      risk_level: refused ? 4 : 1,
+      is_suspicious: refused,
+      suspicious_reason: reason ?? null,
+    });
+  if (error) console.error('[sign-in] audit', error.message);
+}
+
+export async function completeSignIn(
+  challengeId: string,
+  code: string,
+  context: AuthRequestContext
+): Promise<SignInResult> {
+  const verified = await verifyOtp(challengeId, code);
+  if (!verified.ok) {
+    if (verified.code === 'tooManyAttempts') {
+      await recordAuthEvent({
+        action: 'login_refused',
+        user: null,
+        sessionId: null,
+        context,
+        reason: verified.code,
+      });
+    }
+    return verified;
+  }
+
+  const user = await findOrCreateUser(verified.channel, verified.destination);
+  if (isBanned(user)) {
+    await recordAuthEvent({
+      action: 'login_refused',
+      user,
+      sessionId: null,
+      context,
+      reason: 'accountDisabled',
+    });
+    return { ok: false, code: 'accountDisabled' };
+  }
+
+  const { token, session } = await createSession(user.id);
+  await recordAuthEvent({ action: 'login', user, sessionId: session.id, context });
+  return { ok: true, user, token, session };
+}
+
+export async function signOut(token: string, context: AuthRequestContext): Promise<void> {
+  const session = await getSession(token);
+  await destroySession(token);
+  if (!session) return;
+
+  const { data } = await getSupabaseAdmin().auth.admin.getUserById(session.userId);
+  await recordAuthEvent({ action: 'logout', user: data.user, sessionId: session.id, context });
+}
@@ -0,0 +1,89 @@
+/**
+ * Quick booking
+ * Books through the book_quick_appointment() database function
+ * (supabase/migrations/00002_quick_booking.sql), which locks the slot,
+ * finds or provisionally registers the patient by mobile number and issues
+ * the queue number in one transaction.
+ */
+
+import { getVisitEstimates } from '@/lib/chas/estimates';
+import type { SubsidyBreakdown } from '@/lib/chas/subsidy';
+import { resolveLocale } from '@/lib/i18n/config';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import { findSlotAt } from './slots';
+
+import type { BookingErrorCode, QuickBookingInput } from './validation';
+
+export interface BookingConfirmation {
+  id: string;
+  queueNumber: string;
+  scheduledTime: string;
+  doctorName: string;
+  /** What the patient should pay after CHAS; null while CHAS integration is off */
+  estimate: SubsidyBreakdown | null;
+}
+
+export type BookingResult =
+  | { ok: true; booking: BookingConfirmation }
+  | { ok: false; code: BookingErrorCode };
+
+interface ConfirmationRow {
+  id: string;
+  queue_number: string;
+  scheduled_time: string;
+  doctors: { full_name: string; display_name: string | null } | null;
+}
+
+/** Postgres lock_not_available: another request holds the slot (FOR UPDATE NOWAIT) */
+const LOCK_NOT_AVAILABLE = '55P03';
+
+export async function getBookingConfirmation(id: string): Promise<BookingConfirmation | null> {
+  const { data, error } = await getSupabaseAdmin()
+    .from('appointments')
+    .select('id, queue_number, scheduled_time, doctors(full_name, display_name)')
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw new Error(`appointments: ${error.message}`);
+  if (!data) return null;
+
+  const row = data as unknown as ConfirmationRow;
+  const estimates = await getVisitEstimates([row.id]);
+  return {
+    id: row.id,
+    queueNumber: row.queue_number,
+    scheduledTime: row.scheduled_time,
+    doctorName: row.doctors?.display_name || row.doctors?.full_name || '',
+    estimate: estimates.get(row.id) ?? null,
+  };
+}
+
+export async function bookQuickAppointment(input: QuickBookingInput): Promise<BookingResult> {
+  let slotId = input.slot_id;
+  if (!slotId && input.date && input.time) {
+    const slot = await findSlotAt(input.date, input.time, input.doctor_id);
+    if (!slot) return { ok: false, code: 'slotTaken' };
+    slotId = slot.id;
+  }
+
+  const { data, error } = await getSupabaseAdmin().rpc('book_quick_appointment', {
+    p_full_name: input.name,
+    p_phone: input.mobile,
+    p_slot_id: slotId,
+    p_language: resolveLocale(input.locale),
+  });
+
+  if (error) {
+    if (error.code === LOCK_NOT_AVAILABLE || error.message.includes('Slot is not available')) {
+      return { ok: false, code: 'slotTaken' };
+    }
+    if (error.message.includes('Already booked')) {
+      return { ok: false, code: 'alreadyBooked' };
+    }
+    throw new Error(`book_quick_appointment: ${error.message}`);
+  }
+
+  const booking = await getBookingConfirmation((data as { id: string }).id);
+  if (!booking) throw new Error('book_quick_appointment: booking not found after insert');
+  return { ok: true, booking };
+}
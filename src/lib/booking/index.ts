@@ -0,0 +1,3 @@
+export * from './book';
+export * from './slots';
+export * from './validation';
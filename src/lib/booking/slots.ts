@@ -0,0 +1,121 @@
+/**
+ * Doctors and their open time slots
+ * time_slots rows are the bookable units; the opening-hours engine filters
+ * out any that fall on a holiday, over lunch or in the past, so a stale
+ * slot generator cannot offer a time the clinic is closed.
+ */
+
+import { atClinicTime, getClinicSchedule, getDaySchedule } from '@/lib/clinic';
+import type { BookableSlot } from '@/lib/clinic';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+export interface DoctorSummary {
+  id: string;
+  name: string;
+  specializations: string[];
+  languages: string[];
+  consultationMinutes: number;
+}
+
+export interface AvailableSlot extends BookableSlot {
+  id: string;
+  doctorId: string;
+}
+
+interface DoctorRow {
+  id: string;
+  full_name: string;
+  display_name: string | null;
+  specializations: string[] | null;
+  languages: string[] | null;
+  consultation_duration_minutes: number | null;
+}
+
+interface SlotRow {
+  id: string;
+  doctor_id: string;
+  slot_date: string;
+  slot_time: string;
+  slot_end_time: string;
+}
+
+const SLOT_COLUMNS = 'id, doctor_id, slot_date, slot_time, slot_end_time';
+
+export async function listBookableDoctors(): Promise<DoctorSummary[]> {
+  const { data, error } = await getSupabaseAdmin()
+    .from('doctors')
+    .select(
+      'id, full_name, display_name, specializations, languages, consultation_duration_minutes'
+    )
+    .eq('is_active', true)
+    .order('full_name');
+  if (error) throw new Error(`doctors: ${error.message}`);
+
+  return ((data ?? []) as DoctorRow[]).map((row) => ({
+    id: row.id,
+    name: row.display_name || row.full_name,
+    specializations: row.specializations ?? [],
+    languages: row.languages ?? [],
+    consultationMinutes: row.consultation_duration_minutes ?? 15,
+  }));
+}
+
+/** Keeps slots that start inside a session and no earlier than `now` */
+function toAvailableSlots(date: string, rows: SlotRow[], now: Date): AvailableSlot[] {
+  const { sessions } = getDaySchedule(date, getClinicSchedule());
+
+  return rows
+    .map((row) => ({ row, time: row.slot_time.slice(0, 5) }))
+    .filter(({ time }) => sessions.some((session) => session.start <= time && time < session.end))
+    .map(({ row, time }) => ({
+      id: row.id,
+      doctorId: row.doctor_id,
+      time,
+      start: atClinicTime(date, time),
+      end: atClinicTime(date, row.slot_end_time.slice(0, 5)),
+    }))
+    .filter((slot) => slot.start >= now);
+}
+
+export async function getDoctorSlots(
+  doctorId: string,
+  date: string,
+  now = new Date()
+): Promise<AvailableSlot[]> {
+  const { data, error } = await getSupabaseAdmin()
+    .from('time_slots')
+    .select(SLOT_COLUMNS)
+    .eq('doctor_id', doctorId)
+    .eq('slot_date', date)
+    .eq('is_available', true)
+    .eq('is_blocked', false)
+    .order('slot_time');
+  if (error) throw new Error(`time_slots: ${error.message}`);
+
+  return toAvailableSlots(date, (data ?? []) as SlotRow[], now);
+}
+
+/**
+ * The open slot at `date` `time`, for plain form posts that send a date and
+ * time rather than a slot id. Without a doctor, any doctor's slot will do.
+ */
+export async function findSlotAt(
+  date: string,
+  time: string,
+  doctorId?: string,
+  now = new Date()
+): Promise<AvailableSlot | null> {
+  let query = getSupabaseAdmin()
+    .from('time_slots')
+    .select(SLOT_COLUMNS)
+    .eq('slot_date', date)
+    .eq('slot_time', `${time}:00`)
+    .eq('is_available', true)
+    .eq('is_blocked', false);
+  if (doctorId) query = query.eq('doctor_id', doctorId);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`time_slots: ${error.message}`);
+
+  return toAvailableSlots(date, (data ?? []) as SlotRow[], now)[0] ?? null;
+}
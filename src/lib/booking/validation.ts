@@ -0,0 +1,75 @@
+/**
+ * Quick-booking input validation
+ * Shared by the booking API for JSON and plain form posts. landing.js
+ * repeats the name and mobile rules for instant feedback, so keep the two
+ * in step.
+ */
+
+import { z } from 'zod';
+
+/** Error codes map to booking.errors.* in the locale catalogs */
+export type BookingErrorCode =
+  | 'nameRequired'
+  | 'mobileInvalid'
+  | 'slotRequired'
+  | 'slotTaken'
+  | 'alreadyBooked'
+  | 'tooManyAttempts'
+  | 'unavailable';
+
+/**
+ * Accepts "9123 4567", "+65 9123-4567", "6591234567" and returns
+ * "+6591234567", or null when it is not a Singapore mobile (8xxx/9xxx).
+ */
+export function normaliseMobile(value: string): string | null {
+  const digits = value.replace(/[\s()-]/g, '').replace(/^\+?65(?=\d{8}$)/, '');
+  return /^[89]\d{7}$/.test(digits) ? `+65${digits}` : null;
+}
+
+const formString = z
+  .union([z.string(), z.array(z.string())])
+  .transform((value) => (Array.isArray(value) ? (value[0] ?? '') : value).trim());
+
+const optionalFormString = formString.optional().transform((value) => value || undefined);
+
+export const quickBookingSchema = z
+  .object({
+    name: formString.pipe(
+      z
+        .string()
+        .min(2, 'nameRequired')
+        .max(100, 'nameRequired')
+        .regex(/^[\p{L}\p{M}][\p{L}\p{M} .,'@/()-]*$/u, 'nameRequired')
+    ),
+    mobile: formString.transform((value, ctx) => {
+      const mobile = normaliseMobile(value);
+      if (!mobile) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'mobileInvalid' });
+        return z.NEVER;
+      }
+      return mobile;
+    }),
+    // Enhanced form: the slot picked from /api/appointments/availability
+    slot_id: optionalFormString.pipe(z.string().uuid('slotRequired').optional()),
+    // Plain form post: a date and time, optionally with a doctor
+    doctor_id: optionalFormString.pipe(z.string().uuid('slotRequired').optional()),
+    date: optionalFormString.pipe(
+      z
+        .string()
+        .regex(/^\d{4}-\d{2}-\d{2}$/, 'slotRequired')
+        .optional()
+    ),
+    time: optionalFormString.pipe(
+      z
+        .string()
+        .regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'slotRequired')
+        .optional()
+    ),
+    locale: optionalFormString,
+  })
+  .refine((input) => input.slot_id || (input.date && input.time), {
+    message: 'slotRequired',
+    path: ['slot_id'],
+  });
+
+export type QuickBookingInput = z.infer<typeof quickBookingSchema>;
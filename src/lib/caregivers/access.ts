@@ -0,0 +1,113 @@
+/**
+ * Who the signed-in user can act for (server-only)
+ * A user's own records are the active patients registered with their mobile
+ * number, which is how quick booking finds them too. Caregivers also see
+ * everyone whose live grant names that number. Reads made on a grant are
+ * written to audit_logs here; changes are recorded by the database
+ * functions that make them.
+ */
+
+import { getUserPhone } from '@/lib/auth/request-user';
+import type { AuditActor } from '@/lib/auth/request-user';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import { listGrantsForCaregiver } from './grants';
+
+import type { CaregiverScope, PortalPatient } from './scopes';
+import type { User } from '@supabase/supabase-js';
+
+interface PatientRow {
+  id: string;
+  full_name: string;
+  preferred_name: string | null;
+}
+
+async function getPatients(
+  filter: { phone: string } | { ids: string[] }
+): Promise<Map<string, string>> {
+  let query = getSupabaseAdmin()
+    .from('patients')
+    .select('id, full_name, preferred_name')
+    .eq('is_active', true);
+  query = 'phone' in filter ? query.eq('phone', filter.phone) : query.in('id', filter.ids);
+
+  const { data, error } = await query.order('created_at');
+  if (error) throw new Error(`patients: ${error.message}`);
+  return new Map(
+    ((data ?? []) as unknown as PatientRow[]).map((row) => [
+      row.id,
+      row.preferred_name || row.full_name,
+    ])
+  );
+}
+
+/** The user's own patient records first, then those they care for */
+export async function listPortalPatients(user: User, now = new Date()): Promise<PortalPatient[]> {
+  const phone = getUserPhone(user);
+  if (!phone) return [];
+
+  const [own, grants] = await Promise.all([
+    getPatients({ phone }),
+    listGrantsForCaregiver(phone, now),
+  ]);
+  const granted = grants.filter((grant) => !own.has(grant.patientId));
+  const names =
+    granted.length > 0
+      ? await getPatients({ ids: granted.map((grant) => grant.patientId) })
+      : new Map<string, string>();
+
+  const patients: PortalPatient[] = [...own].map(([id, name]) => ({ id, name, grant: null }));
+  for (const grant of granted) {
+    const name = names.get(grant.patientId);
+    if (!name) continue;
+    patients.push({
+      id: grant.patientId,
+      name,
+      grant: { grantId: grant.id, scopes: grant.scopes, expiresAt: grant.expiresAt },
+    });
+  }
+  return patients;
+}
+
+/** One patient from listPortalPatients, or null when the user cannot act for them */
+export async function findPortalPatient(
+  user: User,
+  patientId: string,
+  now = new Date()
+): Promise<PortalPatient | null> {
+  const patients = await listPortalPatients(user, now);
+  return patients.find((patient) => patient.id === patientId) ?? null;
+}
+
+/**
+ * Records that a caregiver looked at a patient's appointments or records.
+ * Throws when the audit row cannot be written, so nothing is shown unlogged.
+ */
+export async function recordCaregiverView(
+  actor: AuditActor,
+  patient: PortalPatient,
+  tableName: 'appointments' | 'medical_records',
+  scope: CaregiverScope
+): Promise<void> {
+  if (!patient.grant) return;
+
+  const { error } = await getSupabaseAdmin()
+    .from('audit_logs')
+    .insert({
+      user_id: actor.userId,
+      user_role: actor.role,
+      ip_address: actor.ipAddress,
+      user_agent: actor.userAgent,
+      action: 'view',
+      action_category: 'medical',
+      table_name: tableName,
+      record_id: patient.id,
+      new_values: {
+        on_behalf_of: patient.id,
+        caregiver_grant_id: patient.grant.grantId,
+        scope,
+      },
+      risk_level: scope === 'view_records' ? 3 : 1,
+    });
+  if (error) throw new Error(`audit_logs: ${error.message}`);
+}
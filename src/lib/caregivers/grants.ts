@@ -0,0 +1,189 @@
+/**
+ * Caregiver grants (server-only)
+ * A grant lets a caregiver's mobile number act for a patient in the portal,
+ * in the scopes chosen, until it expires or is revoked. Every change goes
+ * through save_caregiver_grant(), which writes audit_logs in the same
+ * transaction (supabase/migrations/00008_caregiver_grants.sql).
+ */
+
+import { z } from 'zod';
+
+import type { AuditActor } from '@/lib/auth/request-user';
+import { normaliseMobile } from '@/lib/booking/validation';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import { CAREGIVER_SCOPES, MAX_GRANT_DAYS } from './scopes';
+
+import type { CaregiverScope } from './scopes';
+
+export interface CaregiverGrant {
+  id: string;
+  patientId: string;
+  caregiverPhone: string;
+  label: string | null;
+  scopes: CaregiverScope[];
+  expiresAt: string;
+  grantedByRole: string | null;
+  createdAt: string;
+}
+
+interface GrantRow {
+  id: string;
+  patient_id: string;
+  caregiver_phone: string;
+  label: string | null;
+  scopes: CaregiverScope[];
+  expires_at: string;
+  granted_by_role: string | null;
+  created_at: string;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const grantInputSchema = z.object({
+  caregiverPhone: z.string().transform((value, context) => {
+    const mobile = normaliseMobile(value);
+    if (!mobile) {
+      context.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'Caregiver must have a Singapore mobile number',
+      });
+      return z.NEVER;
+    }
+    return mobile;
+  }),
+  label: z.string().trim().max(50).nullable().default(null),
+  scopes: z
+    .array(z.enum(CAREGIVER_SCOPES))
+    .min(1, 'Choose at least one thing the caregiver may do')
+    // Booking and cancelling happen from the appointment list, so they come with seeing it
+    .transform((scopes) =>
+      CAREGIVER_SCOPES.filter(
+        (scope) =>
+          scopes.includes(scope) ||
+          (scope === 'view_queue' && (scopes.includes('book') || scopes.includes('cancel')))
+      )
+    ),
+  expiresAt: z
+    .string()
+    .datetime({ offset: true })
+    .refine((value) => Date.parse(value) > Date.now(), 'Expiry must be in the future')
+    .refine(
+      (value) => Date.parse(value) <= Date.now() + MAX_GRANT_DAYS * DAY_MS,
+      `Expiry must be within ${MAX_GRANT_DAYS} days`
+    ),
+});
+
+export type GrantInput = z.infer<typeof grantInputSchema>;
+
+export type GrantErrorCode = 'alreadyGranted' | 'ownNumber' | 'notFound';
+
+export type GrantResult = { ok: true } | { ok: false; code: GrantErrorCode };
+
+const GRANT_COLUMNS =
+  'id, patient_id, caregiver_phone, label, scopes, expires_at, granted_by_role, created_at';
+
+/** Postgres unique_violation: the caregiver already has a live grant for the patient */
+const UNIQUE_VIOLATION = '23505';
+/** Raised by save_caregiver_grant() when the grant to change is gone or revoked */
+const NO_DATA_FOUND = 'P0002';
+
+function toGrant(row: GrantRow): CaregiverGrant {
+  return {
+    id: row.id,
+    patientId: row.patient_id,
+    caregiverPhone: row.caregiver_phone,
+    label: row.label,
+    scopes: row.scopes,
+    expiresAt: row.expires_at,
+    grantedByRole: row.granted_by_role,
+    createdAt: row.created_at,
+  };
+}
+
+/** The patient's grants that have not been revoked, including expired ones to renew */
+export async function listCaregiverGrants(patientId: string): Promise<CaregiverGrant[]> {
+  const { data, error } = await getSupabaseAdmin()
+    .from('caregiver_grants')
+    .select(GRANT_COLUMNS)
+    .eq('patient_id', patientId)
+    .is('revoked_at', null)
+    .order('created_at');
+  if (error) throw new Error(`caregiver_grants: ${error.message}`);
+  return ((data ?? []) as unknown as GrantRow[]).map(toGrant);
+}
+
+/** Live grants held by a caregiver's mobile number */
+export async function listGrantsForCaregiver(
+  caregiverPhone: string,
+  now = new Date()
+): Promise<CaregiverGrant[]> {
+  const { data, error } = await getSupabaseAdmin()
+    .from('caregiver_grants')
+    .select(GRANT_COLUMNS)
+    .eq('caregiver_phone', caregiverPhone)
+    .is('revoked_at', null)
+    .gt('expires_at', now.toISOString())
+    .order('created_at');
+  if (error) throw new Error(`caregiver_grants: ${error.message}`);
+  return ((data ?? []) as unknown as GrantRow[]).map(toGrant);
+}
+
+async function callSaveCaregiverGrant(
+  id: string | null,
+  patientId: string,
+  input: GrantInput | null,
+  actor: AuditActor
+): Promise<GrantResult> {
+  const { error } = await getSupabaseAdmin().rpc('save_caregiver_grant', {
+    p_id: id,
+    p_revoke: input === null,
+    p_patient_id: patientId,
+    p_caregiver_phone: input?.caregiverPhone ?? null,
+    p_label: input?.label || null,
+    p_scopes: input?.scopes ?? null,
+    p_expires_at: input?.expiresAt ?? null,
+    p_actor_id: actor.userId,
+    p_actor_role: actor.role,
+    p_ip_address: actor.ipAddress,
+    p_user_agent: actor.userAgent,
+  });
+  if (!error) return { ok: true };
+  if (error.code === UNIQUE_VIOLATION) return { ok: false, code: 'alreadyGranted' };
+  if (error.code === NO_DATA_FOUND) return { ok: false, code: 'notFound' };
+  throw new Error(`save_caregiver_grant: ${error.message}`);
+}
+
+/**
+ * Grants a caregiver access (id null) or changes an existing grant's label,
+ * scopes and expiry. The caregiver's number cannot change; revoke the grant
+ * and add another instead.
+ */
+export async function saveCaregiverGrant(
+  id: string | null,
+  patientId: string,
+  input: GrantInput,
+  actor: AuditActor
+): Promise<GrantResult> {
+  const { data, error } = await getSupabaseAdmin()
+    .from('patients')
+    .select('phone')
+    .eq('id', patientId)
+    .maybeSingle();
+  if (error) throw new Error(`patients: ${error.message}`);
+  if (!data) return { ok: false, code: 'notFound' };
+  // Whoever holds the patient's own number already signs in as them
+  if ((data as { phone: string }).phone === input.caregiverPhone) {
+    return { ok: false, code: 'ownNumber' };
+  }
+
+  return callSaveCaregiverGrant(id, patientId, input, actor);
+}
+
+export function revokeCaregiverGrant(
+  id: string,
+  patientId: string,
+  actor: AuditActor
+): Promise<GrantResult> {
+  return callSaveCaregiverGrant(id, patientId, null, actor);
+}
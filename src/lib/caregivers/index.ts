@@ -0,0 +1,4 @@
+export * from './access';
+export * from './grants';
+export * from './portal';
+export * from './scopes';
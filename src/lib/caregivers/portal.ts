@@ -0,0 +1,265 @@
+/**
+ * Appointments and records in the patient portal (server-only)
+ * Everything here is for one patient the caller has already checked with
+ * findPortalPatient(). Bookings and cancellations go through
+ * portal_book_appointment() and portal_cancel_appointment(), which check a
+ * caregiver's grant again and write audit_logs in the same transaction.
+ */
+
+import { z } from 'zod';
+
+import type { AuditActor } from '@/lib/auth/request-user';
+import { getBookingConfirmation } from '@/lib/booking/book';
+import type { BookingConfirmation } from '@/lib/booking/book';
+import { findSlotAt } from '@/lib/booking/slots';
+import { getVisitEstimates } from '@/lib/chas/estimates';
+import type { SubsidyBreakdown } from '@/lib/chas/subsidy';
+import { clinicDate } from '@/lib/clinic';
+import { ACTIVE_TICKET_STATUSES, createFollowToken } from '@/lib/queue/tickets';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import type { PortalPatient } from './scopes';
+
+export interface PortalAppointment {
+  id: string;
+  queueNumber: string;
+  /** Clinic date, YYYY-MM-DD */
+  queueDate: string;
+  scheduledTime: string;
+  doctorName: string;
+  status: string;
+  cancellable: boolean;
+  /** Queue follow token while the appointment is waiting to be seen today */
+  followToken: string | null;
+  /** What the patient should pay after CHAS; null while CHAS integration is off */
+  estimate: SubsidyBreakdown | null;
+}
+
+export interface PortalRecord {
+  id: string;
+  visitDate: string;
+  doctorName: string;
+  diagnosis: string | null;
+  plan: string | null;
+  prescriptions: Array<{ drugName: string; dosage: string | null; instructions: string | null }>;
+  medicalCertificate: { days: number; startDate: string; endDate: string } | null;
+  followUp: { date: string | null; instructions: string | null } | null;
+}
+
+/** Error codes map to portal.errors.* in the locale catalogs */
+export type PortalErrorCode =
+  | 'slotRequired'
+  | 'slotTaken'
+  | 'alreadyBooked'
+  | 'notCancellable'
+  | 'forbidden';
+
+export type PortalBookingResult =
+  | { ok: true; booking: BookingConfirmation }
+  | { ok: false; code: PortalErrorCode };
+
+export type PortalCancelResult = { ok: true } | { ok: false; code: PortalErrorCode };
+
+export const portalBookingSchema = z
+  .object({
+    patientId: z.string().uuid(),
+    slotId: z.string().uuid().optional(),
+    date: z
+      .string()
+      .regex(/^\d{4}-\d{2}-\d{2}$/)
+      .optional(),
+    time: z
+      .string()
+      .regex(/^\d{2}:\d{2}$/)
+      .optional(),
+    doctorId: z.string().uuid().optional(),
+  })
+  .refine((input) => input.slotId || (input.date && input.time), 'slotRequired');
+
+export type PortalBookingInput = z.infer<typeof portalBookingSchema>;
+
+/** Statuses a patient can still cancel from; after arrival the front desk handles it */
+const CANCELLABLE_STATUSES = ['pending', 'confirmed', 'reminder_sent'];
+/** Appointments no longer going ahead, left out of the portal list */
+const CLOSED_STATUSES = ['cancelled', 'no_show', 'rescheduled'];
+/** How many upcoming appointments the portal shows */
+const APPOINTMENT_LIMIT = 20;
+/** How many past visits the portal shows */
+const RECORD_LIMIT = 20;
+
+/** Postgres lock_not_available: another request holds the slot (FOR UPDATE NOWAIT) */
+const LOCK_NOT_AVAILABLE = '55P03';
+/** Postgres insufficient_privilege: the grant lapsed or lost the scope meanwhile */
+const INSUFFICIENT_PRIVILEGE = '42501';
+/** Raised by portal_cancel_appointment() when the appointment cannot be cancelled */
+const NO_DATA_FOUND = 'P0002';
+
+interface AppointmentRow {
+  id: string;
+  queue_number: string;
+  queue_date: string;
+  scheduled_time: string;
+  status: string;
+  doctors: { full_name: string; display_name: string | null } | null;
+}
+
+interface RecordRow {
+  id: string;
+  created_at: string;
+  diagnosis_primary: string | null;
+  assessment: string | null;
+  plan: string | null;
+  prescriptions: Array<{
+    drug_name?: string;
+    dosage?: string;
+    instructions?: string;
+  }> | null;
+  mc_required: boolean | null;
+  mc_days: number | null;
+  mc_start_date: string | null;
+  mc_end_date: string | null;
+  follow_up_required: boolean | null;
+  follow_up_date: string | null;
+  follow_up_instructions: string | null;
+  appointments: { queue_date: string } | null;
+  doctors: { full_name: string; display_name: string | null } | null;
+}
+
+/** Today's and later appointments that are still going ahead, soonest first */
+export async function listPortalAppointments(
+  patientId: string,
+  now = new Date()
+): Promise<PortalAppointment[]> {
+  const today = clinicDate(now);
+  const { data, error } = await getSupabaseAdmin()
+    .from('appointments')
+    .select(
+      'id, queue_number, queue_date, scheduled_time, status, doctors(full_name, display_name)'
+    )
+    .eq('patient_id', patientId)
+    .gte('queue_date', today)
+    .not('status', 'in', `(${CLOSED_STATUSES.join(',')})`)
+    .order('scheduled_time')
+    .limit(APPOINTMENT_LIMIT);
+  if (error) throw new Error(`appointments: ${error.message}`);
+
+  const rows = (data ?? []) as unknown as AppointmentRow[];
+  const estimates = await getVisitEstimates(rows.map((row) => row.id));
+  return rows.map((row) => {
+    const waiting =
+      row.queue_date === today &&
+      (ACTIVE_TICKET_STATUSES as readonly string[]).includes(row.status);
+    return {
+      id: row.id,
+      queueNumber: row.queue_number,
+      queueDate: row.queue_date,
+      scheduledTime: row.scheduled_time,
+      doctorName: row.doctors?.display_name || row.doctors?.full_name || '',
+      status: row.status,
+      cancellable: CANCELLABLE_STATUSES.includes(row.status),
+      followToken: waiting ? createFollowToken({ id: row.id, queueDate: row.queue_date }) : null,
+      estimate: estimates.get(row.id) ?? null,
+    };
+  });
+}
+
+export async function bookForPatient(
+  patient: PortalPatient,
+  input: PortalBookingInput,
+  actor: AuditActor
+): Promise<PortalBookingResult> {
+  let slotId = input.slotId;
+  if (!slotId && input.date && input.time) {
+    const slot = await findSlotAt(input.date, input.time, input.doctorId);
+    if (!slot) return { ok: false, code: 'slotTaken' };
+    slotId = slot.id;
+  }
+  if (!slotId) return { ok: false, code: 'slotRequired' };
+
+  const { data, error } = await getSupabaseAdmin().rpc('portal_book_appointment', {
+    p_patient_id: patient.id,
+    p_slot_id: slotId,
+    p_grant_id: patient.grant?.grantId ?? null,
+    p_actor_id: actor.userId,
+    p_actor_role: actor.role,
+    p_ip_address: actor.ipAddress,
+    p_user_agent: actor.userAgent,
+  });
+
+  if (error) {
+    if (error.code === LOCK_NOT_AVAILABLE || error.message.includes('Slot is not available')) {
+      return { ok: false, code: 'slotTaken' };
+    }
+    if (error.message.includes('Already booked')) {
+      return { ok: false, code: 'alreadyBooked' };
+    }
+    if (error.code === INSUFFICIENT_PRIVILEGE) return { ok: false, code: 'forbidden' };
+    throw new Error(`portal_book_appointment: ${error.message}`);
+  }
+
+  const booking = await getBookingConfirmation((data as { id: string }).id);
+  if (!booking) throw new Error('portal_book_appointment: booking not found after insert');
+  return { ok: true, booking };
+}
+
+export async function cancelForPatient(
+  patient: PortalPatient,
+  appointmentId: string,
+  actor: AuditActor
+): Promise<PortalCancelResult> {
+  const { error } = await getSupabaseAdmin().rpc('portal_cancel_appointment', {
+    p_appointment_id: appointmentId,
+    p_patient_id: patient.id,
+    p_reason: patient.grant ? 'Cancelled by caregiver in portal' : 'Cancelled in portal',
+    p_grant_id: patient.grant?.grantId ?? null,
+    p_actor_id: actor.userId,
+    p_actor_role: actor.role,
+    p_ip_address: actor.ipAddress,
+    p_user_agent: actor.userAgent,
+  });
+  if (!error) return { ok: true };
+  if (error.code === NO_DATA_FOUND) return { ok: false, code: 'notCancellable' };
+  if (error.code === INSUFFICIENT_PRIVILEGE) return { ok: false, code: 'forbidden' };
+  throw new Error(`portal_cancel_appointment: ${error.message}`);
+}
+
+/**
+ * Finalised visit summaries, newest first. Clinical and private notes stay
+ * with the clinic, and records marked sensitive are only shown to the
+ * patient themselves, never on a caregiver grant.
+ */
+export async function listPortalRecords(patient: PortalPatient): Promise<PortalRecord[]> {
+  let query = getSupabaseAdmin()
+    .from('medical_records')
+    .select(
+      'id, created_at, diagnosis_primary, assessment, plan, prescriptions, mc_required, mc_days, mc_start_date, mc_end_date, follow_up_required, follow_up_date, follow_up_instructions, appointments(queue_date), doctors(full_name, display_name)'
+    )
+    .eq('patient_id', patient.id)
+    .not('finalized_at', 'is', null);
+  if (patient.grant) query = query.eq('is_sensitive', false);
+
+  const { data, error } = await query.order('created_at', { ascending: false }).limit(RECORD_LIMIT);
+  if (error) throw new Error(`medical_records: ${error.message}`);
+
+  return ((data ?? []) as unknown as RecordRow[]).map((row) => ({
+    id: row.id,
+    visitDate: row.appointments?.queue_date ?? clinicDate(new Date(row.created_at)),
+    doctorName: row.doctors?.display_name || row.doctors?.full_name || '',
+    diagnosis: row.diagnosis_primary || row.assessment,
+    plan: row.plan,
+    prescriptions: (row.prescriptions ?? [])
+      .filter((item) => item.drug_name)
+      .map((item) => ({
+        drugName: item.drug_name ?? '',
+        dosage: item.dosage ?? null,
+        instructions: item.instructions ?? null,
+      })),
+    medicalCertificate:
+      row.mc_required && row.mc_days && row.mc_start_date && row.mc_end_date
+        ? { days: row.mc_days, startDate: row.mc_start_date, endDate: row.mc_end_date }
+        : null,
+    followUp: row.follow_up_required
+      ? { date: row.follow_up_date, instructions: row.follow_up_instructions }
+      : null,
+  }));
+}
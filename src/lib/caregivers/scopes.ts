@@ -0,0 +1,31 @@
+/**
+ * What a caregiver may do for a patient
+ * Browser-safe. The values are stored as caregiver_grants.scopes.
+ */
+
+export const CAREGIVER_SCOPES = ['view_queue', 'book', 'cancel', 'view_records'] as const;
+export type CaregiverScope = (typeof CAREGIVER_SCOPES)[number];
+
+/** Longest a grant may run; the patient renews it after that */
+export const MAX_GRANT_DAYS = 366;
+
+/** Live grant details as the caregiver's portal sees them */
+export interface GrantedAccess {
+  grantId: string;
+  scopes: CaregiverScope[];
+  expiresAt: string;
+}
+
+/**
+ * A patient the signed-in user can act for in the portal: one of their own
+ * records (grant null, every scope) or someone who granted them access
+ */
+export interface PortalPatient {
+  id: string;
+  name: string;
+  grant: GrantedAccess | null;
+}
+
+export function canActFor(patient: PortalPatient, scope: CaregiverScope): boolean {
+  return patient.grant === null || patient.grant.scopes.includes(scope);
+}
@@ -0,0 +1,237 @@
+/**
+ * CHAS claims at checkout (server-only)
+ * Staff look a visit up by queue number, confirm what it is claimed as and
+ * the bill, and record the claim through record_chas_claim()
+ * (supabase/migrations/00010_chas_claims.sql), which writes audit_logs in
+ * the same transaction. The subsidy is recalculated here, never taken from
+ * the browser.
+ */
+
+import { z } from 'zod';
+
+import type { AuditActor } from '@/lib/auth/request-user';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import {
+  calculateSubsidy,
+  CHRONIC_CATEGORIES,
+  isVisitCategory,
+  VISIT_CATEGORIES,
+  visitCategory,
+} from './subsidy';
+import { effectiveTier, isChasTier } from './tiers';
+
+import type { SubsidyBreakdown, VisitCategory } from './subsidy';
+import type { ChasHolder, ChasTier } from './tiers';
+
+export interface ChasClaimSummary {
+  id: string;
+  status: string;
+  tier: ChasTier;
+  category: VisitCategory | null;
+  consultationFeeCents: number;
+  medicationFeeCents: number;
+  totalFeeCents: number;
+  subsidyCents: number;
+  payableCents: number;
+}
+
+export interface CheckoutDetails {
+  appointmentId: string;
+  queueNumber: string;
+  /** Clinic date, YYYY-MM-DD */
+  queueDate: string;
+  status: string;
+  patientName: string;
+  nricMasked: string | null;
+  tier: ChasTier;
+  cardNumber: string | null;
+  cardExpiry: string | null;
+  /** What the appointment type is claimed as by default */
+  category: VisitCategory;
+  consultationFeeCents: number;
+  /** Chronic subsidy already claimed for the patient this calendar year */
+  chronicClaimedCents: number;
+  /** The visit's claim, once recorded */
+  claim: ChasClaimSummary | null;
+}
+
+export const checkoutInputSchema = z.object({
+  appointmentId: z.string().uuid(),
+  category: z.enum(VISIT_CATEGORIES),
+  consultationFeeCents: z.number().int().min(0).max(1000000),
+  medicationFeeCents: z.number().int().min(0).max(1000000).default(0),
+});
+
+export type CheckoutInput = z.infer<typeof checkoutInputSchema>;
+
+export type ClaimErrorCode = 'notFound' | 'notAttended' | 'alreadyClaimed';
+
+export type ClaimResult =
+  | { ok: true; breakdown: SubsidyBreakdown }
+  | { ok: false; code: ClaimErrorCode };
+
+/** Postgres unique_violation: the visit already has a live claim */
+const UNIQUE_VIOLATION = '23505';
+/** Raised by record_chas_claim() when the visit was cancelled meanwhile */
+const NO_DATA_FOUND = 'P0002';
+/** A claim needs a visit: the patient has at least checked in */
+export const ATTENDED_STATUSES = ['arrived', 'in_consultation', 'completed'];
+/** Claims that no longer count towards the yearly chronic cap */
+const VOID_STATUSES = ['cancelled', 'rejected'];
+
+interface CheckoutRow {
+  id: string;
+  queue_number: string;
+  queue_date: string;
+  status: string;
+  appointment_type: string | null;
+  patient_id: string;
+  patients:
+    | (ChasHolder & {
+        full_name: string;
+        nric_masked: string | null;
+        chas_card_number: string | null;
+      })
+    | null;
+  doctors: { standard_consultation_fee_cents: number | null } | null;
+}
+
+interface ClaimRow {
+  id: string;
+  appointment_id: string;
+  status: string;
+  chas_tier: string;
+  visit_category: string | null;
+  consultation_fee_cents: number;
+  medication_fee_cents: number | null;
+  total_fee_cents: number;
+  subsidy_amount_cents: number;
+  patient_payable_cents: number;
+}
+
+const CHECKOUT_COLUMNS =
+  'id, queue_number, queue_date, status, appointment_type, patient_id, patients(full_name, nric_masked, chas_tier, chas_card_number, chas_expiry_date, pioneer_generation, merdeka_generation), doctors(standard_consultation_fee_cents)';
+
+const CLAIM_COLUMNS =
+  'id, appointment_id, status, chas_tier, visit_category, consultation_fee_cents, medication_fee_cents, total_fee_cents, subsidy_amount_cents, patient_payable_cents';
+
+function toSummary(row: ClaimRow): ChasClaimSummary {
+  return {
+    id: row.id,
+    status: row.status,
+    tier: isChasTier(row.chas_tier) ? row.chas_tier : 'none',
+    category: isVisitCategory(row.visit_category) ? row.visit_category : null,
+    consultationFeeCents: row.consultation_fee_cents,
+    medicationFeeCents: row.medication_fee_cents ?? 0,
+    totalFeeCents: row.total_fee_cents,
+    subsidyCents: row.subsidy_amount_cents,
+    payableCents: row.patient_payable_cents,
+  };
+}
+
+/** Chronic subsidy claimed for the patient in the calendar year of `date` */
+async function chronicClaimedCents(patientId: string, date: string): Promise<number> {
+  const year = date.slice(0, 4);
+  const { data, error } = await getSupabaseAdmin()
+    .from('chas_claims')
+    .select('subsidy_amount_cents')
+    .eq('patient_id', patientId)
+    .in('visit_category', [...CHRONIC_CATEGORIES])
+    .gte('claim_date', `${year}-01-01`)
+    .lte('claim_date', `${year}-12-31`)
+    .not('status', 'in', `(${VOID_STATUSES.join(',')})`);
+  if (error) throw new Error(`chas_claims: ${error.message}`);
+  return ((data ?? []) as { subsidy_amount_cents: number }[]).reduce(
+    (total, row) => total + row.subsidy_amount_cents,
+    0
+  );
+}
+
+async function toCheckout(row: CheckoutRow): Promise<CheckoutDetails | null> {
+  const patient = row.patients;
+  if (!patient) return null;
+
+  const { data, error } = await getSupabaseAdmin()
+    .from('chas_claims')
+    .select(CLAIM_COLUMNS)
+    .eq('appointment_id', row.id)
+    .neq('status', 'cancelled')
+    .maybeSingle();
+  if (error) throw new Error(`chas_claims: ${error.message}`);
+
+  return {
+    appointmentId: row.id,
+    queueNumber: row.queue_number,
+    queueDate: row.queue_date,
+    status: row.status,
+    patientName: patient.full_name,
+    nricMasked: patient.nric_masked,
+    tier: effectiveTier(patient, row.queue_date),
+    cardNumber: patient.chas_card_number,
+    cardExpiry: patient.chas_expiry_date,
+    category: visitCategory(row.appointment_type),
+    consultationFeeCents: row.doctors?.standard_consultation_fee_cents ?? 0,
+    chronicClaimedCents: await chronicClaimedCents(row.patient_id, row.queue_date),
+    claim: data ? toSummary(data as unknown as ClaimRow) : null,
+  };
+}
+
+/** Visits with this queue number on a clinic date; one per doctor at most */
+export async function findCheckouts(queueNumber: string, date: string): Promise<CheckoutDetails[]> {
+  const { data, error } = await getSupabaseAdmin()
+    .from('appointments')
+    .select(CHECKOUT_COLUMNS)
+    .eq('queue_number', queueNumber)
+    .eq('queue_date', date);
+  if (error) throw new Error(`appointments: ${error.message}`);
+
+  const checkouts = await Promise.all(
+    ((data ?? []) as unknown as CheckoutRow[]).map((row) => toCheckout(row))
+  );
+  return checkouts.filter((checkout): checkout is CheckoutDetails => checkout !== null);
+}
+
+export async function getCheckout(appointmentId: string): Promise<CheckoutDetails | null> {
+  const { data, error } = await getSupabaseAdmin()
+    .from('appointments')
+    .select(CHECKOUT_COLUMNS)
+    .eq('id', appointmentId)
+    .maybeSingle();
+  if (error) throw new Error(`appointments: ${error.message}`);
+  return data ? toCheckout(data as unknown as CheckoutRow) : null;
+}
+
+export async function recordChasClaim(
+  input: CheckoutInput,
+  actor: AuditActor
+): Promise<ClaimResult> {
+  const checkout = await getCheckout(input.appointmentId);
+  if (!checkout) return { ok: false, code: 'notFound' };
+  if (!ATTENDED_STATUSES.includes(checkout.status)) return { ok: false, code: 'notAttended' };
+  if (checkout.claim) return { ok: false, code: 'alreadyClaimed' };
+
+  const breakdown = calculateSubsidy({
+    tier: checkout.tier,
+    category: input.category,
+    feeCents: input.consultationFeeCents + input.medicationFeeCents,
+    chronicClaimedCents: checkout.chronicClaimedCents,
+  });
+
+  const { error } = await getSupabaseAdmin().rpc('record_chas_claim', {
+    p_appointment_id: input.appointmentId,
+    p_visit_category: input.category,
+    p_chas_tier: checkout.tier,
+    p_consultation_fee_cents: input.consultationFeeCents,
+    p_medication_fee_cents: input.medicationFeeCents,
+    p_subsidy_cents: breakdown.subsidyCents,
+    p_actor_id: actor.userId,
+    p_actor_role: actor.role,
+    p_ip_address: actor.ipAddress,
+    p_user_agent: actor.userAgent,
+  });
+  if (!error) return { ok: true, breakdown };
+  if (error.code === UNIQUE_VIOLATION) return { ok: false, code: 'alreadyClaimed' };
+  if (error.code === NO_DATA_FOUND) return { ok: false, code: 'notAttended' };
+  throw new Error(`record_chas_claim: ${error.message}`);
+}
@@ -0,0 +1,55 @@
+/**
+ * What a booked visit should cost the patient (server-only)
+ * The doctor's standard consultation fee less the CHAS subsidy for the
+ * patient's tier on the visit date. Medication, and any yearly cap on
+ * chronic care, are only known at checkout.
+ */
+
+import { isFeatureActive } from '@/lib/features';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import { calculateSubsidy, visitCategory } from './subsidy';
+import { effectiveTier } from './tiers';
+
+import type { SubsidyBreakdown } from './subsidy';
+import type { ChasHolder } from './tiers';
+
+interface EstimateRow {
+  id: string;
+  appointment_type: string | null;
+  queue_date: string;
+  patients: ChasHolder | null;
+  doctors: { standard_consultation_fee_cents: number | null } | null;
+}
+
+/** Estimates by appointment id; empty while CHAS integration is switched off */
+export async function getVisitEstimates(
+  appointmentIds: readonly string[]
+): Promise<Map<string, SubsidyBreakdown>> {
+  const estimates = new Map<string, SubsidyBreakdown>();
+  if (appointmentIds.length === 0 || !(await isFeatureActive('chasIntegration'))) {
+    return estimates;
+  }
+
+  const { data, error } = await getSupabaseAdmin()
+    .from('appointments')
+    .select(
+      'id, appointment_type, queue_date, patients(chas_tier, chas_expiry_date, pioneer_generation, merdeka_generation), doctors(standard_consultation_fee_cents)'
+    )
+    .in('id', [...appointmentIds]);
+  if (error) throw new Error(`appointments: ${error.message}`);
+
+  for (const row of (data ?? []) as unknown as EstimateRow[]) {
+    const feeCents = row.doctors?.standard_consultation_fee_cents;
+    if (!row.patients || feeCents == null) continue;
+    estimates.set(
+      row.id,
+      calculateSubsidy({
+        tier: effectiveTier(row.patients, row.queue_date),
+        category: visitCategory(row.appointment_type),
+        feeCents,
+      })
+    );
+  }
+  return estimates;
+}
@@ -0,0 +1,218 @@
+/**
+ * Monthly CHAS claims batch (server-only)
+ * Every claim awaiting submission with a claim date in the month, each
+ * checked against what a claim needs to be accepted. The CSV has one row per
+ * claim with its problems in the last column, so the batch can be fixed
+ * before it is submitted. Only masked NRICs are stored; the claims officer
+ * matches them against the cards.
+ */
+
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import { calculateSubsidy, CHRONIC_CATEGORIES, isVisitCategory } from './subsidy';
+import { CARD_TIERS, isChasTier } from './tiers';
+
+import type { VisitCategory } from './subsidy';
+import type { ChasTier } from './tiers';
+
+/** Problems that would get a claim rejected; chas.claimIssues.* in the locale catalogs */
+export type ClaimIssue =
+  | 'noTier'
+  | 'tierUnknown'
+  | 'cardMissing'
+  | 'cardExpired'
+  | 'visitIncomplete'
+  | 'categoryMissing'
+  | 'diagnosisMissing'
+  | 'aboveSchedule'
+  | 'nothingToClaim';
+
+export interface BatchClaim {
+  id: string;
+  claimDate: string;
+  status: string;
+  tier: ChasTier;
+  category: VisitCategory | null;
+  cardNumber: string | null;
+  cardExpiry: string | null;
+  patientName: string;
+  nricMasked: string | null;
+  queueNumber: string;
+  appointmentStatus: string;
+  doctorName: string;
+  doctorMcr: string | null;
+  icd10Codes: string[];
+  consultationFeeCents: number;
+  medicationFeeCents: number;
+  totalFeeCents: number;
+  subsidyCents: number;
+  payableCents: number;
+  issues: ClaimIssue[];
+}
+
+/** Claims not yet sent to MOH */
+const BATCH_STATUSES = ['draft', 'pending'];
+
+export const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+interface BatchRow {
+  id: string;
+  appointment_id: string;
+  claim_date: string;
+  status: string;
+  chas_tier: string;
+  chas_card_number: string | null;
+  visit_category: string | null;
+  consultation_fee_cents: number;
+  medication_fee_cents: number | null;
+  total_fee_cents: number;
+  subsidy_amount_cents: number;
+  patient_payable_cents: number;
+  patients: {
+    full_name: string;
+    nric_masked: string | null;
+    chas_expiry_date: string | null;
+  } | null;
+  appointments: {
+    queue_number: string;
+    status: string;
+    doctors: {
+      full_name: string;
+      display_name: string | null;
+      registration_number: string | null;
+    } | null;
+  } | null;
+}
+
+export function validateClaim(claim: Omit<BatchClaim, 'issues'>): ClaimIssue[] {
+  const issues: ClaimIssue[] = [];
+  if (claim.tier === 'none') issues.push('noTier');
+  if (claim.tier === 'chas_card') issues.push('tierUnknown');
+  if (CARD_TIERS.includes(claim.tier)) {
+    if (!claim.cardNumber) issues.push('cardMissing');
+    if (claim.cardExpiry && claim.cardExpiry < claim.claimDate) issues.push('cardExpired');
+  }
+  if (claim.appointmentStatus !== 'completed') issues.push('visitIncomplete');
+
+  if (!claim.category) {
+    issues.push('categoryMissing');
+  } else {
+    if (CHRONIC_CATEGORIES.includes(claim.category) && claim.icd10Codes.length === 0) {
+      issues.push('diagnosisMissing');
+    }
+    // Before any yearly cap, which can only lower it
+    const scheduled = calculateSubsidy({
+      tier: claim.tier,
+      category: claim.category,
+      feeCents: claim.totalFeeCents,
+    });
+    if (claim.subsidyCents > scheduled.subsidyCents) issues.push('aboveSchedule');
+  }
+  if (claim.subsidyCents === 0) issues.push('nothingToClaim');
+  return issues;
+}
+
+/** The month's claims awaiting submission, by claim date; `month` is YYYY-MM */
+export async function listClaimBatch(month: string): Promise<BatchClaim[]> {
+  const supabase = getSupabaseAdmin();
+  const [year, monthNumber] = month.split('-').map(Number) as [number, number];
+  const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+
+  const { data, error } = await supabase
+    .from('chas_claims')
+    .select(
+      'id, appointment_id, claim_date, status, chas_tier, chas_card_number, visit_category, consultation_fee_cents, medication_fee_cents, total_fee_cents, subsidy_amount_cents, patient_payable_cents, patients(full_name, nric_masked, chas_expiry_date), appointments(queue_number, status, doctors(full_name, display_name, registration_number))'
+    )
+    .in('status', BATCH_STATUSES)
+    .gte('claim_date', `${month}-01`)
+    .lte('claim_date', `${month}-${String(lastDay).padStart(2, '0')}`)
+    .order('claim_date')
+    .order('created_at');
+  if (error) throw new Error(`chas_claims: ${error.message}`);
+  const rows = (data ?? []) as unknown as BatchRow[];
+
+  const diagnoses = new Map<string, string[]>();
+  if (rows.length > 0) {
+    const records = await supabase
+      .from('medical_records')
+      .select('appointment_id, icd10_codes')
+      .in(
+        'appointment_id',
+        rows.map((row) => row.appointment_id)
+      );
+    if (records.error) throw new Error(`medical_records: ${records.error.message}`);
+    for (const record of (records.data ?? []) as {
+      appointment_id: string;
+      icd10_codes: string[] | null;
+    }[]) {
+      diagnoses.set(record.appointment_id, record.icd10_codes ?? []);
+    }
+  }
+
+  return rows.map((row) => {
+    const doctor = row.appointments?.doctors;
+    const claim = {
+      id: row.id,
+      claimDate: row.claim_date,
+      status: row.status,
+      tier: isChasTier(row.chas_tier) ? row.chas_tier : 'none',
+      category: isVisitCategory(row.visit_category) ? row.visit_category : null,
+      cardNumber: row.chas_card_number,
+      cardExpiry: row.patients?.chas_expiry_date ?? null,
+      patientName: row.patients?.full_name ?? '',
+      nricMasked: row.patients?.nric_masked ?? null,
+      queueNumber: row.appointments?.queue_number ?? '',
+      appointmentStatus: row.appointments?.status ?? '',
+      doctorName: doctor?.display_name || doctor?.full_name || '',
+      doctorMcr: doctor?.registration_number ?? null,
+      icd10Codes: diagnoses.get(row.appointment_id) ?? [],
+      consultationFeeCents: row.consultation_fee_cents,
+      medicationFeeCents: row.medication_fee_cents ?? 0,
+      totalFeeCents: row.total_fee_cents,
+      subsidyCents: row.subsidy_amount_cents,
+      payableCents: row.patient_payable_cents,
+    } satisfies Omit<BatchClaim, 'issues'>;
+    return { ...claim, issues: validateClaim(claim) };
+  });
+}
+
+function dollars(cents: number): string {
+  return (cents / 100).toFixed(2);
+}
+
+const CSV_COLUMNS: Array<[string, (claim: BatchClaim) => string]> = [
+  ['claim_id', (claim) => claim.id],
+  ['claim_date', (claim) => claim.claimDate],
+  ['chas_tier', (claim) => claim.tier],
+  ['chas_card_number', (claim) => claim.cardNumber ?? ''],
+  ['patient_name', (claim) => claim.patientName],
+  ['nric_masked', (claim) => claim.nricMasked ?? ''],
+  ['doctor_name', (claim) => claim.doctorName],
+  ['doctor_mcr', (claim) => claim.doctorMcr ?? ''],
+  ['visit_category', (claim) => claim.category ?? ''],
+  ['icd10_codes', (claim) => claim.icd10Codes.join(' ')],
+  ['consultation_fee', (claim) => dollars(claim.consultationFeeCents)],
+  ['medication_fee', (claim) => dollars(claim.medicationFeeCents)],
+  ['total_fee', (claim) => dollars(claim.totalFeeCents)],
+  ['subsidy', (claim) => dollars(claim.subsidyCents)],
+  ['patient_payable', (claim) => dollars(claim.payableCents)],
+  ['status', (claim) => claim.status],
+  ['validation_errors', (claim) => claim.issues.join(';')],
+];
+
+/**
+ * Quotes a field when needed (RFC 4180), and defuses values a spreadsheet
+ * would run as a formula, since names and card numbers are typed in by hand.
+ */
+function csvField(value: string): string {
+  const safe = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+export function claimsCsv(claims: readonly BatchClaim[]): string {
+  const lines = [
+    CSV_COLUMNS.map(([header]) => header).join(','),
+    ...claims.map((claim) => CSV_COLUMNS.map(([, value]) => csvField(value(claim))).join(',')),
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
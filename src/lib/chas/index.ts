@@ -0,0 +1,5 @@
+export * from './claims';
+export * from './estimates';
+export * from './export';
+export * from './subsidy';
+export * from './tiers';
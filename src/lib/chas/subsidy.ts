@@ -0,0 +1,150 @@
+/**
+ * CHAS subsidy calculator
+ * Browser-safe, so booking pages can show the same figures checkout charges.
+ *
+ * Amounts follow the MOH CHAS schedule: a fixed amount per visit for each
+ * kind of visit and tier, with a yearly cap on chronic care, and a flat
+ * co-payment for screening follow-ups. Check them against the schedule in
+ * force whenever MOH revises it. The subsidy never exceeds the bill.
+ */
+
+import type { ChasTier } from './tiers';
+
+export const VISIT_CATEGORIES = [
+  'acute',
+  'chronicSimple',
+  'chronicComplex',
+  'screening',
+  'vaccination',
+] as const;
+export type VisitCategory = (typeof VISIT_CATEGORIES)[number];
+
+/** Chronic visits share one yearly cap per patient */
+export const CHRONIC_CATEGORIES: readonly VisitCategory[] = ['chronicSimple', 'chronicComplex'];
+
+/** The tiers with their own rates; the others are subsidised as one of these */
+type RateTier = 'blue' | 'orange' | 'green' | 'pioneer' | 'merdeka';
+
+type Rate =
+  /** Up to this much per visit, and per calendar year if capped */
+  | { perVisitCents: number; yearlyCapCents?: number }
+  /** Patient pays this flat amount; the rest is subsidised */
+  | { copayCents: number };
+
+const NO_SUBSIDY: Rate = { perVisitCents: 0 };
+
+export const SUBSIDY_SCHEDULE: Record<VisitCategory, Record<RateTier, Rate>> = {
+  // Common illnesses
+  acute: {
+    blue: { perVisitCents: 1850 },
+    orange: { perVisitCents: 1050 },
+    green: NO_SUBSIDY,
+    pioneer: { perVisitCents: 2850 },
+    merdeka: { perVisitCents: 2350 },
+  },
+  chronicSimple: {
+    blue: { perVisitCents: 8500, yearlyCapCents: 34000 },
+    orange: { perVisitCents: 6500, yearlyCapCents: 26000 },
+    green: { perVisitCents: 4000, yearlyCapCents: 16000 },
+    pioneer: { perVisitCents: 13500, yearlyCapCents: 54000 },
+    merdeka: { perVisitCents: 11250, yearlyCapCents: 45000 },
+  },
+  chronicComplex: {
+    blue: { perVisitCents: 13000, yearlyCapCents: 52000 },
+    orange: { perVisitCents: 10500, yearlyCapCents: 42000 },
+    green: { perVisitCents: 8000, yearlyCapCents: 32000 },
+    pioneer: { perVisitCents: 18000, yearlyCapCents: 72000 },
+    merdeka: { perVisitCents: 16250, yearlyCapCents: 65000 },
+  },
+  // Screen for Life follow-up consultations
+  screening: {
+    blue: { copayCents: 500 },
+    orange: { copayCents: 500 },
+    green: { copayCents: 500 },
+    pioneer: { copayCents: 0 },
+    merdeka: { copayCents: 0 },
+  },
+  // The consultation only; vaccines on the national schedule are claimed separately
+  vaccination: {
+    blue: { perVisitCents: 1850 },
+    orange: { perVisitCents: 1050 },
+    green: NO_SUBSIDY,
+    pioneer: { perVisitCents: 2850 },
+    merdeka: { perVisitCents: 2350 },
+  },
+};
+
+/** pg_merdeka has Pioneer rates; a card without a recorded colour gets the lowest, green */
+const RATE_TIERS: Record<ChasTier, RateTier | null> = {
+  blue: 'blue',
+  orange: 'orange',
+  green: 'green',
+  pioneer: 'pioneer',
+  merdeka: 'merdeka',
+  pg_merdeka: 'pioneer',
+  chas_card: 'green',
+  none: null,
+};
+
+/** What an appointment_type is claimed as unless staff choose otherwise at checkout */
+const APPOINTMENT_CATEGORIES: Record<string, VisitCategory> = {
+  chronic_care: 'chronicSimple',
+  health_screening: 'screening',
+  vaccination: 'vaccination',
+};
+
+export interface SubsidyInput {
+  tier: ChasTier;
+  category: VisitCategory;
+  /** The whole bill: consultation plus medication */
+  feeCents: number;
+  /** Chronic subsidy already claimed for the patient this calendar year */
+  chronicClaimedCents?: number;
+}
+
+export interface SubsidyBreakdown {
+  tier: ChasTier;
+  category: VisitCategory;
+  feeCents: number;
+  subsidyCents: number;
+  payableCents: number;
+  /** The yearly chronic cap cut this visit's subsidy */
+  capped: boolean;
+}
+
+export function isVisitCategory(value: unknown): value is VisitCategory {
+  return VISIT_CATEGORIES.includes(value as VisitCategory);
+}
+
+export function visitCategory(appointmentType: string | null): VisitCategory {
+  return (appointmentType && APPOINTMENT_CATEGORIES[appointmentType]) || 'acute';
+}
+
+export function calculateSubsidy(input: SubsidyInput): SubsidyBreakdown {
+  const feeCents = Math.max(0, Math.round(input.feeCents));
+  const rateTier = RATE_TIERS[input.tier];
+  const rate = rateTier ? SUBSIDY_SCHEDULE[input.category][rateTier] : NO_SUBSIDY;
+
+  let subsidyCents: number;
+  let capped = false;
+  if ('copayCents' in rate) {
+    subsidyCents = feeCents - rate.copayCents;
+  } else {
+    subsidyCents = rate.perVisitCents;
+    if (rate.yearlyCapCents !== undefined) {
+      const remaining = Math.max(0, rate.yearlyCapCents - (input.chronicClaimedCents ?? 0));
+      capped = remaining < subsidyCents;
+      subsidyCents = Math.min(subsidyCents, remaining);
+    }
+  }
+  subsidyCents = Math.max(0, Math.min(subsidyCents, feeCents));
+
+  return {
+    tier: input.tier,
+    category: input.category,
+    feeCents,
+    subsidyCents,
+    payableCents: feeCents - subsidyCents,
+    capped,
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * CHAS tiers
+ * Browser-safe. patients.chas_tier holds the card colour; Pioneer and
+ * Merdeka Generation are also flags on the patient, and take precedence
+ * because their rates are higher and never expire. A CHAS card past its
+ * expiry date counts as no card.
+ */
+
+export const CHAS_TIERS = [
+  'blue',
+  'orange',
+  'green',
+  'pioneer',
+  'merdeka',
+  'pg_merdeka',
+  'chas_card',
+  'none',
+] as const;
+export type ChasTier = (typeof CHAS_TIERS)[number];
+
+/** Tiers that come with a CHAS card, which has a number and an expiry date */
+export const CARD_TIERS: readonly ChasTier[] = ['blue', 'orange', 'green', 'chas_card'];
+
+/** The subsidy fields of a patients row */
+export interface ChasHolder {
+  chas_tier: string | null;
+  chas_expiry_date: string | null;
+  pioneer_generation: boolean | null;
+  merdeka_generation: boolean | null;
+}
+
+export function isChasTier(value: unknown): value is ChasTier {
+  return CHAS_TIERS.includes(value as ChasTier);
+}
+
+/** The tier a visit on `date` (clinic date, YYYY-MM-DD) is subsidised at */
+export function effectiveTier(holder: ChasHolder, date: string): ChasTier {
+  if (holder.pioneer_generation) return 'pioneer';
+  if (holder.merdeka_generation) return 'merdeka';
+
+  const tier = isChasTier(holder.chas_tier) ? holder.chas_tier : 'none';
+  if (CARD_TIERS.includes(tier) && holder.chas_expiry_date && holder.chas_expiry_date < date) {
+    return 'none';
+  }
+  return tier;
+}
@@ -0,0 +1,2 @@
+export * from './kiosk';
+export * from './token';
@@ -0,0 +1,127 @@
+/**
+ * Self check-in at the kiosk (server-only)
+ * Checks a patient in from their QR code, or from their NRIC ending and date
+ * of birth, through self_check_in() (supabase/migrations/00013_self_check_in.sql),
+ * and answers with what the kiosk shows: the queue number, the doctor, how
+ * many patients are ahead and roughly how long the wait will be.
+ */
+
+import { z } from 'zod';
+
+import type { AuditActor } from '@/lib/auth/request-user';
+import { countAhead, getDoctorWaits, getQueueTicket, waitFor } from '@/lib/queue';
+import type { WaitEstimate } from '@/lib/queue';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import { verifyCheckInToken } from './token';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Rejects dates like 1990-02-30 that match the pattern but do not exist */
+function isCalendarDate(value: string): boolean {
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+export const selfCheckInSchema = z.discriminatedUnion('method', [
+  z.object({ method: z.literal('qr'), token: z.string().min(1).max(1000) }),
+  z.object({
+    method: z.literal('nric'),
+    nricLast4: z
+      .string()
+      .trim()
+      .toUpperCase()
+      .regex(/^\d{3}[A-Z]$/, 'Enter the last 4 characters of the NRIC, e.g. 567D'),
+    dateOfBirth: z
+      .string()
+      .regex(DATE_PATTERN, 'Enter the date of birth as YYYY-MM-DD')
+      .refine(isCalendarDate, 'Enter a real date of birth'),
+  }),
+]);
+
+export type SelfCheckInInput = z.infer<typeof selfCheckInSchema>;
+/** What the kiosk sends, before the NRIC ending is normalised */
+export type SelfCheckInRequest = z.input<typeof selfCheckInSchema>;
+
+export type SelfCheckInErrorCode = 'invalidCode' | 'alreadyUsed' | 'notFound' | 'ambiguous';
+
+export interface SelfCheckInTicket {
+  queueNumber: string;
+  doctorName: string;
+  /** Waiting patients who will be called first */
+  ahead: number;
+  /** Null while the doctor's queue is paused */
+  wait: WaitEstimate | null;
+}
+
+export type SelfCheckInResult =
+  | { ok: true; ticket: SelfCheckInTicket }
+  | { ok: false; code: SelfCheckInErrorCode };
+
+/** Postgres unique_violation: the QR code has been used before */
+const UNIQUE_VIOLATION = '23505';
+/** Postgres no_data_found: nothing booked today to check in */
+const NO_DATA_FOUND = 'P0002';
+/** Postgres too_many_rows: the NRIC ending and birth date fit several patients */
+const TOO_MANY_ROWS = 'P0003';
+
+const ERROR_CODES: Record<string, SelfCheckInErrorCode> = {
+  [UNIQUE_VIOLATION]: 'alreadyUsed',
+  [NO_DATA_FOUND]: 'notFound',
+  [TOO_MANY_ROWS]: 'ambiguous',
+};
+
+/** Checks a patient in for `date` (today's clinic date, YYYY-MM-DD) */
+export async function selfCheckIn(
+  input: SelfCheckInInput,
+  date: string,
+  actor: AuditActor
+): Promise<SelfCheckInResult> {
+  let params: Record<string, string | null>;
+  if (input.method === 'qr') {
+    const claims = verifyCheckInToken(input.token);
+    if (!claims) return { ok: false, code: 'invalidCode' };
+    params = {
+      p_appointment_id: claims.appointmentId,
+      p_token_id: claims.tokenId,
+      p_nric_last_4: null,
+      p_date_of_birth: null,
+    };
+  } else {
+    params = {
+      p_appointment_id: null,
+      p_token_id: null,
+      p_nric_last_4: input.nricLast4,
+      p_date_of_birth: input.dateOfBirth,
+    };
+  }
+
+  const { data, error } = await getSupabaseAdmin().rpc('self_check_in', {
+    ...params,
+    p_queue_date: date,
+    p_actor_id: actor.userId,
+    p_actor_role: actor.role,
+    p_ip_address: actor.ipAddress,
+    p_user_agent: actor.userAgent,
+  });
+  if (error) {
+    const code = error.code ? ERROR_CODES[error.code] : undefined;
+    if (code) return { ok: false, code };
+    throw new Error(`self_check_in: ${error.message}`);
+  }
+
+  const { id } = data as { id: string };
+  const ticket = await getQueueTicket(id);
+  if (!ticket) throw new Error(`self_check_in: appointment ${id} not found after check-in`);
+
+  const doctorWaits = await getDoctorWaits(ticket.doctorId, date);
+  return {
+    ok: true,
+    ticket: {
+      queueNumber: ticket.queueNumber,
+      doctorName: ticket.doctorName,
+      ahead: countAhead(doctorWaits.sequences, ticket.queueSequence),
+      wait: waitFor(doctorWaits, ticket.queueSequence),
+    },
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Self check-in QR codes (server-only)
+ * The booking confirmation shows a QR code holding a signed token for the
+ * appointment. The token is only valid on the day of the appointment and
+ * has a unique id that self_check_ins records when it is used, so a
+ * screenshot cannot be used on another day or used twice.
+ */
+
+import { randomBytes } from 'crypto';
+
+import { atClinicTime } from '@/lib/clinic';
+import { env } from '@/lib/config/env';
+import { ticketExpiry } from '@/lib/queue';
+import type { QueueTicket } from '@/lib/queue';
+import { signToken, verifyToken } from '@/lib/security/signed-token';
+import { renderQrCode } from '@/lib/short-links/qr';
+
+const CHECK_IN_TOKEN_PURPOSE = 'check-in';
+
+/** Statuses an appointment can be checked in from */
+export const CHECK_IN_STATUSES = ['pending', 'confirmed', 'reminder_sent'] as const;
+
+export interface CheckInTokenClaims {
+  appointmentId: string;
+  /** The token's jti, stored when the token is used */
+  tokenId: string;
+}
+
+export function canCheckIn(ticket: Pick<QueueTicket, 'status'>): boolean {
+  return (CHECK_IN_STATUSES as readonly string[]).includes(ticket.status);
+}
+
+/** A token valid from midnight to midnight on the ticket's clinic day */
+export function createCheckInToken(ticket: Pick<QueueTicket, 'id' | 'queueDate'>): string {
+  return signToken(
+    {
+      purpose: CHECK_IN_TOKEN_PURPOSE,
+      sub: ticket.id,
+      nbf: Math.floor(atClinicTime(ticket.queueDate, '00:00').getTime() / 1000),
+      exp: Math.floor(ticketExpiry(ticket.queueDate).getTime() / 1000),
+      jti: randomBytes(12).toString('base64url'),
+    },
+    env.JWT_SECRET
+  );
+}
+
+/** Null when the token is forged, for another purpose or not valid today */
+export function verifyCheckInToken(
+  token: string,
+  now: Date = new Date()
+): CheckInTokenClaims | null {
+  const claims = verifyToken(token, CHECK_IN_TOKEN_PURPOSE, env.JWT_SECRET, now);
+  // Every check-in token has a day window and an id; anything else was not made here
+  if (!claims?.jti || claims.nbf === undefined) return null;
+  return { appointmentId: claims.sub, tokenId: claims.jti };
+}
+
+/** The QR code for a token as an SVG data URL, for an <img> */
+export async function renderCheckInQrCode(token: string): Promise<string> {
+  const svg = (await renderQrCode(token, 'svg')) as string;
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
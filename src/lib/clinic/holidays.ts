@@ -0,0 +1,48 @@
+/**
+ * Singapore public holidays
+ * Generated from src/data/holidays/sg-public-holidays.ics by
+ * `npm run holidays:import`; edit the ICS, not the JSON.
+ */
+
+import holidayList from '@/data/holidays/sg-public-holidays.json';
+
+export interface PublicHoliday {
+  /** Clinic-local date, "YYYY-MM-DD" */
+  date: string;
+  name: string;
+}
+
+export const PUBLIC_HOLIDAYS: readonly PublicHoliday[] = holidayList;
+
+const byDate = new Map(PUBLIC_HOLIDAYS.map((holiday) => [holiday.date, holiday]));
+
+export function findHoliday(
+  date: string,
+  holidays: readonly PublicHoliday[] = PUBLIC_HOLIDAYS
+): PublicHoliday | undefined {
+  return holidays === PUBLIC_HOLIDAYS
+    ? byDate.get(date)
+    : holidays.find((holiday) => holiday.date === date);
+}
+
+/** Holidays on or after `from`, in date order */
+export function upcomingHolidays(
+  from: string,
+  limit = 5,
+  holidays: readonly PublicHoliday[] = PUBLIC_HOLIDAYS
+): PublicHoliday[] {
+  return holidays.filter((holiday) => holiday.date >= from).slice(0, limit);
+}
+
+/**
+ * Years among `years` with no holidays in the list. MOM gazettes each year's
+ * holidays the year before; until they are imported, opening hours treat
+ * those dates as ordinary days.
+ */
+export function missingHolidayYears(
+  years: readonly number[],
+  holidays: readonly PublicHoliday[] = PUBLIC_HOLIDAYS
+): number[] {
+  const covered = new Set(holidays.map((holiday) => Number(holiday.date.slice(0, 4))));
+  return years.filter((year) => !covered.has(year));
+}
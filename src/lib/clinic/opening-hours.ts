@@ -0,0 +1,237 @@
+/**
+ * Opening-hours engine
+ * Interprets NEXT_PUBLIC_CLINIC_HOURS, NEXT_PUBLIC_LUNCH_HOURS and the
+ * public-holiday list to answer "are we open?", "when do we next open?" and
+ * "which slots can be booked on a date?". All wall-clock times are clinic
+ * time (Asia/Singapore); instants are plain Dates, so the answers do not
+ * depend on the server or device time zone.
+ */
+
+import { formatInTimeZone, zonedTimeToUtc } from 'date-fns-tz';
+
+import { getPublicConfig } from '@/lib/config/public';
+import { WEEKDAYS } from '@/lib/config/schema';
+import type { ClinicHours, TimeRange, Weekday } from '@/lib/config/schema';
+import { CLINIC_TIME_ZONE } from '@/lib/i18n/config';
+
+import { PUBLIC_HOLIDAYS, findHoliday } from './holidays';
+
+import type { PublicHoliday } from './holidays';
+
+export interface ClinicSchedule {
+  hours: ClinicHours;
+  lunch: TimeRange | null;
+  holidays: readonly PublicHoliday[];
+}
+
+export interface DaySchedule {
+  /** Clinic-local date, "YYYY-MM-DD" */
+  date: string;
+  weekday: Weekday;
+  holiday: PublicHoliday | null;
+  /** Consulting sessions in clinic time, lunch already carved out */
+  sessions: TimeRange[];
+}
+
+export type ClosedReason =
+  | 'public-holiday'
+  | 'closed-day'
+  | 'before-opening'
+  | 'lunch'
+  | 'after-closing';
+
+export interface OpeningStatus {
+  isOpen: boolean;
+  reason: 'open' | ClosedReason;
+  holiday: PublicHoliday | null;
+  /** End of the current session, when open */
+  closesAt: Date | null;
+  /** Start of the next session after `now`, null if none within the horizon */
+  nextOpening: Date | null;
+}
+
+export interface BookableSlot {
+  start: Date;
+  end: Date;
+  /** Clinic-local start time, "HH:MM" */
+  time: string;
+}
+
+export interface SlotOptions {
+  slotMinutes?: number;
+  /** Slots starting before `now + leadMinutes` are not offered */
+  now?: Date;
+  leadMinutes?: number;
+}
+
+/** How far ahead to look for the next opening (covers long CNY closures) */
+const DEFAULT_HORIZON_DAYS = 31;
+const DEFAULT_SLOT_MINUTES = 15;
+
+/** The schedule from the running container's public config and bundled holidays */
+export function getClinicSchedule(): ClinicSchedule {
+  const { hours, lunch } = getPublicConfig().clinic;
+  return { hours, lunch, holidays: PUBLIC_HOLIDAYS };
+}
+
+const toMinutes = (time: string) => {
+  const [hours = 0, minutes = 0] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const fromMinutes = (total: number) =>
+  `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+
+/** Clinic-local calendar date of an instant, "YYYY-MM-DD" */
+export function clinicDate(instant: Date): string {
+  return formatInTimeZone(instant, CLINIC_TIME_ZONE, 'yyyy-MM-dd');
+}
+
+/** Clinic-local wall-clock time of an instant, "HH:MM" */
+export function clinicTime(instant: Date): string {
+  return formatInTimeZone(instant, CLINIC_TIME_ZONE, 'HH:mm');
+}
+
+/** The instant at which the clinic clock reads `time` on `date` */
+export function atClinicTime(date: string, time: string): Date {
+  return zonedTimeToUtc(`${date} ${time}`, CLINIC_TIME_ZONE);
+}
+
+export function addDays(date: string, days: number): string {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+export function weekdayOf(date: string): Weekday {
+  // getUTCDay() is 0 for Sunday; WEEKDAYS starts on Monday
+  const index = (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+  return WEEKDAYS[index] ?? 'mon';
+}
+
+/** Splits a day's hours around lunch, dropping any part lunch swallows whole */
+function splitAroundLunch(hours: TimeRange, lunch: TimeRange | null): TimeRange[] {
+  if (!lunch || lunch.end <= hours.start || lunch.start >= hours.end) return [hours];
+
+  const sessions: TimeRange[] = [];
+  if (hours.start < lunch.start) sessions.push({ start: hours.start, end: lunch.start });
+  if (lunch.end < hours.end) sessions.push({ start: lunch.end, end: hours.end });
+  return sessions;
+}
+
+export function getDaySchedule(date: string, schedule: ClinicSchedule): DaySchedule {
+  const weekday = weekdayOf(date);
+  const holiday = findHoliday(date, schedule.holidays) ?? null;
+  const hours = schedule.hours[weekday];
+
+  return {
+    date,
+    weekday,
+    holiday,
+    sessions: hours && !holiday ? splitAroundLunch(hours, schedule.lunch) : [],
+  };
+}
+
+/** Regular weekly hours, Monday first, ignoring holidays */
+export function getWeeklyHours(
+  schedule: ClinicSchedule
+): Array<{ weekday: Weekday; sessions: TimeRange[] }> {
+  return WEEKDAYS.map((weekday) => {
+    const hours = schedule.hours[weekday];
+    return { weekday, sessions: hours ? splitAroundLunch(hours, schedule.lunch) : [] };
+  });
+}
+
+export function getNextOpening(
+  from: Date,
+  schedule: ClinicSchedule,
+  horizonDays = DEFAULT_HORIZON_DAYS
+): Date | null {
+  const today = clinicDate(from);
+
+  for (let offset = 0; offset <= horizonDays; offset += 1) {
+    const day = getDaySchedule(addDays(today, offset), schedule);
+    for (const session of day.sessions) {
+      const start = atClinicTime(day.date, session.start);
+      if (start > from) return start;
+    }
+  }
+  return null;
+}
+
+export function getOpeningStatus(now: Date, schedule: ClinicSchedule): OpeningStatus {
+  const day = getDaySchedule(clinicDate(now), schedule);
+  const nextOpening = getNextOpening(now, schedule);
+  const closed = (reason: ClosedReason): OpeningStatus => ({
+    isOpen: false,
+    reason,
+    holiday: day.holiday,
+    closesAt: null,
+    nextOpening,
+  });
+
+  if (day.holiday) return closed('public-holiday');
+  if (day.sessions.length === 0) return closed('closed-day');
+
+  const time = clinicTime(now);
+  const current = day.sessions.find((session) => session.start <= time && time < session.end);
+  if (current) {
+    return {
+      isOpen: true,
+      reason: 'open',
+      holiday: null,
+      closesAt: atClinicTime(day.date, current.end),
+      nextOpening,
+    };
+  }
+
+  const first = day.sessions[0];
+  const last = day.sessions[day.sessions.length - 1];
+  if (first && time < first.start) return closed('before-opening');
+  if (last && time >= last.end) return closed('after-closing');
+  return closed('lunch');
+}
+
+/**
+ * Slot start times on `date` that fit entirely inside a session. Existing
+ * bookings are not considered here; callers filter those out.
+ */
+export function getBookableSlots(
+  date: string,
+  schedule: ClinicSchedule,
+  { slotMinutes = DEFAULT_SLOT_MINUTES, now = new Date(), leadMinutes = 0 }: SlotOptions = {}
+): BookableSlot[] {
+  const earliest = now.getTime() + leadMinutes * 60_000;
+
+  return getDaySchedule(date, schedule).sessions.flatMap((session) => {
+    const slots: BookableSlot[] = [];
+    const end = toMinutes(session.end);
+
+    for (let start = toMinutes(session.start); start + slotMinutes <= end; start += slotMinutes) {
+      const time = fromMinutes(start);
+      const instant = atClinicTime(date, time);
+      if (instant.getTime() < earliest) continue;
+      slots.push({
+        start: instant,
+        end: new Date(instant.getTime() + slotMinutes * 60_000),
+        time,
+      });
+    }
+    return slots;
+  });
+}
+
+/** First bookable slot from `now` onwards, looking up to the horizon */
+export function getNextBookableSlot(
+  schedule: ClinicSchedule,
+  options: SlotOptions = {},
+  horizonDays = DEFAULT_HORIZON_DAYS
+): BookableSlot | null {
+  const today = clinicDate(options.now ?? new Date());
+
+  for (let offset = 0; offset <= horizonDays; offset += 1) {
+    const [slot] = getBookableSlots(addDays(today, offset), schedule, options);
+    if (slot) return slot;
+  }
+  return null;
+}
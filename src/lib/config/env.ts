@@ -0,0 +1,77 @@
+/**
+ * Validated runtime environment (server-only)
+ *
+ * Variables are read from process.env when the server starts rather than
+ * inlined at build time, so one Docker image can serve staging and
+ * production. Browser code must use usePublicConfig() instead.
+ *
+ * Set SKIP_ENV_VALIDATION=true for `next build` in CI/Docker, where the
+ * runtime environment is not available yet.
+ */
+
+import { createEnv } from '@t3-oss/env-nextjs';
+
+import { clientSchema, serverSchema } from './schema';
+
+if (typeof window !== 'undefined') {
+  throw new Error('@/lib/config/env is server-only; use usePublicConfig() in the browser');
+}
+
+type PublicEnvKey = keyof typeof clientSchema;
+
+/**
+ * Reads each public key with a computed property access so Next.js does
+ * not replace NEXT_PUBLIC_* references with build-time literals.
+ * Server keys are read from process.env directly by createEnv.
+ */
+function readPublicRuntimeEnv(): Record<string, string | undefined> {
+  const keys = Object.keys(clientSchema) as PublicEnvKey[];
+  return Object.fromEntries(keys.map((key) => [key, process.env[key]]));
+}
+
+export const env = createEnv({
+  server: serverSchema,
+  client: clientSchema,
+  experimental__runtimeEnv: readPublicRuntimeEnv(),
+  isServer: true,
+  emptyStringAsUndefined: true,
+  skipValidation: process.env.SKIP_ENV_VALIDATION === 'true',
+  onValidationError: (issues) => {
+    const details = issues
+      .map((issue) => `  ${issue.path?.map(String).join('.') ?? '(root)'}: ${issue.message}`)
+      .join('\n');
+    console.error(`❌ Invalid environment variables:\n${details}`);
+    throw new Error('Invalid environment variables');
+  },
+});
+
+/**
+ * Cross-variable rules that a per-variable schema cannot express.
+ * Production must never run with mock transports, insecure cookies or a
+ * placeholder metrics token.
+ */
+export function assertProductionSafety(): void {
+  if (env.NODE_ENV !== 'production' || process.env.SKIP_ENV_VALIDATION === 'true') return;
+
+  const problems: string[] = [];
+  (['MOCK_SMS', 'MOCK_WHATSAPP', 'MOCK_PAYMENT', 'MOCK_EMAIL', 'MOCK_PUSH'] as const).forEach(
+    (key) => {
+      if (env[key]) problems.push(`${key} must be false in production`);
+    }
+  );
+  if (!env.SESSION_COOKIE_SECURE) problems.push('SESSION_COOKIE_SECURE must be true in production');
+  if (env.SESSION_COOKIE_SAMESITE === 'none' && !env.SESSION_COOKIE_SECURE) {
+    problems.push('SESSION_COOKIE_SAMESITE=none requires SESSION_COOKIE_SECURE=true');
+  }
+  // The value .env.example used to ship is public, so it protects nothing
+  if (env.METRICS_TOKEN?.startsWith('development-')) {
+    problems.push('METRICS_TOKEN must be generated, not a development- placeholder');
+  }
+
+  if (problems.length > 0) {
+    console.error(`❌ Unsafe production configuration:\n  ${problems.join('\n  ')}`);
+    throw new Error('Unsafe production configuration');
+  }
+}
+
+export type Env = typeof env;
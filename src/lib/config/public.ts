@@ -0,0 +1,131 @@
+/**
+ * Public (browser-safe) settings
+ * Built on the server from the validated env and embedded in the page by
+ * _document as JSON, so the browser sees the values of the running
+ * container rather than those present at build time. Prerendered pages
+ * (/offline, /404, /500) are rendered once during the build, so they load
+ * the settings from PUBLIC_CONFIG_PATH instead.
+ */
+
+import { defaultFeatureStates, resolveFeatures } from '@/lib/features/flags';
+import type { FeatureFlag } from '@/lib/features/flags';
+
+import type { Env } from './env';
+import type { ClinicHours, TimeRange } from './schema';
+
+export const PUBLIC_CONFIG_SCRIPT_ID = '__CLINIC_CONFIG__';
+/** Script setting window.clinicPublicConfig, for pages rendered at build time */
+export const PUBLIC_CONFIG_PATH = '/api/config';
+
+export interface PublicConfig {
+  appEnv: 'development' | 'staging' | 'production';
+  appUrl: string;
+  apiUrl: string;
+  appName: string;
+  appVersion: string;
+  appDescription: string;
+  clinic: {
+    name: string;
+    phone: string;
+    email: string;
+    address: string;
+    postalCode: string;
+    registration: string;
+    hours: ClinicHours;
+    lunch: TimeRange | null;
+  };
+  supabase: {
+    url: string;
+    anonKey: string;
+  };
+  push: {
+    /** Null when browser push is not configured; see also features.pushNotifications */
+    vapidPublicKey: string | null;
+  };
+  /**
+   * Flags by their FEATURE_* defaults. Overrides and rollouts are applied
+   * by useFeature once /api/features answers.
+   */
+  features: Record<FeatureFlag, boolean>;
+  sentryDsn: string | null;
+}
+
+function buildPublicConfig(env: Env): PublicConfig {
+  return {
+    appEnv: env.NEXT_PUBLIC_APP_ENV,
+    appUrl: env.NEXT_PUBLIC_APP_URL,
+    apiUrl: env.NEXT_PUBLIC_API_URL,
+    appName: env.NEXT_PUBLIC_APP_NAME,
+    appVersion: env.NEXT_PUBLIC_APP_VERSION,
+    appDescription: env.NEXT_PUBLIC_APP_DESCRIPTION,
+    clinic: {
+      name: env.NEXT_PUBLIC_CLINIC_NAME,
+      phone: env.NEXT_PUBLIC_CLINIC_PHONE,
+      email: env.NEXT_PUBLIC_CLINIC_EMAIL,
+      address: env.NEXT_PUBLIC_CLINIC_ADDRESS,
+      postalCode: env.NEXT_PUBLIC_CLINIC_POSTAL_CODE,
+      registration: env.NEXT_PUBLIC_CLINIC_REGISTRATION,
+      hours: env.NEXT_PUBLIC_CLINIC_HOURS,
+      lunch: env.NEXT_PUBLIC_LUNCH_HOURS ?? null,
+    },
+    supabase: {
+      url: env.NEXT_PUBLIC_SUPABASE_URL,
+      anonKey: env.NEXT_PUBLIC_SUPABASE_ANON_KEY,
+    },
+    push: {
+      vapidPublicKey: env.VAPID_PRIVATE_KEY ? (env.NEXT_PUBLIC_VAPID_PUBLIC_KEY ?? null) : null,
+    },
+    features: resolveFeatures(defaultFeatureStates(env)),
+    sentryDsn: env.NEXT_PUBLIC_SENTRY_DSN ?? null,
+  };
+}
+
+/** Serialises for an inline JSON script, escaping "<" so "</script>" cannot break out. */
+export function serializePublicConfig(config: PublicConfig): string {
+  return JSON.stringify(config).replace(/</g, '\\u003c');
+}
+
+/** Body of the PUBLIC_CONFIG_PATH script */
+export function publicConfigScript(config: PublicConfig): string {
+  return `window.clinicPublicConfig = ${serializePublicConfig(config)};\n`;
+}
+
+// Not named after PUBLIC_CONFIG_SCRIPT_ID: window exposes elements by id
+declare global {
+  interface Window {
+    clinicPublicConfig?: PublicConfig;
+  }
+}
+
+let cachedConfig: PublicConfig | null = null;
+
+/**
+ * Returns the public settings on either side.
+ * Server: derived from the validated env. Next.js strips the
+ * `typeof window` branch from browser bundles, so env.ts never ships.
+ * Browser: read once from the JSON embedded by _document, or on prerendered
+ * pages from the PUBLIC_CONFIG_PATH script.
+ */
+export function getPublicConfig(): PublicConfig {
+  if (cachedConfig) return cachedConfig;
+
+  if (typeof window === 'undefined') {
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    const { env } = require('./env') as typeof import('./env');
+    cachedConfig = buildPublicConfig(env);
+    return cachedConfig;
+  }
+
+  if (window.clinicPublicConfig) {
+    cachedConfig = window.clinicPublicConfig;
+    return cachedConfig;
+  }
+
+  const element = document.getElementById(PUBLIC_CONFIG_SCRIPT_ID);
+  if (!element?.textContent) {
+    throw new Error(`Missing #${PUBLIC_CONFIG_SCRIPT_ID}; is _document rendering it?`);
+  }
+
+  cachedConfig = JSON.parse(element.textContent) as PublicConfig;
+  return cachedConfig;
+}
@@ -0,0 +1,321 @@
+/**
+ * Zod schemas for environment variables
+ * Every variable in .env.example is declared here. Values arrive as strings,
+ * so these helpers coerce them into typed settings and reject bad values.
+ */
+
+import { z } from 'zod';
+
+import { SUPPORTED_LOCALES } from '@/lib/i18n/config';
+
+export const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'] as const;
+export type Weekday = (typeof WEEKDAYS)[number];
+
+/** "HH:MM" on a 24-hour clock */
+const clockTime = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Expected HH:MM (24-hour)');
+
+export interface TimeRange {
+  start: string;
+  end: string;
+}
+
+/** "09:00-18:00" -> { start: '09:00', end: '18:00' } */
+export const timeRange = z
+  .string()
+  .trim()
+  .transform((value) => value.split('-').map((part) => part.trim()))
+  .pipe(z.tuple([clockTime, clockTime]))
+  .transform(([start, end]): TimeRange => ({ start, end }))
+  .refine(({ start, end }) => start < end, 'Range must end after it starts');
+
+/** One day of NEXT_PUBLIC_CLINIC_HOURS: "HH:MM-HH:MM" or "closed" (-> null) */
+const dayHours = z.union([z.literal('closed').transform(() => null), timeRange]);
+
+/** NEXT_PUBLIC_CLINIC_HOURS: JSON object of weekday -> "HH:MM-HH:MM" | "closed" */
+export const clinicHours = z
+  .string()
+  .transform((value, ctx) => {
+    try {
+      return JSON.parse(value) as unknown;
+    } catch {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Expected a JSON object' });
+      return z.NEVER;
+    }
+  })
+  .pipe(
+    z.object({
+      mon: dayHours,
+      tue: dayHours,
+      wed: dayHours,
+      thu: dayHours,
+      fri: dayHours,
+      sat: dayHours,
+      sun: dayHours,
+    })
+  );
+
+export type ClinicHours = Record<Weekday, TimeRange | null>;
+
+/** "true"/"false"/"1"/"0" -> boolean. Anything else is rejected. */
+export const booleanFlag = (defaultValue: boolean) =>
+  z
+    .enum(['true', 'false', '1', '0'])
+    .optional()
+    .transform((value) => (value === undefined ? defaultValue : value === 'true' || value === '1'));
+
+export const integer = (defaultValue: number, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) =>
+  z.coerce.number().int().min(min).max(max).default(defaultValue);
+
+export const ratio = (defaultValue: number) =>
+  z.coerce.number().min(0).max(1).default(defaultValue);
+
+/** Durations such as "15m", "7d", "30s" */
+export const duration = (defaultValue: string) =>
+  z
+    .string()
+    .regex(/^\d+(ms|s|m|h|d)$/, 'Expected a duration like 30s, 15m or 7d')
+    .default(defaultValue);
+
+/** Comma-separated list -> string[] */
+export const csvList = (defaultValue = '') =>
+  z
+    .string()
+    .default(defaultValue)
+    .transform((value) =>
+      value
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean)
+    );
+
+const secret = (minLength: number) =>
+  z.string().min(minLength, `Must be at least ${minLength} characters`);
+const optionalString = z.string().optional();
+
+/** Singapore number in E.164, e.g. +6567891234 */
+const sgPhone = z
+  .string()
+  .regex(/^\+65[3689]\d{7}$/, 'Expected a Singapore number like +6567891234');
+
+const featureFlag = (defaultValue: boolean) => booleanFlag(defaultValue);
+
+export const serverSchema = {
+  NODE_ENV: z.enum(['development', 'test', 'production']).default('development'),
+  INSTANCE_ID: z.string().default('default'),
+
+  // Database
+  DATABASE_URL: z.string().url(),
+  DATABASE_POOL_URL: z.string().url().optional(),
+  SUPABASE_SERVICE_ROLE_KEY: z.string().min(1),
+  SUPABASE_JWT_SECRET: secret(32),
+
+  // Authentication & security
+  NEXTAUTH_URL: z.string().url().optional(),
+  NEXTAUTH_SECRET: secret(32),
+  JWT_SECRET: secret(32),
+  JWT_SIGNING_KEY: secret(32),
+  ACCESS_TOKEN_EXPIRES_IN: duration('15m'),
+  REFRESH_TOKEN_EXPIRES_IN: duration('7d'),
+  OTP_SECRET: secret(16),
+  OTP_EXPIRES_IN: integer(300, { min: 30 }),
+  OTP_MAX_ATTEMPTS: integer(3, { min: 1 }),
+  OTP_COOLDOWN: integer(60),
+  BCRYPT_ROUNDS: integer(10, { min: 4, max: 15 }),
+  PASSWORD_MIN_LENGTH: integer(8, { min: 6 }),
+  SESSION_COOKIE_NAME: z.string().default('gfc_session'),
+  SESSION_COOKIE_SECURE: booleanFlag(true),
+  SESSION_COOKIE_HTTPONLY: booleanFlag(true),
+  SESSION_COOKIE_SAMESITE: z.enum(['lax', 'strict', 'none']).default('lax'),
+  SESSION_MAX_AGE: integer(86400, { min: 60 }),
+  CSP_REPORT_ONLY: booleanFlag(false),
+  CORS_ORIGIN: csvList(),
+  CORS_CREDENTIALS: booleanFlag(true),
+
+  // Twilio (SMS/WhatsApp)
+  TWILIO_ACCOUNT_SID: optionalString,
+  TWILIO_AUTH_TOKEN: optionalString,
+  TWILIO_PHONE_NUMBER: z
+    .string()
+    .regex(/^\+\d{8,15}$/)
+    .optional(),
+  TWILIO_WHATSAPP_NUMBER: z
+    .string()
+    .regex(/^whatsapp:\+\d{8,15}$/)
+    .optional(),
+  TWILIO_MESSAGING_SERVICE_SID: optionalString,
+  TWILIO_WEBHOOK_SECRET: optionalString,
+
+  // Stripe
+  STRIPE_PUBLISHABLE_KEY: optionalString,
+  STRIPE_SECRET_KEY: optionalString,
+  STRIPE_WEBHOOK_SECRET: optionalString,
+  STRIPE_PRICE_ID_CONSULTATION: optionalString,
+
+  // SendGrid
+  SENDGRID_API_KEY: optionalString,
+  SENDGRID_FROM_EMAIL: z.string().email().optional(),
+  SENDGRID_FROM_NAME: z.string().default('Gabriel Family Clinic'),
+  SENDGRID_TEMPLATE_APPOINTMENT_CONFIRMATION: optionalString,
+  SENDGRID_TEMPLATE_APPOINTMENT_REMINDER: optionalString,
+  SENDGRID_WEBHOOK_PUBLIC_KEY: optionalString,
+
+  // Appointment notifications
+  NOTIFICATION_REMINDER_HOURS: integer(24, { min: 1, max: 72 }),
+
+  // Front desk: prefixes walk-ins can be numbered under, the first is the default
+  QUEUE_WALK_IN_PREFIXES: csvList('W').pipe(
+    z
+      .array(z.string().regex(/^[A-Z]{1,2}$/, 'Expected prefixes of one or two capital letters'))
+      .min(1)
+  ),
+  // Waiting-room display: languages each call-out is spoken in, in order
+  QUEUE_CALLOUT_LANGUAGES: csvList(SUPPORTED_LOCALES.join(',')).pipe(
+    z.array(z.enum(SUPPORTED_LOCALES)).min(1)
+  ),
+  // Wait estimates: days of completed consultations to learn durations from
+  QUEUE_ESTIMATE_HISTORY_DAYS: integer(56, { min: 7, max: 365 }),
+
+  // Web Push (VAPID); NEXT_PUBLIC_VAPID_PUBLIC_KEY is in clientSchema
+  VAPID_PRIVATE_KEY: optionalString,
+  VAPID_SUBJECT: z
+    .string()
+    .regex(/^(mailto:|https:\/\/)/, 'Expected a mailto: or https:// URL')
+    .optional(),
+  PUSH_ALERT_POSITIONS_AWAY: integer(3, { min: 1, max: 20 }),
+
+  // Daily.co
+  DAILY_API_KEY: optionalString,
+  DAILY_DOMAIN: optionalString,
+
+  // Redis
+  REDIS_URL: z.string().url().default('redis://localhost:6379'),
+  REDIS_PASSWORD: optionalString,
+  REDIS_DB: integer(0, { max: 15 }),
+  REDIS_KEY_PREFIX: z.string().default('gfc:'),
+  REDIS_TTL_DEFAULT: integer(3600, { min: 1 }),
+  REDIS_TTL_SESSION: integer(86400, { min: 1 }),
+  REDIS_TTL_OTP: integer(300, { min: 1 }),
+
+  // Supabase Storage
+  STORAGE_BUCKET_MEDICAL_DOCS: z.string().default('medical-documents'),
+  STORAGE_BUCKET_PROFILE_PHOTOS: z.string().default('profile-photos'),
+  STORAGE_MAX_FILE_SIZE: integer(10 * 1024 * 1024, { min: 1 }),
+  STORAGE_ALLOWED_MIME_TYPES: csvList('application/pdf,image/jpeg,image/png'),
+
+  // Monitoring & logging
+  SENTRY_ORG: optionalString,
+  SENTRY_PROJECT: optionalString,
+  SENTRY_AUTH_TOKEN: optionalString,
+  SENTRY_ENVIRONMENT: optionalString,
+  SENTRY_TRACES_SAMPLE_RATE: ratio(0.1),
+  SENTRY_REPLAY_SAMPLE_RATE: ratio(0.1),
+  METRICS_TOKEN: secret(32).optional(),
+  LOG_LEVEL: z.enum(['trace', 'debug', 'info', 'warn', 'error', 'fatal']).default('info'),
+  LOG_FORMAT: z.enum(['json', 'pretty']).default('json'),
+  LOG_PRETTY: booleanFlag(false),
+  LOG_FILE_PATH: optionalString,
+  LOG_FILE_MAX_SIZE: integer(10 * 1024 * 1024, { min: 1 }),
+  LOG_FILE_MAX_FILES: integer(5, { min: 1 }),
+
+  // Feature flags
+  FEATURE_APPOINTMENT_BOOKING: featureFlag(true),
+  FEATURE_QUEUE_MANAGEMENT: featureFlag(true),
+  FEATURE_MEDICAL_RECORDS: featureFlag(true),
+  FEATURE_NOTIFICATIONS: featureFlag(true),
+  FEATURE_SMS_NOTIFICATIONS: featureFlag(true),
+  FEATURE_WHATSAPP_NOTIFICATIONS: featureFlag(true),
+  FEATURE_EMAIL_NOTIFICATIONS: featureFlag(false),
+  FEATURE_PUSH_NOTIFICATIONS: featureFlag(true),
+  FEATURE_ONLINE_PAYMENT: featureFlag(false),
+  FEATURE_CHAS_INTEGRATION: featureFlag(true),
+  FEATURE_TELEMEDICINE: featureFlag(false),
+  FEATURE_PHARMACY_INTEGRATION: featureFlag(false),
+  FEATURE_LAB_RESULTS: featureFlag(false),
+  FEATURE_HEALTH_SCREENING: featureFlag(false),
+  FEATURE_ADMIN_DASHBOARD: featureFlag(true),
+  FEATURE_ANALYTICS_DASHBOARD: featureFlag(false),
+  FEATURE_AUDIT_LOGS: featureFlag(true),
+
+  // Rate limiting & performance
+  RATE_LIMIT_ENABLED: booleanFlag(true),
+  RATE_LIMIT_WINDOW_MS: integer(60000, { min: 1000 }),
+  RATE_LIMIT_MAX_REQUESTS: integer(100, { min: 1 }),
+  RATE_LIMIT_SKIP_SUCCESSFUL_REQUESTS: booleanFlag(false),
+  RATE_LIMIT_SKIP_FAILED_REQUESTS: booleanFlag(false),
+  MAX_PAYLOAD_SIZE: z
+    .string()
+    .regex(/^\d+(b|kb|mb)$/i, 'Expected a size like 512kb or 10mb')
+    .default('10mb'),
+  REQUEST_TIMEOUT: integer(30000, { min: 1000 }),
+  KEEPALIVE_TIMEOUT: integer(65000, { min: 1000 }),
+  CACHE_CONTROL_STATIC: z.string().default('public, max-age=31536000, immutable'),
+  CACHE_CONTROL_API: z.string().default('no-store, must-revalidate'),
+  CACHE_CONTROL_HTML: z.string().default('no-cache, no-store, must-revalidate'),
+
+  // Development tools
+  DEBUG: booleanFlag(false),
+  DEBUG_SQL: booleanFlag(false),
+  DEBUG_CACHE: booleanFlag(false),
+  DEBUG_AUTH: booleanFlag(false),
+  DEBUG_NOTIFICATIONS: booleanFlag(false),
+  PORT: integer(3000, { min: 1, max: 65535 }),
+  HOST: z.string().default('0.0.0.0'),
+  WATCHPACK_POLLING: booleanFlag(false),
+  CHOKIDAR_USEPOLLING: booleanFlag(false),
+  MOCK_SMS: booleanFlag(false),
+  MOCK_WHATSAPP: booleanFlag(false),
+  MOCK_PAYMENT: booleanFlag(false),
+  MOCK_EMAIL: booleanFlag(false),
+  MOCK_PUSH: booleanFlag(false),
+  MOCK_MESSAGES_DIR: z.string().default('.mock-messages'),
+  MOCK_MESSAGES_FAIL: csvList(),
+
+  // Database seeding
+  SEED_ADMIN_EMAIL: z.string().email().optional(),
+  SEED_ADMIN_PASSWORD: optionalString,
+  SEED_DEMO_PATIENTS: booleanFlag(false),
+  SEED_DEMO_APPOINTMENTS: booleanFlag(false),
+
+  // Docker & health checks
+  DOCKER_REGISTRY: optionalString,
+  DOCKER_IMAGE_NAME: optionalString,
+  DOCKER_IMAGE_TAG: optionalString,
+  HEALTH_CHECK_PATH: z.string().startsWith('/').default('/api/health'),
+  HEALTH_CHECK_INTERVAL: duration('30s'),
+  HEALTH_CHECK_TIMEOUT: duration('10s'),
+  HEALTH_CHECK_RETRIES: integer(3, { min: 1 }),
+  HEALTH_CHECK_START_PERIOD: duration('60s'),
+  HEALTHCHECK_TIMEOUT_APP_MS: integer(5000, { min: 100 }),
+  HEALTHCHECK_TIMEOUT_DB_MS: integer(3000, { min: 100 }),
+  HEALTHCHECK_TIMEOUT_REDIS_MS: integer(2000, { min: 100 }),
+  HEALTHCHECK_TIMEOUT_SUPABASE_MS: integer(5000, { min: 100 }),
+};
+
+export const clientSchema = {
+  NEXT_PUBLIC_APP_ENV: z.enum(['development', 'staging', 'production']).default('development'),
+  NEXT_PUBLIC_APP_URL: z.string().url(),
+  NEXT_PUBLIC_API_URL: z.string().url(),
+  NEXT_PUBLIC_APP_NAME: z.string().default('Gabriel Family Clinic'),
+  NEXT_PUBLIC_APP_VERSION: z.string().regex(/^\d+\.\d+\.\d+/, 'Expected a semver version'),
+  NEXT_PUBLIC_APP_DESCRIPTION: z.string().default(''),
+
+  NEXT_PUBLIC_CLINIC_NAME: z.string().min(1),
+  NEXT_PUBLIC_CLINIC_PHONE: sgPhone,
+  NEXT_PUBLIC_CLINIC_EMAIL: z.string().email(),
+  NEXT_PUBLIC_CLINIC_ADDRESS: z.string().min(1),
+  NEXT_PUBLIC_CLINIC_POSTAL_CODE: z.string().regex(/^\d{6}$/, 'Expected a 6-digit postal code'),
+  NEXT_PUBLIC_CLINIC_REGISTRATION: z.string().min(1),
+  NEXT_PUBLIC_CLINIC_HOURS: clinicHours,
+  NEXT_PUBLIC_LUNCH_HOURS: timeRange.optional(),
+
+  NEXT_PUBLIC_SUPABASE_URL: z.string().url(),
+  NEXT_PUBLIC_SUPABASE_ANON_KEY: z.string().min(1),
+
+  NEXT_PUBLIC_VAPID_PUBLIC_KEY: optionalString,
+
+  NEXT_PUBLIC_SENTRY_DSN: z.string().url().optional(),
+  NEXT_PUBLIC_GA_MEASUREMENT_ID: optionalString,
+  NEXT_PUBLIC_MIXPANEL_TOKEN: optionalString,
+  NEXT_PUBLIC_HOTJAR_ID: optionalString,
+  NEXT_PUBLIC_ANALYTICS_ID: optionalString,
+};
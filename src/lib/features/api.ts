@@ -0,0 +1,34 @@
+/**
+ * Feature gates for API routes and pages (server-only)
+ * A flagged-off route answers exactly as if it did not exist, with a 404
+ * carrying code "feature_disabled" so clients can tell the two apart.
+ */
+
+import { FEATURE_DISABLED_CODE, ROLLOUT_COOKIE } from './flags';
+import { isFeatureEnabled } from './service';
+
+import type { FeatureFlag } from './flags';
+import type { NextApiHandler, NextApiResponse } from 'next';
+
+/** The browser's rollout ID, minted by middleware on its first page view */
+export function rolloutSubject(req: { cookies: Partial<Record<string, string>> }): string | null {
+  return req.cookies[ROLLOUT_COOKIE] || null;
+}
+
+export function sendFeatureDisabled(res: NextApiResponse) {
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res
+    .status(404)
+    .json({ error: 'This feature is not available', code: FEATURE_DISABLED_CODE });
+}
+
+/** Runs the handler only while the flag is on for the requesting browser */
+export function withFeature<T>(flag: FeatureFlag, handler: NextApiHandler<T>): NextApiHandler<T> {
+  return async (req, res) => {
+    if (!(await isFeatureEnabled(flag, rolloutSubject(req)))) {
+      sendFeatureDisabled(res);
+      return;
+    }
+    await handler(req, res);
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * Feature flag catalogue and rollout rules
+ * Browser-safe: no env or database access. The flags themselves are
+ * defined in feature-flags.js at the repo root, shared with next.config.js.
+ */
+
+import { FEATURE_FLAGS, parseFlag } from '../../../feature-flags';
+
+export type FeatureFlag = keyof typeof FEATURE_FLAGS;
+
+export const FEATURE_FLAG_NAMES = Object.keys(FEATURE_FLAGS) as FeatureFlag[];
+
+/** Error code in the body of responses from flagged-off API routes */
+export const FEATURE_DISABLED_CODE = 'feature_disabled';
+
+/** Cookie holding the random ID that places a browser in a rollout bucket */
+export const ROLLOUT_COOKIE = 'gfc_rollout';
+
+export interface FeatureState {
+  enabled: boolean;
+  /** Share of rollout subjects (0-100) the flag is on for while enabled */
+  rolloutPercent: number;
+}
+
+export type FeatureStates = Record<FeatureFlag, FeatureState>;
+
+export function isFeatureFlag(value: unknown): value is FeatureFlag {
+  return typeof value === 'string' && Object.prototype.hasOwnProperty.call(FEATURE_FLAGS, value);
+}
+
+export function featureEnvVar(flag: FeatureFlag): string {
+  return FEATURE_FLAGS[flag].env;
+}
+
+export function featureDescription(flag: FeatureFlag): string {
+  return FEATURE_FLAGS[flag].description;
+}
+
+export function requiredFeatures(flag: FeatureFlag): FeatureFlag[] {
+  return (FEATURE_FLAGS[flag].requires as readonly string[]).filter(isFeatureFlag);
+}
+
+/**
+ * States from the FEATURE_* defaults alone, given the env. With
+ * SKIP_ENV_VALIDATION (next build) env holds the raw strings, or nothing
+ * for unset variables, so those are parsed with the flag's own default.
+ */
+export function defaultFeatureStates(values: Record<string, unknown>): FeatureStates {
+  return Object.fromEntries(
+    FEATURE_FLAG_NAMES.map((flag) => {
+      const value = values[featureEnvVar(flag)];
+      const enabled: boolean =
+        typeof value === 'boolean' ? value : parseFlag(value, FEATURE_FLAGS[flag].default);
+      return [flag, { enabled, rolloutPercent: 100 }];
+    })
+  ) as FeatureStates;
+}
+
+/**
+ * Stable bucket 0-99 for a subject, per flag (FNV-1a), so the same browser
+ * stays in or out of a rollout across requests and app instances, and a 10%
+ * rollout of one flag does not reach the same 10% as another.
+ */
+export function rolloutBucket(flag: FeatureFlag, subject: string): number {
+  let hash = 0x811c9dc5;
+  const input = `${flag}:${subject}`;
+  for (let index = 0; index < input.length; index += 1) {
+    hash ^= input.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % 100;
+}
+
+/**
+ * Whether a flag is on for a subject, including the flags it requires.
+ * Without a subject (no rollout cookie yet) only fully rolled-out flags are on.
+ */
+export function isFeatureOn(
+  states: FeatureStates,
+  flag: FeatureFlag,
+  subject: string | null = null
+): boolean {
+  const state = states[flag];
+  if (!state.enabled) return false;
+  if (state.rolloutPercent < 100) {
+    if (!subject || rolloutBucket(flag, subject) >= state.rolloutPercent) return false;
+  }
+  return requiredFeatures(flag).every((required) => isFeatureOn(states, required, subject));
+}
+
+/**
+ * Whether a flag is switched on for anyone, whatever its rollout: for
+ * background work on behalf of browsers a rollout has already let in.
+ */
+export function isFeatureSwitchedOn(states: FeatureStates, flag: FeatureFlag): boolean {
+  const state = states[flag];
+  return (
+    state.enabled &&
+    state.rolloutPercent > 0 &&
+    requiredFeatures(flag).every((required) => isFeatureSwitchedOn(states, required))
+  );
+}
+
+/** Every flag resolved for one subject, e.g. for the browser */
+export function resolveFeatures(
+  states: FeatureStates,
+  subject: string | null = null
+): Record<FeatureFlag, boolean> {
+  return Object.fromEntries(
+    FEATURE_FLAG_NAMES.map((flag) => [flag, isFeatureOn(states, flag, subject)])
+  ) as Record<FeatureFlag, boolean>;
+}
@@ -0,0 +1,3 @@
+export * from './api';
+export * from './flags';
+export * from './service';
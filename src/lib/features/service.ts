@@ -0,0 +1,161 @@
+/**
+ * Feature flag state (server-only)
+ * Environment defaults merged with this clinic's overrides from
+ * feature_flag_overrides. Overrides are cached briefly per process, so a
+ * change from the admin dashboard reaches every instance within
+ * OVERRIDE_CACHE_MS; if the database is unreachable the defaults apply.
+ */
+
+import type { AuditActor } from '@/lib/auth/request-user';
+import { env } from '@/lib/config/env';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import {
+  defaultFeatureStates,
+  FEATURE_FLAG_NAMES,
+  featureEnvVar,
+  isFeatureFlag,
+  isFeatureOn,
+  isFeatureSwitchedOn,
+  resolveFeatures,
+} from './flags';
+
+import type { FeatureFlag, FeatureState, FeatureStates } from './flags';
+
+const OVERRIDE_CACHE_MS = 30 * 1000;
+
+interface OverrideRow {
+  flag: string;
+  enabled: boolean;
+  rollout_percent: number;
+  updated_by: string | null;
+  updated_at: string;
+}
+
+export interface FeatureOverride extends FeatureState {
+  updatedBy: string | null;
+  updatedAt: string;
+}
+
+export interface FeatureSetting {
+  flag: FeatureFlag;
+  /** FEATURE_* variable the default comes from */
+  envVar: string;
+  defaultEnabled: boolean;
+  override: FeatureOverride | null;
+  /** What applies: the override if there is one, else the default */
+  effective: FeatureState;
+}
+
+/** Overrides are per clinic; each deployment serves one clinic */
+function clinicCode(): string {
+  return env.NEXT_PUBLIC_CLINIC_REGISTRATION;
+}
+
+async function fetchOverrides(): Promise<Map<FeatureFlag, FeatureOverride>> {
+  const { data, error } = await getSupabaseAdmin()
+    .from('feature_flag_overrides')
+    .select('flag, enabled, rollout_percent, updated_by, updated_at')
+    .eq('clinic_code', clinicCode());
+  if (error) throw new Error(`feature_flag_overrides: ${error.message}`);
+
+  const overrides = new Map<FeatureFlag, FeatureOverride>();
+  for (const row of (data ?? []) as unknown as OverrideRow[]) {
+    // Rows for flags removed from feature-flags.js are ignored
+    if (!isFeatureFlag(row.flag)) continue;
+    overrides.set(row.flag, {
+      enabled: row.enabled,
+      rolloutPercent: row.rollout_percent,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at,
+    });
+  }
+  return overrides;
+}
+
+let cached: { at: number; overrides: Promise<Map<FeatureFlag, FeatureOverride>> } | null = null;
+
+function loadOverrides(): Promise<Map<FeatureFlag, FeatureOverride>> {
+  const now = Date.now();
+  if (!cached || now - cached.at > OVERRIDE_CACHE_MS) {
+    const overrides = fetchOverrides().catch((error: unknown) => {
+      console.error('[features]', error instanceof Error ? error.message : error);
+      return new Map<FeatureFlag, FeatureOverride>();
+    });
+    cached = { at: now, overrides };
+  }
+  return cached.overrides;
+}
+
+/** Every flag with its default, override and effective state */
+export async function getFeatureSettings(): Promise<FeatureSetting[]> {
+  const overrides = await loadOverrides();
+  const defaults = defaultFeatureStates(env);
+  return FEATURE_FLAG_NAMES.map((flag) => {
+    const override = overrides.get(flag) ?? null;
+    return {
+      flag,
+      envVar: featureEnvVar(flag),
+      defaultEnabled: defaults[flag].enabled,
+      override,
+      effective: override
+        ? { enabled: override.enabled, rolloutPercent: override.rolloutPercent }
+        : defaults[flag],
+    };
+  });
+}
+
+export async function getFeatureStates(): Promise<FeatureStates> {
+  const settings = await getFeatureSettings();
+  return Object.fromEntries(
+    settings.map((setting) => [setting.flag, setting.effective])
+  ) as FeatureStates;
+}
+
+/**
+ * Whether a flag is on for a rollout subject (see rolloutSubject in ./api).
+ * Without one only fully rolled-out flags are on.
+ */
+export async function isFeatureEnabled(
+  flag: FeatureFlag,
+  subject: string | null = null
+): Promise<boolean> {
+  return isFeatureOn(await getFeatureStates(), flag, subject);
+}
+
+/** Whether a flag is on for anyone; see isFeatureSwitchedOn */
+export async function isFeatureActive(flag: FeatureFlag): Promise<boolean> {
+  return isFeatureSwitchedOn(await getFeatureStates(), flag);
+}
+
+export async function getEnabledFeatures(
+  subject: string | null = null
+): Promise<Record<FeatureFlag, boolean>> {
+  return resolveFeatures(await getFeatureStates(), subject);
+}
+
+/**
+ * Sets this clinic's override for a flag, or removes it (state null) so the
+ * environment default applies again. The audit log entry is written in the
+ * same transaction.
+ */
+export async function saveFeatureOverride(
+  flag: FeatureFlag,
+  state: FeatureState | null,
+  actor: AuditActor
+): Promise<void> {
+  const { error } = await getSupabaseAdmin().rpc('set_feature_flag_override', {
+    p_clinic_code: clinicCode(),
+    p_flag: flag,
+    p_enabled: state?.enabled ?? null,
+    p_rollout_percent: state?.rolloutPercent ?? null,
+    p_actor_id: actor.userId,
+    p_actor_role: actor.role,
+    p_ip_address: actor.ipAddress,
+    p_user_agent: actor.userAgent,
+  });
+  if (error) throw new Error(`set_feature_flag_override: ${error.message}`);
+
+  // This instance sees the change at once; others within OVERRIDE_CACHE_MS
+  cached = null;
+}
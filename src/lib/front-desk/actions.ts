@@ -0,0 +1,131 @@
+/**
+ * Front-desk queue changes (server-only)
+ * Check-in, walk-in intake, calling the next patient, no-shows and
+ * re-queueing, each through its front_desk_* function
+ * (supabase/migrations/00011_front_desk.sql), which writes audit_logs and
+ * queue_status in the same transaction.
+ */
+
+import { z } from 'zod';
+
+import type { AuditActor } from '@/lib/auth/request-user';
+import { normaliseMobile } from '@/lib/booking/validation';
+import { env } from '@/lib/config/env';
+import { SUPPORTED_LOCALES } from '@/lib/i18n/config';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+const appointmentAction = <T extends string>(action: T) =>
+  z.object({ action: z.literal(action), appointmentId: z.string().uuid() });
+
+export const frontDeskActionSchema = z.discriminatedUnion('action', [
+  appointmentAction('checkIn'),
+  appointmentAction('noShow'),
+  appointmentAction('requeue'),
+  z.object({ action: z.literal('callNext'), doctorId: z.string().uuid() }),
+  z.object({
+    action: z.literal('walkIn'),
+    name: z.string().trim().min(2, "Enter the patient's name").max(100),
+    mobile: z.string().transform((value, context) => {
+      const mobile = normaliseMobile(value);
+      if (!mobile) {
+        context.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: 'Walk-ins need a Singapore mobile number',
+        });
+        return z.NEVER;
+      }
+      return mobile;
+    }),
+    language: z.enum(SUPPORTED_LOCALES).default('en'),
+    doctorId: z.string().uuid(),
+    prefix: z.string(),
+  }),
+]);
+
+export type FrontDeskAction = z.infer<typeof frontDeskActionSchema>;
+/** What the console sends, before defaults are filled in */
+export type FrontDeskActionInput = z.input<typeof frontDeskActionSchema>;
+
+export type FrontDeskErrorCode = 'changed' | 'queueEmpty' | 'alreadyQueued' | 'prefixInvalid';
+
+/** The appointment the action checked in, queued or called */
+export interface FrontDeskTicket {
+  id: string;
+  queueNumber: string;
+}
+
+export type FrontDeskResult =
+  | { ok: true; ticket: FrontDeskTicket }
+  | { ok: false; code: FrontDeskErrorCode };
+
+/** Postgres unique_violation: the walk-in already has an appointment today */
+const UNIQUE_VIOLATION = '23505';
+/** Raised when the appointment has moved on, e.g. another desk got there first */
+const NO_DATA_FOUND = 'P0002';
+
+const APPOINTMENT_FUNCTIONS = {
+  checkIn: 'front_desk_check_in',
+  noShow: 'front_desk_mark_no_show',
+  requeue: 'front_desk_requeue',
+} as const;
+
+function actorParams(actor: AuditActor) {
+  return {
+    p_actor_id: actor.userId,
+    p_actor_role: actor.role,
+    p_ip_address: actor.ipAddress,
+    p_user_agent: actor.userAgent,
+  };
+}
+
+async function callFunction(
+  name: string,
+  params: Record<string, unknown>
+): Promise<FrontDeskResult> {
+  const { data, error } = await getSupabaseAdmin().rpc(name, params);
+  if (error) {
+    if (error.code === UNIQUE_VIOLATION) return { ok: false, code: 'alreadyQueued' };
+    if (error.code === NO_DATA_FOUND) return { ok: false, code: 'changed' };
+    throw new Error(`${name}: ${error.message}`);
+  }
+
+  // front_desk_call_next() answers with an all-null row when nobody is waiting
+  const row = data as { id: string | null; queue_number: string | null } | null;
+  if (!row?.id || !row.queue_number) return { ok: false, code: 'queueEmpty' };
+  return { ok: true, ticket: { id: row.id, queueNumber: row.queue_number } };
+}
+
+/** Applies a change to the queue for `date` (a clinic date, YYYY-MM-DD) */
+export async function runFrontDeskAction(
+  input: FrontDeskAction,
+  date: string,
+  actor: AuditActor
+): Promise<FrontDeskResult> {
+  switch (input.action) {
+    case 'callNext':
+      return callFunction('front_desk_call_next', {
+        p_doctor_id: input.doctorId,
+        p_queue_date: date,
+        ...actorParams(actor),
+      });
+    case 'walkIn':
+      if (!env.QUEUE_WALK_IN_PREFIXES.includes(input.prefix)) {
+        return { ok: false, code: 'prefixInvalid' };
+      }
+      return callFunction('front_desk_register_walk_in', {
+        p_full_name: input.name,
+        p_phone: input.mobile,
+        p_language: input.language,
+        p_doctor_id: input.doctorId,
+        p_prefix: input.prefix,
+        p_queue_date: date,
+        ...actorParams(actor),
+      });
+    default:
+      return callFunction(APPOINTMENT_FUNCTIONS[input.action], {
+        p_appointment_id: input.appointmentId,
+        p_queue_date: date,
+        ...actorParams(actor),
+      });
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * Front-desk board (server-only)
+ * The day's appointments and walk-ins in one list, in the order the desk
+ * works through them: who is with a doctor, who is waiting (in calling
+ * order), who is booked but not here yet, then everyone who is done.
+ * Cancelled and rescheduled appointments are left out. Waiting patients
+ * and each doctor's queue carry wait estimates, worked out afresh on
+ * every read.
+ */
+
+import { listBookableDoctors } from '@/lib/booking';
+import { getClinicSchedule } from '@/lib/clinic';
+import { env } from '@/lib/config/env';
+import { estimateQueueWaits, getDurationModel, loadPausedDoctors } from '@/lib/queue';
+import type { DoctorQueue, DurationModel, WaitEstimate } from '@/lib/queue';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+export const FRONT_DESK_STAGES = ['called', 'waiting', 'booked', 'done', 'noShow'] as const;
+export type FrontDeskStage = (typeof FRONT_DESK_STAGES)[number];
+
+const STAGE_BY_STATUS: Record<string, FrontDeskStage> = {
+  pending: 'booked',
+  confirmed: 'booked',
+  reminder_sent: 'booked',
+  arrived: 'waiting',
+  in_consultation: 'called',
+  completed: 'done',
+  no_show: 'noShow',
+};
+
+export interface FrontDeskEntry {
+  /** Appointment id */
+  id: string;
+  queueNumber: string;
+  queueSequence: number;
+  doctorId: string;
+  patientName: string;
+  /** Provisional registrations still need NRIC and date of birth at the desk */
+  provisional: boolean;
+  walkIn: boolean;
+  /** Booked time, ISO 8601; null for walk-ins */
+  scheduledTime: string | null;
+  /** appointment_type, e.g. "consultation" or "vaccination" */
+  visitType: string;
+  stage: FrontDeskStage;
+  checkedInAt: string | null;
+  calledAt: string | null;
+  /** Until the patient is called; only while waiting and the queue is not paused */
+  wait: WaitEstimate | null;
+}
+
+export interface FrontDeskDoctor {
+  id: string;
+  name: string;
+  nowServing: string | null;
+  waitingCount: number;
+  /** For a walk-in joining this queue now; null while the queue is paused */
+  walkInWait: WaitEstimate | null;
+}
+
+export interface FrontDeskBoard {
+  /** Clinic date, YYYY-MM-DD */
+  date: string;
+  doctors: FrontDeskDoctor[];
+  entries: FrontDeskEntry[];
+  /** Prefixes walk-ins can be numbered under; the first is the default */
+  walkInPrefixes: string[];
+}
+
+interface EntryRow {
+  id: string;
+  queue_number: string;
+  queue_sequence: number;
+  doctor_id: string;
+  status: string;
+  scheduled_time: string;
+  appointment_type: string | null;
+  checked_in_at: string | null;
+  actual_start_time: string | null;
+  booking_source: string | null;
+  patients: { full_name: string; registration_status: string | null } | null;
+}
+
+const ENTRY_COLUMNS =
+  'id, queue_number, queue_sequence, doctor_id, status, scheduled_time, appointment_type, checked_in_at, actual_start_time, booking_source, patients(full_name, registration_status)';
+
+/** Orders entries within a stage: calling order while queued, otherwise time */
+function compareEntries(a: FrontDeskEntry, b: FrontDeskEntry): number {
+  const stage = FRONT_DESK_STAGES.indexOf(a.stage) - FRONT_DESK_STAGES.indexOf(b.stage);
+  if (stage !== 0) return stage;
+  if (a.stage === 'waiting') return a.queueSequence - b.queueSequence;
+  if (a.stage === 'called') return (b.calledAt ?? '').localeCompare(a.calledAt ?? '');
+  return (a.scheduledTime ?? a.checkedInAt ?? '').localeCompare(
+    b.scheduledTime ?? b.checkedInAt ?? ''
+  );
+}
+
+function toEntry(row: EntryRow): FrontDeskEntry | null {
+  const stage = STAGE_BY_STATUS[row.status];
+  if (!stage) return null;
+  const walkIn = row.booking_source === 'walk-in';
+  return {
+    id: row.id,
+    queueNumber: row.queue_number,
+    queueSequence: row.queue_sequence,
+    doctorId: row.doctor_id,
+    patientName: row.patients?.full_name ?? '',
+    provisional: row.patients?.registration_status === 'provisional',
+    walkIn,
+    scheduledTime: walkIn ? null : row.scheduled_time,
+    visitType: row.appointment_type ?? 'consultation',
+    stage,
+    checkedInAt: row.checked_in_at,
+    calledAt: row.actual_start_time,
+    wait: null,
+  };
+}
+
+/**
+ * Fills in the waits in one doctor's queue from the board's own entries
+ * (sorted, so the latest call comes first) and returns the wait for a
+ * walk-in joining it
+ */
+function estimateDoctorWaits(
+  doctorId: string,
+  entries: FrontDeskEntry[],
+  model: DurationModel,
+  now: Date
+): WaitEstimate | null {
+  const current = entries.find((entry) => entry.doctorId === doctorId && entry.stage === 'called');
+  const waiting = entries.filter(
+    (entry) => entry.doctorId === doctorId && entry.stage === 'waiting'
+  );
+  const queue: DoctorQueue = {
+    doctorId,
+    current: current?.calledAt
+      ? { visitType: current.visitType, startedAt: current.calledAt }
+      : null,
+    waiting,
+  };
+
+  const waits = estimateQueueWaits(model, queue, getClinicSchedule(), now);
+  waiting.forEach((entry, index) => {
+    entry.wait = waits[index] ?? null;
+  });
+  return waits[waits.length - 1] ?? null;
+}
+
+/** The board for `date`, today's clinic date as of `now` */
+export async function getFrontDeskBoard(
+  date: string,
+  now: Date = new Date()
+): Promise<FrontDeskBoard> {
+  const [doctors, { data, error }, paused, model] = await Promise.all([
+    listBookableDoctors(),
+    getSupabaseAdmin().from('appointments').select(ENTRY_COLUMNS).eq('queue_date', date),
+    loadPausedDoctors(date),
+    getDurationModel(now),
+  ]);
+  if (error) throw new Error(`appointments: ${error.message}`);
+
+  const entries = ((data ?? []) as unknown as EntryRow[])
+    .map(toEntry)
+    .filter((entry): entry is FrontDeskEntry => entry !== null)
+    .sort(compareEntries);
+
+  return {
+    date,
+    doctors: doctors.map((doctor) => ({
+      id: doctor.id,
+      name: doctor.name,
+      nowServing:
+        entries.find((entry) => entry.doctorId === doctor.id && entry.stage === 'called')
+          ?.queueNumber ?? null,
+      waitingCount: entries.filter(
+        (entry) => entry.doctorId === doctor.id && entry.stage === 'waiting'
+      ).length,
+      walkInWait: paused.has(doctor.id)
+        ? null
+        : estimateDoctorWaits(doctor.id, entries, model, now),
+    })),
+    entries,
+    walkInPrefixes: env.QUEUE_WALK_IN_PREFIXES,
+  };
+}
+
+/** True when two boards would render the same */
+export function isSameBoard(a: FrontDeskBoard, b: FrontDeskBoard): boolean {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
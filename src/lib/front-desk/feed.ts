@@ -0,0 +1,97 @@
+/**
+ * Shared front-desk feed for Server-Sent Events
+ * Like the public queue feed (src/lib/queue/feed.ts): one poller per
+ * instance however many staff tabs are open, and subscribers only hear
+ * about boards that changed. A change made at a desk refreshes the feed
+ * straight away, so tabs on the same instance see it at once and tabs on
+ * other instances within FRONT_DESK_POLL_INTERVAL_MS.
+ *
+ * Kept on globalThis: the stream and the routes that change the queue are
+ * bundled separately and would otherwise each have their own feed.
+ */
+
+import { clinicDate } from '@/lib/clinic';
+
+import { getFrontDeskBoard, isSameBoard } from './board';
+
+import type { FrontDeskBoard } from './board';
+
+export const FRONT_DESK_POLL_INTERVAL_MS = 3000;
+
+export interface FrontDeskListener {
+  onBoard: (board: FrontDeskBoard) => void;
+  /** Called when the board cannot be refreshed; the last one is stale */
+  onUnavailable: (error: Error) => void;
+}
+
+interface Feed {
+  listeners: Set<FrontDeskListener>;
+  board: FrontDeskBoard | null;
+  failing: boolean;
+  timer: ReturnType<typeof setInterval>;
+}
+
+const FEED_KEY = Symbol.for('gfc.front-desk.feed');
+
+type GlobalWithFeed = typeof globalThis & { [FEED_KEY]?: Feed };
+
+const store = globalThis as GlobalWithFeed;
+
+async function refresh() {
+  const current = store[FEED_KEY];
+  if (!current) return;
+
+  try {
+    // Read the date every time, so the board moves on at midnight
+    const board = await getFrontDeskBoard(clinicDate(new Date()));
+    const changed = !current.board || current.failing || !isSameBoard(current.board, board);
+    current.board = board;
+    current.failing = false;
+    if (changed) current.listeners.forEach((listener) => listener.onBoard(board));
+  } catch (error) {
+    const reason = error instanceof Error ? error : new Error(String(error));
+    if (!current.failing) {
+      console.error(`[front-desk-feed] ${reason.message}`);
+      current.listeners.forEach((listener) => listener.onUnavailable(reason));
+    }
+    current.failing = true;
+  }
+}
+
+/**
+ * Subscribes to board changes. The current board, if one is cached, is
+ * delivered straight away. Returns the unsubscribe function.
+ */
+export function subscribeToFrontDesk(listener: FrontDeskListener): () => void {
+  let feed = store[FEED_KEY];
+  if (!feed) {
+    feed = {
+      listeners: new Set(),
+      board: null,
+      failing: false,
+      timer: setInterval(() => void refresh(), FRONT_DESK_POLL_INTERVAL_MS),
+    };
+    store[FEED_KEY] = feed;
+    void refresh();
+  } else {
+    if (feed.board) listener.onBoard(feed.board);
+    if (feed.failing) listener.onUnavailable(new Error('front-desk feed is failing'));
+  }
+
+  feed.listeners.add(listener);
+
+  return () => {
+    const current = store[FEED_KEY];
+    if (!current) return;
+    current.listeners.delete(listener);
+    if (current.listeners.size === 0) {
+      clearInterval(current.timer);
+      delete store[FEED_KEY];
+    }
+  };
+}
+
+/** Re-reads the board now if anyone on this instance is watching it */
+export function refreshFrontDesk(): Promise<void> {
+  return refresh();
+}
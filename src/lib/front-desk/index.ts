@@ -0,0 +1,3 @@
+export * from './actions';
+export * from './board';
+export * from './feed';
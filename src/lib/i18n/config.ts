@@ -0,0 +1,41 @@
+/**
+ * Locale configuration
+ * Mirrors the i18n block in next.config.js. Every locale formats dates in
+ * Singapore time using its -SG region tag.
+ */
+
+export const SUPPORTED_LOCALES = ['en', 'zh', 'ms', 'ta'] as const;
+export type Locale = (typeof SUPPORTED_LOCALES)[number];
+
+export const DEFAULT_LOCALE: Locale = 'en';
+export const CLINIC_TIME_ZONE = 'Asia/Singapore';
+
+export interface LocaleMeta {
+  /** BCP 47 tag used for Intl formatting */
+  tag: string;
+  /** Name shown in the locale switcher, written in the language itself */
+  label: string;
+  /** Key into tailwind.config.js theme.extend.fontFamily, if the locale needs one */
+  fontFamily?: 'chinese';
+}
+
+export const LOCALE_META: Record<Locale, LocaleMeta> = {
+  en: { tag: 'en-SG', label: 'English' },
+  zh: { tag: 'zh-SG', label: '中文', fontFamily: 'chinese' },
+  ms: { tag: 'ms-SG', label: 'Bahasa Melayu' },
+  ta: { tag: 'ta-SG', label: 'தமிழ்' },
+};
+
+export function isSupportedLocale(value: unknown): value is Locale {
+  return typeof value === 'string' && (SUPPORTED_LOCALES as readonly string[]).includes(value);
+}
+
+export function resolveLocale(value: unknown): Locale {
+  return isSupportedLocale(value) ? value : DEFAULT_LOCALE;
+}
+
+/** Tailwind class for the locale's font family (e.g. `font-chinese`), if any. */
+export function localeFontClass(locale: unknown): string | undefined {
+  const { fontFamily } = LOCALE_META[resolveLocale(locale)];
+  return fontFamily ? `font-${fontFamily}` : undefined;
+}
@@ -0,0 +1,46 @@
+/**
+ * Date, time and number formatting
+ * Always renders in clinic time (Asia/Singapore) regardless of the device
+ * time zone, using the locale's -SG region conventions.
+ */
+
+import { CLINIC_TIME_ZONE, LOCALE_META, resolveLocale } from './config';
+
+type DateInput = Date | string | number;
+
+const toDate = (value: DateInput) => (value instanceof Date ? value : new Date(value));
+
+function formatter(locale: string, options: Intl.DateTimeFormatOptions) {
+  return new Intl.DateTimeFormat(LOCALE_META[resolveLocale(locale)].tag, {
+    timeZone: CLINIC_TIME_ZONE,
+    ...options,
+  });
+}
+
+/** e.g. "Monday, 11 November 2024" / "2024年11月11日星期一" */
+export function formatDate(value: DateInput, locale: string): string {
+  return formatter(locale, { dateStyle: 'full' }).format(toDate(value));
+}
+
+/** e.g. "11 Nov 2024" */
+export function formatShortDate(value: DateInput, locale: string): string {
+  return formatter(locale, { dateStyle: 'medium' }).format(toDate(value));
+}
+
+/** e.g. "9:30 am" */
+export function formatTime(value: DateInput, locale: string): string {
+  return formatter(locale, { timeStyle: 'short' }).format(toDate(value));
+}
+
+/** e.g. "11 Nov 2024, 9:30 am" */
+export function formatDateTime(value: DateInput, locale: string): string {
+  return formatter(locale, { dateStyle: 'medium', timeStyle: 'short' }).format(toDate(value));
+}
+
+/** Formats cents as Singapore dollars, e.g. 3500 -> "$35.00" */
+export function formatCurrency(cents: number, locale: string): string {
+  return new Intl.NumberFormat(LOCALE_META[resolveLocale(locale)].tag, {
+    style: 'currency',
+    currency: 'SGD',
+  }).format(cents / 100);
+}
@@ -0,0 +1,5 @@
+export * from './config';
+export * from './format';
+export * from './loader';
+export * from './message-format';
+export * from './translator';
@@ -0,0 +1,30 @@
+/**
+ * Catalog loader for getStaticProps / getServerSideProps
+ * Only ships the English fallback when the active locale is not English.
+ */
+
+import { DEFAULT_LOCALE, resolveLocale } from './config';
+
+import type { Locale } from './config';
+import type { MessageCatalog } from './translator';
+
+export interface I18nProps {
+  locale: Locale;
+  messages: MessageCatalog;
+  fallbackMessages: MessageCatalog | null;
+}
+
+export async function loadMessages(locale: Locale): Promise<MessageCatalog> {
+  const catalog = await import(`../../locales/${locale}.json`);
+  return catalog.default as MessageCatalog;
+}
+
+export async function getI18nProps(locale: string | undefined): Promise<I18nProps> {
+  const activeLocale = resolveLocale(locale);
+  const [messages, fallbackMessages] = await Promise.all([
+    loadMessages(activeLocale),
+    activeLocale === DEFAULT_LOCALE ? Promise.resolve(null) : loadMessages(DEFAULT_LOCALE),
+  ]);
+
+  return { locale: activeLocale, messages, fallbackMessages };
+}
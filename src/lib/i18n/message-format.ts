@@ -0,0 +1,212 @@
+/**
+ * ICU MessageFormat (subset)
+ * Supports the parts our catalogs use:
+ *   {name}                                   simple argument
+ *   {count, plural, =0 {...} one {...} other {...}}  with # for the number
+ *   {role, select, doctor {...} other {...}}
+ *   '' for a literal apostrophe and '{...}' to quote braces
+ * Plural categories come from Intl.PluralRules for the locale.
+ */
+
+export type MessageNode =
+  | { type: 'text'; value: string }
+  | { type: 'argument'; name: string }
+  | { type: 'pound' }
+  | { type: 'plural' | 'select'; name: string; options: Record<string, MessageNode[]> };
+
+export type MessageValues = Record<string, string | number | Date | undefined>;
+
+export class MessageFormatError extends Error {
+  constructor(
+    message: string,
+    public readonly source: string
+  ) {
+    super(`${message} in "${source}"`);
+    this.name = 'MessageFormatError';
+  }
+}
+
+const astCache = new Map<string, MessageNode[]>();
+
+export function parseMessage(source: string): MessageNode[] {
+  const cached = astCache.get(source);
+  if (cached) return cached;
+
+  let pos = 0;
+
+  const skipWhitespace = () => {
+    while (pos < source.length && /\s/.test(source.charAt(pos))) pos += 1;
+  };
+
+  const readUntil = (stop: RegExp): string => {
+    const start = pos;
+    while (pos < source.length && !stop.test(source.charAt(pos))) pos += 1;
+    return source.slice(start, pos).trim();
+  };
+
+  const expect = (char: string) => {
+    if (source.charAt(pos) !== char) {
+      throw new MessageFormatError(`Expected "${char}" at ${pos}`, source);
+    }
+    pos += 1;
+  };
+
+  function parseNodes(inPlural: boolean): MessageNode[] {
+    const nodes: MessageNode[] = [];
+    let text = '';
+
+    const flush = () => {
+      if (text) nodes.push({ type: 'text', value: text });
+      text = '';
+    };
+
+    while (pos < source.length) {
+      const char = source.charAt(pos);
+
+      if (char === '}') break;
+
+      if (char === "'") {
+        const next = source.charAt(pos + 1);
+        if (next === "'") {
+          text += "'";
+          pos += 2;
+        } else if (next === '{' || next === '}' || (inPlural && next === '#')) {
+          const end = source.indexOf("'", pos + 1);
+          text += source.slice(pos + 1, end === -1 ? source.length : end);
+          pos = end === -1 ? source.length : end + 1;
+        } else {
+          text += char;
+          pos += 1;
+        }
+      } else if (char === '#' && inPlural) {
+        flush();
+        nodes.push({ type: 'pound' });
+        pos += 1;
+      } else if (char === '{') {
+        flush();
+        pos += 1;
+        nodes.push(parseArgument());
+      } else {
+        text += char;
+        pos += 1;
+      }
+    }
+
+    flush();
+    return nodes;
+  }
+
+  function parseArgument(): MessageNode {
+    const name = readUntil(/[,}]/);
+    if (!name) throw new MessageFormatError(`Empty argument at ${pos}`, source);
+
+    if (source.charAt(pos) === '}') {
+      pos += 1;
+      return { type: 'argument', name };
+    }
+
+    expect(',');
+    const kind = readUntil(/[,}]/);
+    if (kind !== 'plural' && kind !== 'select') {
+      throw new MessageFormatError(`Unsupported argument type "${kind}"`, source);
+    }
+    expect(',');
+
+    const options: Record<string, MessageNode[]> = {};
+    skipWhitespace();
+    while (pos < source.length && source.charAt(pos) !== '}') {
+      const selector = readUntil(/[\s{]/);
+      skipWhitespace();
+      expect('{');
+      options[selector] = parseNodes(kind === 'plural');
+      expect('}');
+      skipWhitespace();
+    }
+    expect('}');
+
+    if (!options.other) {
+      throw new MessageFormatError(`Argument "${name}" has no "other" option`, source);
+    }
+
+    return { type: kind, name, options };
+  }
+
+  const nodes = parseNodes(false);
+  if (pos < source.length) {
+    throw new MessageFormatError(`Unexpected "}" at ${pos}`, source);
+  }
+
+  astCache.set(source, nodes);
+  return nodes;
+}
+
+function formatValue(value: MessageValues[string], localeTag: string): string {
+  if (value === undefined) return '';
+  if (typeof value === 'number') return new Intl.NumberFormat(localeTag).format(value);
+  if (value instanceof Date) return new Intl.DateTimeFormat(localeTag).format(value);
+  return value;
+}
+
+function formatNodes(
+  nodes: MessageNode[],
+  values: MessageValues,
+  localeTag: string,
+  pluralValue?: number
+): string {
+  return nodes
+    .map((node) => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+        case 'pound':
+          return pluralValue === undefined ? '#' : formatValue(pluralValue, localeTag);
+        case 'argument':
+          return formatValue(values[node.name], localeTag);
+        case 'select': {
+          const branch = node.options[String(values[node.name])] ?? node.options.other ?? [];
+          return formatNodes(branch, values, localeTag, pluralValue);
+        }
+        case 'plural': {
+          const count = Number(values[node.name] ?? 0);
+          const category = new Intl.PluralRules(localeTag).select(count);
+          const branch =
+            node.options[`=${count}`] ?? node.options[category] ?? node.options.other ?? [];
+          return formatNodes(branch, values, localeTag, count);
+        }
+        default:
+          return '';
+      }
+    })
+    .join('');
+}
+
+export function formatMessage(source: string, values: MessageValues, localeTag: string): string {
+  return formatNodes(parseMessage(source), values, localeTag);
+}
+
+/** Walks a parsed message and collects argument names and plural selectors. */
+export function describeMessage(source: string): {
+  arguments: Set<string>;
+  plurals: Array<{ name: string; selectors: string[] }>;
+} {
+  const description = {
+    arguments: new Set<string>(),
+    plurals: [] as Array<{ name: string; selectors: string[] }>,
+  };
+
+  const walk = (nodes: MessageNode[]) => {
+    nodes.forEach((node) => {
+      if (node.type === 'argument') description.arguments.add(node.name);
+      if (node.type === 'plural' || node.type === 'select') {
+        description.arguments.add(node.name);
+        if (node.type === 'plural') {
+          description.plurals.push({ name: node.name, selectors: Object.keys(node.options) });
+        }
+        Object.values(node.options).forEach(walk);
+      }
+    });
+  };
+
+  walk(parseMessage(source));
+  return description;
+}
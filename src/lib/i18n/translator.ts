@@ -0,0 +1,69 @@
+/**
+ * Translator
+ * Looks a dotted key up in the active catalog, falls back to English when the
+ * key is missing, and finally to the key itself so gaps are visible on screen.
+ */
+
+import { DEFAULT_LOCALE, LOCALE_META, resolveLocale } from './config';
+import { formatMessage } from './message-format';
+
+import type { Locale } from './config';
+import type { MessageValues } from './message-format';
+
+export interface MessageCatalog {
+  [key: string]: string | MessageCatalog;
+}
+
+export type TranslateFn = (key: string, values?: MessageValues) => string;
+
+const reportedMissing = new Set<string>();
+
+export function lookupMessage(
+  catalog: MessageCatalog | undefined,
+  key: string
+): string | undefined {
+  let node: string | MessageCatalog | undefined = catalog;
+  for (const segment of key.split('.')) {
+    if (!node || typeof node === 'string') return undefined;
+    node = node[segment];
+  }
+  return typeof node === 'string' ? node : undefined;
+}
+
+/** Flattens a nested catalog into dotted keys, used by the build-time checker. */
+export function flattenCatalog(catalog: MessageCatalog, prefix = ''): Record<string, string> {
+  return Object.entries(catalog).reduce<Record<string, string>>((flat, [key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === 'string') {
+      flat[path] = value;
+    } else {
+      Object.assign(flat, flattenCatalog(value, path));
+    }
+    return flat;
+  }, {});
+}
+
+export function createTranslator(
+  locale: Locale | string,
+  messages: MessageCatalog,
+  fallbackMessages?: MessageCatalog
+): TranslateFn {
+  const activeLocale = resolveLocale(locale);
+
+  return (key, values = {}) => {
+    const message = lookupMessage(messages, key);
+    if (message !== undefined) {
+      return formatMessage(message, values, LOCALE_META[activeLocale].tag);
+    }
+
+    const fallback = lookupMessage(fallbackMessages, key);
+    if (process.env.NODE_ENV !== 'production' && !reportedMissing.has(`${activeLocale}:${key}`)) {
+      reportedMissing.add(`${activeLocale}:${key}`);
+      console.warn(`[i18n] Missing "${key}" in ${activeLocale} catalog`);
+    }
+
+    return fallback !== undefined
+      ? formatMessage(fallback, values, LOCALE_META[DEFAULT_LOCALE].tag)
+      : key;
+  };
+}
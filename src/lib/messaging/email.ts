@@ -0,0 +1,79 @@
+/**
+ * Email through SendGrid's v3 API (server-only)
+ * Plain text, or a dynamic template when a template id is given. With
+ * MOCK_EMAIL on, messages go to the file-based mock transport instead.
+ */
+
+import { env } from '@/lib/config/env';
+import { recordNotificationFailure } from '@/lib/metrics';
+
+import { writeMockMessage } from './mock';
+
+import type { MessageReceipt } from './receipt';
+
+const SENDGRID_SEND_URL = 'https://api.sendgrid.com/v3/mail/send';
+const SENDGRID_TIMEOUT_MS = 10000;
+
+export interface EmailMessage {
+  to: string;
+  subject: string;
+  text: string;
+  /** SendGrid dynamic template; subject and text are passed to it as data too */
+  templateId?: string;
+  templateData?: Record<string, unknown>;
+  /** Sent as the `reference` custom arg, which comes back in event webhooks */
+  reference?: string;
+}
+
+/** Null when the email could not be sent; the failure is logged and counted */
+export async function sendEmail(message: EmailMessage): Promise<MessageReceipt | null> {
+  if (env.MOCK_EMAIL) {
+    const { text, ...rest } = message;
+    const receipt = await writeMockMessage('email', { ...rest, body: text });
+    if (!receipt) recordNotificationFailure('email');
+    return receipt;
+  }
+
+  if (!env.SENDGRID_API_KEY || !env.SENDGRID_FROM_EMAIL) {
+    console.error('[email] SendGrid is not configured');
+    recordNotificationFailure('email');
+    return null;
+  }
+
+  const personalization = {
+    to: [{ email: message.to }],
+    ...(message.templateId && {
+      dynamic_template_data: {
+        ...message.templateData,
+        subject: message.subject,
+        text: message.text,
+      },
+    }),
+  };
+
+  try {
+    const response = await fetch(SENDGRID_SEND_URL, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${env.SENDGRID_API_KEY}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        personalizations: [personalization],
+        from: { email: env.SENDGRID_FROM_EMAIL, name: env.SENDGRID_FROM_NAME },
+        subject: message.subject,
+        ...(message.templateId
+          ? { template_id: message.templateId }
+          : { content: [{ type: 'text/plain', value: message.text }] }),
+        ...(message.reference && { custom_args: { reference: message.reference } }),
+      }),
+      signal: AbortSignal.timeout(SENDGRID_TIMEOUT_MS),
+    });
+    if (!response.ok) throw new Error(`SendGrid answered ${response.status}`);
+    return { provider: 'sendgrid', messageId: response.headers.get('X-Message-Id') ?? '' };
+  } catch (error) {
+    console.error('[email]', error instanceof Error ? error.message : error);
+    recordNotificationFailure('email');
+    return null;
+  }
+}
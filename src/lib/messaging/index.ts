@@ -0,0 +1,4 @@
+export * from './email';
+export * from './mock';
+export * from './receipt';
+export * from './twilio';
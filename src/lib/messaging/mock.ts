@@ -0,0 +1,55 @@
+/**
+ * File-based mock transport (server-only)
+ * With MOCK_SMS / MOCK_WHATSAPP / MOCK_EMAIL on, each message is written as
+ * a JSON file to MOCK_MESSAGES_DIR and to the server log instead of being
+ * sent, so sign-in codes and appointment notifications can be read offline.
+ * Channels listed in MOCK_MESSAGES_FAIL fail instead, to try out retries and
+ * channel fallback.
+ */
+
+import { randomUUID } from 'crypto';
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+
+import { env } from '@/lib/config/env';
+
+import type { MessageChannel, MessageReceipt } from './receipt';
+
+export interface MockMessage {
+  to: string;
+  subject?: string;
+  body: string;
+  /** The sender's own id for the message, e.g. the notification row */
+  reference?: string;
+  templateId?: string;
+  templateData?: Record<string, unknown>;
+}
+
+/** Null when the channel is set to fail */
+export async function writeMockMessage(
+  channel: MessageChannel,
+  message: MockMessage
+): Promise<MessageReceipt | null> {
+  if (env.MOCK_MESSAGES_FAIL.includes(channel)) {
+    console.warn(`[${channel}:mock] failing as MOCK_MESSAGES_FAIL asks`, message.to);
+    return null;
+  }
+
+  const messageId = `mock-${randomUUID()}`;
+  const sentAt = new Date().toISOString();
+  console.info(`[${channel}:mock]`, JSON.stringify({ to: message.to, body: message.body }));
+
+  // Timestamped names so a directory listing reads in sending order
+  const file = `${sentAt.replace(/[:.]/g, '-')}-${channel}-${messageId}.json`;
+  try {
+    await mkdir(env.MOCK_MESSAGES_DIR, { recursive: true });
+    await writeFile(
+      path.join(env.MOCK_MESSAGES_DIR, file),
+      `${JSON.stringify({ messageId, channel, sentAt, ...message }, null, 2)}\n`
+    );
+  } catch (error) {
+    console.error(`[${channel}:mock]`, error instanceof Error ? error.message : error);
+    return null;
+  }
+  return { provider: 'mock', messageId };
+}
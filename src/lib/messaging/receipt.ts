@@ -0,0 +1,9 @@
+/** What the SMS, WhatsApp and email senders return once a message is accepted */
+
+export type MessageChannel = 'sms' | 'whatsapp' | 'email';
+
+export interface MessageReceipt {
+  provider: 'twilio' | 'sendgrid' | 'mock';
+  /** Twilio message SID, SendGrid X-Message-Id, or the mock file's id */
+  messageId: string;
+}
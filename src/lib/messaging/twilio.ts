@@ -0,0 +1,90 @@
+/**
+ * SMS and WhatsApp messages through Twilio (server-only)
+ * With MOCK_SMS / MOCK_WHATSAPP on, messages go to the file-based mock
+ * transport instead of being sent, so local sign-in codes can be read there.
+ */
+
+import twilio from 'twilio';
+
+import { env } from '@/lib/config/env';
+import { recordNotificationFailure } from '@/lib/metrics';
+
+import { writeMockMessage } from './mock';
+
+import type { MessageReceipt } from './receipt';
+
+export type TextChannel = 'sms' | 'whatsapp';
+
+export interface TextMessageOptions {
+  /** Passed to the mock transport; Twilio messages are tracked by their SID */
+  reference?: string;
+  /** Ask Twilio to report delivery to /api/notifications/status/twilio */
+  trackStatus?: boolean;
+}
+
+/** The URL Twilio posts delivery receipts to; also what their signature covers */
+export function twilioStatusCallbackUrl(): string {
+  return new URL('/api/notifications/status/twilio', env.NEXT_PUBLIC_APP_URL).toString();
+}
+
+let client: twilio.Twilio | null = null;
+
+function getTwilio(): twilio.Twilio | null {
+  if (!env.TWILIO_ACCOUNT_SID || !env.TWILIO_AUTH_TOKEN) return null;
+  client ??= twilio(env.TWILIO_ACCOUNT_SID, env.TWILIO_AUTH_TOKEN);
+  return client;
+}
+
+function isMocked(channel: TextChannel): boolean {
+  return channel === 'sms' ? env.MOCK_SMS : env.MOCK_WHATSAPP;
+}
+
+/** Sender for the channel: the messaging service for SMS if there is one, else a number */
+function sender(channel: TextChannel) {
+  if (channel === 'whatsapp') {
+    return env.TWILIO_WHATSAPP_NUMBER ? { from: env.TWILIO_WHATSAPP_NUMBER } : null;
+  }
+  if (env.TWILIO_MESSAGING_SERVICE_SID) {
+    return { messagingServiceSid: env.TWILIO_MESSAGING_SERVICE_SID };
+  }
+  return env.TWILIO_PHONE_NUMBER ? { from: env.TWILIO_PHONE_NUMBER } : null;
+}
+
+/**
+ * Sends a text to a mobile number in E.164 form (+6591234567).
+ * Null when it could not be sent; the failure is logged and counted.
+ */
+export async function sendTextMessage(
+  channel: TextChannel,
+  to: string,
+  body: string,
+  options: TextMessageOptions = {}
+): Promise<MessageReceipt | null> {
+  if (isMocked(channel)) {
+    const receipt = await writeMockMessage(channel, { to, body, reference: options.reference });
+    if (!receipt) recordNotificationFailure(channel);
+    return receipt;
+  }
+
+  const twilioClient = getTwilio();
+  const from = sender(channel);
+  if (!twilioClient || !from) {
+    console.error(`[${channel}] Twilio is not configured`);
+    recordNotificationFailure(channel);
+    return null;
+  }
+
+  try {
+    const message = await twilioClient.messages.create({
+      ...from,
+      to: channel === 'whatsapp' ? `whatsapp:${to}` : to,
+      body,
+      ...(options.trackStatus && { statusCallback: twilioStatusCallbackUrl() }),
+    });
+    return { provider: 'twilio', messageId: message.sid };
+  } catch (error) {
+    console.error(`[${channel}]`, error instanceof Error ? error.message : error);
+    recordNotificationFailure(channel);
+    return null;
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Clinic metrics
+ * Queue and booking gauges are read from the database when Prometheus
+ * scrapes, so every instance reports the same clinic-wide figures; filter
+ * on one instance_id when graphing them. Notification failures are counted
+ * by the instance that sent the notification.
+ */
+
+import { Counter, Gauge } from 'prom-client';
+
+import { getQueueSnapshot } from '@/lib/queue';
+import type { QueueSnapshot } from '@/lib/queue';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import { getOrCreateMetric } from './registry';
+
+export type NotificationChannel = 'push' | 'sms' | 'whatsapp' | 'email';
+
+const HOUR_MS = 60 * 60 * 1000;
+/** Both queue gauges are collected in the same scrape; query once for them */
+const SNAPSHOT_REUSE_MS = 5000;
+
+let recentSnapshot: { at: number; snapshot: Promise<QueueSnapshot> } | null = null;
+
+function loadQueueSnapshot(): Promise<QueueSnapshot> {
+  const now = Date.now();
+  if (!recentSnapshot || now - recentSnapshot.at > SNAPSHOT_REUSE_MS) {
+    recentSnapshot = { at: now, snapshot: getQueueSnapshot() };
+  }
+  return recentSnapshot.snapshot;
+}
+
+async function countBookingsSince(since: Date): Promise<number> {
+  const { count, error } = await getSupabaseAdmin()
+    .from('appointments')
+    .select('id', { count: 'exact', head: true })
+    .gte('created_at', since.toISOString());
+  if (error) throw new Error(`appointments: ${error.message}`);
+  return count ?? 0;
+}
+
+/** Logs instead of failing the scrape, leaving the gauge at its last value */
+async function collectSafely(name: string, collect: () => Promise<void>) {
+  try {
+    await collect();
+  } catch (error) {
+    console.error(`[metrics] ${name}:`, error instanceof Error ? error.message : error);
+  }
+}
+
+/** Registers the scrape-time gauges; safe to call more than once */
+export function registerClinicMetrics() {
+  getOrCreateMetric(
+    'gfc_queue_waiting_patients',
+    (registry) =>
+      new Gauge({
+        name: 'gfc_queue_waiting_patients',
+        help: 'Patients checked in and waiting to be called, clinic-wide',
+        registers: [registry],
+        async collect() {
+          await collectSafely('gfc_queue_waiting_patients', async () => {
+            this.set((await loadQueueSnapshot()).waitingCount);
+          });
+        },
+      })
+  );
+
+  getOrCreateMetric(
+    'gfc_queue_estimated_wait_minutes',
+    (registry) =>
+      new Gauge({
+        name: 'gfc_queue_estimated_wait_minutes',
+        help: 'Estimated wait for a patient checking in now (0 when no doctor is consulting)',
+        registers: [registry],
+        async collect() {
+          await collectSafely('gfc_queue_estimated_wait_minutes', async () => {
+            this.set((await loadQueueSnapshot()).estimatedWaitMinutes ?? 0);
+          });
+        },
+      })
+  );
+
+  getOrCreateMetric(
+    'gfc_bookings_last_hour',
+    (registry) =>
+      new Gauge({
+        name: 'gfc_bookings_last_hour',
+        help: 'Appointments booked in the last hour',
+        registers: [registry],
+        async collect() {
+          await collectSafely('gfc_bookings_last_hour', async () => {
+            this.set(await countBookingsSince(new Date(Date.now() - HOUR_MS)));
+          });
+        },
+      })
+  );
+
+  notificationFailures();
+}
+
+function notificationFailures() {
+  return getOrCreateMetric(
+    'gfc_notification_send_failures_total',
+    (registry) =>
+      new Counter({
+        name: 'gfc_notification_send_failures_total',
+        help: 'Notifications the provider did not accept',
+        labelNames: ['channel'] as const,
+        registers: [registry],
+      })
+  );
+}
+
+export function recordNotificationFailure(channel: NotificationChannel) {
+  notificationFailures().inc({ channel });
+}
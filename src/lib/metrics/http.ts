@@ -0,0 +1,37 @@
+/**
+ * HTTP request metrics for API routes
+ * Wrap a route's handler with withMetrics('/api/...') to record how long
+ * each request took, by method, route and status code. The route is passed
+ * explicitly so ids in the URL never become label values.
+ */
+
+import { Histogram } from 'prom-client';
+
+import { getOrCreateMetric } from './registry';
+
+import type { NextApiHandler } from 'next';
+
+const HTTP_DURATION_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function httpRequestDuration() {
+  return getOrCreateMetric(
+    'gfc_http_request_duration_seconds',
+    (registry) =>
+      new Histogram({
+        name: 'gfc_http_request_duration_seconds',
+        help: 'API request duration in seconds',
+        labelNames: ['method', 'route', 'status_code'] as const,
+        buckets: HTTP_DURATION_BUCKETS,
+        registers: [registry],
+      })
+  );
+}
+
+export function withMetrics<T>(route: string, handler: NextApiHandler<T>): NextApiHandler<T> {
+  return async (req, res) => {
+    const end = httpRequestDuration().startTimer({ method: req.method ?? 'UNKNOWN', route });
+    // 'close' also fires when the client goes away before the response ends
+    res.once('close', () => end({ status_code: String(res.statusCode) }));
+    return handler(req, res);
+  };
+}
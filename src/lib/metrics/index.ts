@@ -0,0 +1,3 @@
+export * from './business';
+export * from './http';
+export * from './registry';
@@ -0,0 +1,39 @@
+/**
+ * Prometheus metrics registry (server-only)
+ * Every metric carries the blue/green INSTANCE_ID and the build ID, so a
+ * deployment can be compared against the one it replaces.
+ *
+ * Kept on globalThis: API routes and the instrumentation hook are bundled
+ * separately and would otherwise each get their own registry (and dev
+ * reloads would register every metric twice).
+ */
+
+import { collectDefaultMetrics, Registry } from 'prom-client';
+
+import { env } from '@/lib/config/env';
+import { getBuildId } from '@/lib/version';
+
+const REGISTRY_KEY = Symbol.for('gfc.metrics.registry');
+
+type GlobalWithRegistry = typeof globalThis & { [REGISTRY_KEY]?: Registry };
+
+export function getMetricsRegistry(): Registry {
+  const store = globalThis as GlobalWithRegistry;
+  let registry = store[REGISTRY_KEY];
+  if (!registry) {
+    registry = new Registry();
+    registry.setDefaultLabels({ instance_id: env.INSTANCE_ID, build_id: getBuildId() });
+    collectDefaultMetrics({ register: registry });
+    store[REGISTRY_KEY] = registry;
+  }
+  return registry;
+}
+
+/**
+ * Returns the metric registered under `name`, creating it on first use, so
+ * modules in different bundles share one instance.
+ */
+export function getOrCreateMetric<T>(name: string, create: (registry: Registry) => T): T {
+  const registry = getMetricsRegistry();
+  return (registry.getSingleMetric(name) as T | undefined) ?? create(registry);
+}
@@ -0,0 +1,37 @@
+/**
+ * Which channels a notification is tried on, in order
+ * The patient's preferred contact method first, then WhatsApp, SMS and
+ * email, skipping any they have no number or address for. Each channel also
+ * follows its feature flag, checked when the message is sent.
+ */
+
+import type { FeatureFlag } from '@/lib/features/flags';
+import type { MessageChannel } from '@/lib/messaging/receipt';
+
+export const FALLBACK_ORDER: readonly MessageChannel[] = ['whatsapp', 'sms', 'email'];
+
+export const CHANNEL_FEATURES: Record<MessageChannel, FeatureFlag> = {
+  whatsapp: 'whatsappNotifications',
+  sms: 'smsNotifications',
+  email: 'emailNotifications',
+};
+
+export interface Recipient {
+  phone: string | null;
+  email: string | null;
+}
+
+export function isMessageChannel(value: unknown): value is MessageChannel {
+  return FALLBACK_ORDER.includes(value as MessageChannel);
+}
+
+/**
+ * Channels to try for a recipient. `preferred` is patients.preferred_contact_method,
+ * which may also be 'voice_call'; nothing places calls, so it gets the default order.
+ */
+export function deliveryChannels(preferred: string | null, recipient: Recipient): MessageChannel[] {
+  const order = isMessageChannel(preferred)
+    ? [preferred, ...FALLBACK_ORDER.filter((channel) => channel !== preferred)]
+    : [...FALLBACK_ORDER];
+  return order.filter((channel) => (channel === 'email' ? recipient.email : recipient.phone));
+}
@@ -0,0 +1,264 @@
+/**
+ * Notification delivery loop (server-only)
+ * Every NOTIFICATION_DELIVERY_INTERVAL_MS, queues reminders for appointments
+ * NOTIFICATION_REMINDER_HOURS away, then sends the notifications that are due.
+ *
+ * A notification is tried on its channels in order until one accepts it; the
+ * channels after that one are kept for the delivery webhooks to fall back to
+ * (see ./status). When every channel fails, the whole list is retried with
+ * backoff until max_retries, then the notification is marked failed.
+ *
+ * Reminders and notifications are claimed with a conditional update before
+ * anything is sent, as in the queue alert loop, so when several app instances
+ * run the loop only one of them sends each message.
+ */
+
+import { env } from '@/lib/config/env';
+import { isFeatureActive } from '@/lib/features';
+import { sendEmail, sendTextMessage } from '@/lib/messaging';
+import type { MessageChannel, MessageReceipt } from '@/lib/messaging';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import { CHANNEL_FEATURES, isMessageChannel } from './channels';
+import { queueAppointmentNotification } from './enqueue';
+import { isNotificationTemplate, sendGridTemplateId } from './templates';
+
+export const NOTIFICATION_DELIVERY_INTERVAL_MS = 15000;
+
+const BATCH_SIZE = 50;
+/** A claim this old belongs to an instance that stopped mid-send */
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+/** Cancelled, rescheduled and past appointments get no reminder */
+const REMINDER_STATUSES = ['pending', 'confirmed'];
+
+const NOTIFICATION_COLUMNS =
+  'id, status, notification_type, fallback_channels, phone, email, subject, message, template_name, template_data, retry_count, max_retries, claimed_at';
+
+interface NotificationRow {
+  id: string;
+  status: string;
+  notification_type: string;
+  fallback_channels: string[] | null;
+  phone: string | null;
+  email: string | null;
+  subject: string | null;
+  message: string;
+  template_name: string | null;
+  template_data: Record<string, unknown> | null;
+  retry_count: number | null;
+  max_retries: number | null;
+  claimed_at: string | null;
+}
+
+export interface DeliveryRun {
+  /** Reminders queued this pass */
+  reminders: number;
+  sent: number;
+  /** Every channel failed; tried again later */
+  retrying: number;
+  /** Out of retries */
+  failed: number;
+}
+
+/** Wait before retry n after every channel failed: 1, 4, 16 minutes and so on */
+export function retryDelayMs(retry: number): number {
+  return 60 * 1000 * 4 ** Math.max(0, retry - 1);
+}
+
+async function scheduleReminders(now: Date, run: DeliveryRun) {
+  const supabase = getSupabaseAdmin();
+  const windowMs = env.NOTIFICATION_REMINDER_HOURS * 3600 * 1000;
+
+  // Appointments booked after their reminder was due have only just been
+  // confirmed, so they are left out until they would be due again (never,
+  // if that is after the appointment)
+  const { data, error } = await supabase
+    .from('appointments')
+    .select('id')
+    .eq('reminder_sent', false)
+    .in('status', REMINDER_STATUSES)
+    .gt('scheduled_time', now.toISOString())
+    .lte('scheduled_time', new Date(now.getTime() + windowMs).toISOString())
+    .lte('created_at', new Date(now.getTime() - windowMs).toISOString())
+    .order('scheduled_time')
+    .limit(BATCH_SIZE);
+  if (error) throw new Error(`appointments: ${error.message}`);
+
+  for (const { id } of (data ?? []) as { id: string }[]) {
+    const claim = await supabase
+      .from('appointments')
+      .update({ reminder_sent: true, reminder_sent_at: now.toISOString() })
+      .eq('id', id)
+      .eq('reminder_sent', false)
+      .select('id');
+    if (claim.error) throw new Error(`appointments: ${claim.error.message}`);
+    if ((claim.data ?? []).length === 0) continue;
+
+    try {
+      if (await queueAppointmentNotification('appointmentReminder', id, now)) run.reminders += 1;
+    } catch (error) {
+      const release = await supabase
+        .from('appointments')
+        .update({ reminder_sent: false, reminder_sent_at: null })
+        .eq('id', id);
+      if (release.error) console.error('[notifications] could not release reminder claim');
+      throw error;
+    }
+  }
+}
+
+async function claim(row: NotificationRow, now: Date): Promise<boolean> {
+  let query = getSupabaseAdmin()
+    .from('notifications')
+    .update({ status: 'sending', claimed_at: now.toISOString() })
+    .eq('id', row.id)
+    .eq('status', row.status);
+  query = row.claimed_at ? query.eq('claimed_at', row.claimed_at) : query.is('claimed_at', null);
+  const { data, error } = await query.select('id');
+  if (error) throw new Error(`notifications: ${error.message}`);
+  return (data ?? []).length > 0;
+}
+
+function send(channel: MessageChannel, row: NotificationRow): Promise<MessageReceipt | null> {
+  if (channel === 'email') {
+    if (!row.email) return Promise.resolve(null);
+    return sendEmail({
+      to: row.email,
+      subject: row.subject ?? '',
+      text: row.message,
+      templateId: isNotificationTemplate(row.template_name)
+        ? sendGridTemplateId(row.template_name)
+        : undefined,
+      templateData: row.template_data ?? undefined,
+      reference: row.id,
+    });
+  }
+  if (!row.phone) return Promise.resolve(null);
+  return sendTextMessage(channel, row.phone, row.message, { reference: row.id, trackStatus: true });
+}
+
+async function deliver(
+  row: NotificationRow,
+  channelActive: (channel: MessageChannel) => Promise<boolean>,
+  now: Date,
+  run: DeliveryRun
+) {
+  if (!(await claim(row, now))) return;
+
+  const channels = [row.notification_type, ...(row.fallback_channels ?? [])].filter(
+    isMessageChannel
+  );
+  const tried: MessageChannel[] = [];
+  let update: Record<string, unknown> | null = null;
+
+  for (const [index, channel] of channels.entries()) {
+    if (!(await channelActive(channel))) continue;
+    tried.push(channel);
+    const receipt = await send(channel, row);
+    if (!receipt) continue;
+
+    run.sent += 1;
+    update = {
+      status: 'sent',
+      notification_type: channel,
+      fallback_channels: channels.slice(index + 1),
+      provider: receipt.provider,
+      provider_message_id: receipt.messageId || null,
+      sent_at: now.toISOString(),
+      failure_reason: null,
+      failure_code: null,
+    };
+    break;
+  }
+
+  if (!update) {
+    const retry = (row.retry_count ?? 0) + 1;
+    const failureReason =
+      tried.length > 0 ? `Not accepted on ${tried.join(', ')}` : 'No channel is switched on';
+    if (retry > (row.max_retries ?? 3)) {
+      run.failed += 1;
+      update = {
+        status: 'failed',
+        retry_count: retry,
+        failed_at: now.toISOString(),
+        failure_reason: failureReason,
+      };
+    } else {
+      run.retrying += 1;
+      update = {
+        status: 'pending',
+        retry_count: retry,
+        next_attempt_at: new Date(now.getTime() + retryDelayMs(retry)).toISOString(),
+        failure_reason: failureReason,
+      };
+    }
+  }
+
+  const { error } = await getSupabaseAdmin()
+    .from('notifications')
+    .update({ ...update, claimed_at: null })
+    .eq('id', row.id);
+  if (error) throw new Error(`notifications: ${error.message}`);
+}
+
+/** One pass: queue due reminders, then send due notifications. Safe to run from several instances. */
+export async function runNotificationDelivery(now: Date = new Date()): Promise<DeliveryRun> {
+  const run: DeliveryRun = { reminders: 0, sent: 0, retrying: 0, failed: 0 };
+  // Checked every pass, so switching the flag off in the admin dashboard stops sending
+  if (!(await isFeatureActive('notifications'))) return run;
+
+  await scheduleReminders(now, run);
+
+  const stale = new Date(now.getTime() - CLAIM_TIMEOUT_MS).toISOString();
+  const { data, error } = await getSupabaseAdmin()
+    .from('notifications')
+    .select(NOTIFICATION_COLUMNS)
+    .or(
+      `and(status.eq.pending,next_attempt_at.lte."${now.toISOString()}"),and(status.eq.sending,claimed_at.lt."${stale}")`
+    )
+    .order('next_attempt_at')
+    .limit(BATCH_SIZE);
+  if (error) throw new Error(`notifications: ${error.message}`);
+
+  const active = new Map<MessageChannel, Promise<boolean>>();
+  const channelActive = (channel: MessageChannel) => {
+    let state = active.get(channel);
+    if (!state) {
+      state = isFeatureActive(CHANNEL_FEATURES[channel]);
+      active.set(channel, state);
+    }
+    return state;
+  };
+
+  for (const row of (data ?? []) as unknown as NotificationRow[]) {
+    await deliver(row, channelActive, now, run);
+  }
+  return run;
+}
+
+let timer: ReturnType<typeof setInterval> | null = null;
+let running = false;
+
+/** Starts the delivery loop for this instance */
+export function startNotificationDelivery() {
+  if (timer) return;
+
+  timer = setInterval(() => {
+    if (running) return;
+    running = true;
+    runNotificationDelivery()
+      .then((run) => {
+        if (run.reminders || run.sent || run.retrying || run.failed) {
+          console.info('[notifications] delivery', run);
+        }
+      })
+      .catch((error: unknown) => {
+        console.error('[notifications]', error instanceof Error ? error.message : error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  }, NOTIFICATION_DELIVERY_INTERVAL_MS);
+  // Never keep the process alive just for notifications
+  timer.unref();
+}
@@ -0,0 +1,120 @@
+/**
+ * Queueing appointment notifications (server-only)
+ * Renders the message in the patient's language and stores it as a pending
+ * notifications row with the channels to try; the delivery loop sends it.
+ * Each template is queued at most once per appointment.
+ */
+
+import { env } from '@/lib/config/env';
+import { isFeatureActive } from '@/lib/features';
+import { DEFAULT_LOCALE, formatDate, formatTime, resolveLocale } from '@/lib/i18n';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import { deliveryChannels } from './channels';
+import { renderNotification } from './templates';
+
+import type { AppointmentMessageValues, NotificationTemplate } from './templates';
+
+interface AppointmentRow {
+  id: string;
+  queue_number: string;
+  scheduled_time: string;
+  patients: {
+    id: string;
+    full_name: string;
+    preferred_name: string | null;
+    phone: string | null;
+    email: string | null;
+    preferred_language: string | null;
+    preferred_contact_method: string | null;
+  } | null;
+  doctors: { full_name: string; display_name: string | null } | null;
+}
+
+/** Where patients see and cancel their appointments, in their language */
+function portalLink(locale: string): string {
+  const prefix = locale === DEFAULT_LOCALE ? '' : `/${locale}`;
+  return `${env.NEXT_PUBLIC_APP_URL}${prefix}/portal/appointments`;
+}
+
+/**
+ * Queues a notification about an appointment. False when nothing was queued:
+ * notifications are off, the appointment is gone, the patient has no number
+ * or address, or this one was queued before.
+ */
+export async function queueAppointmentNotification(
+  template: NotificationTemplate,
+  appointmentId: string,
+  now: Date = new Date()
+): Promise<boolean> {
+  if (!(await isFeatureActive('notifications'))) return false;
+
+  const supabase = getSupabaseAdmin();
+  const { data, error } = await supabase
+    .from('appointments')
+    .select(
+      'id, queue_number, scheduled_time, patients(id, full_name, preferred_name, phone, email, preferred_language, preferred_contact_method), doctors(full_name, display_name)'
+    )
+    .eq('id', appointmentId)
+    .maybeSingle();
+  if (error) throw new Error(`appointments: ${error.message}`);
+
+  const row = data as unknown as AppointmentRow | null;
+  const patient = row?.patients;
+  if (!row || !patient) return false;
+
+  const channels = deliveryChannels(patient.preferred_contact_method, patient);
+  const [channel, ...fallbackChannels] = channels;
+  if (!channel) return false;
+
+  const locale = resolveLocale(patient.preferred_language);
+  const values: AppointmentMessageValues = {
+    clinic: env.NEXT_PUBLIC_CLINIC_NAME,
+    name: patient.preferred_name || patient.full_name,
+    queueNumber: row.queue_number,
+    doctor: row.doctors?.display_name || row.doctors?.full_name || '',
+    date: formatDate(row.scheduled_time, locale),
+    time: formatTime(row.scheduled_time, locale),
+    link: portalLink(locale),
+  };
+  const message = await renderNotification(template, locale, values);
+
+  const inserted = await supabase
+    .from('notifications')
+    .upsert(
+      {
+        patient_id: patient.id,
+        phone: patient.phone,
+        email: patient.email,
+        notification_type: channel,
+        fallback_channels: fallbackChannels,
+        template_name: template,
+        template_data: values,
+        language: locale,
+        subject: message.subject,
+        message: message.text,
+        status: 'pending',
+        provider: null,
+        scheduled_for: now.toISOString(),
+        next_attempt_at: now.toISOString(),
+        appointment_id: row.id,
+        dedupe_key: `${template}:${row.id}`,
+      },
+      { onConflict: 'dedupe_key', ignoreDuplicates: true }
+    )
+    .select('id');
+  if (inserted.error) throw new Error(`notifications: ${inserted.error.message}`);
+  return (inserted.data ?? []).length > 0;
+}
+
+/**
+ * Queues the confirmation for a new booking. Never throws: a booking that
+ * went through is not failed because its confirmation could not be queued.
+ */
+export async function queueBookingConfirmation(appointmentId: string) {
+  try {
+    await queueAppointmentNotification('appointmentConfirmation', appointmentId);
+  } catch (error) {
+    console.error('[notifications]', error instanceof Error ? error.message : error);
+  }
+}
@@ -0,0 +1,5 @@
+export * from './channels';
+export * from './delivery';
+export * from './enqueue';
+export * from './status';
+export * from './templates';
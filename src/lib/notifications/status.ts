@@ -0,0 +1,161 @@
+/**
+ * Delivery receipts (server-only)
+ * Twilio and SendGrid report what happened to a message after they accepted
+ * it. Receipts move a sent notification on to delivered or read, never back;
+ * a failure or bounce moves it to its next fallback channel, pending for the
+ * delivery loop, or marks it failed when none is left. Receipts for an
+ * earlier attempt, or that arrive out of order, are ignored.
+ */
+
+import { createVerify } from 'crypto';
+
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+export type DeliveryOutcome = 'delivered' | 'read' | 'failed' | 'bounced';
+
+export interface DeliveryReceipt {
+  provider: 'twilio' | 'sendgrid';
+  /** Twilio message SID */
+  messageId?: string;
+  /** The notification id sent to SendGrid as the reference custom arg */
+  notificationId?: string;
+  outcome: DeliveryOutcome;
+  failureCode?: string | null;
+  reason?: string | null;
+  at: Date;
+}
+
+/** How far along a notification is; receipts only ever move it forward */
+const PROGRESS: Record<string, number> = { sent: 1, delivered: 2, read: 3 };
+
+const TWILIO_OUTCOMES: Record<string, DeliveryOutcome> = {
+  delivered: 'delivered',
+  read: 'read',
+  failed: 'failed',
+  undelivered: 'failed',
+  canceled: 'failed',
+};
+
+const SENDGRID_OUTCOMES: Record<string, DeliveryOutcome> = {
+  delivered: 'delivered',
+  open: 'read',
+  bounce: 'bounced',
+  dropped: 'failed',
+};
+
+interface StatusRow {
+  id: string;
+  status: string;
+  fallback_channels: string[] | null;
+}
+
+/** A Twilio status callback (form fields), or null for interim statuses such as queued */
+export function parseTwilioStatus(body: Record<string, unknown>, at: Date): DeliveryReceipt | null {
+  const messageId = typeof body.MessageSid === 'string' ? body.MessageSid : null;
+  const outcome = TWILIO_OUTCOMES[String(body.MessageStatus)];
+  if (!messageId || !outcome) return null;
+  return {
+    provider: 'twilio',
+    messageId,
+    outcome,
+    failureCode: typeof body.ErrorCode === 'string' && body.ErrorCode ? body.ErrorCode : null,
+    reason: outcome === 'failed' ? `Twilio reported ${String(body.MessageStatus)}` : null,
+    at,
+  };
+}
+
+/** SendGrid event webhook batch; events for other mail or of other kinds are dropped */
+export function parseSendGridEvents(payload: unknown): DeliveryReceipt[] {
+  if (!Array.isArray(payload)) return [];
+  return payload.flatMap((event: Record<string, unknown>) => {
+    const outcome = SENDGRID_OUTCOMES[String(event?.event)];
+    if (!outcome || typeof event.reference !== 'string') return [];
+    return [
+      {
+        provider: 'sendgrid' as const,
+        notificationId: event.reference,
+        outcome,
+        failureCode: event.status ? String(event.status) : null,
+        reason: typeof event.reason === 'string' ? event.reason.slice(0, 500) : null,
+        at: typeof event.timestamp === 'number' ? new Date(event.timestamp * 1000) : new Date(),
+      },
+    ];
+  });
+}
+
+/**
+ * Checks SendGrid's signed event webhook: an ECDSA signature over the
+ * timestamp header followed by the raw body, with the public key from the
+ * webhook settings (base64 DER, as SendGrid shows it).
+ */
+export function verifySendGridSignature(
+  publicKey: string,
+  payload: string,
+  signature: string,
+  timestamp: string
+): boolean {
+  try {
+    return createVerify('sha256')
+      .update(timestamp + payload)
+      .verify(
+        { key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' },
+        signature,
+        'base64'
+      );
+  } catch {
+    return false;
+  }
+}
+
+/** Applies one receipt; false when it matched no notification or changed nothing */
+export async function applyDeliveryReceipt(receipt: DeliveryReceipt): Promise<boolean> {
+  const supabase = getSupabaseAdmin();
+  let query = supabase
+    .from('notifications')
+    .select('id, status, fallback_channels')
+    .eq('provider', receipt.provider);
+  if (receipt.notificationId) query = query.eq('id', receipt.notificationId);
+  else if (receipt.messageId) query = query.eq('provider_message_id', receipt.messageId);
+  else return false;
+
+  const { data, error } = await query.maybeSingle();
+  if (error) throw new Error(`notifications: ${error.message}`);
+  const row = data as StatusRow | null;
+  const progress = row ? PROGRESS[row.status] : undefined;
+  if (!row || progress === undefined) return false;
+
+  const at = receipt.at.toISOString();
+  let update: Record<string, unknown>;
+  if (receipt.outcome === 'delivered' || receipt.outcome === 'read') {
+    if ((PROGRESS[receipt.outcome] ?? 0) <= progress) return false;
+    update =
+      receipt.outcome === 'delivered'
+        ? { status: 'delivered', delivered_at: at }
+        : { status: 'read', read_at: at };
+  } else {
+    // Delivered is as far as a channel can be checked; a later failure report is stale
+    if (row.status !== 'sent') return false;
+    const [next, ...rest] = row.fallback_channels ?? [];
+    const failure = { failure_code: receipt.failureCode ?? null, failure_reason: receipt.reason };
+    update = next
+      ? {
+          ...failure,
+          status: 'pending',
+          notification_type: next,
+          fallback_channels: rest,
+          provider: null,
+          provider_message_id: null,
+          next_attempt_at: new Date().toISOString(),
+        }
+      : { ...failure, status: receipt.outcome, failed_at: at };
+  }
+
+  const updated = await supabase
+    .from('notifications')
+    .update(update)
+    .eq('id', row.id)
+    .eq('status', row.status)
+    .select('id');
+  if (updated.error) throw new Error(`notifications: ${updated.error.message}`);
+  return (updated.data ?? []).length > 0;
+}
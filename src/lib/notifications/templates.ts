@@ -0,0 +1,58 @@
+/**
+ * Notification wording
+ * Messages are rendered in the patient's language from the notifications.*
+ * messages in the locale catalogs, falling back to English. Email can use a
+ * SendGrid dynamic template instead, which gets the same values.
+ */
+
+import { env } from '@/lib/config/env';
+import { DEFAULT_LOCALE, createTranslator, loadMessages, resolveLocale } from '@/lib/i18n';
+
+export const NOTIFICATION_TEMPLATES = ['appointmentConfirmation', 'appointmentReminder'] as const;
+export type NotificationTemplate = (typeof NOTIFICATION_TEMPLATES)[number];
+
+export type AppointmentMessageValues = {
+  clinic: string;
+  name: string;
+  queueNumber: string;
+  doctor: string;
+  /** Already formatted in the message's language */
+  date: string;
+  time: string;
+  /** Where to see or cancel the appointment */
+  link: string;
+};
+
+export interface RenderedNotification {
+  subject: string;
+  text: string;
+}
+
+export function isNotificationTemplate(value: unknown): value is NotificationTemplate {
+  return NOTIFICATION_TEMPLATES.includes(value as NotificationTemplate);
+}
+
+/** SendGrid dynamic template for the email version, if one is configured */
+export function sendGridTemplateId(template: NotificationTemplate): string | undefined {
+  return template === 'appointmentConfirmation'
+    ? env.SENDGRID_TEMPLATE_APPOINTMENT_CONFIRMATION
+    : env.SENDGRID_TEMPLATE_APPOINTMENT_REMINDER;
+}
+
+export async function renderNotification(
+  template: NotificationTemplate,
+  language: string,
+  values: AppointmentMessageValues
+): Promise<RenderedNotification> {
+  const locale = resolveLocale(language);
+  const [messages, fallbackMessages] = await Promise.all([
+    loadMessages(locale),
+    locale === DEFAULT_LOCALE ? Promise.resolve(undefined) : loadMessages(DEFAULT_LOCALE),
+  ]);
+  const t = createTranslator(locale, messages, fallbackMessages);
+
+  return {
+    subject: t(`notifications.${template}.subject`, values),
+    text: t(`notifications.${template}.text`, values),
+  };
+}
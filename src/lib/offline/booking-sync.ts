@@ -0,0 +1,96 @@
+/**
+ * Offline booking queue, shared by the service worker and the pages
+ * Bookings made without signal are queued by the worker (src/worker) and
+ * replayed with background sync. Each replay's outcome is kept in
+ * IndexedDB until a page has shown it, so a patient who closed the tab
+ * still learns whether the booking went through next time they open it.
+ *
+ * Imported by the service worker, which is bundled without the @/ path
+ * aliases: keep imports here relative, and type-only outside this folder.
+ */
+
+import { openDB } from 'idb';
+
+import type { BookingConfirmation } from '../booking/book';
+import type { BookingErrorCode } from '../booking/validation';
+
+export const BOOKING_ENDPOINT = '/api/appointments/book';
+export const BOOKING_SYNC_QUEUE = 'booking-queue';
+/** Queued bookings older than this are dropped instead of replayed */
+export const BOOKING_QUEUE_RETENTION_MINUTES = 12 * 60;
+
+/** Worker -> page: a queued booking was replayed */
+export const BOOKING_SYNC_RESULT_MESSAGE = 'booking-sync-result';
+/** Page -> worker: the connection is back, replay now */
+export const BOOKING_SYNC_REPLAY_MESSAGE = 'booking-sync-replay';
+
+/** What the worker answers a booking it had to queue (HTTP 202) */
+export interface QueuedBookingResponse {
+  queued: true;
+  id: string;
+}
+
+export type QueuedBookingOutcome = 'confirmed' | 'conflict' | 'failed';
+
+export interface QueuedBookingResult {
+  id: string;
+  /** When the patient submitted the booking, ISO 8601 */
+  queuedAt: string;
+  outcome: QueuedBookingOutcome;
+  booking: BookingConfirmation | null;
+  code: BookingErrorCode | null;
+}
+
+export interface BookingSyncResultMessage {
+  type: typeof BOOKING_SYNC_RESULT_MESSAGE;
+  result: QueuedBookingResult;
+}
+
+const DB_NAME = 'gfc-offline';
+const RESULTS_STORE = 'booking-results';
+
+function openResultsDb() {
+  return openDB(DB_NAME, 1, {
+    upgrade(db) {
+      db.createObjectStore(RESULTS_STORE, { keyPath: 'id' });
+    },
+  });
+}
+
+export async function saveBookingResult(result: QueuedBookingResult): Promise<void> {
+  const db = await openResultsDb();
+  try {
+    await db.put(RESULTS_STORE, result);
+  } finally {
+    db.close();
+  }
+}
+
+/** Replay outcomes no page has shown yet, oldest booking first */
+export async function listBookingResults(): Promise<QueuedBookingResult[]> {
+  const db = await openResultsDb();
+  try {
+    const results = (await db.getAll(RESULTS_STORE)) as QueuedBookingResult[];
+    return results.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+  } finally {
+    db.close();
+  }
+}
+
+/** Forgets an outcome once the patient has seen it */
+export async function acknowledgeBookingResult(id: string): Promise<void> {
+  const db = await openResultsDb();
+  try {
+    await db.delete(RESULTS_STORE, id);
+  } finally {
+    db.close();
+  }
+}
+
+export function isBookingSyncResultMessage(data: unknown): data is BookingSyncResultMessage {
+  return (
+    typeof data === 'object' &&
+    data !== null &&
+    (data as { type?: unknown }).type === BOOKING_SYNC_RESULT_MESSAGE
+  );
+}
@@ -0,0 +1 @@
+export * from './booking-sync';
@@ -0,0 +1,40 @@
+/**
+ * Web Push settings (server-only)
+ * Whether push alerts are switched on is the pushNotifications feature flag
+ * (src/lib/features); this only covers how to send them.
+ */
+
+import { env } from '@/lib/config/env';
+
+export interface PushConfig {
+  vapid: { subject: string; publicKey: string; privateKey: string };
+  /** Default alert distance for new subscriptions */
+  positionsAway: number;
+  /** MOCK_PUSH: accept http:// endpoints such as scripts/mock-push-service.js */
+  allowInsecureEndpoints: boolean;
+}
+
+let warned = false;
+
+/** Null when the VAPID keys are missing */
+export function getPushConfig(): PushConfig | null {
+  const publicKey = env.NEXT_PUBLIC_VAPID_PUBLIC_KEY;
+  const privateKey = env.VAPID_PRIVATE_KEY;
+  if (!publicKey || !privateKey) {
+    if (!warned) {
+      console.warn('[push] VAPID keys are not set; push alerts are off (npm run push:keys)');
+      warned = true;
+    }
+    return null;
+  }
+
+  return {
+    vapid: {
+      subject: env.VAPID_SUBJECT ?? `mailto:${env.NEXT_PUBLIC_CLINIC_EMAIL}`,
+      publicKey,
+      privateKey,
+    },
+    positionsAway: env.PUSH_ALERT_POSITIONS_AWAY,
+    allowInsecureEndpoints: env.MOCK_PUSH,
+  };
+}
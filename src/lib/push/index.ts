@@ -0,0 +1,6 @@
+export * from './config';
+export * from './messages';
+export * from './payload';
+export * from './queue-alerts';
+export * from './sender';
+export * from './subscriptions';
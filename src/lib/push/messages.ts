@@ -0,0 +1,55 @@
+/**
+ * Queue alert wording
+ * Notifications are written in the language the follower chose when they
+ * subscribed, from the push.* messages in the locale catalogs.
+ */
+
+import { DEFAULT_LOCALE, createTranslator, loadMessages, resolveLocale } from '@/lib/i18n';
+import { formatWait } from '@/lib/queue';
+import type { WaitEstimate } from '@/lib/queue';
+
+import type { QueueAlertKind, QueueAlertPayload } from './payload';
+import type { FollowerRole } from './subscriptions';
+
+export interface QueueAlertDetails {
+  kind: QueueAlertKind;
+  role: FollowerRole;
+  /** Caregiver's name for the patient, e.g. "Mum" */
+  label: string | null;
+  language: string;
+  queueNumber: string;
+  /** Waiting patients ahead; only used for approaching alerts */
+  ahead: number;
+  /** Estimated wait, added to approaching alerts when there is one */
+  wait: WaitEstimate | null;
+  /** Page the notification opens */
+  url: string;
+}
+
+export async function buildQueueAlert(details: QueueAlertDetails): Promise<QueueAlertPayload> {
+  const locale = resolveLocale(details.language);
+  const [messages, fallbackMessages] = await Promise.all([
+    loadMessages(locale),
+    locale === DEFAULT_LOCALE ? Promise.resolve(undefined) : loadMessages(DEFAULT_LOCALE),
+  ]);
+  const t = createTranslator(locale, messages, fallbackMessages);
+
+  const values = {
+    name: details.label ?? details.queueNumber,
+    queueNumber: details.queueNumber,
+    count: details.ahead,
+    wait: details.wait ? formatWait(t, details.wait) : undefined,
+  };
+  const prefix = details.role === 'caregiver' ? 'push.caregiver' : 'push.patient';
+  const body =
+    details.kind === 'approaching' && details.wait ? 'approachingWaitBody' : `${details.kind}Body`;
+
+  return {
+    kind: details.kind,
+    title: t(`${prefix}.${details.kind}Title`, values),
+    body: t(`${prefix}.${body}`, values),
+    url: details.url,
+    tag: `queue-${details.queueNumber}`,
+    lang: locale,
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * Push message payload
+ * Shared by the sender, the browser and the service worker (src/worker),
+ * which is bundled without the @/ path aliases: keep this file free of
+ * imports.
+ */
+
+/** Longest name a caregiver can give the patient they follow */
+export const MAX_FOLLOWER_LABEL_LENGTH = 40;
+
+export type QueueAlertKind = 'approaching' | 'called';
+
+export interface QueueAlertPayload {
+  kind: QueueAlertKind;
+  title: string;
+  body: string;
+  /** Page to open when the notification is tapped */
+  url: string;
+  /** Replaces an earlier notification for the same ticket */
+  tag: string;
+  lang: string;
+}
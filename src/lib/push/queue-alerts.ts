@@ -0,0 +1,202 @@
+/**
+ * Queue alert loop (server-only)
+ * Every QUEUE_ALERT_INTERVAL_MS, checks the tickets people are following and
+ * pushes "your turn is coming" once the ticket is within the follower's
+ * chosen number of positions, and "it's your turn" once it is called.
+ *
+ * Each alert is claimed by stamping its *_sent_at column before sending, so
+ * when several app instances run the loop only one of them sends it. A claim
+ * is released again if the push service fails, so the next pass retries.
+ */
+
+import { isFeatureActive } from '@/lib/features';
+import {
+  ACTIVE_TICKET_STATUSES,
+  countAhead,
+  createFollowToken,
+  followPath,
+  getDoctorWaits,
+  waitFor,
+} from '@/lib/queue';
+import type { DoctorWaits, WaitEstimate } from '@/lib/queue';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import { getPushConfig } from './config';
+import { buildQueueAlert } from './messages';
+import { sendPush } from './sender';
+
+import type { PushConfig } from './config';
+import type { QueueAlertKind } from './payload';
+import type { FollowerRole } from './subscriptions';
+
+export const QUEUE_ALERT_INTERVAL_MS = 15000;
+
+const SENT_COLUMN: Record<QueueAlertKind, 'approaching_sent_at' | 'called_sent_at'> = {
+  approaching: 'approaching_sent_at',
+  called: 'called_sent_at',
+};
+
+interface FollowRow {
+  id: string;
+  endpoint: string;
+  p256dh: string;
+  auth: string;
+  follower_role: FollowerRole;
+  label: string | null;
+  language: string;
+  positions_away: number;
+  approaching_sent_at: string | null;
+  appointments: {
+    id: string;
+    queue_number: string;
+    queue_sequence: number;
+    queue_date: string;
+    doctor_id: string;
+    status: string;
+  };
+}
+
+export interface QueueAlertRun {
+  sent: number;
+  failed: number;
+  /** Subscriptions the browser had dropped, now deleted */
+  removed: number;
+}
+
+async function claim(id: string, kind: QueueAlertKind, now: Date): Promise<boolean> {
+  const column = SENT_COLUMN[kind];
+  const { data, error } = await getSupabaseAdmin()
+    .from('push_subscriptions')
+    .update({ [column]: now.toISOString() })
+    .eq('id', id)
+    .is(column, null)
+    .select('id');
+  if (error) throw new Error(`push_subscriptions: ${error.message}`);
+  return (data ?? []).length > 0;
+}
+
+async function release(id: string, kind: QueueAlertKind) {
+  const { error } = await getSupabaseAdmin()
+    .from('push_subscriptions')
+    .update({ [SENT_COLUMN[kind]]: null })
+    .eq('id', id);
+  if (error) console.error('[push] could not release alert claim', error.message);
+}
+
+async function alert(
+  row: FollowRow,
+  kind: QueueAlertKind,
+  ahead: number,
+  wait: WaitEstimate | null,
+  config: PushConfig,
+  now: Date,
+  run: QueueAlertRun
+) {
+  if (!(await claim(row.id, kind, now))) return;
+
+  const ticket = row.appointments;
+  const payload = await buildQueueAlert({
+    kind,
+    role: row.follower_role,
+    label: row.label,
+    language: row.language,
+    queueNumber: ticket.queue_number,
+    ahead,
+    wait,
+    url: followPath(
+      createFollowToken({ id: ticket.id, queueDate: ticket.queue_date }),
+      row.language
+    ),
+  });
+  const outcome = await sendPush(row, payload, config);
+
+  if (outcome === 'sent') {
+    run.sent += 1;
+  } else if (outcome === 'gone') {
+    run.removed += 1;
+    const { error } = await getSupabaseAdmin().from('push_subscriptions').delete().eq('id', row.id);
+    if (error) console.error('[push] could not remove subscription', error.message);
+  } else {
+    run.failed += 1;
+    await release(row.id, kind);
+  }
+}
+
+/** One pass over every followed ticket. Safe to run from several instances. */
+export async function runQueueAlerts(now: Date = new Date()): Promise<QueueAlertRun> {
+  const run: QueueAlertRun = { sent: 0, failed: 0, removed: 0 };
+  const config = getPushConfig();
+  // Checked every pass, so switching the flag off in the admin dashboard stops alerts
+  if (!config || !(await isFeatureActive('pushNotifications'))) return run;
+
+  const supabase = getSupabaseAdmin();
+
+  const purge = await supabase
+    .from('push_subscriptions')
+    .delete()
+    .lt('expires_at', now.toISOString());
+  if (purge.error) throw new Error(`push_subscriptions: ${purge.error.message}`);
+
+  const { data, error } = await supabase
+    .from('push_subscriptions')
+    .select(
+      'id, endpoint, p256dh, auth, follower_role, label, language, positions_away, approaching_sent_at, appointments!inner(id, queue_number, queue_sequence, queue_date, doctor_id, status)'
+    )
+    .is('called_sent_at', null)
+    .in('appointments.status', [...ACTIVE_TICKET_STATUSES]);
+  if (error) throw new Error(`push_subscriptions: ${error.message}`);
+
+  const rows = (data ?? []) as unknown as FollowRow[];
+  const waiting = new Map<string, Promise<DoctorWaits>>();
+
+  for (const row of rows) {
+    const ticket = row.appointments;
+    if (ticket.status === 'in_consultation') {
+      await alert(row, 'called', 0, null, config, now, run);
+      continue;
+    }
+    // Not checked in yet: nobody knows when they will turn up, so no alert
+    if (row.approaching_sent_at || ticket.status !== 'arrived') continue;
+
+    // One query per doctor and day, however many followers they have
+    const key = `${ticket.doctor_id}:${ticket.queue_date}`;
+    let doctorWaits = waiting.get(key);
+    if (!doctorWaits) {
+      doctorWaits = getDoctorWaits(ticket.doctor_id, ticket.queue_date, now);
+      waiting.set(key, doctorWaits);
+    }
+    const queue = await doctorWaits;
+    const ahead = countAhead(queue.sequences, ticket.queue_sequence);
+    if (ahead <= row.positions_away) {
+      const wait = waitFor(queue, ticket.queue_sequence);
+      await alert(row, 'approaching', ahead, wait, config, now, run);
+    }
+  }
+
+  return run;
+}
+
+let timer: ReturnType<typeof setInterval> | null = null;
+let running = false;
+
+/** Starts the alert loop for this instance; does nothing when push is off */
+export function startQueueAlerts() {
+  if (timer || !getPushConfig()) return;
+
+  timer = setInterval(() => {
+    if (running) return;
+    running = true;
+    runQueueAlerts()
+      .then((run) => {
+        if (run.sent || run.failed || run.removed) console.info('[push] queue alerts', run);
+      })
+      .catch((error: unknown) => {
+        console.error('[push]', error instanceof Error ? error.message : error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  }, QUEUE_ALERT_INTERVAL_MS);
+  // Never keep the process alive just for alerts
+  timer.unref();
+}
@@ -0,0 +1,72 @@
+/**
+ * Web Push sender (server-only)
+ * web-push builds the VAPID-signed, aes128gcm-encrypted request; it is sent
+ * with fetch so plain-http endpoints work against the local push stub when
+ * MOCK_PUSH is on.
+ */
+
+import webpush from 'web-push';
+
+import { recordNotificationFailure } from '@/lib/metrics';
+
+import { isAllowedEndpoint } from './subscriptions';
+
+import type { PushConfig } from './config';
+import type { QueueAlertPayload } from './payload';
+
+export interface PushTarget {
+  endpoint: string;
+  p256dh: string;
+  auth: string;
+}
+
+/** gone: the browser dropped the subscription and it should be deleted */
+export type PushOutcome = 'sent' | 'gone' | 'failed';
+
+/** Alerts are pointless once the patient has been seen */
+const PUSH_TTL_SECONDS = 60 * 60;
+const PUSH_TIMEOUT_MS = 10000;
+
+export async function sendPush(
+  target: PushTarget,
+  payload: QueueAlertPayload,
+  config: PushConfig
+): Promise<PushOutcome> {
+  // Subscriptions saved before endpoints were restricted are dropped, not sent to
+  if (!isAllowedEndpoint(target.endpoint, config)) return 'gone';
+
+  const request = webpush.generateRequestDetails(
+    { endpoint: target.endpoint, keys: { p256dh: target.p256dh, auth: target.auth } },
+    JSON.stringify(payload),
+    { vapidDetails: config.vapid, TTL: PUSH_TTL_SECONDS, urgency: 'high', topic: payload.tag }
+  );
+
+  try {
+    const headers = Object.fromEntries(
+      Object.entries(request.headers)
+        // fetch sets Content-Length from the body itself
+        .filter(([name]) => name.toLowerCase() !== 'content-length')
+        .map(([name, value]) => [name, String(value)])
+    );
+    const response = await fetch(request.endpoint, {
+      method: request.method,
+      headers,
+      body: new Uint8Array(request.body),
+      // A push service never redirects; following one could reach any host
+      redirect: 'error',
+      signal: AbortSignal.timeout(PUSH_TIMEOUT_MS),
+    });
+
+    if (response.status === 404 || response.status === 410) return 'gone';
+    if (!response.ok) {
+      console.error(`[push] ${new URL(target.endpoint).host} answered ${response.status}`);
+      recordNotificationFailure('push');
+      return 'failed';
+    }
+    return 'sent';
+  } catch (error) {
+    console.error('[push]', error instanceof Error ? error.message : error);
+    recordNotificationFailure('push');
+    return 'failed';
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Push subscriptions for queue tickets (server-only)
+ * A browser follows a ticket by posting its PushSubscription with the
+ * ticket's follow token. The same browser may follow several tickets (a
+ * caregiver with two parents in the queue), so rows are keyed by ticket and
+ * endpoint together.
+ */
+
+import { z } from 'zod';
+
+import { SUPPORTED_LOCALES } from '@/lib/i18n/config';
+import { ticketExpiry } from '@/lib/queue';
+import type { QueueTicket } from '@/lib/queue';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import { MAX_FOLLOWER_LABEL_LENGTH } from './payload';
+
+import type { PushConfig } from './config';
+
+export const FOLLOWER_ROLES = ['patient', 'caregiver'] as const;
+export type FollowerRole = (typeof FOLLOWER_ROLES)[number];
+
+/** PushSubscription.toJSON() */
+export const pushSubscriptionSchema = z.object({
+  endpoint: z.string().url().max(1000),
+  expirationTime: z.number().nullable().optional(),
+  keys: z.object({
+    p256dh: z.string().min(1).max(200),
+    auth: z.string().min(1).max(100),
+  }),
+});
+
+export const followRequestSchema = z.object({
+  ticket: z.string().min(1).max(500),
+  subscription: pushSubscriptionSchema,
+  role: z.enum(FOLLOWER_ROLES).default('patient'),
+  label: z
+    .string()
+    .trim()
+    .max(MAX_FOLLOWER_LABEL_LENGTH)
+    .transform((value) => value || null)
+    .nullable()
+    .default(null),
+  locale: z.enum(SUPPORTED_LOCALES).default('en'),
+  positionsAway: z.number().int().min(1).max(20).optional(),
+});
+
+export const unfollowRequestSchema = z.object({
+  endpoint: z.string().url().max(1000),
+  /** Stop following one ticket; without it the browser stops following all */
+  ticket: z.string().min(1).max(500).optional(),
+});
+
+export type FollowRequest = z.infer<typeof followRequestSchema>;
+
+/**
+ * Browser push services: Chrome and Edge (FCM), Firefox (autopush), Safari
+ * (Apple) and legacy Edge (WNS). Hosts are matched exactly or as a
+ * subdomain, e.g. wns2-sg2p.notify.windows.com.
+ */
+const PUSH_SERVICE_HOSTS = [
+  'fcm.googleapis.com',
+  'push.services.mozilla.com',
+  'push.apple.com',
+  'notify.windows.com',
+];
+
+/**
+ * The server POSTs to every subscription's endpoint, so only https URLs on
+ * a known push service's default port are accepted; anything else would let
+ * a follower point the server at internal hosts. MOCK_PUSH accepts any
+ * http(s) URL, for scripts/mock-push-service.js.
+ */
+export function isAllowedEndpoint(endpoint: string, config: PushConfig): boolean {
+  let url: URL;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return false;
+  }
+  if (config.allowInsecureEndpoints) return url.protocol === 'https:' || url.protocol === 'http:';
+
+  const host = url.hostname.toLowerCase();
+  return (
+    url.protocol === 'https:' &&
+    url.port === '' &&
+    !url.username &&
+    !url.password &&
+    PUSH_SERVICE_HOSTS.some((service) => host === service || host.endsWith(`.${service}`))
+  );
+}
+
+export async function saveSubscription(
+  ticket: Pick<QueueTicket, 'id' | 'queueDate'>,
+  request: FollowRequest,
+  config: PushConfig
+): Promise<void> {
+  // Alerts already sent stay sent, so following again does not repeat them
+  const { error } = await getSupabaseAdmin()
+    .from('push_subscriptions')
+    .upsert(
+      {
+        appointment_id: ticket.id,
+        endpoint: request.subscription.endpoint,
+        p256dh: request.subscription.keys.p256dh,
+        auth: request.subscription.keys.auth,
+        follower_role: request.role,
+        label: request.role === 'caregiver' ? request.label : null,
+        language: request.locale,
+        positions_away: request.positionsAway ?? config.positionsAway,
+        expires_at: ticketExpiry(ticket.queueDate).toISOString(),
+      },
+      { onConflict: 'appointment_id,endpoint' }
+    );
+  if (error) throw new Error(`push_subscriptions: ${error.message}`);
+}
+
+export async function removeSubscriptions(endpoint: string, appointmentId?: string) {
+  let query = getSupabaseAdmin().from('push_subscriptions').delete().eq('endpoint', endpoint);
+  if (appointmentId) query = query.eq('appointment_id', appointmentId);
+  const { error } = await query;
+  if (error) throw new Error(`push_subscriptions: ${error.message}`);
+}
@@ -0,0 +1,52 @@
+/**
+ * Waiting-room call-outs
+ * The words the waiting-room display speaks when a number is called, e.g.
+ * "A 0 1 3, please proceed to Room 2", once in each language configured in
+ * QUEUE_CALLOUT_LANGUAGES. Safe to import in the browser.
+ */
+
+import { LOCALE_META } from '@/lib/i18n/config';
+import type { Locale } from '@/lib/i18n/config';
+import { formatMessage } from '@/lib/i18n/message-format';
+
+/** Message sources for one language, from waitingRoom.callout* */
+export interface CalloutTemplates {
+  locale: Locale;
+  /** Has {number} and {room} */
+  withRoom: string;
+  /** Has {number}; used for doctors without a consultation room */
+  withoutRoom: string;
+}
+
+export interface Callout {
+  locale: Locale;
+  /** BCP 47 tag for the speech voice, e.g. "zh-SG" */
+  lang: string;
+  text: string;
+}
+
+/**
+ * Spells a queue number out ("A013" -> "A 0 1 3") so every voice reads it
+ * the way it is printed on the ticket, not as "A thirteen".
+ */
+export function spokenQueueNumber(queueNumber: string): string {
+  return queueNumber.split('').join(' ');
+}
+
+export function buildCallouts(
+  templates: CalloutTemplates[],
+  queueNumber: string,
+  room: string | null
+): Callout[] {
+  const number = spokenQueueNumber(queueNumber);
+  return templates.map(({ locale, withRoom, withoutRoom }) => {
+    const lang = LOCALE_META[locale].tag;
+    return {
+      locale,
+      lang,
+      text: room
+        ? formatMessage(withRoom, { number, room }, lang)
+        : formatMessage(withoutRoom, { number }, lang),
+    };
+  });
+}
@@ -0,0 +1,75 @@
+/**
+ * Shared waiting-room display feed for Server-Sent Events
+ * As for the queue feed: one poller per instance however many screens are
+ * subscribed, and subscribers only hear about displays that changed.
+ */
+
+import { getWaitingRoomDisplay, isSameDisplay } from './display';
+import { QUEUE_POLL_INTERVAL_MS } from './feed';
+
+import type { WaitingRoomDisplay } from './display';
+
+export interface WaitingRoomListener {
+  onDisplay: (display: WaitingRoomDisplay) => void;
+  /** Called when the display cannot be refreshed; the last one is stale */
+  onUnavailable: (error: Error) => void;
+}
+
+interface Feed {
+  listeners: Set<WaitingRoomListener>;
+  display: WaitingRoomDisplay | null;
+  failing: boolean;
+  timer: ReturnType<typeof setInterval>;
+}
+
+let feed: Feed | null = null;
+
+async function refresh() {
+  const current = feed;
+  if (!current) return;
+
+  try {
+    const display = await getWaitingRoomDisplay();
+    const changed = !current.display || current.failing || !isSameDisplay(current.display, display);
+    current.display = display;
+    current.failing = false;
+    if (changed) current.listeners.forEach((listener) => listener.onDisplay(display));
+  } catch (error) {
+    const reason = error instanceof Error ? error : new Error(String(error));
+    if (!current.failing) {
+      console.error(`[waiting-room-feed] ${reason.message}`);
+      current.listeners.forEach((listener) => listener.onUnavailable(reason));
+    }
+    current.failing = true;
+  }
+}
+
+/**
+ * Subscribes to display changes. The current display, if one is cached, is
+ * delivered straight away. Returns the unsubscribe function.
+ */
+export function subscribeToWaitingRoom(listener: WaitingRoomListener): () => void {
+  if (!feed) {
+    feed = {
+      listeners: new Set(),
+      display: null,
+      failing: false,
+      timer: setInterval(() => void refresh(), QUEUE_POLL_INTERVAL_MS),
+    };
+    void refresh();
+  } else {
+    if (feed.display) listener.onDisplay(feed.display);
+    if (feed.failing) listener.onUnavailable(new Error('waiting-room feed is failing'));
+  }
+
+  feed.listeners.add(listener);
+
+  return () => {
+    if (!feed) return;
+    feed.listeners.delete(listener);
+    if (feed.listeners.size === 0) {
+      clearInterval(feed.timer);
+      feed = null;
+    }
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * Waiting-room display snapshot
+ * What the TV in the waiting room shows for each doctor seeing patients
+ * today: the number with the doctor, the next number waiting and the room
+ * to go to. Like the public queue snapshot it holds no patient details, so
+ * it is served without authentication.
+ */
+
+import { clinicDate } from '@/lib/clinic';
+import { env } from '@/lib/config/env';
+import { DEFAULT_LOCALE, loadMessages, lookupMessage } from '@/lib/i18n';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import type { CalloutTemplates } from './callout';
+
+export interface WaitingRoomDoctor {
+  id: string;
+  name: string;
+  /** doctors.consultation_room, e.g. "2"; null when not set */
+  room: string | null;
+  nowServing: string | null;
+  nextUp: string | null;
+  /** When nowServing was called, ISO 8601; a new value means a new call-out */
+  calledAt: string | null;
+  paused: boolean;
+}
+
+export interface WaitingRoomDisplay {
+  /** Clinic date, YYYY-MM-DD */
+  date: string;
+  /** Doctors with a queue today, in name order */
+  doctors: WaitingRoomDoctor[];
+}
+
+interface DoctorRow {
+  id: string;
+  full_name: string;
+  display_name: string | null;
+  consultation_room: string | null;
+}
+
+interface QueueStatusRow {
+  doctor_id: string;
+  current_queue_number: string | null;
+  queue_paused: boolean | null;
+  last_called_at: string | null;
+}
+
+interface WaitingRow {
+  doctor_id: string;
+  queue_number: string;
+}
+
+export async function getWaitingRoomDisplay(): Promise<WaitingRoomDisplay> {
+  const supabase = getSupabaseAdmin();
+  const today = clinicDate(new Date());
+
+  const [doctors, status, waiting] = await Promise.all([
+    supabase
+      .from('doctors')
+      .select('id, full_name, display_name, consultation_room')
+      .eq('is_active', true)
+      .order('full_name'),
+    supabase
+      .from('queue_status')
+      .select('doctor_id, current_queue_number, queue_paused, last_called_at')
+      .eq('queue_date', today),
+    supabase
+      .from('appointments')
+      .select('doctor_id, queue_number')
+      .eq('queue_date', today)
+      .eq('status', 'arrived')
+      .order('queue_sequence', { ascending: true }),
+  ]);
+  if (doctors.error) throw new Error(`doctors: ${doctors.error.message}`);
+  if (status.error) throw new Error(`queue_status: ${status.error.message}`);
+  if (waiting.error) throw new Error(`appointments: ${waiting.error.message}`);
+
+  const statusByDoctor = new Map(
+    ((status.data ?? []) as QueueStatusRow[]).map((row) => [row.doctor_id, row])
+  );
+  const nextByDoctor = new Map<string, string>();
+  for (const row of (waiting.data ?? []) as WaitingRow[]) {
+    if (!nextByDoctor.has(row.doctor_id)) nextByDoctor.set(row.doctor_id, row.queue_number);
+  }
+
+  return {
+    date: today,
+    doctors: ((doctors.data ?? []) as DoctorRow[])
+      .filter((row) => statusByDoctor.has(row.id) || nextByDoctor.has(row.id))
+      .map((row) => {
+        const queue = statusByDoctor.get(row.id);
+        return {
+          id: row.id,
+          name: row.display_name || row.full_name,
+          room: row.consultation_room,
+          nowServing: queue?.current_queue_number ?? null,
+          nextUp: nextByDoctor.get(row.id) ?? null,
+          calledAt: queue?.last_called_at ?? null,
+          paused: queue?.queue_paused ?? false,
+        };
+      }),
+  };
+}
+
+/** True when two displays would render and announce the same */
+export function isSameDisplay(a: WaitingRoomDisplay, b: WaitingRoomDisplay): boolean {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** Call-out messages for each language in QUEUE_CALLOUT_LANGUAGES, in order */
+export async function getCalloutTemplates(): Promise<CalloutTemplates[]> {
+  const fallback = await loadMessages(DEFAULT_LOCALE);
+  return Promise.all(
+    env.QUEUE_CALLOUT_LANGUAGES.map(async (locale) => {
+      const messages = await loadMessages(locale);
+      const message = (key: string) =>
+        lookupMessage(messages, key) ?? lookupMessage(fallback, key) ?? '';
+      return {
+        locale,
+        withRoom: message('waitingRoom.calloutRoom'),
+        withoutRoom: message('waitingRoom.callout'),
+      };
+    })
+  );
+}
@@ -0,0 +1,86 @@
+/**
+ * Shared queue feed for Server-Sent Events
+ * One poller per doctor (or the clinic-wide view) per instance, however many
+ * browsers are subscribed, so the database sees one query every
+ * QUEUE_POLL_INTERVAL_MS instead of one per open tab. Subscribers are only
+ * notified when the snapshot changes.
+ */
+
+import { getQueueSnapshot, isSameSnapshot } from './snapshot';
+
+import type { QueueSnapshot } from './snapshot';
+
+export const QUEUE_POLL_INTERVAL_MS = 5000;
+
+export interface QueueFeedListener {
+  onSnapshot: (snapshot: QueueSnapshot) => void;
+  /** Called when the snapshot cannot be refreshed; the last one is stale */
+  onUnavailable: (error: Error) => void;
+}
+
+interface Feed {
+  listeners: Set<QueueFeedListener>;
+  snapshot: QueueSnapshot | null;
+  failing: boolean;
+  timer: ReturnType<typeof setInterval>;
+}
+
+const feeds = new Map<string, Feed>();
+
+async function refresh(key: string, doctorId: string | undefined) {
+  const feed = feeds.get(key);
+  if (!feed) return;
+
+  try {
+    const snapshot = await getQueueSnapshot(doctorId);
+    const changed = !feed.snapshot || feed.failing || !isSameSnapshot(feed.snapshot, snapshot);
+    feed.snapshot = snapshot;
+    feed.failing = false;
+    if (changed) feed.listeners.forEach((listener) => listener.onSnapshot(snapshot));
+  } catch (error) {
+    const reason = error instanceof Error ? error : new Error(String(error));
+    if (!feed.failing) {
+      console.error(`[queue-feed] ${key}: ${reason.message}`);
+      feed.listeners.forEach((listener) => listener.onUnavailable(reason));
+    }
+    feed.failing = true;
+  }
+}
+
+/**
+ * Subscribes to queue changes. The current snapshot, if one is cached, is
+ * delivered straight away. Returns the unsubscribe function.
+ */
+export function subscribeToQueue(
+  doctorId: string | undefined,
+  listener: QueueFeedListener
+): () => void {
+  const key = doctorId ?? 'clinic';
+  let feed = feeds.get(key);
+
+  if (!feed) {
+    feed = {
+      listeners: new Set(),
+      snapshot: null,
+      failing: false,
+      timer: setInterval(() => void refresh(key, doctorId), QUEUE_POLL_INTERVAL_MS),
+    };
+    feeds.set(key, feed);
+    void refresh(key, doctorId);
+  } else {
+    if (feed.snapshot) listener.onSnapshot(feed.snapshot);
+    if (feed.failing) listener.onUnavailable(new Error('queue feed is failing'));
+  }
+
+  feed.listeners.add(listener);
+
+  return () => {
+    const current = feeds.get(key);
+    if (!current) return;
+    current.listeners.delete(listener);
+    if (current.listeners.size === 0) {
+      clearInterval(current.timer);
+      feeds.delete(key);
+    }
+  };
+}
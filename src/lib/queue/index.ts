@@ -0,0 +1,9 @@
+export * from './callout';
+export * from './display';
+export * from './display-feed';
+export * from './feed';
+export * from './snapshot';
+export * from './tickets';
+export * from './wait-estimate';
+export * from './wait-replay';
+export * from './wait-times';
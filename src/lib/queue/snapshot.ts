@@ -0,0 +1,115 @@
+/**
+ * Public queue snapshot
+ * What the waiting room can see: the number being served, who is next, how
+ * many have checked in and how long someone checking in now can expect to
+ * wait. Contains no patient details, so it is safe to serve without
+ * authentication.
+ */
+
+import { clinicDate, getClinicSchedule } from '@/lib/clinic';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import { estimateQueueWaits, isSameWait } from './wait-estimate';
+import { getDurationModel, loadDoctorQueues } from './wait-times';
+
+import type { WaitEstimate } from './wait-estimate';
+
+export interface QueueSnapshot {
+  /** Null for the clinic-wide view */
+  doctorId: string | null;
+  nowServing: string | null;
+  nextUp: string | null;
+  /** Patients who have arrived and are not yet called */
+  waitingCount: number;
+  /** Most likely wait for someone checking in now; null when no doctor is consulting */
+  estimatedWaitMinutes: number | null;
+  /**
+   * The range that wait is likely to fall in. The clinic-wide view gives
+   * the shortest of the consulting doctors' queues.
+   */
+  estimatedWait: WaitEstimate | null;
+  paused: boolean;
+  /** When the queue last changed, ISO 8601 */
+  updatedAt: string;
+}
+
+interface QueueStatusRow {
+  doctor_id: string;
+  current_queue_number: string | null;
+  is_queue_active: boolean | null;
+  queue_paused: boolean | null;
+  last_called_at: string | null;
+  last_updated_at: string | null;
+}
+
+const latest = (values: Array<string | null>) =>
+  values.reduce<string | null>(
+    (max, value) => (value && (!max || value > max) ? value : max),
+    null
+  );
+
+export async function getQueueSnapshot(doctorId?: string): Promise<QueueSnapshot> {
+  const now = new Date();
+  const today = clinicDate(now);
+
+  let statusQuery = getSupabaseAdmin()
+    .from('queue_status')
+    .select(
+      'doctor_id, current_queue_number, is_queue_active, queue_paused, last_called_at, last_updated_at'
+    )
+    .eq('queue_date', today);
+  if (doctorId) statusQuery = statusQuery.eq('doctor_id', doctorId);
+
+  const [status, queues, model] = await Promise.all([
+    statusQuery,
+    loadDoctorQueues(today, doctorId),
+    getDurationModel(now),
+  ]);
+  if (status.error) throw new Error(`queue_status: ${status.error.message}`);
+
+  const rows = (status.data ?? []) as QueueStatusRow[];
+  const consulting = rows.filter((row) => row.is_queue_active !== false && !row.queue_paused);
+  const waiting = Array.from(queues.values())
+    .flatMap((queue) => queue.waiting)
+    .sort((a, b) => a.queueSequence - b.queueSequence);
+
+  // The clinic-wide view shows whichever doctor called a number most recently
+  const lastCalled = [...rows]
+    .filter((row) => row.current_queue_number)
+    .sort((a, b) => (b.last_called_at ?? '').localeCompare(a.last_called_at ?? ''))[0];
+
+  const schedule = getClinicSchedule();
+  const estimatedWait = consulting.reduce<WaitEstimate | null>((shortest, row) => {
+    const queue = queues.get(row.doctor_id) ?? {
+      doctorId: row.doctor_id,
+      current: null,
+      waiting: [],
+    };
+    const waits = estimateQueueWaits(model, queue, schedule, now);
+    const joining = waits[waits.length - 1];
+    return joining && (!shortest || joining.minutes < shortest.minutes) ? joining : shortest;
+  }, null);
+
+  return {
+    doctorId: doctorId ?? null,
+    nowServing: lastCalled?.current_queue_number ?? null,
+    nextUp: waiting[0]?.queueNumber ?? null,
+    waitingCount: waiting.length,
+    estimatedWaitMinutes: estimatedWait?.minutes ?? null,
+    estimatedWait,
+    paused: rows.length > 0 && consulting.length === 0,
+    updatedAt: latest(rows.map((row) => row.last_updated_at)) ?? new Date(0).toISOString(),
+  };
+}
+
+/** True when two snapshots would render the same, ignoring timestamps */
+export function isSameSnapshot(a: QueueSnapshot, b: QueueSnapshot): boolean {
+  return (
+    a.nowServing === b.nowServing &&
+    a.nextUp === b.nextUp &&
+    a.waitingCount === b.waitingCount &&
+    a.estimatedWaitMinutes === b.estimatedWaitMinutes &&
+    isSameWait(a.estimatedWait, b.estimatedWait) &&
+    a.paused === b.paused
+  );
+}
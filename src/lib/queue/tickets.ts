@@ -0,0 +1,98 @@
+/**
+ * Queue tickets and follow links
+ * A ticket is one appointment's place in the day's queue. Its follow token
+ * lets whoever holds it (the patient, or a caregiver they shared the link
+ * with) see the ticket and subscribe to alerts, until the clinic day ends.
+ */
+
+import { addDays, atClinicTime } from '@/lib/clinic';
+import { env } from '@/lib/config/env';
+import { DEFAULT_LOCALE } from '@/lib/i18n/config';
+import { signToken, verifyToken } from '@/lib/security/signed-token';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+export interface QueueTicket {
+  /** Appointment id */
+  id: string;
+  queueNumber: string;
+  queueSequence: number;
+  /** Clinic date, YYYY-MM-DD */
+  queueDate: string;
+  doctorId: string;
+  doctorName: string;
+  status: string;
+}
+
+/** Statuses in which a ticket is still waiting to be seen */
+export const ACTIVE_TICKET_STATUSES = [
+  'pending',
+  'confirmed',
+  'reminder_sent',
+  'arrived',
+  'in_consultation',
+] as const;
+
+const FOLLOW_TOKEN_PURPOSE = 'queue-follow';
+
+interface TicketRow {
+  id: string;
+  queue_number: string;
+  queue_sequence: number;
+  queue_date: string;
+  doctor_id: string;
+  status: string;
+  doctors: { full_name: string; display_name: string | null } | null;
+}
+
+export async function getQueueTicket(appointmentId: string): Promise<QueueTicket | null> {
+  const { data, error } = await getSupabaseAdmin()
+    .from('appointments')
+    .select(
+      'id, queue_number, queue_sequence, queue_date, doctor_id, status, doctors(full_name, display_name)'
+    )
+    .eq('id', appointmentId)
+    .maybeSingle();
+  if (error) throw new Error(`appointments: ${error.message}`);
+  if (!data) return null;
+
+  const row = data as unknown as TicketRow;
+  return {
+    id: row.id,
+    queueNumber: row.queue_number,
+    queueSequence: row.queue_sequence,
+    queueDate: row.queue_date,
+    doctorId: row.doctor_id,
+    doctorName: row.doctors?.display_name || row.doctors?.full_name || '',
+    status: row.status,
+  };
+}
+
+export function isActiveTicket(ticket: QueueTicket): boolean {
+  return (ACTIVE_TICKET_STATUSES as readonly string[]).includes(ticket.status);
+}
+
+/** Midnight after the ticket's clinic day */
+export function ticketExpiry(queueDate: string): Date {
+  return atClinicTime(addDays(queueDate, 1), '00:00');
+}
+
+export function createFollowToken(ticket: Pick<QueueTicket, 'id' | 'queueDate'>): string {
+  const exp = Math.floor(ticketExpiry(ticket.queueDate).getTime() / 1000);
+  return signToken({ purpose: FOLLOW_TOKEN_PURPOSE, sub: ticket.id, exp }, env.JWT_SECRET);
+}
+
+/** The appointment id the token follows, or null if it is invalid or expired */
+export function verifyFollowToken(token: string, now: Date = new Date()): string | null {
+  return verifyToken(token, FOLLOW_TOKEN_PURPOSE, env.JWT_SECRET, now)?.sub ?? null;
+}
+
+/** How many waiting patients will be called before this ticket */
+export function countAhead(waitingSequences: readonly number[], queueSequence: number): number {
+  return waitingSequences.filter((sequence) => sequence < queueSequence).length;
+}
+
+/** Path of the page that follows a ticket, in the given locale */
+export function followPath(token: string, locale: string = DEFAULT_LOCALE): string {
+  const prefix = locale === DEFAULT_LOCALE ? '' : `/${locale}`;
+  return `${prefix}/queue/follow?token=${encodeURIComponent(token)}`;
+}
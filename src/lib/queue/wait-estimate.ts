@@ -0,0 +1,283 @@
+/**
+ * Queue wait-time estimator
+ * Learns how long each doctor's consultations of each visit type usually
+ * take from completed appointments, and turns the consultation in progress
+ * and the patients ahead of someone into a range of minutes they are
+ * likely to wait. Breaks between sessions (lunch, from
+ * NEXT_PUBLIC_LUNCH_HOURS) are left out of consultation lengths, and a
+ * wait that runs into one is stretched by it.
+ *
+ * Nothing here reads the database: history and queues are passed in (see
+ * wait-times.ts), so the replay harness can score estimates on past days
+ * and pages can import formatWait in the browser.
+ */
+
+import { atClinicTime, clinicDate, getDaySchedule } from '@/lib/clinic';
+import type { ClinicSchedule } from '@/lib/clinic';
+import type { TranslateFn } from '@/lib/i18n';
+
+/** A completed consultation, as learned from and replayed */
+export interface ConsultationRecord {
+  doctorId: string;
+  /** appointment_type, e.g. "consultation" or "vaccination" */
+  visitType: string;
+  /** Clinic date, YYYY-MM-DD */
+  queueDate: string;
+  /** ISO 8601; null for appointments completed without a check-in */
+  checkedInAt: string | null;
+  startedAt: string;
+  endedAt: string;
+}
+
+interface DurationStats {
+  count: number;
+  mean: number;
+  variance: number;
+}
+
+export interface DurationModel {
+  clinic: DurationStats;
+  doctors: Map<string, DurationStats>;
+  /** Keyed by `${doctorId}:${visitType}` */
+  visits: Map<string, DurationStats>;
+}
+
+/** A checked-in patient waiting to be called */
+export interface QueuedVisit {
+  queueSequence: number;
+  visitType: string;
+}
+
+export interface DoctorQueue {
+  doctorId: string;
+  /** The consultation in progress, if any */
+  current: { visitType: string; startedAt: string } | null;
+  /** In calling order */
+  waiting: QueuedVisit[];
+}
+
+export interface WaitEstimate {
+  /** Most likely wait */
+  minutes: number;
+  /** The wait falls between these about 8 times out of 10 */
+  low: number;
+  high: number;
+}
+
+/** Before there is any history: queue_status.average_consultation_minutes */
+const DEFAULT_STATS: DurationStats = { count: 0, mean: 15, variance: 49 };
+/** How many consultations' worth of weight the broader average carries */
+const PRIOR_WEIGHT = 5;
+/** Longer "consultations" are a forgotten call-next, not a consultation */
+const MAX_CONSULTATION_MINUTES = 90;
+/**
+ * A patient who checked in this close to the previous consultation ending
+ * arrived to an empty queue and was called straight away, so that end
+ * time says when they arrived, not when the doctor finished
+ */
+const ARRIVAL_GRACE_MINUTES = 2;
+/** z for the middle 80% of a normal distribution */
+const RANGE_Z = 1.2816;
+/** A consultation running over still has a little left */
+const MIN_REMAINING_MINUTES = 1;
+
+const MINUTE_MS = 60_000;
+
+interface Interval {
+  start: number;
+  end: number;
+}
+
+/** The day's sessions as instants, earliest first */
+function sessionsOn(date: string, schedule: ClinicSchedule): Interval[] {
+  return getDaySchedule(date, schedule).sessions.map((session) => ({
+    start: atClinicTime(date, session.start).getTime(),
+    end: atClinicTime(date, session.end).getTime(),
+  }));
+}
+
+/** The breaks between a day's sessions, e.g. lunch */
+function breaksOn(date: string, schedule: ClinicSchedule): Interval[] {
+  const sessions = sessionsOn(date, schedule);
+  return sessions.slice(1).map((session, index) => ({
+    start: sessions[index]?.end ?? session.start,
+    end: session.start,
+  }));
+}
+
+/** Minutes from start to end, less any time in a break */
+function workingMinutes(start: number, end: number, breaks: readonly Interval[]): number {
+  const paused = breaks.reduce(
+    (sum, gap) => sum + Math.max(0, Math.min(end, gap.end) - Math.max(start, gap.start)),
+    0
+  );
+  return (end - start - paused) / MINUTE_MS;
+}
+
+/**
+ * The instant `minutes` of consulting after `from`: time before opening and
+ * between sessions does not count, and after the last session the clinic
+ * keeps going until everyone checked in has been seen
+ */
+function afterWorkingMinutes(from: number, minutes: number, sessions: readonly Interval[]): number {
+  let cursor = from;
+  let left = minutes * MINUTE_MS;
+  for (const session of sessions) {
+    if (cursor >= session.end) continue;
+    cursor = Math.max(cursor, session.start);
+    if (left <= session.end - cursor) return cursor + left;
+    left -= session.end - cursor;
+    cursor = session.end;
+  }
+  return cursor + left;
+}
+
+function summarise(samples: readonly number[]): DurationStats {
+  const count = samples.length;
+  if (count === 0) return { count, mean: 0, variance: 0 };
+  const mean = samples.reduce((sum, value) => sum + value, 0) / count;
+  const variance = samples.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count;
+  return { count, mean, variance };
+}
+
+/** Pulls sparse stats towards the broader average they belong to */
+function shrink(stats: DurationStats | undefined, prior: DurationStats): DurationStats {
+  if (!stats || stats.count === 0) return prior;
+  const weight = stats.count + PRIOR_WEIGHT;
+  return {
+    count: stats.count,
+    mean: (stats.count * stats.mean + PRIOR_WEIGHT * prior.mean) / weight,
+    variance: (stats.count * stats.variance + PRIOR_WEIGHT * prior.variance) / weight,
+  };
+}
+
+/**
+ * Consultation lengths in minutes by doctor and visit type. Consultations
+ * end when the desk calls the next patient, so lengths that only say when
+ * the next patient turned up are left out, as are implausibly long ones.
+ */
+export function learnConsultationDurations(
+  records: readonly ConsultationRecord[],
+  schedule: ClinicSchedule
+): DurationModel {
+  const breaks = new Map<string, Interval[]>();
+  // Call-next starts the next consultation at the instant it ends this one
+  const startedAt = new Map<string, ConsultationRecord>();
+  records.forEach((record) => {
+    startedAt.set(`${record.doctorId}:${Date.parse(record.startedAt)}`, record);
+  });
+
+  const all: number[] = [];
+  const byDoctor = new Map<string, number[]>();
+  const byVisit = new Map<string, number[]>();
+  const add = (map: Map<string, number[]>, key: string, minutes: number) => {
+    const samples = map.get(key);
+    if (samples) samples.push(minutes);
+    else map.set(key, [minutes]);
+  };
+
+  records.forEach((record) => {
+    const start = Date.parse(record.startedAt);
+    const end = Date.parse(record.endedAt);
+    const next = startedAt.get(`${record.doctorId}:${end}`);
+    if (
+      next?.checkedInAt &&
+      Date.parse(next.checkedInAt) > end - ARRIVAL_GRACE_MINUTES * MINUTE_MS
+    ) {
+      return;
+    }
+
+    let dayBreaks = breaks.get(record.queueDate);
+    if (!dayBreaks) {
+      dayBreaks = breaksOn(record.queueDate, schedule);
+      breaks.set(record.queueDate, dayBreaks);
+    }
+    const minutes = workingMinutes(start, end, dayBreaks);
+    if (!(minutes > 0 && minutes <= MAX_CONSULTATION_MINUTES)) return;
+
+    all.push(minutes);
+    add(byDoctor, record.doctorId, minutes);
+    add(byVisit, `${record.doctorId}:${record.visitType}`, minutes);
+  });
+
+  const summariseAll = (map: Map<string, number[]>) =>
+    new Map(Array.from(map, ([key, samples]) => [key, summarise(samples)]));
+
+  return {
+    clinic: summarise(all),
+    doctors: summariseAll(byDoctor),
+    visits: summariseAll(byVisit),
+  };
+}
+
+/** Expected length of one consultation, falling back to the doctor's and then the clinic's */
+function consultationStats(
+  model: DurationModel,
+  doctorId: string,
+  visitType: string
+): DurationStats {
+  const clinic = shrink(model.clinic, DEFAULT_STATS);
+  const doctor = shrink(model.doctors.get(doctorId), clinic);
+  return shrink(model.visits.get(`${doctorId}:${visitType}`), doctor);
+}
+
+/**
+ * Waits for each patient in the queue, in calling order, followed by the
+ * wait for a patient joining the back of it now. Consultation lengths are
+ * treated as independent, so the range widens with every patient ahead.
+ */
+export function estimateQueueWaits(
+  model: DurationModel,
+  queue: DoctorQueue,
+  schedule: ClinicSchedule,
+  now: Date = new Date()
+): WaitEstimate[] {
+  const date = clinicDate(now);
+  const sessions = sessionsOn(date, schedule);
+  const from = now.getTime();
+
+  let mean = 0;
+  let variance = 0;
+  if (queue.current) {
+    const stats = consultationStats(model, queue.doctorId, queue.current.visitType);
+    const elapsed = workingMinutes(
+      Date.parse(queue.current.startedAt),
+      from,
+      breaksOn(date, schedule)
+    );
+    mean = Math.max(stats.mean - elapsed, MIN_REMAINING_MINUTES);
+    variance = stats.variance;
+  }
+
+  const toClock = (minutes: number) =>
+    (afterWorkingMinutes(from, Math.max(minutes, 0), sessions) - from) / MINUTE_MS;
+  const estimate = (): WaitEstimate => {
+    const spread = RANGE_Z * Math.sqrt(variance);
+    const low = Math.floor(toClock(mean - spread));
+    const high = Math.ceil(toClock(mean + spread));
+    const minutes = Math.min(Math.max(Math.round(toClock(mean)), low), high);
+    return { minutes, low, high };
+  };
+
+  const waits: WaitEstimate[] = [];
+  queue.waiting.forEach((visit) => {
+    waits.push(estimate());
+    const stats = consultationStats(model, queue.doctorId, visit.visitType);
+    mean += stats.mean;
+    variance += stats.variance;
+  });
+  waits.push(estimate());
+  return waits;
+}
+
+/** True when two estimates would read the same */
+export function isSameWait(a: WaitEstimate | null, b: WaitEstimate | null): boolean {
+  return a === b || (!!a && !!b && a.low === b.low && a.high === b.high);
+}
+
+/** "10–20 mins", or "5 mins" once the range has closed up (usually when next) */
+export function formatWait(t: TranslateFn, wait: WaitEstimate): string {
+  return wait.low === wait.high
+    ? t('queue.minutes', { minutes: wait.high })
+    : t('queue.minutesRange', { low: wait.low, high: wait.high });
+}
@@ -0,0 +1,157 @@
+/**
+ * Wait-estimate replay
+ * Scores the estimator against days that already happened. Each day's
+ * durations are learned from the days before it only, then every patient's
+ * check-in is replayed: the queue they joined is rebuilt from who had
+ * checked in but not yet been called, and who was with the doctor, at that
+ * moment, and the estimate is compared with how long they actually waited.
+ *
+ * Only completed consultations are in the history, so patients ahead who
+ * later became no-shows are missing from the rebuilt queues, and paused
+ * queues are not replayed.
+ */
+
+import { addDays } from '@/lib/clinic';
+import type { ClinicSchedule } from '@/lib/clinic';
+
+import { estimateQueueWaits, learnConsultationDurations } from './wait-estimate';
+
+import type { ConsultationRecord, DoctorQueue, WaitEstimate } from './wait-estimate';
+
+export interface ReplayPrediction {
+  doctorId: string;
+  queueDate: string;
+  estimate: WaitEstimate;
+  /** Minutes from check-in to being called */
+  actual: number;
+}
+
+export interface ReplayScore {
+  predictions: number;
+  /** Mean of |most likely - actual|, in minutes */
+  meanAbsoluteError: number;
+  medianAbsoluteError: number;
+  /** Mean of most likely - actual; positive when estimates run long */
+  bias: number;
+  /** Share of actual waits inside the estimated range, 0-1 */
+  coverage: number;
+  /** Mean of high - low, in minutes */
+  meanRangeWidth: number;
+}
+
+export interface ReplayReport {
+  days: Array<{ date: string; score: ReplayScore }>;
+  overall: ReplayScore;
+}
+
+export interface ReplayOptions {
+  /** First and last clinic dates to replay, YYYY-MM-DD */
+  from: string;
+  to: string;
+  /** Days of history each day's durations are learned from */
+  historyDays: number;
+  schedule: ClinicSchedule;
+  doctorId?: string;
+}
+
+const MINUTE_MS = 60_000;
+
+const median = (values: readonly number[]) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  if (sorted.length === 0) return 0;
+  return sorted.length % 2
+    ? (sorted[middle] ?? 0)
+    : ((sorted[middle - 1] ?? 0) + (sorted[middle] ?? 0)) / 2;
+};
+
+const mean = (values: readonly number[]) =>
+  values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length;
+
+export function scorePredictions(predictions: readonly ReplayPrediction[]): ReplayScore {
+  const errors = predictions.map(({ estimate, actual }) => estimate.minutes - actual);
+  return {
+    predictions: predictions.length,
+    meanAbsoluteError: mean(errors.map(Math.abs)),
+    medianAbsoluteError: median(errors.map(Math.abs)),
+    bias: mean(errors),
+    coverage: mean(
+      predictions.map(({ estimate, actual }) =>
+        actual >= estimate.low && actual <= estimate.high ? 1 : 0
+      )
+    ),
+    meanRangeWidth: mean(predictions.map(({ estimate }) => estimate.high - estimate.low)),
+  };
+}
+
+/** The queue a patient checking in at `at` joined, from one doctor's day */
+function queueAt(doctorId: string, day: readonly ConsultationRecord[], at: number): DoctorQueue {
+  const current = day.find(
+    (record) => Date.parse(record.startedAt) <= at && at < Date.parse(record.endedAt)
+  );
+  const waiting = day
+    .filter(
+      (record) =>
+        record.checkedInAt &&
+        Date.parse(record.checkedInAt) < at &&
+        Date.parse(record.startedAt) > at
+    )
+    .sort((a, b) => Date.parse(a.startedAt) - Date.parse(b.startedAt))
+    .map((record, index) => ({ queueSequence: index + 1, visitType: record.visitType }));
+
+  return {
+    doctorId,
+    current: current ? { visitType: current.visitType, startedAt: current.startedAt } : null,
+    waiting,
+  };
+}
+
+/**
+ * Replays every day from..to that has consultations. `records` must cover
+ * from - historyDays to `to`.
+ */
+export function replayWaitEstimates(
+  records: readonly ConsultationRecord[],
+  { from, to, historyDays, schedule, doctorId }: ReplayOptions
+): ReplayReport {
+  const days: ReplayReport['days'] = [];
+  const all: ReplayPrediction[] = [];
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const historyFrom = addDays(date, -historyDays);
+    const model = learnConsultationDurations(
+      records.filter((record) => record.queueDate >= historyFrom && record.queueDate < date),
+      schedule
+    );
+
+    const byDoctor = new Map<string, ConsultationRecord[]>();
+    records
+      .filter((record) => record.queueDate === date && (!doctorId || record.doctorId === doctorId))
+      .forEach((record) => {
+        const day = byDoctor.get(record.doctorId);
+        if (day) day.push(record);
+        else byDoctor.set(record.doctorId, [record]);
+      });
+
+    const predictions: ReplayPrediction[] = [];
+    byDoctor.forEach((day, doctor) => {
+      day.forEach((record) => {
+        if (!record.checkedInAt) return;
+        const at = Date.parse(record.checkedInAt);
+        const actual = (Date.parse(record.startedAt) - at) / MINUTE_MS;
+        if (actual < 0) return;
+
+        const waits = estimateQueueWaits(model, queueAt(doctor, day, at), schedule, new Date(at));
+        const estimate = waits[waits.length - 1];
+        if (estimate) predictions.push({ doctorId: doctor, queueDate: date, estimate, actual });
+      });
+    });
+
+    if (predictions.length > 0) {
+      days.push({ date, score: scorePredictions(predictions) });
+      all.push(...predictions);
+    }
+  }
+
+  return { days, overall: scorePredictions(all) };
+}
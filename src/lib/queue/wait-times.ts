@@ -0,0 +1,211 @@
+/**
+ * Wait times for today's queues (server-only)
+ * Loads consultation history and the queues as they stand for the
+ * estimator in wait-estimate.ts. The learned durations are kept for
+ * MODEL_TTL_MS per instance, so consultations finished today feed into
+ * estimates within minutes without every queue change re-reading weeks of
+ * history; the estimates themselves are worked out afresh on every read.
+ */
+
+import { addDays, clinicDate, getClinicSchedule } from '@/lib/clinic';
+import { env } from '@/lib/config/env';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import { estimateQueueWaits, learnConsultationDurations } from './wait-estimate';
+
+import type {
+  ConsultationRecord,
+  DoctorQueue,
+  DurationModel,
+  QueuedVisit,
+  WaitEstimate,
+} from './wait-estimate';
+
+const MODEL_TTL_MS = 10 * 60_000;
+/** PostgREST returns at most this many rows per request */
+const PAGE_SIZE = 1000;
+
+export interface WaitingVisit extends QueuedVisit {
+  queueNumber: string;
+}
+
+export interface LoadedQueue extends DoctorQueue {
+  waiting: WaitingVisit[];
+}
+
+export interface DoctorWaits {
+  /** Queue sequences of the checked-in patients, in calling order */
+  sequences: number[];
+  /** The wait for each of them, then for a patient checking in now; null while paused */
+  waits: WaitEstimate[] | null;
+}
+
+interface RecordRow {
+  doctor_id: string;
+  appointment_type: string | null;
+  queue_date: string;
+  checked_in_at: string | null;
+  actual_start_time: string;
+  actual_end_time: string;
+}
+
+interface QueueRow {
+  doctor_id: string;
+  queue_number: string;
+  queue_sequence: number;
+  status: string;
+  appointment_type: string | null;
+  actual_start_time: string | null;
+}
+
+const DEFAULT_VISIT_TYPE = 'consultation';
+
+/** Completed consultations with both timestamps on clinic dates from..to, inclusive */
+export async function loadConsultationRecords(
+  from: string,
+  to: string
+): Promise<ConsultationRecord[]> {
+  const records: ConsultationRecord[] = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await getSupabaseAdmin()
+      .from('appointments')
+      .select(
+        'doctor_id, appointment_type, queue_date, checked_in_at, actual_start_time, actual_end_time'
+      )
+      .eq('status', 'completed')
+      .gte('queue_date', from)
+      .lte('queue_date', to)
+      .not('actual_start_time', 'is', null)
+      .not('actual_end_time', 'is', null)
+      .order('id')
+      .range(offset, offset + PAGE_SIZE - 1);
+    if (error) throw new Error(`appointments: ${error.message}`);
+
+    const rows = (data ?? []) as RecordRow[];
+    rows.forEach((row) =>
+      records.push({
+        doctorId: row.doctor_id,
+        visitType: row.appointment_type ?? DEFAULT_VISIT_TYPE,
+        queueDate: row.queue_date,
+        checkedInAt: row.checked_in_at,
+        startedAt: row.actual_start_time,
+        endedAt: row.actual_end_time,
+      })
+    );
+    if (rows.length < PAGE_SIZE) return records;
+  }
+}
+
+let cachedModel: { model: DurationModel; expiresAt: number } | null = null;
+let loadingModel: Promise<DurationModel> | null = null;
+
+/** Durations learned over the last QUEUE_ESTIMATE_HISTORY_DAYS, today included */
+export function getDurationModel(now: Date = new Date()): Promise<DurationModel> {
+  if (cachedModel && cachedModel.expiresAt > now.getTime()) {
+    return Promise.resolve(cachedModel.model);
+  }
+
+  loadingModel ??= (async () => {
+    const today = clinicDate(now);
+    const records = await loadConsultationRecords(
+      addDays(today, -env.QUEUE_ESTIMATE_HISTORY_DAYS),
+      today
+    );
+    const model = learnConsultationDurations(records, getClinicSchedule());
+    cachedModel = { model, expiresAt: now.getTime() + MODEL_TTL_MS };
+    return model;
+  })().finally(() => {
+    loadingModel = null;
+  });
+  return loadingModel;
+}
+
+/** Each doctor's consultation in progress and checked-in patients on a day */
+export async function loadDoctorQueues(
+  queueDate: string,
+  doctorId?: string
+): Promise<Map<string, LoadedQueue>> {
+  let query = getSupabaseAdmin()
+    .from('appointments')
+    .select('doctor_id, queue_number, queue_sequence, status, appointment_type, actual_start_time')
+    .eq('queue_date', queueDate)
+    .in('status', ['arrived', 'in_consultation'])
+    .order('queue_sequence', { ascending: true });
+  if (doctorId) query = query.eq('doctor_id', doctorId);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`appointments: ${error.message}`);
+
+  const queues = new Map<string, LoadedQueue>();
+  ((data ?? []) as QueueRow[]).forEach((row) => {
+    let queue = queues.get(row.doctor_id);
+    if (!queue) {
+      queue = { doctorId: row.doctor_id, current: null, waiting: [] };
+      queues.set(row.doctor_id, queue);
+    }
+    const visitType = row.appointment_type ?? DEFAULT_VISIT_TYPE;
+    if (row.status === 'arrived') {
+      queue.waiting.push({
+        queueNumber: row.queue_number,
+        queueSequence: row.queue_sequence,
+        visitType,
+      });
+    } else if (
+      row.actual_start_time &&
+      (!queue.current || row.actual_start_time > queue.current.startedAt)
+    ) {
+      // Only the latest call is still with the doctor, as on the front desk
+      queue.current = { visitType, startedAt: row.actual_start_time };
+    }
+  });
+  return queues;
+}
+
+/** Doctors whose queue is paused or closed on a day */
+export async function loadPausedDoctors(queueDate: string): Promise<Set<string>> {
+  const { data, error } = await getSupabaseAdmin()
+    .from('queue_status')
+    .select('doctor_id, is_queue_active, queue_paused')
+    .eq('queue_date', queueDate);
+  if (error) throw new Error(`queue_status: ${error.message}`);
+
+  return new Set(
+    (
+      (data ?? []) as Array<{
+        doctor_id: string;
+        is_queue_active: boolean | null;
+        queue_paused: boolean | null;
+      }>
+    )
+      .filter((row) => row.is_queue_active === false || row.queue_paused)
+      .map((row) => row.doctor_id)
+  );
+}
+
+/** One doctor's queue and the waits in it; only today's queues have waits */
+export async function getDoctorWaits(
+  doctorId: string,
+  queueDate: string,
+  now: Date = new Date()
+): Promise<DoctorWaits> {
+  const [queues, paused, model] = await Promise.all([
+    loadDoctorQueues(queueDate, doctorId),
+    loadPausedDoctors(queueDate),
+    getDurationModel(now),
+  ]);
+  const queue = queues.get(doctorId) ?? { doctorId, current: null, waiting: [] };
+
+  return {
+    sequences: queue.waiting.map((visit) => visit.queueSequence),
+    waits:
+      paused.has(doctorId) || queueDate !== clinicDate(now)
+        ? null
+        : estimateQueueWaits(model, queue, getClinicSchedule(), now),
+  };
+}
+
+/** The wait for a checked-in patient, or null if they are not waiting */
+export function waitFor(doctorWaits: DoctorWaits, queueSequence: number): WaitEstimate | null {
+  const index = doctorWaits.sequences.indexOf(queueSequence);
+  return index === -1 ? null : (doctorWaits.waits?.[index] ?? null);
+}
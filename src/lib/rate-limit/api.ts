@@ -0,0 +1,80 @@
+/**
+ * Rate limits for API routes (server-only)
+ * Responses carry the RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset
+ * and RateLimit-Policy headers (IETF httpapi draft), and refused requests get
+ * 429 with Retry-After. Nothing is limited while RATE_LIMIT_ENABLED is off.
+ */
+
+import { env } from '@/lib/config/env';
+import { clientIp } from '@/lib/security/client-ip';
+
+import { consumeRateLimit } from './limiter';
+
+import type { RateLimitResult } from './limiter';
+import type { RateLimitPolicyName } from './policies';
+import type { NextApiHandler, NextApiRequest, NextApiResponse } from 'next';
+
+/** Error code in the body of 429 responses */
+export const RATE_LIMITED_CODE = 'rate_limited';
+
+function setRateLimitHeaders(res: NextApiResponse, result: RateLimitResult) {
+  res.setHeader('RateLimit-Limit', String(result.limit));
+  res.setHeader('RateLimit-Remaining', String(result.remaining));
+  res.setHeader('RateLimit-Reset', String(result.resetSeconds));
+  res.setHeader('RateLimit-Policy', `${result.limit};w=${Math.ceil(result.windowMs / 1000)}`);
+  if (!result.allowed) res.setHeader('Retry-After', String(result.resetSeconds));
+}
+
+/**
+ * Counts the request against a policy and sets the headers; the caller
+ * answers when the result is not allowed (see sendRateLimited). Null when
+ * rate limiting is switched off.
+ */
+export async function checkRateLimit(
+  res: NextApiResponse,
+  policy: RateLimitPolicyName,
+  identity: string
+): Promise<RateLimitResult | null> {
+  if (!env.RATE_LIMIT_ENABLED) return null;
+
+  const result = await consumeRateLimit(policy, identity);
+  setRateLimitHeaders(res, result);
+
+  if (
+    result.allowed &&
+    (env.RATE_LIMIT_SKIP_SUCCESSFUL_REQUESTS || env.RATE_LIMIT_SKIP_FAILED_REQUESTS)
+  ) {
+    res.once('finish', () => {
+      const failed = res.statusCode >= 400;
+      if (failed ? env.RATE_LIMIT_SKIP_FAILED_REQUESTS : env.RATE_LIMIT_SKIP_SUCCESSFUL_REQUESTS) {
+        void result.release();
+      }
+    });
+  }
+  return result;
+}
+
+export function sendRateLimited(res: NextApiResponse, result: RateLimitResult) {
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.status(429).json({
+    error: 'Too many requests',
+    code: RATE_LIMITED_CODE,
+    retry_after: result.resetSeconds,
+  });
+}
+
+/** Runs the handler only while the caller (by client IP, unless `identify` says otherwise) is under the limit */
+export function withRateLimit<T>(
+  policy: RateLimitPolicyName,
+  handler: NextApiHandler<T>,
+  identify: (req: NextApiRequest) => string = clientIp
+): NextApiHandler<T> {
+  return async (req, res) => {
+    const result = await checkRateLimit(res, policy, identify(req));
+    if (result && !result.allowed) {
+      sendRateLimited(res, result);
+      return;
+    }
+    await handler(req, res);
+  };
+}
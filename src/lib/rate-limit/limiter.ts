@@ -0,0 +1,96 @@
+/**
+ * Rate limiter (server-only)
+ * Counts requests in Redis so a limit holds across the blue and green
+ * instances. If Redis is unreachable the limiter fails open to a per-instance
+ * memory store: limits get looser (each instance counts on its own) but
+ * requests are never refused because Redis is down.
+ *
+ * Identities are hashed before they become keys, so mobile numbers and IPs
+ * are not readable in Redis.
+ */
+
+import { createHash, randomUUID } from 'crypto';
+
+import { getRateLimitPolicy } from './policies';
+import { createMemoryStore, redisStore } from './stores';
+
+import type { RateLimitPolicy, RateLimitPolicyName } from './policies';
+import type { RateLimitStore } from './stores';
+
+export interface RateLimitResult {
+  policy: RateLimitPolicyName;
+  limit: number;
+  windowMs: number;
+  allowed: boolean;
+  remaining: number;
+  /** Seconds until another request would be allowed (or the count drops) */
+  resetSeconds: number;
+  /** Takes this request back out of the count; see RATE_LIMIT_SKIP_* */
+  release: () => Promise<void>;
+}
+
+const MEMORY_STORE_KEY = Symbol.for('gfc.rateLimit.memoryStore');
+
+type GlobalWithMemoryStore = typeof globalThis & { [MEMORY_STORE_KEY]?: RateLimitStore };
+
+/** Shared by every API route bundle, like the Redis connection */
+function getMemoryStore(): RateLimitStore {
+  const store = globalThis as GlobalWithMemoryStore;
+  store[MEMORY_STORE_KEY] ??= createMemoryStore();
+  return store[MEMORY_STORE_KEY];
+}
+
+let usingFallback = false;
+
+function rateLimitKey(policy: RateLimitPolicyName, identity: string): string {
+  const digest = createHash('sha256').update(identity).digest('hex').slice(0, 32);
+  return `ratelimit:${policy}:${digest}`;
+}
+
+async function countHit(key: string, policy: RateLimitPolicy, now: number, member: string) {
+  try {
+    const count = await redisStore.hit(key, policy, now, member);
+    if (usingFallback) console.info('[rate-limit] Redis is back; limits are shared again');
+    usingFallback = false;
+    return { count, store: redisStore };
+  } catch (error) {
+    if (!usingFallback) {
+      console.error(
+        '[rate-limit] Redis unavailable, limiting per instance:',
+        error instanceof Error ? error.message : error
+      );
+    }
+    usingFallback = true;
+    const memoryStore = getMemoryStore();
+    return { count: await memoryStore.hit(key, policy, now, member), store: memoryStore };
+  }
+}
+
+/** Counts a request by `identity` against a policy */
+export async function consumeRateLimit(
+  name: RateLimitPolicyName,
+  identity: string,
+  now = Date.now()
+): Promise<RateLimitResult> {
+  const policy = getRateLimitPolicy(name);
+  const key = rateLimitKey(name, identity);
+  const member = `${now}:${randomUUID()}`;
+  const { count, store } = await countHit(key, policy, now, member);
+
+  return {
+    policy: name,
+    limit: policy.limit,
+    windowMs: policy.windowMs,
+    allowed: count.allowed,
+    remaining: Math.max(0, policy.limit - count.count),
+    resetSeconds: Math.max(1, Math.ceil((count.resetAt - now) / 1000)),
+    release: async () => {
+      if (!count.allowed) return;
+      try {
+        await store.release(key, member);
+      } catch (error) {
+        console.error('[rate-limit] release', error instanceof Error ? error.message : error);
+      }
+    },
+  };
+}
@@ -0,0 +1,48 @@
+/**
+ * Named rate limit policies
+ * Routes pick a policy by name; the count is kept per policy and identity
+ * (a client IP, a mobile number, ...), so limits on one route never use up
+ * another's.
+ */
+
+import { env } from '@/lib/config/env';
+
+export type RateLimitPolicyName =
+  | 'api'
+  | 'booking'
+  | 'checkIn'
+  | 'cspReport'
+  | 'otpRequest'
+  | 'otpVerify';
+
+export interface RateLimitPolicy {
+  /** Requests allowed in any window */
+  limit: number;
+  windowMs: number;
+}
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+export function getRateLimitPolicy(name: RateLimitPolicyName): RateLimitPolicy {
+  switch (name) {
+    // General API traffic per client IP, from RATE_LIMIT_MAX_REQUESTS / RATE_LIMIT_WINDOW_MS
+    case 'api':
+      return { limit: env.RATE_LIMIT_MAX_REQUESTS, windowMs: env.RATE_LIMIT_WINDOW_MS };
+    // Booking attempts per mobile number; a family booking for several people uses different numbers
+    case 'booking':
+      return { limit: 10, windowMs: HOUR_MS };
+    // Self check-ins per kiosk (client IP); each NRIC and birth date guess counts as one
+    case 'checkIn':
+      return { limit: 60, windowMs: 15 * MINUTE_MS };
+    // CSP reports per client IP; one page can send a burst, a loop should not flood the logs
+    case 'cspReport':
+      return { limit: 20, windowMs: MINUTE_MS };
+    // Sign-in codes sent per mobile number or email address, on top of OTP_COOLDOWN
+    case 'otpRequest':
+      return { limit: 5, windowMs: HOUR_MS };
+    // Sign-in code guesses per client IP, across challenges (OTP_MAX_ATTEMPTS is per challenge)
+    case 'otpVerify':
+      return { limit: 20, windowMs: 15 * MINUTE_MS };
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Sliding-window counters
+ * Each store keeps the time of every counted request in the window, so a
+ * client gets exactly `limit` requests in any `windowMs`, with no burst at
+ * a fixed window's edge. Rejected requests are not counted: a client that
+ * keeps retrying is let back in once its oldest request leaves the window.
+ *
+ * The Redis store is shared by every instance; the memory store is what an
+ * instance falls back to while Redis is unreachable.
+ */
+
+import { getRedis } from '@/lib/redis';
+
+import type { RateLimitPolicy } from './policies';
+
+export interface RateLimitCount {
+  allowed: boolean;
+  /** Requests counted in the window, including this one if allowed */
+  count: number;
+  /** When the oldest counted request leaves the window (epoch ms) */
+  resetAt: number;
+}
+
+export interface RateLimitStore {
+  /** Counts a request, identified by `member`, unless the window is full */
+  hit(key: string, policy: RateLimitPolicy, now: number, member: string): Promise<RateLimitCount>;
+  /** Takes a counted request back out of the window */
+  release(key: string, member: string): Promise<void>;
+}
+
+/**
+ * KEYS[1] window; ARGV now, windowMs, limit, member.
+ * Atomic, so instances racing on one key never both take the last request.
+ */
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+local count = redis.call('ZCARD', KEYS[1])
+local allowed = 0
+if count < tonumber(ARGV[3]) then
+  redis.call('ZADD', KEYS[1], now, ARGV[4])
+  count = count + 1
+  allowed = 1
+end
+redis.call('PEXPIRE', KEYS[1], window)
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+return { allowed, count, tonumber(oldest[2] or now) }
+`;
+
+export const redisStore: RateLimitStore = {
+  async hit(key, policy, now, member) {
+    // Sent before the connection is ready (e.g. an instance's first request),
+    // the command waits in ioredis's offline queue; if Redis does not answer
+    // within its command timeout the limiter falls back to memory
+    const [allowed, count, oldest] = (await getRedis().eval(
+      SLIDING_WINDOW_SCRIPT,
+      1,
+      key,
+      now,
+      policy.windowMs,
+      policy.limit,
+      member
+    )) as [number, number, number];
+    return { allowed: allowed === 1, count, resetAt: oldest + policy.windowMs };
+  },
+
+  async release(key, member) {
+    await getRedis().zrem(key, member);
+  },
+};
+
+interface MemoryWindow {
+  windowMs: number;
+  hits: { at: number; member: string }[];
+}
+
+const MAX_MEMORY_KEYS = 10_000;
+
+export function createMemoryStore(): RateLimitStore {
+  const windows = new Map<string, MemoryWindow>();
+
+  // Opportunistic cleanup so the map cannot grow without bound
+  const sweep = (now: number) => {
+    windows.forEach((window, key) => {
+      const newest = window.hits[window.hits.length - 1];
+      if (!newest || newest.at <= now - window.windowMs) windows.delete(key);
+    });
+  };
+
+  return {
+    async hit(key, policy, now, member) {
+      const window = windows.get(key) ?? { windowMs: policy.windowMs, hits: [] };
+      window.windowMs = policy.windowMs;
+      window.hits = window.hits.filter((hit) => hit.at > now - policy.windowMs);
+
+      const allowed = window.hits.length < policy.limit;
+      if (allowed) window.hits.push({ at: now, member });
+      windows.set(key, window);
+      if (windows.size > MAX_MEMORY_KEYS) sweep(now);
+
+      const oldest = window.hits[0]?.at ?? now;
+      return { allowed, count: window.hits.length, resetAt: oldest + policy.windowMs };
+    },
+
+    async release(key, member) {
+      const window = windows.get(key);
+      if (window) window.hits = window.hits.filter((hit) => hit.member !== member);
+    },
+  };
+}
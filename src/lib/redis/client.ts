@@ -0,0 +1,52 @@
+/**
+ * Shared Redis connection (server-only)
+ * Blue and green instances point at the same Redis, so anything kept here
+ * (rate limits, sessions, OTPs) holds across a deployment switch. Keys are
+ * namespaced with REDIS_KEY_PREFIX.
+ *
+ * Kept on globalThis: API routes are bundled separately and would otherwise
+ * each open their own connection.
+ *
+ * Commands give up after REDIS_COMMAND_TIMEOUT_MS rather than waiting for a
+ * reconnect, so callers can fall back while Redis is down.
+ */
+
+import Redis from 'ioredis';
+
+import { env } from '@/lib/config/env';
+
+const CLIENT_KEY = Symbol.for('gfc.redis.client');
+const REDIS_COMMAND_TIMEOUT_MS = 500;
+
+type GlobalWithRedis = typeof globalThis & { [CLIENT_KEY]?: Redis };
+
+function createClient(): Redis {
+  const client = new Redis(env.REDIS_URL, {
+    password: env.REDIS_PASSWORD,
+    db: env.REDIS_DB,
+    keyPrefix: env.REDIS_KEY_PREFIX,
+    connectTimeout: env.HEALTHCHECK_TIMEOUT_REDIS_MS,
+    commandTimeout: REDIS_COMMAND_TIMEOUT_MS,
+    maxRetriesPerRequest: 1,
+  });
+
+  // ioredis keeps reconnecting on its own; log each outage once, not every retry
+  let outageReported = false;
+  client.on('ready', () => {
+    if (outageReported) console.info('[redis] reconnected');
+    outageReported = false;
+  });
+  client.on('error', (error: Error) => {
+    if (outageReported) return;
+    outageReported = true;
+    console.error('[redis]', error.message);
+  });
+
+  return client;
+}
+
+export function getRedis(): Redis {
+  const store = globalThis as GlobalWithRedis;
+  store[CLIENT_KEY] ??= createClient();
+  return store[CLIENT_KEY];
+}
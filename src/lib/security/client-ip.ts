@@ -0,0 +1,15 @@
+/**
+ * Client IP for an API request
+ * nginx sets X-Real-IP to the address the connection came from, replacing
+ * any value the client sent. X-Forwarded-For is not trusted: nginx appends
+ * to the client's own header, so its first entry can be anything. Without
+ * nginx in front (next dev) the socket address is used.
+ */
+
+import type { NextApiRequest } from 'next';
+
+export function clientIp(req: NextApiRequest): string {
+  const header = req.headers['x-real-ip'];
+  const realIp = Array.isArray(header) ? header[0] : header;
+  return realIp?.trim() || req.socket.remoteAddress || 'unknown';
+}
@@ -0,0 +1,66 @@
+/**
+ * Signed, expiring tokens (server-only)
+ * Compact "claims.signature" strings (base64url JSON + HMAC-SHA256) for
+ * links and QR codes that grant one narrow capability, such as following a
+ * queue ticket, without a session or a database lookup.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export interface TokenClaims {
+  /** What the token may be used for; checked on verify */
+  purpose: string;
+  /** The thing it grants access to, e.g. an appointment id */
+  sub: string;
+  /** Expiry, Unix seconds */
+  exp: number;
+  /** Not valid before, Unix seconds */
+  nbf?: number;
+  /** Unique token id, for tokens that may only be used once */
+  jti?: string;
+}
+
+const sign = (encodedClaims: string, secret: string) =>
+  createHmac('sha256', secret).update(encodedClaims).digest('base64url');
+
+export function signToken(claims: TokenClaims, secret: string): string {
+  const encodedClaims = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${encodedClaims}.${sign(encodedClaims, secret)}`;
+}
+
+/**
+ * The claims, or null when the token is malformed, forged, expired, not
+ * valid yet or for another purpose
+ */
+export function verifyToken(
+  token: string,
+  purpose: string,
+  secret: string,
+  now: Date = new Date()
+): TokenClaims | null {
+  const [encodedClaims, signature, ...rest] = token.split('.');
+  if (!encodedClaims || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(sign(encodedClaims, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+  let claims: Partial<TokenClaims>;
+  try {
+    claims = JSON.parse(
+      Buffer.from(encodedClaims, 'base64url').toString('utf8')
+    ) as Partial<TokenClaims>;
+  } catch {
+    return null;
+  }
+
+  if (claims.purpose !== purpose || typeof claims.sub !== 'string') return null;
+  if (typeof claims.exp !== 'number' || claims.exp * 1000 <= now.getTime()) return null;
+  if (
+    claims.nbf !== undefined &&
+    (typeof claims.nbf !== 'number' || claims.nbf * 1000 > now.getTime())
+  ) {
+    return null;
+  }
+  return claims as TokenClaims;
+}
@@ -0,0 +1,109 @@
+/**
+ * Short link table for middleware (Edge runtime)
+ * Read through Supabase's REST API with plain fetch, since the validated
+ * env and supabase-js are Node-only. The table is cached per instance and
+ * refreshed after SHORT_LINK_CACHE_MS, so a change from the admin dashboard
+ * takes effect within about that; if the database is unreachable the last
+ * copy keeps serving.
+ */
+
+import { compareSpecificity, isReservedPath, matchShortLink } from './patterns';
+
+import type { ShortLink, ShortLinkMatch } from './patterns';
+
+const SHORT_LINK_CACHE_MS = 30 * 1000;
+/** Do not hold up page requests for long on a slow database */
+const FETCH_TIMEOUT_MS = 2000;
+
+interface ShortLinkRow {
+  id: string;
+  path: string;
+  destination: string;
+  permanent: boolean;
+  expires_at: string | null;
+}
+
+let cached: { at: number; links: Promise<ShortLink[]> } | null = null;
+let lastGood: ShortLink[] = [];
+
+function supabaseRequest(path: string, init?: RequestInit): Promise<Response> | null {
+  const url = process.env.NEXT_PUBLIC_SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!url || !key) return null;
+
+  return fetch(`${url}/rest/v1/${path}`, {
+    ...init,
+    headers: {
+      apikey: key,
+      Authorization: `Bearer ${key}`,
+      'Content-Type': 'application/json',
+    },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+}
+
+async function fetchShortLinks(): Promise<ShortLink[]> {
+  const response = await supabaseRequest(
+    `short_links?select=id,path,destination,permanent,expires_at&or=(expires_at.is.null,expires_at.gt.${new Date().toISOString()})`
+  );
+  if (!response) return [];
+  if (!response.ok) throw new Error(`short_links: HTTP ${response.status}`);
+
+  const rows = (await response.json()) as ShortLinkRow[];
+  return rows
+    .map((row) => ({
+      id: row.id,
+      path: row.path,
+      destination: row.destination,
+      permanent: row.permanent,
+      expiresAt: row.expires_at,
+    }))
+    .sort(compareSpecificity);
+}
+
+function refresh(now: number): Promise<ShortLink[]> {
+  const links = fetchShortLinks()
+    .then((fresh) => {
+      lastGood = fresh;
+      return fresh;
+    })
+    .catch((error: unknown) => {
+      console.error('[short-links]', error instanceof Error ? error.message : error);
+      return lastGood;
+    });
+  cached = { at: now, links };
+  return links;
+}
+
+/**
+ * Only the first request of an instance waits for the database; after that
+ * a stale table is served while a fresh copy loads in the background.
+ */
+export function loadShortLinks(): Promise<ShortLink[]> {
+  const now = Date.now();
+  if (!cached) return refresh(now);
+  if (now - cached.at > SHORT_LINK_CACHE_MS) {
+    void refresh(now);
+    return Promise.resolve(lastGood);
+  }
+  return cached.links;
+}
+
+/** Counts a redirect; failures only cost a click in the statistics */
+export async function recordShortLinkClick(id: string): Promise<void> {
+  try {
+    const response = await supabaseRequest('rpc/record_short_link_click', {
+      method: 'POST',
+      body: JSON.stringify({ p_id: id }),
+    });
+    if (response && !response.ok) throw new Error(`HTTP ${response.status}`);
+  } catch (error) {
+    console.error('[short-links] click', error instanceof Error ? error.message : error);
+  }
+}
+
+/** The short link for a request path, or null; app routes are never looked up */
+export async function findShortLink(pathname: string): Promise<ShortLinkMatch | null> {
+  if (pathname === '/' || isReservedPath(pathname)) return null;
+  return matchShortLink(await loadShortLinks(), pathname);
+}
@@ -0,0 +1,3 @@
+export * from './patterns';
+export * from './qr';
+export * from './store';
@@ -0,0 +1,124 @@
+/**
+ * Short link paths and matching
+ * Edge-safe: used by middleware as well as the admin API.
+ *
+ * A path is up to three segments, each literal (lower case) or a :param,
+ * e.g. /b or /q/:number. The destination is a same-site path or an https
+ * URL and may use the path's params: /q/:number -> /queue/status?number=:number.
+ */
+
+export interface ShortLink {
+  id: string;
+  path: string;
+  destination: string;
+  permanent: boolean;
+  /** ISO 8601; null for links that never expire */
+  expiresAt: string | null;
+}
+
+export interface ShortLinkMatch {
+  link: ShortLink;
+  /** Destination with params substituted, relative to the site or absolute */
+  destination: string;
+}
+
+export const SHORT_LINK_PATH_PATTERN = /^(\/([a-z0-9][a-z0-9-]*|:[A-Za-z][A-Za-z0-9]*)){1,3}$/;
+
+/**
+ * First segments short links may not use: app routes, which middleware
+ * would otherwise shadow, and the fixed redirects in next.config.js, which
+ * run before middleware and would shadow the link.
+ */
+export const RESERVED_SEGMENTS = [
+  '_next',
+  'admin',
+  'api',
+  'appointments',
+  'booking',
+  'check-in',
+  'doctor',
+  'home',
+  'login',
+  'offline',
+  'portal',
+  'queue',
+];
+
+const MAX_PARAM_LENGTH = 40;
+const PARAM_PATTERN = /:([A-Za-z][A-Za-z0-9]*)/g;
+
+function segments(path: string): string[] {
+  return path.split('/').slice(1);
+}
+
+export function isReservedPath(path: string): boolean {
+  const [first = ''] = segments(path);
+  return first.startsWith(':') || RESERVED_SEGMENTS.includes(first);
+}
+
+export function pathParams(path: string): string[] {
+  return segments(path)
+    .filter((segment) => segment.startsWith(':'))
+    .map((segment) => segment.slice(1));
+}
+
+/** Params the destination uses that the path does not provide */
+export function unknownDestinationParams(path: string, destination: string): string[] {
+  const provided = pathParams(path);
+  return [...destination.matchAll(PARAM_PATTERN)]
+    .map((match) => match[1] ?? '')
+    .filter((name) => !provided.includes(name));
+}
+
+/** Sort order for matching: literal paths before ones with params, so /q/help beats /q/:number */
+export function compareSpecificity(a: ShortLink, b: ShortLink): number {
+  return pathParams(a.path).length - pathParams(b.path).length || a.path.localeCompare(b.path);
+}
+
+function safeDecode(value: string): string {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function isExpired(link: ShortLink, now: number): boolean {
+  return link.expiresAt !== null && Date.parse(link.expiresAt) <= now;
+}
+
+/**
+ * The link a request path resolves to, if any, trying links in the order
+ * given (see compareSpecificity). Literal segments match case-insensitively,
+ * so /B works as well as /b; param values keep their case.
+ */
+export function matchShortLink(
+  links: readonly ShortLink[],
+  pathname: string,
+  now = Date.now()
+): ShortLinkMatch | null {
+  const requested = segments(pathname.replace(/\/+$/, '') || '/');
+
+  for (const link of links) {
+    const pattern = segments(link.path);
+    if (pattern.length !== requested.length || isExpired(link, now)) continue;
+
+    const params: Record<string, string> = {};
+    const matched = pattern.every((segment, index) => {
+      const value = requested[index] ?? '';
+      if (segment.startsWith(':')) {
+        if (!value || value.length > MAX_PARAM_LENGTH) return false;
+        params[segment.slice(1)] = value;
+        return true;
+      }
+      return segment === value.toLowerCase();
+    });
+    if (!matched) continue;
+
+    const destination = link.destination.replace(PARAM_PATTERN, (_, name: string) =>
+      encodeURIComponent(safeDecode(params[name] ?? ''))
+    );
+    return { link, destination };
+  }
+  return null;
+}
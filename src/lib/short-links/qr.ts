@@ -0,0 +1,23 @@
+/**
+ * QR codes for short links (server-only)
+ * Printed on posters, so error correction is set high enough to survive
+ * creases and glare.
+ */
+
+import QRCode from 'qrcode';
+
+export type QrFormat = 'svg' | 'png';
+
+export const QR_CONTENT_TYPES: Record<QrFormat, string> = {
+  svg: 'image/svg+xml',
+  png: 'image/png',
+};
+
+/** PNG width in pixels: sharp on an A4 poster */
+const PNG_WIDTH = 1024;
+
+export async function renderQrCode(url: string, format: QrFormat): Promise<string | Buffer> {
+  const options = { errorCorrectionLevel: 'Q', margin: 2 } as const;
+  if (format === 'svg') return QRCode.toString(url, { ...options, type: 'svg' });
+  return QRCode.toBuffer(url, { ...options, type: 'png', width: PNG_WIDTH });
+}
@@ -0,0 +1,152 @@
+/**
+ * Short link storage (server-only)
+ * Every change goes through save_short_link(), which writes audit_logs in
+ * the same transaction. Middleware reads the table itself (./edge) and picks
+ * changes up within its cache time.
+ */
+
+import { z } from 'zod';
+
+import type { AuditActor } from '@/lib/auth/request-user';
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+import {
+  compareSpecificity,
+  isReservedPath,
+  SHORT_LINK_PATH_PATTERN,
+  unknownDestinationParams,
+} from './patterns';
+
+import type { ShortLink } from './patterns';
+
+export interface ShortLinkDetails extends ShortLink {
+  description: string | null;
+  clickCount: number;
+  lastClickedAt: string | null;
+  updatedAt: string;
+}
+
+interface ShortLinkRow {
+  id: string;
+  path: string;
+  destination: string;
+  description: string | null;
+  permanent: boolean;
+  expires_at: string | null;
+  click_count: number;
+  last_clicked_at: string | null;
+  updated_at: string;
+}
+
+export const shortLinkInputSchema = z
+  .object({
+    path: z
+      .string()
+      .trim()
+      .regex(SHORT_LINK_PATH_PATTERN, 'Path must look like /b or /q/:number')
+      .refine((path) => !isReservedPath(path), 'That path is used by the app'),
+    destination: z
+      .string()
+      .trim()
+      .max(500)
+      .refine(
+        (destination) =>
+          (destination.startsWith('/') && !destination.startsWith('//')) ||
+          destination.startsWith('https://'),
+        'Destination must be a path on this site or an https:// address'
+      ),
+    description: z.string().trim().max(200).nullable().default(null),
+    permanent: z.boolean().default(false),
+    expiresAt: z.string().datetime({ offset: true }).nullable().default(null),
+  })
+  .superRefine((input, context) => {
+    const unknown = unknownDestinationParams(input.path, input.destination);
+    if (unknown.length > 0) {
+      context.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['destination'],
+        message: `Destination uses :${unknown.join(', :')}, which the path does not have`,
+      });
+    }
+  });
+
+export type ShortLinkInput = z.infer<typeof shortLinkInputSchema>;
+
+export type ShortLinkErrorCode = 'pathTaken' | 'notFound';
+
+export type ShortLinkResult = { ok: true } | { ok: false; code: ShortLinkErrorCode };
+
+/** Postgres unique_violation: another link has the path */
+const UNIQUE_VIOLATION = '23505';
+/** Raised by save_short_link() when the link to change no longer exists */
+const NO_DATA_FOUND = 'P0002';
+
+function toDetails(row: ShortLinkRow): ShortLinkDetails {
+  return {
+    id: row.id,
+    path: row.path,
+    destination: row.destination,
+    description: row.description,
+    permanent: row.permanent,
+    expiresAt: row.expires_at,
+    clickCount: Number(row.click_count),
+    lastClickedAt: row.last_clicked_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function listShortLinks(): Promise<ShortLinkDetails[]> {
+  const { data, error } = await getSupabaseAdmin()
+    .from('short_links')
+    .select(
+      'id, path, destination, description, permanent, expires_at, click_count, last_clicked_at, updated_at'
+    )
+    .order('path');
+  if (error) throw new Error(`short_links: ${error.message}`);
+  return ((data ?? []) as unknown as ShortLinkRow[]).map(toDetails);
+}
+
+/** Links that have not expired, in matching order */
+export async function getActiveShortLinks(now = new Date()): Promise<ShortLink[]> {
+  const links = await listShortLinks();
+  return links
+    .filter((link) => link.expiresAt === null || Date.parse(link.expiresAt) > now.getTime())
+    .sort(compareSpecificity);
+}
+
+async function callSaveShortLink(
+  id: string | null,
+  input: ShortLinkInput | null,
+  actor: AuditActor
+): Promise<ShortLinkResult> {
+  const { error } = await getSupabaseAdmin().rpc('save_short_link', {
+    p_id: id,
+    p_delete: input === null,
+    p_path: input?.path ?? null,
+    p_destination: input?.destination ?? null,
+    p_description: input?.description ?? null,
+    p_permanent: input?.permanent ?? false,
+    p_expires_at: input?.expiresAt ?? null,
+    p_actor_id: actor.userId,
+    p_actor_role: actor.role,
+    p_ip_address: actor.ipAddress,
+    p_user_agent: actor.userAgent,
+  });
+  if (!error) return { ok: true };
+  if (error.code === UNIQUE_VIOLATION) return { ok: false, code: 'pathTaken' };
+  if (error.code === NO_DATA_FOUND) return { ok: false, code: 'notFound' };
+  throw new Error(`save_short_link: ${error.message}`);
+}
+
+/** Creates a link (id null) or replaces an existing one's settings */
+export function saveShortLink(
+  id: string | null,
+  input: ShortLinkInput,
+  actor: AuditActor
+): Promise<ShortLinkResult> {
+  return callSaveShortLink(id, input, actor);
+}
+
+export function deleteShortLink(id: string, actor: AuditActor): Promise<ShortLinkResult> {
+  return callSaveShortLink(id, null, actor);
+}
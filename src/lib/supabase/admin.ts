@@ -0,0 +1,20 @@
+/**
+ * Service-role Supabase client (server-only)
+ * Bypasses row-level security, so use it only in API routes that do their
+ * own authorisation or return data that is public anyway.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+import { env } from '@/lib/config/env';
+
+import type { SupabaseClient } from '@supabase/supabase-js';
+
+let client: SupabaseClient | null = null;
+
+export function getSupabaseAdmin(): SupabaseClient {
+  client ??= createClient(env.NEXT_PUBLIC_SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+  return client;
+}
@@ -0,0 +1,44 @@
+/**
+ * Build identity (server-only)
+ * The build ID is whatever next.config.js generateBuildId returned; Next.js
+ * writes it to .next/BUILD_ID, which the standalone image keeps. The rest is
+ * inlined at build time from build-info.js through next.config.js `env`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export interface BuildInfo {
+  buildId: string;
+  /** Git commit SHA, or 'unknown' */
+  commit: string;
+  /** ISO 8601 */
+  builtAt: string | null;
+  /** package.json version */
+  version: string;
+  /** Newest migration in supabase/migrations when the image was built */
+  migration: string | null;
+}
+
+let buildId: string | undefined;
+
+export function getBuildId(): string {
+  if (buildId === undefined) {
+    try {
+      buildId = fs.readFileSync(path.join(process.cwd(), '.next', 'BUILD_ID'), 'utf8').trim();
+    } catch {
+      buildId = process.env.BUILD_ID || 'development';
+    }
+  }
+  return buildId;
+}
+
+export function getBuildInfo(): BuildInfo {
+  return {
+    buildId: getBuildId(),
+    commit: process.env.BUILD_COMMIT || 'unknown',
+    builtAt: process.env.BUILD_TIME || null,
+    version: process.env.APP_VERSION || '0.0.0',
+    migration: process.env.BUILD_MIGRATION || null,
+  };
+}
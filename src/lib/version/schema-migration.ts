@@ -0,0 +1,12 @@
+/**
+ * Applied schema migration (server-only)
+ */
+
+import { getSupabaseAdmin } from '@/lib/supabase/admin';
+
+/** Newest migration applied to the database, or null if none is recorded */
+export async function getAppliedMigration(): Promise<string | null> {
+  const { data, error } = await getSupabaseAdmin().rpc('applied_schema_migration');
+  if (error) throw new Error(`applied_schema_migration: ${error.message}`);
+  return typeof data === 'string' ? data : null;
+}
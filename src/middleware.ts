@@ -0,0 +1,101 @@
+/**
+ * Edge middleware
+ * Mints a per-request CSP nonce, forwards it to pages via a request header
+ * and sets the matching policy on the response. Also gives each browser a
+ * random feature rollout ID on its first page view, and redirects short
+ * links (/b, /q/A013...) managed in the admin dashboard.
+ */
+
+import { NextResponse } from 'next/server';
+
+import { ROLLOUT_COOKIE } from '@/lib/features/flags';
+import {
+  buildContentSecurityPolicy,
+  cspHeaderName,
+  CSP_NONCE_HEADER,
+  generateNonce,
+  reportingEndpointsHeader,
+} from '@/lib/security/csp';
+import { findShortLink, recordShortLinkClick } from '@/lib/short-links/edge';
+import type { ShortLinkMatch } from '@/lib/short-links/patterns';
+
+import type { NextFetchEvent, NextRequest } from 'next/server';
+
+const ROLLOUT_COOKIE_MAX_AGE = 365 * 24 * 60 * 60;
+
+/**
+ * Redirect target. Same-site destinations keep the visitor's locale, and
+ * query parameters on the short link carry over unless the destination sets them.
+ */
+function shortLinkUrl(request: NextRequest, match: ShortLinkMatch): string {
+  let target: URL | ReturnType<NextRequest['nextUrl']['clone']>;
+  if (match.destination.startsWith('/')) {
+    const destination = new URL(match.destination, request.nextUrl.origin);
+    target = request.nextUrl.clone();
+    target.pathname = destination.pathname;
+    target.search = destination.search;
+  } else {
+    target = new URL(match.destination);
+  }
+  const { searchParams } = target;
+  request.nextUrl.searchParams.forEach((value, key) => {
+    if (!searchParams.has(key)) searchParams.append(key, value);
+  });
+  return target.toString();
+}
+
+export async function middleware(request: NextRequest, event: NextFetchEvent) {
+  const shortLink = await findShortLink(request.nextUrl.pathname);
+  if (shortLink) {
+    event.waitUntil(recordShortLinkClick(shortLink.link.id));
+    return NextResponse.redirect(
+      shortLinkUrl(request, shortLink),
+      shortLink.link.permanent ? 308 : 307
+    );
+  }
+
+  const nonce = generateNonce();
+  const policy = buildContentSecurityPolicy({
+    nonce,
+    isDev: process.env.NODE_ENV === 'development',
+  });
+  const headerName = cspHeaderName({ reportOnly: process.env.CSP_REPORT_ONLY === 'true' });
+
+  // Added to the request too, so the first page render already has it
+  const rolloutId = request.cookies.has(ROLLOUT_COOKIE) ? null : crypto.randomUUID();
+  if (rolloutId) request.cookies.set(ROLLOUT_COOKIE, rolloutId);
+
+  const requestHeaders = new Headers(request.headers);
+  requestHeaders.set(CSP_NONCE_HEADER, nonce);
+  requestHeaders.set(headerName, policy);
+
+  const response = NextResponse.next({ request: { headers: requestHeaders } });
+  response.headers.set(headerName, policy);
+  response.headers.set('Reporting-Endpoints', reportingEndpointsHeader());
+
+  if (rolloutId) {
+    response.cookies.set(ROLLOUT_COOKIE, rolloutId, {
+      maxAge: ROLLOUT_COOKIE_MAX_AGE,
+      sameSite: 'lax',
+      // nginx terminates TLS, so the request here is plain http even in production
+      secure: process.env.NODE_ENV === 'production',
+      httpOnly: true,
+      path: '/',
+    });
+  }
+
+  return response;
+}
+
+export const config = {
+  matcher: [
+    {
+      // Pages only: API routes, static assets and the service worker need no policy
+      source: '/((?!api|_next/static|_next/image|favicon.ico|service-worker.js|workbox-).*)',
+      missing: [
+        { type: 'header', key: 'next-router-prefetch' },
+        { type: 'header', key: 'purpose', value: 'prefetch' },
+      ],
+    },
+  ],
+};
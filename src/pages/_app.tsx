@@ -0,0 +1,48 @@
+/**
+ * App wrapper (providers including feature flags, global styles, offline
+ * booking notices, the new-version prompt and the accessibility panel).
+ * Kiosk pages (`Page.kiosk = true`) run unattended on a shared screen, so
+ * they get none of the floating controls and reload themselves after a
+ * deployment instead of asking.
+ */
+
+import { AccessibilityPanel } from '@/components/accessibility/AccessibilityPanel';
+import { AccessibilityProvider } from '@/components/accessibility/AccessibilityProvider';
+import { FeatureFlagsProvider } from '@/components/features/FeatureFlagsProvider';
+import { I18nProvider } from '@/components/i18n/I18nProvider';
+import { OfflineBookingNotices } from '@/components/offline/OfflineBookingNotices';
+import { UpdatePrompt } from '@/components/version/UpdatePrompt';
+import type { I18nProps } from '@/lib/i18n';
+
+import type { AppProps } from 'next/app';
+
+import '@/styles/globals.css';
+
+type ClinicAppProps = AppProps<Partial<I18nProps>> & {
+  Component: { kiosk?: boolean };
+};
+
+export default function ClinicApp({ Component, pageProps, router }: ClinicAppProps) {
+  return (
+    <I18nProvider
+      locale={pageProps.locale ?? router.locale}
+      messages={pageProps.messages}
+      fallbackMessages={pageProps.fallbackMessages}
+    >
+      <FeatureFlagsProvider>
+        <AccessibilityProvider>
+          <Component {...pageProps} />
+          {Component.kiosk ? (
+            <UpdatePrompt autoReload />
+          ) : (
+            <>
+              <OfflineBookingNotices />
+              <UpdatePrompt />
+              <AccessibilityPanel />
+            </>
+          )}
+        </AccessibilityProvider>
+      </FeatureFlagsProvider>
+    </I18nProvider>
+  );
+}
@@ -0,0 +1,71 @@
+/**
+ * Custom document
+ * Applies the per-request CSP nonce from middleware to Next.js scripts and
+ * the locale's font family (font-chinese for zh) to the body, embeds the
+ * runtime public config for the browser and applies stored accessibility
+ * preferences before first paint.
+ *
+ * Pages prerendered at build time (/offline, /404, /500) have no request
+ * and would carry the build machine's config, so they load it from
+ * PUBLIC_CONFIG_PATH before the app starts instead.
+ */
+
+import Document, { Head, Html, Main, NextScript } from 'next/document';
+
+import { ACCESSIBILITY_BOOT_SCRIPT } from '@/lib/accessibility';
+import {
+  getPublicConfig,
+  PUBLIC_CONFIG_PATH,
+  PUBLIC_CONFIG_SCRIPT_ID,
+  serializePublicConfig,
+} from '@/lib/config/public';
+import { localeFontClass } from '@/lib/i18n/config';
+import { CSP_NONCE_HEADER } from '@/lib/security/csp';
+
+import type { DocumentContext, DocumentInitialProps } from 'next/document';
+
+interface ClinicDocumentProps extends DocumentInitialProps {
+  nonce?: string;
+  /** Serialised public config; null when prerendering */
+  publicConfig: string | null;
+}
+
+export default class ClinicDocument extends Document<ClinicDocumentProps> {
+  static override async getInitialProps(ctx: DocumentContext): Promise<ClinicDocumentProps> {
+    const initialProps = await Document.getInitialProps(ctx);
+    const header = ctx.req?.headers[CSP_NONCE_HEADER];
+    const nonce = Array.isArray(header) ? header[0] : header;
+
+    const publicConfig = ctx.req ? serializePublicConfig(getPublicConfig()) : null;
+
+    return { ...initialProps, nonce, publicConfig };
+  }
+
+  override render() {
+    const { nonce, locale, publicConfig } = this.props;
+
+    return (
+      <Html lang={locale ?? 'en'}>
+        <Head nonce={nonce}>
+          <script nonce={nonce} dangerouslySetInnerHTML={{ __html: ACCESSIBILITY_BOOT_SCRIPT }} />
+        </Head>
+        <body className={localeFontClass(locale)}>
+          <Main />
+          {publicConfig ? (
+            <script
+              id={PUBLIC_CONFIG_SCRIPT_ID}
+              type="application/json"
+              nonce={nonce}
+              dangerouslySetInnerHTML={{ __html: publicConfig }}
+            />
+          ) : (
+            // Blocking on purpose: the app reads the config as it starts
+            // eslint-disable-next-line @next/next/no-sync-scripts
+            <script src={PUBLIC_CONFIG_PATH} nonce={nonce} />
+          )}
+          <NextScript nonce={nonce} />
+        </body>
+      </Html>
+    );
+  }
+}
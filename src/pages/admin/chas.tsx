@@ -0,0 +1,44 @@
+/**
+ * Admin dashboard: CHAS
+ * /admin/chas
+ *
+ * Checkout at the front desk, where the visit's CHAS claim is recorded with
+ * the subsidy and what the patient pays, and the monthly batch of claims to
+ * check and export. Both go through /api/chas, which checks the staff role.
+ */
+
+import { ChasCheckout } from '@/components/admin/ChasCheckout';
+import { ChasClaimsBatch } from '@/components/admin/ChasClaimsBatch';
+import { useTranslation } from '@/hooks/useTranslation';
+import { isFeatureEnabled, rolloutSubject } from '@/lib/features';
+import { getI18nProps } from '@/lib/i18n';
+import type { I18nProps } from '@/lib/i18n';
+
+import type { GetServerSideProps } from 'next';
+
+export const getServerSideProps: GetServerSideProps<I18nProps> = async ({ locale, req, res }) => {
+  const subject = rolloutSubject(req);
+  if (
+    !(await isFeatureEnabled('adminDashboard', subject)) ||
+    !(await isFeatureEnabled('chasIntegration', subject))
+  ) {
+    return { notFound: true };
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+  return { props: await getI18nProps(locale) };
+};
+
+export default function AdminChasPage() {
+  const { t } = useTranslation();
+
+  return (
+    <main className="mx-auto max-w-3xl px-4 py-12">
+      <h1 className="text-2xl font-semibold">{t('chas.title')}</h1>
+      <p className="mt-2 text-lg">{t('chas.intro')}</p>
+
+      <ChasCheckout />
+      <ChasClaimsBatch />
+    </main>
+  );
+}
@@ -0,0 +1,72 @@
+/**
+ * Admin dashboard: feature settings
+ * /admin/features
+ *
+ * Lists every feature flag with its FEATURE_* default and this clinic's
+ * override, if any. Changes go through /api/admin/features, which checks
+ * the admin role and writes the audit log.
+ */
+
+import { FeatureSettingRow } from '@/components/admin/FeatureSettingRow';
+import { useAdminApi } from '@/hooks/useAdminApi';
+import type { AdminLoadState } from '@/hooks/useAdminApi';
+import { useTranslation } from '@/hooks/useTranslation';
+import { isFeatureEnabled, rolloutSubject } from '@/lib/features';
+import type { FeatureFlag, FeatureSetting, FeatureState } from '@/lib/features';
+import { getI18nProps } from '@/lib/i18n';
+import type { I18nProps } from '@/lib/i18n';
+
+import type { GetServerSideProps } from 'next';
+
+const LOAD_MESSAGES: Partial<Record<AdminLoadState, string>> = {
+  loading: 'common.loading',
+  signIn: 'features.signIn',
+  forbidden: 'features.forbidden',
+  unavailable: 'features.unavailable',
+};
+
+export const getServerSideProps: GetServerSideProps<I18nProps> = async ({ locale, req, res }) => {
+  if (!(await isFeatureEnabled('adminDashboard', rolloutSubject(req)))) {
+    return { notFound: true };
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+  return { props: await getI18nProps(locale) };
+};
+
+export default function AdminFeaturesPage() {
+  const { t } = useTranslation();
+  const {
+    items: settings,
+    loadState,
+    send,
+  } = useAdminApi<FeatureSetting>('/api/admin/features', 'features');
+
+  const save = (flag: FeatureFlag) => async (state: FeatureState | null) => {
+    const result = state
+      ? await send({ method: 'PUT', body: JSON.stringify({ flag, ...state }) })
+      : await send({ method: 'DELETE' }, `?flag=${flag}`);
+    return result.ok;
+  };
+
+  const messageKey = LOAD_MESSAGES[loadState];
+
+  return (
+    <main className="mx-auto max-w-3xl px-4 py-12">
+      <h1 className="text-2xl font-semibold">{t('features.title')}</h1>
+      <p className="mt-2 text-lg">{t('features.intro')}</p>
+
+      {messageKey ? (
+        <p className="mt-6 text-lg" role={loadState === 'loading' ? 'status' : 'alert'}>
+          {t(messageKey)}
+        </p>
+      ) : (
+        <div className="mt-6 space-y-4">
+          {settings.map((setting) => (
+            <FeatureSettingRow key={setting.flag} setting={setting} onSave={save(setting.flag)} />
+          ))}
+        </div>
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,200 @@
+/**
+ * Front-desk console
+ * /admin/front-desk  (also /admin, see next.config.js)
+ *
+ * Today's appointments and walk-ins in one live list. Staff check patients
+ * in, queue walk-ins under a prefix, call each doctor's next patient, mark
+ * no-shows and re-queue, all through /api/front-desk, which checks the
+ * staff role and writes the audit log. Every open console follows the same
+ * board over /api/front-desk/stream.
+ */
+
+import { useState } from 'react';
+
+import { DoctorQueues } from '@/components/front-desk/DoctorQueues';
+import { FrontDeskEntryRow } from '@/components/front-desk/FrontDeskEntryRow';
+import type { EntryAction } from '@/components/front-desk/FrontDeskEntryRow';
+import { WalkInForm } from '@/components/front-desk/WalkInForm';
+import type { WalkInValues } from '@/components/front-desk/WalkInForm';
+import type { AdminLoadState } from '@/hooks/useAdminApi';
+import { useFrontDesk } from '@/hooks/useFrontDesk';
+import type { FrontDeskResponse } from '@/hooks/useFrontDesk';
+import { useTranslation } from '@/hooks/useTranslation';
+import { signInPath } from '@/lib/auth/channels';
+import { isFeatureEnabled, rolloutSubject } from '@/lib/features';
+import type { FrontDeskDoctor, FrontDeskEntry, FrontDeskErrorCode } from '@/lib/front-desk';
+import { formatDate, getI18nProps } from '@/lib/i18n';
+import type { I18nProps, TranslateFn } from '@/lib/i18n';
+
+import type { GetServerSideProps } from 'next';
+
+const CONSOLE_PATH = '/admin/front-desk';
+
+const LOAD_MESSAGES: Partial<Record<AdminLoadState, string>> = {
+  loading: 'common.loading',
+  forbidden: 'frontDesk.forbidden',
+  unavailable: 'frontDesk.unavailable',
+};
+
+const ERROR_CODES: readonly FrontDeskErrorCode[] = [
+  'changed',
+  'queueEmpty',
+  'alreadyQueued',
+  'prefixInvalid',
+];
+
+function errorMessage(t: TranslateFn, result: FrontDeskResponse): string {
+  const code = ERROR_CODES.find((known) => known === result.code);
+  if (code) return t(`frontDesk.errors.${code}`);
+  if (result.status === 400 && result.error) {
+    return t('frontDesk.errors.invalid', { reason: result.error });
+  }
+  return t('frontDesk.errors.failed');
+}
+
+export const getServerSideProps: GetServerSideProps<I18nProps> = async ({ locale, req, res }) => {
+  const subject = rolloutSubject(req);
+  if (
+    !(await isFeatureEnabled('adminDashboard', subject)) ||
+    !(await isFeatureEnabled('queueManagement', subject))
+  ) {
+    return { notFound: true };
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+  return { props: await getI18nProps(locale) };
+};
+
+export default function FrontDeskPage() {
+  const { locale, t } = useTranslation();
+  const { board, loadState, live, send } = useFrontDesk();
+  const [doctorFilter, setDoctorFilter] = useState('');
+  const [notice, setNotice] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  const run = async (
+    action: Parameters<typeof send>[0],
+    success: (queueNumber: string) => string
+  ): Promise<boolean> => {
+    setBusy(true);
+    setNotice(null);
+    const result = await send(action);
+    setBusy(false);
+    setNotice(
+      result.ok && result.ticket ? success(result.ticket.queueNumber) : errorMessage(t, result)
+    );
+    return result.ok;
+  };
+
+  const onEntryAction = (entry: FrontDeskEntry, action: EntryAction) => {
+    void run({ action, appointmentId: entry.id }, (number) =>
+      t(`frontDesk.notices.${action}`, { name: entry.patientName, number })
+    );
+  };
+
+  const onCallNext = (doctor: FrontDeskDoctor) => {
+    void run({ action: 'callNext', doctorId: doctor.id }, (number) =>
+      t('frontDesk.notices.called', { number, doctor: doctor.name })
+    );
+  };
+
+  const onWalkIn = (values: WalkInValues) =>
+    run({ action: 'walkIn', ...values }, (number) =>
+      t('frontDesk.notices.walkIn', { name: values.name, number })
+    );
+
+  const messageKey = LOAD_MESSAGES[loadState];
+  const doctors = board?.doctors ?? [];
+  const doctorNames = new Map(doctors.map((doctor) => [doctor.id, doctor.name]));
+  const entries = (board?.entries ?? []).filter(
+    (entry) => !doctorFilter || entry.doctorId === doctorFilter
+  );
+
+  return (
+    <main className="mx-auto max-w-5xl px-4 py-12">
+      <div className="flex flex-wrap items-baseline justify-between gap-2">
+        <h1 className="text-2xl font-semibold">{t('frontDesk.title')}</h1>
+        {board && (
+          <p className="text-lg">
+            {formatDate(board.date, locale)} ·{' '}
+            <span role="status">{live ? t('frontDesk.live') : t('frontDesk.reconnecting')}</span>
+          </p>
+        )}
+      </div>
+      <p className="mt-2 text-lg">{t('frontDesk.intro')}</p>
+
+      {loadState === 'signIn' && (
+        <p className="mt-6 text-lg">
+          {t('frontDesk.signIn')}{' '}
+          <a
+            className="underline"
+            href={`${signInPath(locale)}?next=${encodeURIComponent(CONSOLE_PATH)}`}
+          >
+            {t('frontDesk.signInLink')}
+          </a>
+        </p>
+      )}
+      {messageKey && (
+        <p className="mt-6 text-lg" role={loadState === 'loading' ? 'status' : 'alert'}>
+          {t(messageKey)}
+        </p>
+      )}
+
+      {board && loadState === 'ready' && (
+        <>
+          <p className="mt-4 text-lg" role="status">
+            {notice}
+          </p>
+
+          <DoctorQueues doctors={doctors} busy={busy} onCallNext={onCallNext} />
+
+          <section className="mt-8">
+            <h2 className="text-xl font-semibold">{t('frontDesk.walkIn.title')}</h2>
+            <WalkInForm
+              doctors={doctors}
+              prefixes={board.walkInPrefixes}
+              busy={busy}
+              onSubmit={onWalkIn}
+            />
+          </section>
+
+          <section className="mt-8">
+            <div className="flex flex-wrap items-end justify-between gap-4">
+              <h2 className="text-xl font-semibold">{t('frontDesk.today')}</h2>
+              {doctors.length > 1 && (
+                <label className="block">
+                  <span className="block font-medium">{t('frontDesk.doctorFilter')}</span>
+                  <select
+                    className="touch-target mt-1 rounded-md border border-input px-3"
+                    value={doctorFilter}
+                    onChange={(event) => setDoctorFilter(event.target.value)}
+                  >
+                    <option value="">{t('frontDesk.allDoctors')}</option>
+                    {doctors.map((doctor) => (
+                      <option key={doctor.id} value={doctor.id}>
+                        {doctor.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+            </div>
+
+            {entries.length === 0 && <p className="mt-4 text-lg">{t('frontDesk.empty')}</p>}
+            <ul className="mt-2">
+              {entries.map((entry) => (
+                <FrontDeskEntryRow
+                  key={entry.id}
+                  entry={entry}
+                  doctorName={doctors.length > 1 ? (doctorNames.get(entry.doctorId) ?? null) : null}
+                  busy={busy}
+                  onAction={onEntryAction}
+                />
+              ))}
+            </ul>
+          </section>
+        </>
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,170 @@
+/**
+ * Admin dashboard: short links
+ * /admin/short-links
+ *
+ * Printable links such as /b or /q/:number, with their visit counts and
+ * QR codes. Changes go through /api/admin/short-links, which checks the
+ * staff role and writes the audit log; middleware serves them.
+ */
+
+import { useState } from 'react';
+
+import { ShortLinkForm } from '@/components/admin/ShortLinkForm';
+import type { ShortLinkFormValues } from '@/components/admin/ShortLinkForm';
+import { ShortLinkQr } from '@/components/admin/ShortLinkQr';
+import { useAdminApi } from '@/hooks/useAdminApi';
+import type { AdminLoadState } from '@/hooks/useAdminApi';
+import { useTranslation } from '@/hooks/useTranslation';
+import { isFeatureEnabled, rolloutSubject } from '@/lib/features';
+import { formatDateTime, getI18nProps } from '@/lib/i18n';
+import type { I18nProps } from '@/lib/i18n';
+import type { ShortLinkDetails } from '@/lib/short-links';
+
+import type { GetServerSideProps } from 'next';
+
+const LOAD_MESSAGES: Partial<Record<AdminLoadState, string>> = {
+  loading: 'common.loading',
+  signIn: 'shortLinks.signIn',
+  forbidden: 'shortLinks.forbidden',
+  unavailable: 'shortLinks.unavailable',
+};
+
+export const getServerSideProps: GetServerSideProps<I18nProps> = async ({ locale, req, res }) => {
+  if (!(await isFeatureEnabled('adminDashboard', rolloutSubject(req)))) {
+    return { notFound: true };
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+  return { props: await getI18nProps(locale) };
+};
+
+/** Null: the form is closed; 'new': adding a link */
+type Editing = ShortLinkDetails | 'new' | null;
+
+export default function AdminShortLinksPage() {
+  const { locale, t } = useTranslation();
+  const {
+    items: links,
+    loadState,
+    send,
+  } = useAdminApi<ShortLinkDetails>('/api/admin/short-links', 'links');
+  const [editing, setEditing] = useState<Editing>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const submit = async (values: ShortLinkFormValues) => {
+    const link = editing === 'new' ? null : editing;
+    const result = link
+      ? await send({ method: 'PUT', body: JSON.stringify(values) }, `?id=${link.id}`)
+      : await send({ method: 'POST', body: JSON.stringify(values) });
+    if (result.ok) {
+      setEditing(null);
+      setNotice(t('shortLinks.saved'));
+      return null;
+    }
+    if (result.code === 'pathTaken') return t('shortLinks.pathTaken');
+    if (result.status === 400 && result.error) {
+      return t('shortLinks.invalid', { reason: result.error });
+    }
+    return t('shortLinks.saveFailed');
+  };
+
+  const remove = async (link: ShortLinkDetails) => {
+    // eslint-disable-next-line no-alert
+    if (!window.confirm(t('shortLinks.confirmDelete', { path: link.path }))) return;
+    const result = await send({ method: 'DELETE' }, `?id=${link.id}`);
+    setNotice(result.ok ? t('shortLinks.deleted') : t('shortLinks.saveFailed'));
+  };
+
+  const messageKey = LOAD_MESSAGES[loadState];
+  const now = Date.now();
+
+  return (
+    <main className="mx-auto max-w-3xl px-4 py-12">
+      <h1 className="text-2xl font-semibold">{t('shortLinks.title')}</h1>
+      <p className="mt-2 text-lg">{t('shortLinks.intro')}</p>
+
+      {messageKey ? (
+        <p className="mt-6 text-lg" role={loadState === 'loading' ? 'status' : 'alert'}>
+          {t(messageKey)}
+        </p>
+      ) : (
+        <>
+          <p className="mt-4" role="status">
+            {notice}
+          </p>
+
+          {editing ? (
+            <div className="mt-4">
+              <ShortLinkForm
+                key={editing === 'new' ? 'new' : editing.id}
+                link={editing === 'new' ? null : editing}
+                onSubmit={submit}
+                onCancel={() => setEditing(null)}
+              />
+            </div>
+          ) : (
+            <button
+              type="button"
+              className="touch-target focus-visible-ring mt-4 rounded-md bg-foreground px-4 text-background"
+              onClick={() => {
+                setNotice(null);
+                setEditing('new');
+              }}
+            >
+              {t('shortLinks.create')}
+            </button>
+          )}
+
+          {links.length === 0 && <p className="mt-6 text-lg">{t('shortLinks.empty')}</p>}
+          <ul className="mt-6 space-y-4">
+            {links.map((link) => {
+              const expired = link.expiresAt !== null && Date.parse(link.expiresAt) <= now;
+              return (
+                <li key={link.id} className="rounded-lg border border-border p-4">
+                  <p className="text-lg">
+                    <span className="font-semibold">{link.path}</span> → {link.destination}
+                  </p>
+                  {link.description && <p className="text-muted-foreground">{link.description}</p>}
+                  <p>
+                    {t('shortLinks.clicks', { count: link.clickCount })}
+                    {link.lastClickedAt &&
+                      ` · ${t('shortLinks.lastClick', { date: formatDateTime(link.lastClickedAt, locale) })}`}
+                  </p>
+                  <p>
+                    {expired && t('shortLinks.expired')}
+                    {!expired &&
+                      t('shortLinks.expiresAt', {
+                        date: link.expiresAt
+                          ? formatDateTime(link.expiresAt, locale)
+                          : t('shortLinks.never'),
+                      })}
+                  </p>
+                  {!expired && <ShortLinkQr path={link.path} />}
+                  <div className="mt-3 flex flex-wrap gap-3">
+                    <button
+                      type="button"
+                      className="touch-target focus-visible-ring rounded-md border border-input px-4"
+                      onClick={() => {
+                        setNotice(null);
+                        setEditing(link);
+                      }}
+                    >
+                      {t('shortLinks.edit')}
+                    </button>
+                    <button
+                      type="button"
+                      className="touch-target focus-visible-ring rounded-md border border-input px-4"
+                      onClick={() => void remove(link)}
+                    >
+                      {t('shortLinks.delete')}
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </main>
+  );
+}
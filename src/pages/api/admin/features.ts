@@ -0,0 +1,92 @@
+/**
+ * Feature flag overrides for this clinic (admin dashboard)
+ * GET    /api/admin/features
+ * PUT    /api/admin/features  { flag, enabled, rolloutPercent? }
+ * DELETE /api/admin/features?flag=telemedicine  (back to the FEATURE_* default)
+ *
+ * Admins only. Every change is written to audit_logs with the admin's id,
+ * IP address and browser.
+ */
+
+import { z } from 'zod';
+
+import { auditActor, getRequestUser, getStaffRole } from '@/lib/auth/request-user';
+import {
+  getFeatureSettings,
+  isFeatureFlag,
+  saveFeatureOverride,
+  withFeature,
+} from '@/lib/features';
+import type { FeatureFlag, FeatureState } from '@/lib/features';
+import { withMetrics } from '@/lib/metrics';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+const ALLOWED_METHODS = ['GET', 'PUT', 'DELETE'];
+const ADMIN_ROLES = ['admin', 'superadmin'];
+
+const flagSchema = z.custom<FeatureFlag>(isFeatureFlag, 'Unknown feature flag');
+
+const overrideSchema = z.object({
+  flag: flagSchema,
+  enabled: z.boolean(),
+  rolloutPercent: z.number().int().min(0).max(100).default(100),
+});
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (!ALLOWED_METHODS.includes(req.method ?? '')) {
+    res.setHeader('Allow', ALLOWED_METHODS.join(', '));
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    const user = await getRequestUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Sign in to manage features' });
+    }
+    const role = getStaffRole(user);
+    if (!role || !ADMIN_ROLES.includes(role)) {
+      return res.status(403).json({ error: 'Only clinic admins can manage features' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ features: await getFeatureSettings() });
+    }
+
+    let flag: FeatureFlag;
+    let state: FeatureState | null;
+    if (req.method === 'PUT') {
+      const body = overrideSchema.safeParse(req.body);
+      if (!body.success) {
+        return res.status(400).json({ error: body.error.issues[0]?.message ?? 'Invalid override' });
+      }
+      flag = body.data.flag;
+      state = { enabled: body.data.enabled, rolloutPercent: body.data.rolloutPercent };
+    } else {
+      const query = flagSchema.safeParse(req.query.flag);
+      if (!query.success) {
+        return res.status(400).json({ error: 'Unknown feature flag' });
+      }
+      flag = query.data;
+      state = null;
+    }
+
+    // Switched off here, the dashboard could only be switched back on in the database
+    if (flag === 'adminDashboard' && state && (!state.enabled || state.rolloutPercent < 100)) {
+      return res.status(400).json({ error: 'The admin dashboard cannot switch itself off' });
+    }
+
+    await saveFeatureOverride(flag, state, auditActor(req, user, role));
+    return res.status(200).json({ features: await getFeatureSettings() });
+  } catch (error) {
+    console.error('[admin-features]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '30');
+    return res
+      .status(503)
+      .json({ error: 'Feature settings are temporarily unavailable', retry_after: 30 });
+  }
+}
+
+export default withMetrics('/api/admin/features', withFeature('adminDashboard', handler));
@@ -0,0 +1,93 @@
+/**
+ * Short links (admin dashboard)
+ * GET    /api/admin/short-links
+ * POST   /api/admin/short-links          { path, destination, description?, permanent?, expiresAt? }
+ * PUT    /api/admin/short-links?id=uuid  (same body; click counts are kept)
+ * DELETE /api/admin/short-links?id=uuid
+ *
+ * Front-desk staff and admins. Every change is written to audit_logs.
+ */
+
+import { z } from 'zod';
+
+import { auditActor, getRequestUser, getStaffRole } from '@/lib/auth/request-user';
+import { withFeature } from '@/lib/features';
+import { withMetrics } from '@/lib/metrics';
+import {
+  deleteShortLink,
+  listShortLinks,
+  saveShortLink,
+  shortLinkInputSchema,
+} from '@/lib/short-links';
+import type { ShortLinkErrorCode, ShortLinkResult } from '@/lib/short-links';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+const ALLOWED_METHODS = ['GET', 'POST', 'PUT', 'DELETE'];
+const EDITOR_ROLES = ['receptionist', 'admin', 'superadmin'];
+
+const idSchema = z.string().uuid();
+
+const ERROR_RESPONSES: Record<ShortLinkErrorCode, { status: number; error: string }> = {
+  pathTaken: { status: 409, error: 'Another short link already uses that path' },
+  notFound: { status: 404, error: 'Short link not found' },
+};
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (!ALLOWED_METHODS.includes(req.method ?? '')) {
+    res.setHeader('Allow', ALLOWED_METHODS.join(', '));
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    const user = await getRequestUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Sign in to manage short links' });
+    }
+    const role = getStaffRole(user);
+    if (!role || !EDITOR_ROLES.includes(role)) {
+      return res.status(403).json({ error: 'Only clinic staff can manage short links' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ links: await listShortLinks() });
+    }
+
+    let id: string | null = null;
+    if (req.method !== 'POST') {
+      const query = idSchema.safeParse(req.query.id);
+      if (!query.success) {
+        return res.status(400).json({ error: 'id must be a UUID' });
+      }
+      id = query.data;
+    }
+
+    const actor = auditActor(req, user, role);
+    let result: ShortLinkResult;
+    if (req.method === 'DELETE' && id) {
+      result = await deleteShortLink(id, actor);
+    } else {
+      const body = shortLinkInputSchema.safeParse(req.body);
+      if (!body.success) {
+        return res.status(400).json({ error: body.error.issues[0]?.message ?? 'Invalid link' });
+      }
+      result = await saveShortLink(id, body.data, actor);
+    }
+
+    if (!result.ok) {
+      const { status, error } = ERROR_RESPONSES[result.code];
+      return res.status(status).json({ error, code: result.code });
+    }
+    return res.status(req.method === 'POST' ? 201 : 200).json({ links: await listShortLinks() });
+  } catch (error) {
+    console.error('[admin-short-links]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '30');
+    return res
+      .status(503)
+      .json({ error: 'Short links are temporarily unavailable', retry_after: 30 });
+  }
+}
+
+export default withMetrics('/api/admin/short-links', withFeature('adminDashboard', handler));
@@ -0,0 +1,76 @@
+/**
+ * Bookable slots for a date
+ * GET /api/appointments/availability?date=YYYY-MM-DD[&doctor_id=uuid][&slotMinutes=15]
+ *
+ * With doctor_id: that doctor's open time_slots, each with the id to book.
+ * Without: the clinic's opening-hours grid (no ids), for showing when the
+ * clinic can be booked at all. Both exclude lunch, public holidays and
+ * times already past.
+ */
+
+import { z } from 'zod';
+
+import { getDoctorSlots } from '@/lib/booking';
+import {
+  addDays,
+  clinicDate,
+  getBookableSlots,
+  getClinicSchedule,
+  getDaySchedule,
+} from '@/lib/clinic';
+import { withFeature } from '@/lib/features';
+import { withMetrics } from '@/lib/metrics';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+/** How far ahead patients may book */
+const BOOKING_WINDOW_DAYS = 60;
+
+const querySchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected date as YYYY-MM-DD'),
+  doctor_id: z.string().uuid('doctor_id must be a UUID').optional(),
+  slotMinutes: z.coerce.number().int().min(5).max(120).default(15),
+});
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const query = querySchema.safeParse(req.query);
+  if (!query.success) {
+    return res.status(400).json({ error: query.error.issues[0]?.message ?? 'Invalid query' });
+  }
+
+  const { date, doctor_id: doctorId, slotMinutes } = query.data;
+  const now = new Date();
+  const today = clinicDate(now);
+  const lastDay = addDays(today, BOOKING_WINDOW_DAYS);
+  if (Number.isNaN(Date.parse(date)) || date < today || date > lastDay) {
+    return res.status(400).json({ error: `Date must be between ${today} and ${lastDay}` });
+  }
+
+  const schedule = getClinicSchedule();
+  const day = getDaySchedule(date, schedule);
+
+  try {
+    const slots = doctorId
+      ? await getDoctorSlots(doctorId, date, now)
+      : getBookableSlots(date, schedule, { slotMinutes, now });
+
+    res.setHeader('Cache-Control', 'private, max-age=30');
+    return res.status(200).json({ ...day, doctorId: doctorId ?? null, slotMinutes, slots });
+  } catch (error) {
+    console.error('[availability]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '15');
+    return res
+      .status(503)
+      .json({ error: 'Availability is temporarily unavailable', retry_after: 15 });
+  }
+}
+
+export default withMetrics(
+  '/api/appointments/availability',
+  withFeature('appointmentBooking', handler)
+);
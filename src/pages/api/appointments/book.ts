@@ -0,0 +1,107 @@
+/**
+ * Quick booking
+ * POST /api/appointments/book
+ *
+ * Accepts JSON (landing.js) or a plain form post (JavaScript off):
+ *   name, mobile, and either slot_id or date + time [+ doctor_id]
+ *
+ * JSON callers get 201 { booking } or 4xx { error, code, field? }.
+ * Attempts are limited per client IP and per mobile number.
+ * Form posts are redirected (303) to /booking/confirmation, which renders
+ * the queue number or the error without any client-side script.
+ * Successful bookings queue a confirmation message to the patient.
+ */
+
+import { bookQuickAppointment, quickBookingSchema } from '@/lib/booking';
+import type { BookingErrorCode } from '@/lib/booking';
+import { withFeature } from '@/lib/features';
+import { DEFAULT_LOCALE, resolveLocale } from '@/lib/i18n/config';
+import { withMetrics } from '@/lib/metrics';
+import { queueBookingConfirmation } from '@/lib/notifications';
+import { checkRateLimit, withRateLimit } from '@/lib/rate-limit';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+const ERROR_STATUS: Record<BookingErrorCode, number> = {
+  nameRequired: 400,
+  mobileInvalid: 400,
+  slotRequired: 400,
+  slotTaken: 409,
+  alreadyBooked: 409,
+  tooManyAttempts: 429,
+  unavailable: 503,
+};
+
+const ERROR_MESSAGES: Record<BookingErrorCode, string> = {
+  nameRequired: 'Please enter your name',
+  mobileInvalid: 'Please enter a Singapore mobile number',
+  slotRequired: 'Please choose a date and time',
+  slotTaken: 'That slot is no longer available',
+  alreadyBooked: 'You already have a booking on that day',
+  tooManyAttempts: 'Too many booking attempts for this number',
+  unavailable: 'Booking is temporarily unavailable',
+};
+
+const isFormPost = (req: NextApiRequest) =>
+  (req.headers['content-type'] ?? '').startsWith('application/x-www-form-urlencoded');
+
+/** The confirmation page in the locale the form was shown in */
+function confirmationUrl(body: unknown, query: string) {
+  const locale = resolveLocale((body as { locale?: unknown } | undefined)?.locale);
+  const prefix = locale === DEFAULT_LOCALE ? '' : `/${locale}`;
+  return `${prefix}/booking/confirmation?${query}`;
+}
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const formPost = isFormPost(req);
+  const fail = (
+    code: BookingErrorCode,
+    field?: string,
+    retryAfter = code === 'unavailable' ? 30 : undefined
+  ) => {
+    if (formPost) {
+      return res.redirect(303, confirmationUrl(req.body, `error=${code}`));
+    }
+    if (retryAfter) res.setHeader('Retry-After', String(retryAfter));
+    return res.status(ERROR_STATUS[code]).json({
+      error: ERROR_MESSAGES[code],
+      code,
+      ...(field && { field }),
+      ...(retryAfter && { retry_after: retryAfter }),
+    });
+  };
+
+  const input = quickBookingSchema.safeParse(req.body ?? {});
+  if (!input.success) {
+    const issue = input.error.issues[0];
+    const code = (issue?.message ?? 'slotRequired') as BookingErrorCode;
+    return fail(code in ERROR_STATUS ? code : 'slotRequired', issue?.path[0]?.toString());
+  }
+
+  const limit = await checkRateLimit(res, 'booking', input.data.mobile);
+  if (limit && !limit.allowed) return fail('tooManyAttempts', undefined, limit.resetSeconds);
+
+  try {
+    const result = await bookQuickAppointment(input.data);
+    if (!result.ok) return fail(result.code);
+    await queueBookingConfirmation(result.booking.id);
+
+    if (formPost) {
+      return res.redirect(303, confirmationUrl(req.body, `id=${result.booking.id}`));
+    }
+    return res.status(201).json({ booking: result.booking });
+  } catch (error) {
+    console.error('[booking]', error instanceof Error ? error.message : error);
+    return fail('unavailable');
+  }
+}
+
+export default withMetrics(
+  '/api/appointments/book',
+  withFeature('appointmentBooking', withRateLimit('api', handler))
+);
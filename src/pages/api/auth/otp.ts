@@ -0,0 +1,90 @@
+/**
+ * Send a sign-in code
+ * POST /api/auth/otp  { channel: sms|whatsapp|email, destination, locale? }
+ *
+ * 202 { challenge, expires_in, resend_in }: the challenge goes back with
+ * the code to /api/auth/verify. The answer is the same whether or not the
+ * number or address has signed in before.
+ * Errors are 4xx/503 { error, code, retry_after? } with signIn.errors.* codes.
+ */
+
+import { OTP_CHANNEL_FEATURES, otpRequestSchema, sendSignInCode } from '@/lib/auth';
+import type { SignInErrorCode } from '@/lib/auth';
+import { isFeatureEnabled, rolloutSubject } from '@/lib/features';
+import { withMetrics } from '@/lib/metrics';
+import { checkRateLimit, withRateLimit } from '@/lib/rate-limit';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+type OtpErrorCode = Extract<
+  SignInErrorCode,
+  | 'invalidDestination'
+  | 'channelUnavailable'
+  | 'cooldown'
+  | 'rateLimited'
+  | 'deliveryFailed'
+  | 'unavailable'
+>;
+
+const ERROR_STATUS: Record<OtpErrorCode, number> = {
+  invalidDestination: 400,
+  channelUnavailable: 400,
+  cooldown: 429,
+  rateLimited: 429,
+  deliveryFailed: 503,
+  unavailable: 503,
+};
+
+const ERROR_MESSAGES: Record<OtpErrorCode, string> = {
+  invalidDestination: 'Please enter a Singapore mobile number or an email address',
+  channelUnavailable: 'Sign-in codes cannot be sent that way',
+  cooldown: 'A code was sent recently; please wait before asking for another',
+  rateLimited: 'Too many codes requested for this number or address',
+  deliveryFailed: 'The code could not be sent',
+  unavailable: 'Sign-in is temporarily unavailable',
+};
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+  const fail = (code: OtpErrorCode, retryAfter = code === 'unavailable' ? 30 : undefined) => {
+    if (retryAfter) res.setHeader('Retry-After', String(retryAfter));
+    return res.status(ERROR_STATUS[code]).json({
+      error: ERROR_MESSAGES[code],
+      code,
+      ...(retryAfter && { retry_after: retryAfter }),
+    });
+  };
+
+  const input = otpRequestSchema.safeParse(req.body ?? {});
+  if (!input.success) return fail('invalidDestination');
+  const { channel, destination, locale } = input.data;
+
+  try {
+    if (!(await isFeatureEnabled(OTP_CHANNEL_FEATURES[channel], rolloutSubject(req)))) {
+      return fail('channelUnavailable');
+    }
+
+    const limit = await checkRateLimit(res, 'otpRequest', destination);
+    if (limit && !limit.allowed) return fail('rateLimited', limit.resetSeconds);
+
+    const result = await sendSignInCode(channel, destination, locale ?? '');
+    if (!result.ok) {
+      return result.code === 'cooldown' ? fail('cooldown', result.retryAfter) : fail(result.code);
+    }
+    return res.status(202).json({
+      challenge: result.challengeId,
+      expires_in: result.expiresIn,
+      resend_in: result.resendIn,
+    });
+  } catch (error) {
+    console.error('[auth-otp]', error instanceof Error ? error.message : error);
+    return fail('unavailable');
+  }
+}
+
+export default withMetrics('/api/auth/otp', withRateLimit('api', handler));
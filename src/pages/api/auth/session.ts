@@ -0,0 +1,55 @@
+/**
+ * Current sign-in
+ * GET    /api/auth/session  200 { user: { id, role, phone, email } } or 401
+ * DELETE /api/auth/session  signs out: ends the cookie session, 204
+ */
+
+import {
+  authRequestContext,
+  clearSessionCookie,
+  getRequestUser,
+  getStaffRole,
+  getUserPhone,
+  readSessionToken,
+  signOut,
+} from '@/lib/auth';
+import { withMetrics } from '@/lib/metrics';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+const ALLOWED_METHODS = ['GET', 'DELETE'];
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (!ALLOWED_METHODS.includes(req.method ?? '')) {
+    res.setHeader('Allow', ALLOWED_METHODS.join(', '));
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    if (req.method === 'DELETE') {
+      const token = readSessionToken(req);
+      if (token) await signOut(token, authRequestContext(req));
+      clearSessionCookie(res);
+      return res.status(204).end();
+    }
+
+    const user = await getRequestUser(req);
+    if (!user) return res.status(401).json({ error: 'Not signed in' });
+    return res.status(200).json({
+      user: {
+        id: user.id,
+        role: getStaffRole(user) ?? 'patient',
+        phone: getUserPhone(user),
+        email: user.email ?? null,
+      },
+    });
+  } catch (error) {
+    console.error('[auth-session]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '30');
+    return res.status(503).json({ error: 'Sign-in is temporarily unavailable', retry_after: 30 });
+  }
+}
+
+export default withMetrics('/api/auth/session', handler);
@@ -0,0 +1,89 @@
+/**
+ * Sign in with a code
+ * POST /api/auth/verify  { challenge, code }
+ *
+ * 200 { user: { id, role } } with the session cookie set, or
+ * 4xx/503 { error, code, attempts_left? } with signIn.errors.* codes.
+ * Codes are limited per challenge (OTP_MAX_ATTEMPTS) and per client IP.
+ */
+
+import {
+  authRequestContext,
+  completeSignIn,
+  getStaffRole,
+  otpVerifySchema,
+  setSessionCookie,
+} from '@/lib/auth';
+import type { SignInErrorCode } from '@/lib/auth';
+import { withMetrics } from '@/lib/metrics';
+import { withRateLimit } from '@/lib/rate-limit';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+type VerifyErrorCode = Extract<
+  SignInErrorCode,
+  'invalidCode' | 'codeExpired' | 'codeUsed' | 'tooManyAttempts' | 'accountDisabled' | 'unavailable'
+>;
+
+const ERROR_STATUS: Record<VerifyErrorCode, number> = {
+  invalidCode: 400,
+  // The challenge is over; a new code is needed
+  codeExpired: 410,
+  codeUsed: 410,
+  tooManyAttempts: 410,
+  accountDisabled: 403,
+  unavailable: 503,
+};
+
+const ERROR_MESSAGES: Record<VerifyErrorCode, string> = {
+  invalidCode: 'That code is not right',
+  codeExpired: 'That code has expired',
+  codeUsed: 'That code has already been used',
+  tooManyAttempts: 'Too many wrong codes',
+  accountDisabled: 'This account cannot sign in',
+  unavailable: 'Sign-in is temporarily unavailable',
+};
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+  const fail = (code: VerifyErrorCode, attemptsLeft?: number) => {
+    if (code === 'unavailable') res.setHeader('Retry-After', '30');
+    return res.status(ERROR_STATUS[code]).json({
+      error: ERROR_MESSAGES[code],
+      code,
+      ...(attemptsLeft !== undefined && { attempts_left: attemptsLeft }),
+      ...(code === 'unavailable' && { retry_after: 30 }),
+    });
+  };
+
+  const input = otpVerifySchema.safeParse(req.body ?? {});
+  if (!input.success) return fail('invalidCode');
+
+  try {
+    const result = await completeSignIn(
+      input.data.challenge,
+      input.data.code,
+      authRequestContext(req)
+    );
+    if (!result.ok) {
+      return result.code === 'invalidCode'
+        ? fail(result.code, result.attemptsLeft)
+        : fail(result.code);
+    }
+
+    setSessionCookie(res, result.token);
+    return res
+      .status(200)
+      .json({ user: { id: result.user.id, role: getStaffRole(result.user) ?? 'patient' } });
+  } catch (error) {
+    console.error('[auth-verify]', error instanceof Error ? error.message : error);
+    return fail('unavailable');
+  }
+}
+
+export default withMetrics('/api/auth/verify', withRateLimit('otpVerify', handler));
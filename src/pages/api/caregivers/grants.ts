@@ -0,0 +1,113 @@
+/**
+ * Caregiver grants for a patient
+ * GET    /api/caregivers/grants?patient_id=uuid
+ * POST   /api/caregivers/grants?patient_id=uuid         { caregiverPhone, label?, scopes, expiresAt }
+ * PUT    /api/caregivers/grants?patient_id=uuid&id=uuid (same body; the number cannot change)
+ * DELETE /api/caregivers/grants?patient_id=uuid&id=uuid revokes the grant
+ *
+ * Patients manage grants on their own records; clinic staff can for anyone,
+ * e.g. at the front desk for a patient without a smartphone. Caregivers
+ * cannot pass their access on. Every change is written to audit_logs.
+ */
+
+import { z } from 'zod';
+
+import { auditActor, getRequestUser, getStaffRole } from '@/lib/auth/request-user';
+import type { StaffRole } from '@/lib/auth/request-user';
+import {
+  findPortalPatient,
+  grantInputSchema,
+  listCaregiverGrants,
+  revokeCaregiverGrant,
+  saveCaregiverGrant,
+} from '@/lib/caregivers';
+import type { GrantErrorCode, GrantResult } from '@/lib/caregivers';
+import { withMetrics } from '@/lib/metrics';
+import { withRateLimit } from '@/lib/rate-limit';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+const ALLOWED_METHODS = ['GET', 'POST', 'PUT', 'DELETE'];
+const GRANTOR_ROLES: readonly StaffRole[] = ['nurse', 'receptionist', 'admin', 'superadmin'];
+
+const idSchema = z.string().uuid();
+
+const ERROR_RESPONSES: Record<GrantErrorCode, { status: number; error: string }> = {
+  alreadyGranted: {
+    status: 409,
+    error: 'That number already has access; change its grant instead',
+  },
+  ownNumber: { status: 400, error: "That is the patient's own number" },
+  notFound: { status: 404, error: 'Grant not found' },
+};
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (!ALLOWED_METHODS.includes(req.method ?? '')) {
+    res.setHeader('Allow', ALLOWED_METHODS.join(', '));
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  const patientId = idSchema.safeParse(req.query.patient_id);
+  if (!patientId.success) {
+    return res.status(400).json({ error: 'patient_id must be a UUID' });
+  }
+
+  try {
+    const user = await getRequestUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Sign in to manage caregiver access' });
+    }
+    const staffRole = getStaffRole(user);
+    if (!staffRole || !GRANTOR_ROLES.includes(staffRole)) {
+      const patient = await findPortalPatient(user, patientId.data);
+      if (!patient || patient.grant) {
+        return res
+          .status(403)
+          .json({ error: 'Only the patient or clinic staff can manage caregiver access' });
+      }
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ grants: await listCaregiverGrants(patientId.data) });
+    }
+
+    let id: string | null = null;
+    if (req.method !== 'POST') {
+      const query = idSchema.safeParse(req.query.id);
+      if (!query.success) {
+        return res.status(400).json({ error: 'id must be a UUID' });
+      }
+      id = query.data;
+    }
+
+    const actor = auditActor(req, user, staffRole ?? 'patient');
+    let result: GrantResult;
+    if (req.method === 'DELETE' && id) {
+      result = await revokeCaregiverGrant(id, patientId.data, actor);
+    } else {
+      const body = grantInputSchema.safeParse(req.body);
+      if (!body.success) {
+        return res.status(400).json({ error: body.error.issues[0]?.message ?? 'Invalid grant' });
+      }
+      result = await saveCaregiverGrant(id, patientId.data, body.data, actor);
+    }
+
+    if (!result.ok) {
+      const { status, error } = ERROR_RESPONSES[result.code];
+      return res.status(status).json({ error, code: result.code });
+    }
+    return res
+      .status(req.method === 'POST' ? 201 : 200)
+      .json({ grants: await listCaregiverGrants(patientId.data) });
+  } catch (error) {
+    console.error('[caregiver-grants]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '30');
+    return res
+      .status(503)
+      .json({ error: 'Caregiver access is temporarily unavailable', retry_after: 30 });
+  }
+}
+
+export default withMetrics('/api/caregivers/grants', withRateLimit('api', handler));
@@ -0,0 +1,109 @@
+/**
+ * CHAS checkout (front desk)
+ * GET  /api/chas/checkout?queue_number=A013[&date=YYYY-MM-DD]  (date defaults to today)
+ * GET  /api/chas/checkout?appointment_id=uuid
+ * POST /api/chas/checkout  { appointmentId, category, consultationFeeCents, medicationFeeCents }
+ *
+ * Answers with { checkouts } for the visit: the patient's tier on the visit
+ * date, the default fee and what they have claimed for chronic care this
+ * year, and the claim once recorded. POST records the claim (201, with the
+ * { breakdown } charged) and writes audit_logs; errors are 4xx { error, code }.
+ */
+
+import { z } from 'zod';
+
+import { auditActor, getRequestUser, getStaffRole } from '@/lib/auth/request-user';
+import type { StaffRole } from '@/lib/auth/request-user';
+import { checkoutInputSchema, findCheckouts, getCheckout, recordChasClaim } from '@/lib/chas';
+import type { ClaimErrorCode } from '@/lib/chas';
+import { clinicDate } from '@/lib/clinic';
+import { withFeature } from '@/lib/features';
+import { withMetrics } from '@/lib/metrics';
+import { withRateLimit } from '@/lib/rate-limit';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+const ALLOWED_METHODS = ['GET', 'POST'];
+const BILLING_ROLES: readonly StaffRole[] = ['nurse', 'receptionist', 'admin', 'superadmin'];
+
+const lookupSchema = z.union([
+  z.object({ appointment_id: z.string().uuid() }),
+  z.object({
+    queue_number: z
+      .string()
+      .trim()
+      .toUpperCase()
+      .regex(/^[A-Z]{1,2}\d{1,4}$/),
+    date: z
+      .string()
+      .regex(/^\d{4}-\d{2}-\d{2}$/)
+      .optional(),
+  }),
+]);
+
+const ERROR_RESPONSES: Record<ClaimErrorCode, { status: number; error: string }> = {
+  notFound: { status: 404, error: 'Appointment not found' },
+  notAttended: { status: 409, error: 'The patient has not checked in for this appointment' },
+  alreadyClaimed: { status: 409, error: 'This visit already has a CHAS claim' },
+};
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (!ALLOWED_METHODS.includes(req.method ?? '')) {
+    res.setHeader('Allow', ALLOWED_METHODS.join(', '));
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    const user = await getRequestUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Sign in to check patients out' });
+    }
+    const role = getStaffRole(user);
+    if (!role || !BILLING_ROLES.includes(role)) {
+      return res.status(403).json({ error: 'Only clinic staff can check patients out' });
+    }
+
+    if (req.method === 'GET') {
+      const lookup = lookupSchema.safeParse(req.query);
+      if (!lookup.success) {
+        return res
+          .status(400)
+          .json({ error: 'Give a queue number such as A013, or an appointment_id' });
+      }
+      if ('appointment_id' in lookup.data) {
+        const checkout = await getCheckout(lookup.data.appointment_id);
+        return res.status(200).json({ checkouts: checkout ? [checkout] : [] });
+      }
+      const date = lookup.data.date ?? clinicDate(new Date());
+      return res
+        .status(200)
+        .json({ checkouts: await findCheckouts(lookup.data.queue_number, date) });
+    }
+
+    const body = checkoutInputSchema.safeParse(req.body);
+    if (!body.success) {
+      return res.status(400).json({ error: body.error.issues[0]?.message ?? 'Invalid checkout' });
+    }
+
+    const result = await recordChasClaim(body.data, auditActor(req, user, role));
+    if (!result.ok) {
+      const { status, error } = ERROR_RESPONSES[result.code];
+      return res.status(status).json({ error, code: result.code });
+    }
+    const checkout = await getCheckout(body.data.appointmentId);
+    return res
+      .status(201)
+      .json({ checkouts: checkout ? [checkout] : [], breakdown: result.breakdown });
+  } catch (error) {
+    console.error('[chas-checkout]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '30');
+    return res.status(503).json({ error: 'Checkout is temporarily unavailable', retry_after: 30 });
+  }
+}
+
+export default withMetrics(
+  '/api/chas/checkout',
+  withFeature('chasIntegration', withRateLimit('api', handler))
+);
@@ -0,0 +1,62 @@
+/**
+ * Monthly CHAS claims batch (admin dashboard)
+ * GET /api/chas/claims?month=YYYY-MM             { claims } with each claim's issues
+ * GET /api/chas/claims?month=YYYY-MM&format=csv  the same batch as a CSV download
+ *
+ * Claims awaiting submission, for front-desk staff and admins.
+ */
+
+import { getRequestUser, getStaffRole } from '@/lib/auth/request-user';
+import type { StaffRole } from '@/lib/auth/request-user';
+import { claimsCsv, listClaimBatch, MONTH_PATTERN } from '@/lib/chas';
+import { withFeature } from '@/lib/features';
+import { withMetrics } from '@/lib/metrics';
+import { withRateLimit } from '@/lib/rate-limit';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+const EXPORT_ROLES: readonly StaffRole[] = ['receptionist', 'admin', 'superadmin'];
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  const month = typeof req.query.month === 'string' ? req.query.month : '';
+  if (!MONTH_PATTERN.test(month)) {
+    return res.status(400).json({ error: 'month must look like 2024-11' });
+  }
+
+  try {
+    const user = await getRequestUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Sign in to export CHAS claims' });
+    }
+    const role = getStaffRole(user);
+    if (!role || !EXPORT_ROLES.includes(role)) {
+      return res.status(403).json({ error: 'Only clinic staff can export CHAS claims' });
+    }
+
+    const claims = await listClaimBatch(month);
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="chas-claims-${month}.csv"`);
+      return res.status(200).send(claimsCsv(claims));
+    }
+    return res.status(200).json({ claims });
+  } catch (error) {
+    console.error('[chas-claims]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '30');
+    return res
+      .status(503)
+      .json({ error: 'CHAS claims are temporarily unavailable', retry_after: 30 });
+  }
+}
+
+export default withMetrics(
+  '/api/chas/claims',
+  withFeature('chasIntegration', withRateLimit('api', handler))
+);
@@ -0,0 +1,78 @@
+/**
+ * Self check-in kiosk
+ * GET  /api/check-in  { date }: lets the kiosk confirm it is signed in
+ * POST /api/check-in  { method: 'qr', token } from a booking QR code, or
+ *                     { method: 'nric', nricLast4, dateOfBirth }
+ *   -> { ticket: { queueNumber, doctorName, ahead, wait } }
+ *
+ * The kiosk tablet is signed in with a staff account; patients never call
+ * this route from their own phones. Errors are 4xx { error, code }.
+ */
+
+import { auditActor, getRequestUser, getStaffRole } from '@/lib/auth/request-user';
+import { selfCheckIn, selfCheckInSchema } from '@/lib/check-in';
+import type { SelfCheckInErrorCode } from '@/lib/check-in';
+import { clinicDate } from '@/lib/clinic';
+import { withFeature } from '@/lib/features';
+import { refreshFrontDesk } from '@/lib/front-desk';
+import { withMetrics } from '@/lib/metrics';
+import { withRateLimit } from '@/lib/rate-limit';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+const ALLOWED_METHODS = ['GET', 'POST'];
+
+const ERROR_RESPONSES: Record<SelfCheckInErrorCode, { status: number; error: string }> = {
+  invalidCode: { status: 400, error: 'This QR code is not valid today' },
+  alreadyUsed: { status: 409, error: 'This QR code has already been used' },
+  notFound: { status: 404, error: 'No appointment to check in today' },
+  ambiguous: { status: 409, error: 'More than one patient matches; see the front desk' },
+};
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (!ALLOWED_METHODS.includes(req.method ?? '')) {
+    res.setHeader('Allow', ALLOWED_METHODS.join(', '));
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    const user = await getRequestUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Sign the kiosk in with a staff account' });
+    }
+    const role = getStaffRole(user);
+    if (!role) {
+      return res.status(403).json({ error: 'Only a staff account can run the kiosk' });
+    }
+
+    const date = clinicDate(new Date());
+    if (req.method === 'GET') {
+      return res.status(200).json({ date });
+    }
+
+    const body = selfCheckInSchema.safeParse(req.body);
+    if (!body.success) {
+      return res.status(400).json({ error: body.error.issues[0]?.message ?? 'Invalid check-in' });
+    }
+
+    const result = await selfCheckIn(body.data, date, auditActor(req, user, role));
+    if (!result.ok) {
+      const { status, error } = ERROR_RESPONSES[result.code];
+      return res.status(status).json({ error, code: result.code });
+    }
+    // Consoles on this instance see the arrival at once
+    await refreshFrontDesk();
+    return res.status(200).json({ ticket: result.ticket });
+  } catch (error) {
+    console.error('[check-in]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '30');
+    return res.status(503).json({ error: 'Check-in is temporarily unavailable', retry_after: 30 });
+  }
+}
+
+export default withMetrics(
+  '/api/check-in',
+  withFeature('queueManagement', withRateLimit('checkIn', handler))
+);
@@ -0,0 +1,44 @@
+/**
+ * Opening hours
+ * Weekly hours, current open/closed status, next opening and upcoming public
+ * holidays, all computed in clinic time. Read by the landing page to render
+ * the contact hours and the hero booking preview.
+ */
+
+import {
+  clinicDate,
+  getClinicSchedule,
+  getNextBookableSlot,
+  getOpeningStatus,
+  getWeeklyHours,
+  upcomingHolidays,
+} from '@/lib/clinic';
+import { CLINIC_TIME_ZONE } from '@/lib/i18n/config';
+import { withMetrics } from '@/lib/metrics';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const now = new Date();
+  const schedule = getClinicSchedule();
+
+  // Status flips at session boundaries, so keep shared caches short
+  res.setHeader('Cache-Control', 'public, max-age=60, stale-while-revalidate=60');
+
+  return res.status(200).json({
+    timeZone: CLINIC_TIME_ZONE,
+    generatedAt: now.toISOString(),
+    status: getOpeningStatus(now, schedule),
+    weekly: getWeeklyHours(schedule),
+    lunch: schedule.lunch,
+    upcomingHolidays: upcomingHolidays(clinicDate(now), 5, schedule.holidays),
+    nextSlot: getNextBookableSlot(schedule, { now }),
+  });
+}
+
+export default withMetrics('/api/clinic/hours', handler);
@@ -0,0 +1,27 @@
+/**
+ * Public config script
+ * GET /api/config
+ *
+ * JavaScript setting window.clinicPublicConfig. Pages rendered per
+ * request embed the same settings inline; pages prerendered at build time
+ * (/offline, /404, /500) load this instead, so they see the running
+ * container's values and feature defaults rather than the build machine's.
+ */
+
+import { getPublicConfig, publicConfigScript } from '@/lib/config/public';
+import { withMetrics } from '@/lib/metrics';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Content-Type', 'application/javascript; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).send(publicConfigScript(getPublicConfig()));
+}
+
+export default withMetrics('/api/config', handler);
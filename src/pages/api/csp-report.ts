@@ -0,0 +1,105 @@
+/**
+ * CSP violation report collector
+ * Accepts both the legacy report-uri format (application/csp-report) and the
+ * Reporting API format (application/reports+json). Reports are rate limited
+ * per client IP and logged as structured JSON for the log pipeline.
+ */
+
+import { withMetrics } from '@/lib/metrics';
+import { withRateLimit } from '@/lib/rate-limit';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+export const config = {
+  api: {
+    // Browsers send non-JSON content types, so parse the raw body ourselves
+    bodyParser: false,
+  },
+};
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+interface ViolationReport {
+  documentUri?: string;
+  blockedUri?: string;
+  effectiveDirective?: string;
+  violatedDirective?: string;
+  sourceFile?: string;
+  lineNumber?: number;
+  disposition?: string;
+}
+
+async function readBody(req: NextApiRequest): Promise<string> {
+  const chunks: Buffer[] = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new Error('Report body too large');
+    }
+    chunks.push(Buffer.from(chunk));
+  }
+
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/** Normalises both report formats into a flat list of violations. */
+function parseReports(payload: unknown): ViolationReport[] {
+  if (Array.isArray(payload)) {
+    return payload
+      .filter((entry) => entry?.type === 'csp-violation' && entry.body)
+      .map(({ body }) => ({
+        documentUri: body.documentURL,
+        blockedUri: body.blockedURL,
+        effectiveDirective: body.effectiveDirective,
+        sourceFile: body.sourceFile,
+        lineNumber: body.lineNumber,
+        disposition: body.disposition,
+      }));
+  }
+
+  const legacy = (payload as { 'csp-report'?: Record<string, unknown> })?.['csp-report'];
+  if (!legacy) return [];
+
+  return [
+    {
+      documentUri: legacy['document-uri'] as string | undefined,
+      blockedUri: legacy['blocked-uri'] as string | undefined,
+      effectiveDirective: legacy['effective-directive'] as string | undefined,
+      violatedDirective: legacy['violated-directive'] as string | undefined,
+      sourceFile: legacy['source-file'] as string | undefined,
+      lineNumber: legacy['line-number'] as number | undefined,
+      disposition: legacy.disposition as string | undefined,
+    },
+  ];
+}
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let reports: ViolationReport[];
+  try {
+    reports = parseReports(JSON.parse(await readBody(req)));
+  } catch {
+    return res.status(400).json({ error: 'Invalid report payload' });
+  }
+
+  reports.forEach((report) => {
+    console.warn(
+      JSON.stringify({
+        type: 'csp-violation',
+        instance: process.env.INSTANCE_ID || 'default',
+        userAgent: req.headers['user-agent'],
+        ...report,
+      })
+    );
+  });
+
+  return res.status(204).end();
+}
+
+export default withMetrics('/api/csp-report', withRateLimit('cspReport', handler));
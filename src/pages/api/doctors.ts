@@ -0,0 +1,30 @@
+/**
+ * Doctors patients can book with
+ * GET /api/doctors
+ */
+
+import { listBookableDoctors } from '@/lib/booking';
+import { withMetrics } from '@/lib/metrics';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const doctors = await listBookableDoctors();
+    res.setHeader('Cache-Control', 'public, max-age=300, stale-while-revalidate=3600');
+    return res.status(200).json({ doctors });
+  } catch (error) {
+    console.error('[doctors]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '30');
+    return res
+      .status(503)
+      .json({ error: 'Doctor list is temporarily unavailable', retry_after: 30 });
+  }
+}
+
+export default withMetrics('/api/doctors', handler);
@@ -0,0 +1,26 @@
+/**
+ * Feature flags for the requesting browser
+ * GET /api/features  -> { features: { telemedicine: false, ... } }
+ *
+ * Overrides and rollouts applied, for the browser's rollout cookie. The
+ * defaults are already in the page (public config); useFeature swaps these
+ * in once they arrive. If the database is down the defaults are returned.
+ */
+
+import { getEnabledFeatures, rolloutSubject } from '@/lib/features';
+import { withMetrics } from '@/lib/metrics';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const features = await getEnabledFeatures(rolloutSubject(req));
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.status(200).json({ features });
+}
+
+export default withMetrics('/api/features', handler);
@@ -0,0 +1,91 @@
+/**
+ * Front-desk console
+ * GET  /api/front-desk  { board }: today's appointments and walk-ins
+ * POST /api/front-desk  one change to the queue, answered with { board, ticket }:
+ *   { action: 'checkIn' | 'noShow' | 'requeue', appointmentId }
+ *   { action: 'callNext', doctorId }
+ *   { action: 'walkIn', name, mobile, language?, doctorId, prefix }
+ *
+ * Clinic staff only. Every change is written to audit_logs and pushed to
+ * the other open consoles through /api/front-desk/stream; errors are 4xx
+ * { error, code }.
+ */
+
+import { auditActor, getRequestUser, getStaffRole } from '@/lib/auth/request-user';
+import { clinicDate } from '@/lib/clinic';
+import { withFeature } from '@/lib/features';
+import {
+  frontDeskActionSchema,
+  getFrontDeskBoard,
+  refreshFrontDesk,
+  runFrontDeskAction,
+} from '@/lib/front-desk';
+import type { FrontDeskErrorCode } from '@/lib/front-desk';
+import { withMetrics } from '@/lib/metrics';
+import { withRateLimit } from '@/lib/rate-limit';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+const ALLOWED_METHODS = ['GET', 'POST'];
+
+const ERROR_RESPONSES: Record<FrontDeskErrorCode, { status: number; error: string }> = {
+  changed: { status: 409, error: 'Someone else has already updated this patient' },
+  queueEmpty: { status: 409, error: 'Nobody is waiting for this doctor' },
+  alreadyQueued: {
+    status: 409,
+    error: 'This patient already has an appointment today; check them in instead',
+  },
+  prefixInvalid: { status: 400, error: 'Walk-ins cannot be numbered under that prefix' },
+};
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (!ALLOWED_METHODS.includes(req.method ?? '')) {
+    res.setHeader('Allow', ALLOWED_METHODS.join(', '));
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    const user = await getRequestUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Sign in to use the front desk' });
+    }
+    const role = getStaffRole(user);
+    if (!role) {
+      return res.status(403).json({ error: 'Only clinic staff can use the front desk' });
+    }
+
+    const date = clinicDate(new Date());
+    if (req.method === 'GET') {
+      return res.status(200).json({ board: await getFrontDeskBoard(date) });
+    }
+
+    const body = frontDeskActionSchema.safeParse(req.body);
+    if (!body.success) {
+      return res.status(400).json({ error: body.error.issues[0]?.message ?? 'Invalid change' });
+    }
+
+    const result = await runFrontDeskAction(body.data, date, auditActor(req, user, role));
+    // The board changed either way when another desk got there first
+    const [board] = await Promise.all([getFrontDeskBoard(date), refreshFrontDesk()]);
+    if (!result.ok) {
+      const { status, error } = ERROR_RESPONSES[result.code];
+      return res.status(status).json({ error, code: result.code, board });
+    }
+    return res
+      .status(body.data.action === 'walkIn' ? 201 : 200)
+      .json({ board, ticket: result.ticket });
+  } catch (error) {
+    console.error('[front-desk]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '30');
+    return res
+      .status(503)
+      .json({ error: 'The front desk is temporarily unavailable', retry_after: 30 });
+  }
+}
+
+export default withMetrics(
+  '/api/front-desk',
+  withFeature('queueManagement', withRateLimit('api', handler))
+);
@@ -0,0 +1,79 @@
+/**
+ * Live front-desk board over Server-Sent Events
+ * GET /api/front-desk/stream
+ *
+ * Events:
+ *   board        - a FrontDeskBoard, sent on connect and whenever it changes
+ *   unavailable  - the board could not be refreshed; show it as stale
+ *   ping         - keep-alive, so clients can tell a quiet day from a dead link
+ *
+ * Clinic staff only; EventSource sends the session cookie. nginx must not
+ * buffer this route (see location /api/front-desk/stream).
+ */
+
+import { getRequestUser, getStaffRole } from '@/lib/auth/request-user';
+import { withFeature } from '@/lib/features';
+import { subscribeToFrontDesk } from '@/lib/front-desk';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+const PING_INTERVAL_MS = 15_000;
+/** Sent as the SSE `retry` field: how long browsers wait before reconnecting */
+const RECONNECT_DELAY_MS = 3_000;
+
+export const config = {
+  api: {
+    // The response never ends on its own
+    responseLimit: false,
+  },
+};
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const user = await getRequestUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Sign in to use the front desk' });
+    }
+    if (!getStaffRole(user)) {
+      return res.status(403).json({ error: 'Only clinic staff can use the front desk' });
+    }
+  } catch (error) {
+    console.error('[front-desk-stream]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '30');
+    return res
+      .status(503)
+      .json({ error: 'The front desk is temporarily unavailable', retry_after: 30 });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'private, no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Keeps next.config.js `compress` and nginx from buffering the stream
+    'Content-Encoding': 'none',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const send = (event: string, data: unknown) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const unsubscribe = subscribeToFrontDesk({
+    onBoard: (board) => send('board', board),
+    onUnavailable: () => send('unavailable', { at: new Date().toISOString() }),
+  });
+  const ping = setInterval(() => send('ping', { at: new Date().toISOString() }), PING_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(ping);
+    unsubscribe();
+  });
+}
+
+export default withFeature('queueManagement', handler);
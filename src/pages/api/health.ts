@@ -0,0 +1,21 @@
+/**
+ * Liveness endpoint
+ * Answers as long as the Next.js process can serve requests.
+ * Dependency checks live in healthcheck.js (readiness mode).
+ */
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+export default function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  return res.status(200).json({
+    status: 'ok',
+    instance: process.env.INSTANCE_ID || 'default',
+    uptimeSeconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString(),
+  });
+}
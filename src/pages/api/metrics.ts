@@ -0,0 +1,52 @@
+/**
+ * Prometheus scrape endpoint
+ * GET /api/metrics  (Authorization: Bearer <METRICS_TOKEN>)
+ *
+ * Scraped per instance (app-blue:3000, app-green:3000) as configured in
+ * prometheus.yml. Answers 404 when METRICS_TOKEN is not set so the endpoint
+ * never ends up public by accident.
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+
+import { env } from '@/lib/config/env';
+import { getMetricsRegistry, registerClinicMetrics } from '@/lib/metrics';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+const digest = (value: string) => createHash('sha256').update(value).digest();
+
+function isAuthorized(req: NextApiRequest, token: string): boolean {
+  const [scheme, credentials] = (req.headers.authorization ?? '').split(' ');
+  if (scheme?.toLowerCase() !== 'bearer' || !credentials) return false;
+  // Hashing first keeps the comparison constant-time whatever the length
+  return timingSafeEqual(digest(credentials), digest(token));
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const token = env.METRICS_TOKEN;
+  if (!token) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  res.setHeader('Cache-Control', 'no-store');
+  if (!isAuthorized(req, token)) {
+    res.setHeader('WWW-Authenticate', 'Bearer realm="metrics"');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    registerClinicMetrics();
+    const registry = getMetricsRegistry();
+    res.setHeader('Content-Type', registry.contentType);
+    return res.status(200).send(await registry.metrics());
+  } catch (error) {
+    console.error('[metrics]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '30');
+    return res.status(503).json({ error: 'Metrics are temporarily unavailable', retry_after: 30 });
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * SendGrid delivery receipts for email notifications
+ * POST /api/notifications/status/sendgrid  (signed event webhook, JSON array of events)
+ *
+ * The signature covers the raw body, so it is read unparsed and checked
+ * against SENDGRID_WEBHOOK_PUBLIC_KEY before anything is applied. Events are
+ * matched to notifications by the `reference` custom arg sent with the mail.
+ * Not rate limited: SendGrid batches events and retries failed posts.
+ */
+
+import { env } from '@/lib/config/env';
+import { withMetrics } from '@/lib/metrics';
+import {
+  applyDeliveryReceipt,
+  parseSendGridEvents,
+  verifySendGridSignature,
+} from '@/lib/notifications';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+export const config = {
+  api: {
+    // The signature is over the exact bytes SendGrid sent
+    bodyParser: false,
+  },
+};
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const SIGNATURE_HEADER = 'x-twilio-email-event-webhook-signature';
+const TIMESTAMP_HEADER = 'x-twilio-email-event-webhook-timestamp';
+
+async function readBody(req: NextApiRequest): Promise<string> {
+  const chunks: Buffer[] = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new Error('Event batch too large');
+    }
+    chunks.push(Buffer.from(chunk));
+  }
+
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!env.SENDGRID_WEBHOOK_PUBLIC_KEY) {
+    return res.status(404).json({ error: 'SendGrid event webhook is not configured' });
+  }
+
+  let body: string;
+  try {
+    body = await readBody(req);
+  } catch {
+    return res.status(413).json({ error: 'Event batch too large' });
+  }
+
+  const signature = req.headers[SIGNATURE_HEADER];
+  const timestamp = req.headers[TIMESTAMP_HEADER];
+  if (
+    typeof signature !== 'string' ||
+    typeof timestamp !== 'string' ||
+    !verifySendGridSignature(env.SENDGRID_WEBHOOK_PUBLIC_KEY, body, signature, timestamp)
+  ) {
+    return res.status(403).json({ error: 'Invalid signature' });
+  }
+
+  let payload: unknown;
+  try {
+    payload = JSON.parse(body);
+  } catch {
+    return res.status(400).json({ error: 'Invalid JSON' });
+  }
+
+  try {
+    for (const receipt of parseSendGridEvents(payload)) {
+      await applyDeliveryReceipt(receipt);
+    }
+    return res.status(204).end();
+  } catch (error) {
+    console.error('[notification-status]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '30');
+    return res
+      .status(503)
+      .json({ error: 'Delivery receipts are temporarily unavailable', retry_after: 30 });
+  }
+}
+
+export default withMetrics('/api/notifications/status/sendgrid', handler);
@@ -0,0 +1,51 @@
+/**
+ * Twilio delivery receipts for SMS and WhatsApp notifications
+ * POST /api/notifications/status/twilio  (form fields MessageSid, MessageStatus, ErrorCode)
+ *
+ * Only requests carrying a valid X-Twilio-Signature for TWILIO_AUTH_TOKEN are
+ * accepted. Not rate limited: Twilio sends one receipt per message status,
+ * from addresses shared by every Twilio customer.
+ */
+
+import twilio from 'twilio';
+
+import { env } from '@/lib/config/env';
+import { twilioStatusCallbackUrl } from '@/lib/messaging';
+import { withMetrics } from '@/lib/metrics';
+import { applyDeliveryReceipt, parseTwilioStatus } from '@/lib/notifications';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!env.TWILIO_AUTH_TOKEN) {
+    return res.status(404).json({ error: 'Twilio is not configured' });
+  }
+
+  const body = (req.body ?? {}) as Record<string, unknown>;
+  const signature = req.headers['x-twilio-signature'];
+  if (
+    typeof signature !== 'string' ||
+    !twilio.validateRequest(env.TWILIO_AUTH_TOKEN, signature, twilioStatusCallbackUrl(), body)
+  ) {
+    return res.status(403).json({ error: 'Invalid signature' });
+  }
+
+  const receipt = parseTwilioStatus(body, new Date());
+  try {
+    if (receipt) await applyDeliveryReceipt(receipt);
+    return res.status(204).end();
+  } catch (error) {
+    console.error('[notification-status]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '30');
+    return res
+      .status(503)
+      .json({ error: 'Delivery receipts are temporarily unavailable', retry_after: 30 });
+  }
+}
+
+export default withMetrics('/api/notifications/status/twilio', handler);
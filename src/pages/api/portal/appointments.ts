@@ -0,0 +1,123 @@
+/**
+ * A patient's appointments in the portal
+ * GET    /api/portal/appointments?patient_id=uuid         upcoming, with queue follow tokens
+ * POST   /api/portal/appointments                         { patientId, slotId } or
+ *                                                        { patientId, date, time, doctorId? }
+ * DELETE /api/portal/appointments?patient_id=uuid&id=uuid cancels one
+ *
+ * Each answers with the patient's upcoming appointments; a booking adds
+ * { booking } with its queue number.
+ *
+ * For the user's own records, or on a caregiver grant with the view_queue,
+ * book or cancel scope. Everything done on a grant is written to
+ * audit_logs. Errors are 4xx { error, code }.
+ */
+
+import { z } from 'zod';
+
+import { auditActor, getRequestUser, getStaffRole } from '@/lib/auth/request-user';
+import {
+  bookForPatient,
+  canActFor,
+  cancelForPatient,
+  findPortalPatient,
+  listPortalAppointments,
+  portalBookingSchema,
+  recordCaregiverView,
+} from '@/lib/caregivers';
+import type { CaregiverScope, PortalErrorCode } from '@/lib/caregivers';
+import { withFeature } from '@/lib/features';
+import { withMetrics } from '@/lib/metrics';
+import { queueBookingConfirmation } from '@/lib/notifications';
+import { withRateLimit } from '@/lib/rate-limit';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+const ALLOWED_METHODS = ['GET', 'POST', 'DELETE'];
+
+const METHOD_SCOPES: Record<string, CaregiverScope> = {
+  GET: 'view_queue',
+  POST: 'book',
+  DELETE: 'cancel',
+};
+
+const ERROR_STATUS: Record<PortalErrorCode, number> = {
+  slotRequired: 400,
+  slotTaken: 409,
+  alreadyBooked: 409,
+  notCancellable: 409,
+  forbidden: 403,
+};
+
+const ERROR_MESSAGES: Record<PortalErrorCode, string> = {
+  slotRequired: 'Please choose a date and time',
+  slotTaken: 'That slot is no longer available',
+  alreadyBooked: 'Already booked on that day',
+  notCancellable: 'This appointment can no longer be cancelled online',
+  forbidden: 'You cannot do this for that patient',
+};
+
+const idSchema = z.string().uuid();
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  const scope = METHOD_SCOPES[req.method ?? ''];
+  if (!scope) {
+    res.setHeader('Allow', ALLOWED_METHODS.join(', '));
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  const fail = (code: PortalErrorCode) =>
+    res.status(ERROR_STATUS[code]).json({ error: ERROR_MESSAGES[code], code });
+
+  const booking = req.method === 'POST' ? portalBookingSchema.safeParse(req.body ?? {}) : null;
+  if (booking && !booking.success) return fail('slotRequired');
+  const patientId = booking?.data?.patientId ?? idSchema.safeParse(req.query.patient_id).data;
+  if (!patientId) {
+    return res.status(400).json({ error: 'patient_id must be a UUID' });
+  }
+
+  try {
+    const user = await getRequestUser(req);
+    if (!user) return res.status(401).json({ error: 'Not signed in' });
+
+    const patient = await findPortalPatient(user, patientId);
+    if (!patient || !canActFor(patient, scope)) return fail('forbidden');
+    const actor = auditActor(req, user, getStaffRole(user) ?? 'patient');
+
+    if (booking?.data) {
+      const result = await bookForPatient(patient, booking.data, actor);
+      if (!result.ok) return fail(result.code);
+      await queueBookingConfirmation(result.booking.id);
+      return res.status(201).json({
+        booking: result.booking,
+        appointments: await listPortalAppointments(patient.id),
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const id = idSchema.safeParse(req.query.id);
+      if (!id.success) {
+        return res.status(400).json({ error: 'id must be a UUID' });
+      }
+      const result = await cancelForPatient(patient, id.data, actor);
+      if (!result.ok) return fail(result.code);
+    } else {
+      await recordCaregiverView(actor, patient, 'appointments', scope);
+    }
+
+    return res.status(200).json({ appointments: await listPortalAppointments(patient.id) });
+  } catch (error) {
+    console.error('[portal-appointments]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '30');
+    return res
+      .status(503)
+      .json({ error: 'Appointments are temporarily unavailable', retry_after: 30 });
+  }
+}
+
+export default withMetrics(
+  '/api/portal/appointments',
+  withFeature('appointmentBooking', withRateLimit('api', handler))
+);
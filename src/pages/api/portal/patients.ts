@@ -0,0 +1,37 @@
+/**
+ * Patients the signed-in user can act for
+ * GET /api/portal/patients  200 { patients: [{ id, name, grant }] } or 401
+ *
+ * Their own records (grant null) come first, then everyone who has granted
+ * their mobile number caregiver access, with the scopes and expiry.
+ */
+
+import { getRequestUser } from '@/lib/auth/request-user';
+import { listPortalPatients } from '@/lib/caregivers';
+import { withMetrics } from '@/lib/metrics';
+import { withRateLimit } from '@/lib/rate-limit';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    const user = await getRequestUser(req);
+    if (!user) return res.status(401).json({ error: 'Not signed in' });
+    return res.status(200).json({ patients: await listPortalPatients(user) });
+  } catch (error) {
+    console.error('[portal-patients]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '30');
+    return res
+      .status(503)
+      .json({ error: 'The portal is temporarily unavailable', retry_after: 30 });
+  }
+}
+
+export default withMetrics('/api/portal/patients', withRateLimit('api', handler));
@@ -0,0 +1,63 @@
+/**
+ * A patient's visit summaries in the portal
+ * GET /api/portal/records?patient_id=uuid  200 { records }
+ *
+ * For the user's own records, or on a caregiver grant with the
+ * view_records scope; each look on a grant is written to audit_logs first.
+ */
+
+import { z } from 'zod';
+
+import { auditActor, getRequestUser, getStaffRole } from '@/lib/auth/request-user';
+import {
+  canActFor,
+  findPortalPatient,
+  listPortalRecords,
+  recordCaregiverView,
+} from '@/lib/caregivers';
+import { withFeature } from '@/lib/features';
+import { withMetrics } from '@/lib/metrics';
+import { withRateLimit } from '@/lib/rate-limit';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+const idSchema = z.string().uuid();
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  const patientId = idSchema.safeParse(req.query.patient_id);
+  if (!patientId.success) {
+    return res.status(400).json({ error: 'patient_id must be a UUID' });
+  }
+
+  try {
+    const user = await getRequestUser(req);
+    if (!user) return res.status(401).json({ error: 'Not signed in' });
+
+    const patient = await findPortalPatient(user, patientId.data);
+    if (!patient || !canActFor(patient, 'view_records')) {
+      return res
+        .status(403)
+        .json({ error: 'You cannot see records for that patient', code: 'forbidden' });
+    }
+
+    const actor = auditActor(req, user, getStaffRole(user) ?? 'patient');
+    await recordCaregiverView(actor, patient, 'medical_records', 'view_records');
+    return res.status(200).json({ records: await listPortalRecords(patient) });
+  } catch (error) {
+    console.error('[portal-records]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '30');
+    return res.status(503).json({ error: 'Records are temporarily unavailable', retry_after: 30 });
+  }
+}
+
+export default withMetrics(
+  '/api/portal/records',
+  withFeature('medicalRecords', withRateLimit('api', handler))
+);
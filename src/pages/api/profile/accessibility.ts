@@ -0,0 +1,49 @@
+/**
+ * Accessibility preferences on the signed-in user's profile
+ * GET /api/profile/accessibility
+ * PUT /api/profile/accessibility  { textScale, contrast, reducedMotion }
+ */
+
+import { accessibilityPreferencesSchema } from '@/lib/accessibility';
+import { getProfilePreferences, saveProfilePreferences } from '@/lib/accessibility/profile';
+import { getRequestUser } from '@/lib/auth/request-user';
+import { withMetrics } from '@/lib/metrics';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+const ALLOWED_METHODS = ['GET', 'PUT'];
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (!ALLOWED_METHODS.includes(req.method ?? '')) {
+    res.setHeader('Allow', ALLOWED_METHODS.join(', '));
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    const user = await getRequestUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Sign in to save preferences to your profile' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ preferences: getProfilePreferences(user) });
+    }
+
+    const body = accessibilityPreferencesSchema.safeParse(req.body);
+    if (!body.success) {
+      return res.status(400).json({ error: 'Invalid accessibility preferences' });
+    }
+    await saveProfilePreferences(user.id, body.data);
+    return res.status(200).json({ preferences: body.data });
+  } catch (error) {
+    console.error('[profile-accessibility]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '30');
+    return res
+      .status(503)
+      .json({ error: 'Profile preferences are temporarily unavailable', retry_after: 30 });
+  }
+}
+
+export default withMetrics('/api/profile/accessibility', handler);
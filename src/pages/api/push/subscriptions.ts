@@ -0,0 +1,87 @@
+/**
+ * Queue alert subscriptions
+ * POST   /api/push/subscriptions  { ticket, subscription, role?, label?, locale?, positionsAway? }
+ * DELETE /api/push/subscriptions  { endpoint, ticket? }
+ *
+ * `ticket` is the follow token from the booking confirmation or a shared
+ * follow link; holding it is what allows a browser to follow the ticket.
+ * Following needs the pushNotifications feature; unfollowing always works.
+ */
+
+import { isFeatureEnabled, rolloutSubject, sendFeatureDisabled } from '@/lib/features';
+import { withMetrics } from '@/lib/metrics';
+import {
+  followRequestSchema,
+  getPushConfig,
+  isAllowedEndpoint,
+  removeSubscriptions,
+  saveSubscription,
+  unfollowRequestSchema,
+} from '@/lib/push';
+import { getQueueTicket, isActiveTicket, verifyFollowToken } from '@/lib/queue';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+const ALLOWED_METHODS = ['POST', 'DELETE'];
+
+async function follow(req: NextApiRequest, res: NextApiResponse) {
+  const config = getPushConfig();
+  if (!config || !(await isFeatureEnabled('pushNotifications', rolloutSubject(req)))) {
+    return sendFeatureDisabled(res);
+  }
+
+  const body = followRequestSchema.safeParse(req.body);
+  if (!body.success) {
+    return res.status(400).json({ error: 'Invalid subscription' });
+  }
+  if (!isAllowedEndpoint(body.data.subscription.endpoint, config)) {
+    return res.status(400).json({ error: 'Push endpoint must be a browser push service' });
+  }
+
+  const appointmentId = verifyFollowToken(body.data.ticket);
+  const ticket = appointmentId ? await getQueueTicket(appointmentId) : null;
+  if (!ticket || !isActiveTicket(ticket)) {
+    return res.status(410).json({ error: 'This queue ticket can no longer be followed' });
+  }
+
+  await saveSubscription(ticket, body.data, config);
+  return res.status(201).json({ following: ticket.queueNumber });
+}
+
+async function unfollow(req: NextApiRequest, res: NextApiResponse) {
+  const body = unfollowRequestSchema.safeParse(req.body);
+  if (!body.success) {
+    return res.status(400).json({ error: 'Invalid request' });
+  }
+
+  let appointmentId: string | undefined;
+  if (body.data.ticket) {
+    appointmentId = verifyFollowToken(body.data.ticket) ?? undefined;
+    // An expired ticket's rows are purged anyway
+    if (!appointmentId) return res.status(204).end();
+  }
+
+  await removeSubscriptions(body.data.endpoint, appointmentId);
+  return res.status(204).end();
+}
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (!ALLOWED_METHODS.includes(req.method ?? '')) {
+    res.setHeader('Allow', ALLOWED_METHODS.join(', '));
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    return await (req.method === 'POST' ? follow(req, res) : unfollow(req, res));
+  } catch (error) {
+    console.error('[push-subscriptions]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '30');
+    return res
+      .status(503)
+      .json({ error: 'Queue alerts are temporarily unavailable', retry_after: 30 });
+  }
+}
+
+export default withMetrics('/api/push/subscriptions', handler);
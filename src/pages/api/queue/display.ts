@@ -0,0 +1,61 @@
+/**
+ * Live waiting-room display over Server-Sent Events
+ * GET /api/queue/display
+ *
+ * Events:
+ *   display      - a WaitingRoomDisplay, sent on connect and whenever it changes
+ *   unavailable  - the display could not be refreshed; show it as stale
+ *   ping         - keep-alive; the screen reconnects when these stop arriving
+ *
+ * nginx must not buffer this route (see location /api/queue/display).
+ */
+
+import { withFeature } from '@/lib/features';
+import { subscribeToWaitingRoom } from '@/lib/queue';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+const PING_INTERVAL_MS = 15_000;
+/** Sent as the SSE `retry` field: how long browsers wait before reconnecting */
+const RECONNECT_DELAY_MS = 5_000;
+
+export const config = {
+  api: {
+    // The response never ends on its own
+    responseLimit: false,
+  },
+};
+
+function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Keeps next.config.js `compress` and nginx from buffering the stream
+    'Content-Encoding': 'none',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const send = (event: string, data: unknown) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const unsubscribe = subscribeToWaitingRoom({
+    onDisplay: (display) => send('display', display),
+    onUnavailable: () => send('unavailable', { at: new Date().toISOString() }),
+  });
+  const ping = setInterval(() => send('ping', { at: new Date().toISOString() }), PING_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(ping);
+    unsubscribe();
+  });
+}
+
+export default withFeature('queueManagement', handler);
@@ -0,0 +1,44 @@
+/**
+ * Current queue snapshot
+ * GET /api/queue/status[?doctor_id=uuid]
+ * Polling fallback for clients that cannot hold an SSE connection to
+ * /api/queue/subscribe.
+ */
+
+import { z } from 'zod';
+
+import { withFeature } from '@/lib/features';
+import { withMetrics } from '@/lib/metrics';
+import { getQueueSnapshot } from '@/lib/queue';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+const querySchema = z.object({
+  doctor_id: z.string().uuid().optional(),
+});
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const query = querySchema.safeParse(req.query);
+  if (!query.success) {
+    return res.status(400).json({ error: 'doctor_id must be a UUID' });
+  }
+
+  try {
+    const snapshot = await getQueueSnapshot(query.data.doctor_id);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json(snapshot);
+  } catch (error) {
+    console.error('[queue-status]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '15');
+    return res
+      .status(503)
+      .json({ error: 'Queue status is temporarily unavailable', retry_after: 15 });
+  }
+}
+
+export default withMetrics('/api/queue/status', withFeature('queueManagement', handler));
@@ -0,0 +1,72 @@
+/**
+ * Live queue updates over Server-Sent Events
+ * GET /api/queue/subscribe[?doctor_id=uuid]
+ *
+ * Events:
+ *   queue        - a QueueSnapshot, sent on connect and whenever it changes
+ *   unavailable  - the snapshot could not be refreshed; show it as stale
+ *   ping         - keep-alive, so clients can tell a quiet queue from a dead link
+ *
+ * nginx must not buffer this route (see location /api/queue/subscribe).
+ */
+
+import { z } from 'zod';
+
+import { withFeature } from '@/lib/features';
+import { subscribeToQueue } from '@/lib/queue';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+const PING_INTERVAL_MS = 15_000;
+/** Sent as the SSE `retry` field: how long browsers wait before reconnecting */
+const RECONNECT_DELAY_MS = 5_000;
+
+const querySchema = z.object({
+  doctor_id: z.string().uuid().optional(),
+});
+
+export const config = {
+  api: {
+    // The response never ends on its own
+    responseLimit: false,
+  },
+};
+
+function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const query = querySchema.safeParse(req.query);
+  if (!query.success) {
+    return res.status(400).json({ error: 'doctor_id must be a UUID' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Keeps next.config.js `compress` and nginx from buffering the stream
+    'Content-Encoding': 'none',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const send = (event: string, data: unknown) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const unsubscribe = subscribeToQueue(query.data.doctor_id, {
+    onSnapshot: (snapshot) => send('queue', snapshot),
+    onUnavailable: () => send('unavailable', { at: new Date().toISOString() }),
+  });
+  const ping = setInterval(() => send('ping', { at: new Date().toISOString() }), PING_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(ping);
+    unsubscribe();
+  });
+}
+
+export default withFeature('queueManagement', handler);
@@ -0,0 +1,59 @@
+/**
+ * QR code for a short link
+ * GET /api/short-links/qr?path=/q/A013[&format=svg|png]
+ *
+ * Encodes the full short link URL (NEXT_PUBLIC_APP_URL + path) for posters
+ * and printouts. Only paths that resolve to an active short link are
+ * rendered, so this is not a general-purpose QR generator.
+ */
+
+import { z } from 'zod';
+
+import { getPublicConfig } from '@/lib/config/public';
+import { withMetrics } from '@/lib/metrics';
+import {
+  getActiveShortLinks,
+  matchShortLink,
+  QR_CONTENT_TYPES,
+  renderQrCode,
+} from '@/lib/short-links';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+const querySchema = z.object({
+  path: z.string().startsWith('/').max(200),
+  format: z.enum(['svg', 'png']).default('svg'),
+});
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const query = querySchema.safeParse(req.query);
+  if (!query.success) {
+    return res.status(400).json({ error: 'Expected ?path=/b and optionally &format=svg|png' });
+  }
+  const { path, format } = query.data;
+
+  try {
+    if (!matchShortLink(await getActiveShortLinks(), path)) {
+      return res.status(404).json({ error: 'No active short link has that path' });
+    }
+
+    const image = await renderQrCode(`${getPublicConfig().appUrl}${path}`, format);
+    const filename = `short-link${path.replace(/[^A-Za-z0-9]+/g, '-')}.${format}`;
+    res.setHeader('Content-Type', QR_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+    // The image depends only on the URL; a deleted link just stops redirecting
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    return res.status(200).send(image);
+  } catch (error) {
+    console.error('[short-link-qr]', error instanceof Error ? error.message : error);
+    res.setHeader('Retry-After', '30');
+    return res.status(503).json({ error: 'QR codes are temporarily unavailable', retry_after: 30 });
+  }
+}
+
+export default withMetrics('/api/short-links/qr', handler);
@@ -0,0 +1,35 @@
+/**
+ * Running build
+ * GET /api/version
+ *
+ * { buildId, commit, builtAt, version, migration: { expected, applied } }
+ *
+ * Pages compare buildId with the one they were rendered with and offer a
+ * reload after a deployment. `applied` is null when the database cannot be
+ * reached, so the endpoint keeps answering while it is down.
+ */
+
+import { withMetrics } from '@/lib/metrics';
+import { getAppliedMigration, getBuildInfo } from '@/lib/version';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { migration: expected, ...build } = getBuildInfo();
+  let applied: string | null = null;
+  try {
+    applied = await getAppliedMigration();
+  } catch (error) {
+    console.error('[version]', error instanceof Error ? error.message : error);
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).json({ ...build, migration: { expected, applied } });
+}
+
+export default withMetrics('/api/version', handler);
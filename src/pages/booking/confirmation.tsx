@@ -0,0 +1,148 @@
+/**
+ * Booking confirmation
+ * Where POST /api/appointments/book redirects plain form posts, so patients
+ * without JavaScript still see their queue number (or what went wrong).
+ * Also where patients turn on queue alerts, share a follow link with
+ * family, see what the visit should cost after CHAS and get the QR code
+ * for the self check-in kiosk.
+ */
+
+import { ChasEstimate } from '@/components/chas/ChasEstimate';
+import { CheckInCode } from '@/components/check-in/CheckInCode';
+import { FollowLinkShare } from '@/components/queue/FollowLinkShare';
+import { QueueAlertsToggle } from '@/components/queue/QueueAlertsToggle';
+import { useTranslation } from '@/hooks/useTranslation';
+import { getBookingConfirmation } from '@/lib/booking';
+import type { BookingConfirmation, BookingErrorCode } from '@/lib/booking';
+import { canCheckIn, createCheckInToken, renderCheckInQrCode } from '@/lib/check-in';
+import { getPublicConfig } from '@/lib/config/public';
+import { isFeatureEnabled, rolloutSubject } from '@/lib/features';
+import { formatDate, formatTime, getI18nProps } from '@/lib/i18n';
+import type { I18nProps } from '@/lib/i18n';
+import { createFollowToken, followPath, getQueueTicket, isActiveTicket } from '@/lib/queue';
+
+import type { GetServerSideProps } from 'next';
+
+const ERROR_CODES: readonly BookingErrorCode[] = [
+  'nameRequired',
+  'mobileInvalid',
+  'slotRequired',
+  'slotTaken',
+  'alreadyBooked',
+  'tooManyAttempts',
+  'unavailable',
+];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+interface ConfirmationPageProps extends I18nProps {
+  booking: BookingConfirmation | null;
+  error: BookingErrorCode | null;
+  /** Follow token and link for alerts and family; null once the visit is over */
+  follow: { token: string; url: string } | null;
+  /** Self check-in QR code (SVG data URL) and the clinic date it works on */
+  checkIn: { qrCode: string; date: string } | null;
+  clinicPhone: string;
+}
+
+export const getServerSideProps: GetServerSideProps<ConfirmationPageProps> = async ({
+  locale,
+  query,
+  req,
+  res,
+}) => {
+  const id = typeof query.id === 'string' && UUID_PATTERN.test(query.id) ? query.id : null;
+  const requestedError = ERROR_CODES.find((code) => code === query.error) ?? null;
+
+  const config = getPublicConfig();
+  let booking: BookingConfirmation | null = null;
+  let follow: ConfirmationPageProps['follow'] = null;
+  let checkIn: ConfirmationPageProps['checkIn'] = null;
+  let error = requestedError;
+  if (id) {
+    try {
+      booking = await getBookingConfirmation(id);
+      const following =
+        booking !== null && (await isFeatureEnabled('queueManagement', rolloutSubject(req)));
+      const ticket = following ? await getQueueTicket(id) : null;
+      if (ticket && isActiveTicket(ticket)) {
+        const token = createFollowToken(ticket);
+        follow = { token, url: `${config.appUrl}${followPath(token, locale)}` };
+      }
+      if (ticket && canCheckIn(ticket)) {
+        const qrCode = await renderCheckInQrCode(createCheckInToken(ticket));
+        checkIn = { qrCode, date: ticket.queueDate };
+      }
+    } catch (lookupError) {
+      console.error('[booking-confirmation]', (lookupError as Error).message);
+      error = 'unavailable';
+    }
+  }
+
+  if (!booking && !error) res.statusCode = 404;
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  return {
+    props: {
+      ...(await getI18nProps(locale)),
+      booking,
+      error,
+      follow,
+      checkIn,
+      clinicPhone: config.clinic.phone,
+    },
+  };
+};
+
+export default function BookingConfirmationPage({
+  booking,
+  error,
+  follow,
+  checkIn,
+  clinicPhone,
+}: ConfirmationPageProps) {
+  const { locale, t } = useTranslation();
+
+  if (booking) {
+    return (
+      <main className="mx-auto max-w-lg px-4 py-12">
+        <h1 className="text-2xl font-semibold">{t('booking.confirmedTitle')}</h1>
+        <p className="mt-4 text-lg" role="status">
+          {t('booking.confirmed', {
+            date: formatDate(booking.scheduledTime, locale),
+            time: formatTime(booking.scheduledTime, locale),
+            queueNumber: booking.queueNumber,
+          })}
+        </p>
+        <dl className="mt-6 grid grid-cols-2 gap-2 text-lg">
+          <dt>{t('booking.queueNumber')}</dt>
+          <dd className="text-3xl font-bold">{booking.queueNumber}</dd>
+          {booking.doctorName && (
+            <>
+              <dt>{t('booking.doctor')}</dt>
+              <dd>{booking.doctorName}</dd>
+            </>
+          )}
+        </dl>
+        {booking.estimate && <ChasEstimate estimate={booking.estimate} />}
+        {checkIn && <CheckInCode qrCode={checkIn.qrCode} date={checkIn.date} />}
+        {follow && <QueueAlertsToggle ticket={follow.token} follower="patient" />}
+        <p className="mt-6">{t('common.callUs', { phone: clinicPhone })}</p>
+        {follow && <FollowLinkShare url={follow.url} queueNumber={booking.queueNumber} />}
+      </main>
+    );
+  }
+
+  return (
+    <main className="mx-auto max-w-lg px-4 py-12">
+      <h1 className="text-2xl font-semibold">{t('booking.failedTitle')}</h1>
+      <p className="mt-4 text-lg" role="alert">
+        {error ? t(`booking.errors.${error}`) : t('booking.notFound')}
+      </p>
+      <p className="mt-4">{t('common.callUs', { phone: clinicPhone })}</p>
+      <a className="touch-target mt-6 inline-flex items-center underline" href="/#quick-booking">
+        {t('booking.tryAgain')}
+      </a>
+    </main>
+  );
+}
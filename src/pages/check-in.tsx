@@ -0,0 +1,216 @@
+/**
+ * Self check-in kiosk
+ * /check-in
+ *
+ * Runs on the tablet by the entrance, signed in with a staff account.
+ * Patients hold up the QR code from their booking confirmation to the
+ * camera, or enter the last 4 characters of their NRIC and their date of
+ * birth, and are marked as arrived through /api/check-in. The screen then
+ * shows their queue number and goes back to scanning for the next patient.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+
+import { IdentityForm } from '@/components/check-in/IdentityForm';
+import type { IdentityValues } from '@/components/check-in/IdentityForm';
+import { QrScanner } from '@/components/check-in/QrScanner';
+import { WaitRange } from '@/components/queue/WaitRange';
+import type { AdminLoadState } from '@/hooks/useAdminApi';
+import { useKioskLock } from '@/hooks/useKioskLock';
+import { useSelfCheckIn } from '@/hooks/useSelfCheckIn';
+import type { CheckInResponse } from '@/hooks/useSelfCheckIn';
+import { useTranslation } from '@/hooks/useTranslation';
+import { signInPath } from '@/lib/auth/channels';
+import type { SelfCheckInErrorCode, SelfCheckInRequest, SelfCheckInTicket } from '@/lib/check-in';
+import { isFeatureEnabled, rolloutSubject } from '@/lib/features';
+import { getI18nProps } from '@/lib/i18n';
+import type { I18nProps, TranslateFn } from '@/lib/i18n';
+
+import type { GetServerSideProps } from 'next';
+
+const KIOSK_PATH = '/check-in';
+/** How long a result stays up before the kiosk is ready for the next patient */
+const RESULT_MS = 12_000;
+
+const LOAD_MESSAGES: Partial<Record<AdminLoadState, string>> = {
+  loading: 'common.loading',
+  forbidden: 'checkIn.forbidden',
+  unavailable: 'checkIn.errors.failed',
+};
+
+const ERROR_CODES: readonly SelfCheckInErrorCode[] = [
+  'invalidCode',
+  'alreadyUsed',
+  'notFound',
+  'ambiguous',
+];
+
+type KioskView =
+  | { kind: 'scan' }
+  | { kind: 'identity' }
+  | { kind: 'done'; ticket: SelfCheckInTicket }
+  | { kind: 'failed'; message: string };
+
+function errorMessage(t: TranslateFn, result: Extract<CheckInResponse, { ok: false }>) {
+  const code = ERROR_CODES.find((known) => known === result.code);
+  if (code) return t(`checkIn.errors.${code}`);
+  if (result.status === 400) return t('checkIn.errors.identityInvalid');
+  return t('checkIn.errors.failed');
+}
+
+export const getServerSideProps: GetServerSideProps<I18nProps> = async ({ locale, req, res }) => {
+  if (!(await isFeatureEnabled('queueManagement', rolloutSubject(req)))) {
+    return { notFound: true };
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+  return { props: await getI18nProps(locale) };
+};
+
+export default function CheckInKioskPage() {
+  const { locale, t } = useTranslation();
+  const { loadState, checkIn } = useSelfCheckIn();
+  useKioskLock();
+  const [cameraAvailable, setCameraAvailable] = useState(true);
+  const [view, setView] = useState<KioskView>({ kind: 'scan' });
+  const [busy, setBusy] = useState(false);
+
+  const showResult = view.kind === 'done' || view.kind === 'failed';
+
+  // Ready for the next patient: the camera, or the form where there is none
+  const restart = useCallback(
+    () => setView(cameraAvailable ? { kind: 'scan' } : { kind: 'identity' }),
+    [cameraAvailable]
+  );
+
+  useEffect(() => {
+    if (!showResult) return undefined;
+    const timer = setTimeout(restart, RESULT_MS);
+    return () => clearTimeout(timer);
+  }, [showResult, restart]);
+
+  const onCameraUnavailable = useCallback(() => {
+    setCameraAvailable(false);
+    setView((current) => (current.kind === 'scan' ? { kind: 'identity' } : current));
+  }, []);
+
+  const submit = async (request: SelfCheckInRequest) => {
+    setBusy(true);
+    const result = await checkIn(request);
+    setBusy(false);
+    setView(
+      result.ok
+        ? { kind: 'done', ticket: result.ticket }
+        : { kind: 'failed', message: errorMessage(t, result) }
+    );
+  };
+
+  const onCode = (token: string) => {
+    if (!busy) void submit({ method: 'qr', token });
+  };
+
+  const onIdentity = (values: IdentityValues) => {
+    void submit({ method: 'nric', ...values });
+  };
+
+  const messageKey = LOAD_MESSAGES[loadState];
+
+  return (
+    <main className="mx-auto min-h-screen max-w-3xl px-6 py-8 text-center">
+      <h1 className="text-4xl font-semibold">{t('checkIn.title')}</h1>
+
+      {loadState === 'signIn' && (
+        <p className="mt-6 text-xl">
+          {t('checkIn.signIn')}{' '}
+          <a
+            className="underline"
+            href={`${signInPath(locale)}?next=${encodeURIComponent(KIOSK_PATH)}`}
+          >
+            {t('checkIn.signInLink')}
+          </a>
+        </p>
+      )}
+      {messageKey && (
+        <p className="mt-6 text-xl" role={loadState === 'loading' ? 'status' : 'alert'}>
+          {t(messageKey)}
+        </p>
+      )}
+
+      {loadState === 'ready' && view.kind === 'done' && (
+        <section className="mt-8" role="status">
+          <h2 className="text-3xl font-semibold">{t('checkIn.done.title')}</h2>
+          <p className="mt-6 text-xl">{t('booking.queueNumber')}</p>
+          <p className="text-5xl font-bold tabular-nums">{view.ticket.queueNumber}</p>
+          {view.ticket.doctorName && (
+            <p className="mt-4 text-xl">
+              {t('booking.doctor')}: {view.ticket.doctorName}
+            </p>
+          )}
+          <p className="mt-4 text-2xl">{t('queue.peopleAhead', { count: view.ticket.ahead })}</p>
+          {view.ticket.wait && (
+            <p className="mt-2 text-2xl">
+              {t('queue.estWait')}: <WaitRange wait={view.ticket.wait} />
+            </p>
+          )}
+          <p className="mt-4 text-xl">{t('checkIn.done.hint')}</p>
+        </section>
+      )}
+      {loadState === 'ready' && view.kind === 'failed' && (
+        <p className="mt-8 text-2xl" role="alert">
+          {view.message}
+        </p>
+      )}
+      {loadState === 'ready' && showResult && (
+        <button
+          type="button"
+          className="touch-target focus-visible-ring mt-8 rounded-md bg-foreground px-6 text-xl text-background"
+          onClick={restart}
+        >
+          {t('checkIn.next')}
+        </button>
+      )}
+
+      {loadState === 'ready' && view.kind === 'scan' && (
+        <section className="mt-6">
+          <p className="text-2xl">{t('checkIn.scan.intro')}</p>
+          <QrScanner paused={busy} onCode={onCode} onUnavailable={onCameraUnavailable} />
+          <p className="mt-4 text-xl" role="status">
+            {busy ? t('checkIn.checking') : t('checkIn.scan.looking')}
+          </p>
+          <button
+            type="button"
+            className="touch-target focus-visible-ring mt-6 rounded-md border border-input px-6 text-xl"
+            onClick={() => setView({ kind: 'identity' })}
+          >
+            {t('checkIn.scan.useIdentity')}
+          </button>
+        </section>
+      )}
+
+      {loadState === 'ready' && view.kind === 'identity' && (
+        <section className="mt-6">
+          <p className="text-2xl">
+            {cameraAvailable ? t('checkIn.identity.intro') : t('checkIn.scan.unavailable')}
+          </p>
+          <IdentityForm busy={busy} onSubmit={onIdentity} />
+          {busy && (
+            <p className="mt-4 text-xl" role="status">
+              {t('checkIn.checking')}
+            </p>
+          )}
+          {cameraAvailable && (
+            <button
+              type="button"
+              className="touch-target focus-visible-ring mt-6 rounded-md border border-input px-6 text-xl"
+              onClick={() => setView({ kind: 'scan' })}
+            >
+              {t('checkIn.identity.useQr')}
+            </button>
+          )}
+        </section>
+      )}
+    </main>
+  );
+}
+
+CheckInKioskPage.kiosk = true;
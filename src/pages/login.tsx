@@ -0,0 +1,225 @@
+/**
+ * Passwordless sign-in
+ * /login[?next=/path]                  ask for a code, then enter it
+ * /login?challenge=...&code=...        the magic link from the code message
+ *
+ * Codes go out through /api/auth/otp and are checked by /api/auth/verify,
+ * which sets the session cookie. Patients and staff sign in the same way.
+ */
+
+import { useRouter } from 'next/router';
+import { useEffect, useState } from 'react';
+
+import { SignInCodeForm } from '@/components/auth/SignInCodeForm';
+import { SignInRequestForm } from '@/components/auth/SignInRequestForm';
+import { useTranslation } from '@/hooks/useTranslation';
+import type { OtpChannel } from '@/lib/auth/channels';
+import type { SignInErrorCode } from '@/lib/auth/sign-in';
+import { getI18nProps } from '@/lib/i18n';
+import type { I18nProps, TranslateFn } from '@/lib/i18n';
+
+import type { GetServerSideProps } from 'next';
+
+const ERROR_CODES: readonly SignInErrorCode[] = [
+  'invalidDestination',
+  'channelUnavailable',
+  'cooldown',
+  'deliveryFailed',
+  'accountDisabled',
+  'rateLimited',
+  'unavailable',
+  'invalidCode',
+  'codeExpired',
+  'codeUsed',
+  'tooManyAttempts',
+];
+
+const CHALLENGE_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+const CODE_PATTERN = /^\d{6}$/;
+
+interface LoginPageProps extends I18nProps {
+  /** Same-site path to go to once signed in */
+  next: string | null;
+  magicLink: { challenge: string; code: string } | null;
+}
+
+type Step =
+  | { name: 'checking' }
+  | { name: 'request' }
+  | {
+      name: 'verify';
+      challenge: string;
+      initialCode: string;
+      /** Null for magic links, which cannot ask for a new code themselves */
+      sentTo: { channel: OtpChannel; destination: string; resendAt: number } | null;
+    }
+  | { name: 'signedIn' }
+  | { name: 'signedOut' };
+
+interface ApiAnswer {
+  status: number;
+  body: Record<string, unknown>;
+}
+
+/** Same-site paths only, so the link cannot send a signed-in patient elsewhere */
+function safeNext(value: unknown): string | null {
+  return typeof value === 'string' && /^\/(?![/\\])/.test(value) ? value : null;
+}
+
+export const getServerSideProps: GetServerSideProps<LoginPageProps> = async ({
+  locale,
+  query,
+  res,
+}) => {
+  const challenge = typeof query.challenge === 'string' ? query.challenge : '';
+  const code = typeof query.code === 'string' ? query.code : '';
+
+  res.setHeader('Cache-Control', 'private, no-store');
+  return {
+    props: {
+      ...(await getI18nProps(locale)),
+      next: safeNext(query.next),
+      magicLink:
+        CHALLENGE_PATTERN.test(challenge) && CODE_PATTERN.test(code) ? { challenge, code } : null,
+    },
+  };
+};
+
+async function postJson(url: string, payload: unknown): Promise<ApiAnswer> {
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    const body = (await response.json().catch(() => ({}))) as Record<string, unknown>;
+    return { status: response.status, body };
+  } catch {
+    return { status: 0, body: {} };
+  }
+}
+
+/** The signIn.errors.* message for a failed call; the general API rate limit has its own code */
+function errorMessage(t: TranslateFn, { status, body }: ApiAnswer): string {
+  const known = ERROR_CODES.find((code) => code === body.code);
+  const code = known ?? (status === 429 ? 'rateLimited' : 'unavailable');
+  return t(`signIn.errors.${code}`, {
+    attempts: typeof body.attempts_left === 'number' ? body.attempts_left : 0,
+  });
+}
+
+export default function LoginPage({ next, magicLink }: LoginPageProps) {
+  const { locale, t } = useTranslation();
+  const router = useRouter();
+  const [step, setStep] = useState<Step>(
+    magicLink
+      ? {
+          name: 'verify',
+          challenge: magicLink.challenge,
+          initialCode: magicLink.code,
+          sentTo: null,
+        }
+      : { name: 'checking' }
+  );
+
+  useEffect(() => {
+    if (magicLink) return;
+    void fetch('/api/auth/session', { credentials: 'same-origin' })
+      .then((response) => setStep(response.ok ? { name: 'signedIn' } : { name: 'request' }))
+      .catch(() => setStep({ name: 'request' }));
+  }, [magicLink]);
+
+  const requestCode = async (channel: OtpChannel, destination: string) => {
+    const answer = await postJson('/api/auth/otp', { channel, destination, locale });
+    if (answer.status !== 202) return errorMessage(t, answer);
+
+    const resendIn = typeof answer.body.resend_in === 'number' ? answer.body.resend_in : 0;
+    setStep({
+      name: 'verify',
+      challenge: String(answer.body.challenge),
+      initialCode: '',
+      sentTo: { channel, destination, resendAt: Date.now() + resendIn * 1000 },
+    });
+    return null;
+  };
+
+  const verify = async (challenge: string, code: string) => {
+    const answer = await postJson('/api/auth/verify', { challenge, code });
+    if (answer.status !== 200) return errorMessage(t, answer);
+
+    if (next) {
+      await router.replace(next);
+    } else {
+      setStep({ name: 'signedIn' });
+    }
+    return null;
+  };
+
+  const signOut = async () => {
+    await fetch('/api/auth/session', { method: 'DELETE', credentials: 'same-origin' }).catch(
+      () => undefined
+    );
+    setStep({ name: 'signedOut' });
+  };
+
+  return (
+    <main className="mx-auto max-w-xl px-4 py-12">
+      <h1 className="text-2xl font-semibold">{t('signIn.title')}</h1>
+
+      {step.name === 'checking' && (
+        <p className="mt-6 text-lg" role="status">
+          {t('common.loading')}
+        </p>
+      )}
+
+      {step.name === 'request' && (
+        <>
+          <p className="mt-2 text-lg">{t('signIn.intro')}</p>
+          <SignInRequestForm onSubmit={requestCode} />
+        </>
+      )}
+
+      {step.name === 'verify' && (
+        <SignInCodeForm
+          key={step.challenge}
+          destination={step.sentTo?.destination ?? null}
+          initialCode={step.initialCode}
+          resendAt={step.sentTo?.resendAt ?? null}
+          onSubmit={(code) => verify(step.challenge, code)}
+          onResend={() =>
+            step.sentTo
+              ? requestCode(step.sentTo.channel, step.sentTo.destination)
+              : Promise.resolve(null)
+          }
+          onChangeDestination={() => setStep({ name: 'request' })}
+        />
+      )}
+
+      {(step.name === 'signedIn' || step.name === 'signedOut') && (
+        <div className="mt-6 space-y-4">
+          <p className="text-lg" role="status">
+            {step.name === 'signedIn' ? t('signIn.signedIn') : t('signIn.signedOut')}
+          </p>
+          {step.name === 'signedIn' ? (
+            <button
+              type="button"
+              className="touch-target focus-visible-ring rounded-md border border-input px-4"
+              onClick={() => void signOut()}
+            >
+              {t('signIn.signOut')}
+            </button>
+          ) : (
+            <button
+              type="button"
+              className="touch-target focus-visible-ring rounded-md bg-foreground px-4 text-background"
+              onClick={() => setStep({ name: 'request' })}
+            >
+              {t('signIn.verify')}
+            </button>
+          )}
+        </div>
+      )}
+    </main>
+  );
+}
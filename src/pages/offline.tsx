@@ -0,0 +1,52 @@
+/**
+ * Offline fallback
+ * next-pwa precaches this page and serves it for any navigation that fails
+ * without a connection. The service worker also sends plain form bookings
+ * it had to queue here (?booking=queued).
+ */
+
+import { useRouter } from 'next/router';
+
+import { usePublicConfig } from '@/hooks/usePublicConfig';
+import { useTranslation } from '@/hooks/useTranslation';
+import { getI18nProps } from '@/lib/i18n';
+import type { I18nProps } from '@/lib/i18n';
+
+import type { GetStaticProps } from 'next';
+
+export const getStaticProps: GetStaticProps<I18nProps> = async ({ locale }) => ({
+  props: await getI18nProps(locale),
+});
+
+export default function OfflinePage() {
+  const { t } = useTranslation();
+  const { query } = useRouter();
+  const { clinic } = usePublicConfig();
+  const bookingQueued = query.booking === 'queued';
+
+  return (
+    <main className="mx-auto max-w-lg px-4 py-12">
+      <h1 className="text-2xl font-semibold">{t('offline.title')}</h1>
+      <p className="mt-4 text-lg">{t('offline.body')}</p>
+      {bookingQueued && (
+        <p className="mt-4 text-lg" role="status">
+          {t('offline.bookingQueued')}
+        </p>
+      )}
+      <p className="mt-4">{t('common.callUs', { phone: clinic.phone })}</p>
+      {bookingQueued ? (
+        <a className="touch-target mt-6 inline-flex items-center underline" href="/">
+          {t('common.back')}
+        </a>
+      ) : (
+        <button
+          type="button"
+          className="touch-target focus-visible-ring mt-6 rounded-md bg-foreground px-4 text-background"
+          onClick={() => window.location.reload()}
+        >
+          {t('common.retry')}
+        </button>
+      )}
+    </main>
+  );
+}
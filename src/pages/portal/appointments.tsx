@@ -0,0 +1,103 @@
+/**
+ * Patient portal: appointments for yourself and the people you care for
+ * /portal/appointments  (also /appointments, see next.config.js)
+ *
+ * Signed-in users see their own records and everyone who has given their
+ * mobile number caregiver access, and switch between them. What they can do
+ * for each follows the grant's scopes; the APIs check again and record
+ * everything done on someone else's behalf in the audit log.
+ */
+
+import { useState } from 'react';
+
+import { CaregiverGrants } from '@/components/portal/CaregiverGrants';
+import { PatientSwitcher } from '@/components/portal/PatientSwitcher';
+import { PortalAppointments } from '@/components/portal/PortalAppointments';
+import { PortalRecords } from '@/components/portal/PortalRecords';
+import { useAdminApi } from '@/hooks/useAdminApi';
+import { useFeature } from '@/hooks/useFeature';
+import { useTranslation } from '@/hooks/useTranslation';
+import { signInPath } from '@/lib/auth/channels';
+import { canActFor } from '@/lib/caregivers/scopes';
+import type { PortalPatient } from '@/lib/caregivers/scopes';
+import { isFeatureEnabled, rolloutSubject } from '@/lib/features';
+import { formatDate, getI18nProps } from '@/lib/i18n';
+import type { I18nProps } from '@/lib/i18n';
+
+import type { GetServerSideProps } from 'next';
+
+const PORTAL_PATH = '/portal/appointments';
+
+export const getServerSideProps: GetServerSideProps<I18nProps> = async ({ locale, req, res }) => {
+  if (!(await isFeatureEnabled('appointmentBooking', rolloutSubject(req)))) {
+    return { notFound: true };
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+  return { props: await getI18nProps(locale) };
+};
+
+export default function PortalAppointmentsPage() {
+  const { locale, t } = useTranslation();
+  const recordsEnabled = useFeature('medicalRecords');
+  const { items: patients, loadState } = useAdminApi<PortalPatient>(
+    '/api/portal/patients',
+    'patients'
+  );
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const patient = patients.find((candidate) => candidate.id === selectedId) ?? patients[0];
+
+  let status: string | null = null;
+  if (loadState === 'loading') status = t('common.loading');
+  else if (loadState === 'unavailable' || loadState === 'forbidden') {
+    status = t('portal.unavailable');
+  } else if (loadState === 'ready' && !patient) status = t('portal.noPatients');
+
+  return (
+    <main className="mx-auto max-w-3xl px-4 py-12">
+      <h1 className="text-2xl font-semibold">{t('portal.title')}</h1>
+      <p className="mt-2 text-lg">{t('portal.intro')}</p>
+
+      {loadState === 'signIn' && (
+        <p className="mt-6 text-lg">
+          {t('portal.signIn')}{' '}
+          <a
+            className="underline"
+            href={`${signInPath(locale)}?next=${encodeURIComponent(PORTAL_PATH)}`}
+          >
+            {t('portal.signInLink')}
+          </a>
+        </p>
+      )}
+      {status && (
+        <p className="mt-6 text-lg" role={loadState === 'loading' ? 'status' : 'alert'}>
+          {status}
+        </p>
+      )}
+
+      {patient && (
+        <>
+          {patients.length > 1 && (
+            <PatientSwitcher patients={patients} selectedId={patient.id} onSelect={setSelectedId} />
+          )}
+          {patient.grant && (
+            <p className="mt-4 text-lg">
+              {t('portal.helping', {
+                name: patient.name,
+                date: formatDate(patient.grant.expiresAt, locale),
+              })}
+            </p>
+          )}
+
+          {canActFor(patient, 'view_queue') && (
+            <PortalAppointments key={patient.id} patient={patient} />
+          )}
+          {recordsEnabled && canActFor(patient, 'view_records') && (
+            <PortalRecords key={patient.id} patientId={patient.id} />
+          )}
+          {!patient.grant && <CaregiverGrants key={patient.id} patientId={patient.id} />}
+        </>
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,129 @@
+/**
+ * Waiting-room display
+ * /queue/display (/zh/queue/display etc. for the on-screen labels)
+ *
+ * Kiosk page for the TV in the waiting room: the number each doctor is
+ * seeing and who is next, kept live over /api/queue/display. Each new call
+ * plays a chime and is spoken in every QUEUE_CALLOUT_LANGUAGES language.
+ * Someone taps the screen once after it starts to turn the sound and full
+ * screen on, unless the kiosk browser already allows autoplay.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+
+import { WaitingRoomBoard } from '@/components/queue/WaitingRoomBoard';
+import { useCallouts } from '@/hooks/useCallouts';
+import { useKioskLock } from '@/hooks/useKioskLock';
+import { useTranslation } from '@/hooks/useTranslation';
+import { useWaitingRoomDisplay } from '@/hooks/useWaitingRoomDisplay';
+import { getPublicConfig } from '@/lib/config/public';
+import { isFeatureEnabled, rolloutSubject } from '@/lib/features';
+import { formatDate, formatTime, getI18nProps } from '@/lib/i18n';
+import type { I18nProps } from '@/lib/i18n';
+import { getCalloutTemplates } from '@/lib/queue';
+import { buildCallouts } from '@/lib/queue/callout';
+import type { CalloutTemplates } from '@/lib/queue/callout';
+
+import type { GetServerSideProps } from 'next';
+
+/** How long the card for the latest call stays highlighted */
+const HIGHLIGHT_MS = 20_000;
+const CLOCK_INTERVAL_MS = 15_000;
+
+interface DisplayPageProps extends I18nProps {
+  clinicName: string;
+  callouts: CalloutTemplates[];
+}
+
+export const getServerSideProps: GetServerSideProps<DisplayPageProps> = async ({ locale, req }) => {
+  if (!(await isFeatureEnabled('queueManagement', rolloutSubject(req)))) {
+    return { notFound: true };
+  }
+
+  const [i18nProps, callouts] = await Promise.all([getI18nProps(locale), getCalloutTemplates()]);
+  return {
+    props: { ...i18nProps, clinicName: getPublicConfig().clinic.name, callouts },
+  };
+};
+
+export default function WaitingRoomDisplayPage({ clinicName, callouts }: DisplayPageProps) {
+  const { locale, t } = useTranslation();
+  const { display, live } = useWaitingRoomDisplay();
+  const { enabled, enable, announce } = useCallouts();
+  useKioskLock();
+  const [highlightId, setHighlightId] = useState<string | null>(null);
+  const [now, setNow] = useState<Date | null>(null);
+  const lastCalls = useRef<Map<string, string> | null>(null);
+
+  useEffect(() => {
+    setNow(new Date());
+    const timer = setInterval(() => setNow(new Date()), CLOCK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    if (!display) return;
+    const calls = new Map<string, string>();
+    for (const doctor of display.doctors) {
+      if (doctor.nowServing) calls.set(doctor.id, `${doctor.nowServing}@${doctor.calledAt}`);
+    }
+    const previous = lastCalls.current;
+    lastCalls.current = calls;
+    // The first display shows where things stand; only calls after it are announced
+    if (!previous) return;
+
+    for (const doctor of display.doctors) {
+      const call = calls.get(doctor.id);
+      if (!doctor.nowServing || !call || previous.get(doctor.id) === call) continue;
+      announce(buildCallouts(callouts, doctor.nowServing, doctor.room));
+      setHighlightId(doctor.id);
+    }
+  }, [display, callouts, announce]);
+
+  useEffect(() => {
+    if (!highlightId) return undefined;
+    const timer = setTimeout(() => setHighlightId(null), HIGHLIGHT_MS);
+    return () => clearTimeout(timer);
+  }, [highlightId]);
+
+  return (
+    <main className="min-h-screen px-8 py-6">
+      <div className="flex flex-wrap items-baseline justify-between gap-4">
+        <h1 className="text-3xl font-semibold">{clinicName}</h1>
+        {now && (
+          <p className="text-2xl">
+            {formatDate(now, locale)} · {formatTime(now, locale)}
+          </p>
+        )}
+      </div>
+
+      {!display && (
+        <p className="mt-8 text-2xl" role="status">
+          {t('common.loading')}
+        </p>
+      )}
+      {display && display.doctors.length === 0 && (
+        <p className="mt-8 text-2xl">{t('waitingRoom.empty')}</p>
+      )}
+      {display && <WaitingRoomBoard doctors={display.doctors} highlightId={highlightId} />}
+
+      {display && !live && (
+        <p className="mt-6 text-xl" role="status">
+          {t('waitingRoom.reconnecting')}
+        </p>
+      )}
+
+      {!enabled && (
+        <button
+          type="button"
+          className="touch-target focus-visible-ring fixed inset-x-8 bottom-6 rounded-md bg-foreground px-6 py-4 text-2xl text-background"
+          onClick={enable}
+        >
+          {t('waitingRoom.start')}
+        </button>
+      )}
+    </main>
+  );
+}
+
+WaitingRoomDisplayPage.kiosk = true;
@@ -0,0 +1,172 @@
+/**
+ * Follow a queue ticket
+ * Where shared follow links (and queue notifications) lead. Shows how far
+ * the ticket is from being called and lets a caregiver turn on alerts for
+ * it on their own phone. The token in the link is the only credential, so
+ * nothing about the patient beyond the queue number and doctor is shown.
+ */
+
+import { useState } from 'react';
+
+import { FollowLinkShare } from '@/components/queue/FollowLinkShare';
+import { QueueAlertsToggle } from '@/components/queue/QueueAlertsToggle';
+import { WaitRange } from '@/components/queue/WaitRange';
+import { useTranslation } from '@/hooks/useTranslation';
+import { getPublicConfig } from '@/lib/config/public';
+import { isFeatureEnabled, rolloutSubject } from '@/lib/features';
+import { getI18nProps } from '@/lib/i18n';
+import type { I18nProps, TranslateFn } from '@/lib/i18n';
+import { MAX_FOLLOWER_LABEL_LENGTH } from '@/lib/push/payload';
+import {
+  countAhead,
+  followPath,
+  getDoctorWaits,
+  getQueueTicket,
+  isActiveTicket,
+  verifyFollowToken,
+  waitFor,
+} from '@/lib/queue';
+import type { WaitEstimate } from '@/lib/queue';
+
+import type { GetServerSideProps } from 'next';
+
+interface FollowedTicket {
+  queueNumber: string;
+  doctorName: string;
+  called: boolean;
+  /** Waiting patients ahead; null until the patient has checked in */
+  ahead: number | null;
+  /** Null until the patient has checked in, or while the queue is paused */
+  wait: WaitEstimate | null;
+}
+
+interface FollowPageProps extends I18nProps {
+  token: string;
+  ticket: FollowedTicket | null;
+  shareUrl: string;
+  clinicPhone: string;
+}
+
+export const getServerSideProps: GetServerSideProps<FollowPageProps> = async ({
+  locale,
+  query,
+  req,
+  res,
+}) => {
+  if (!(await isFeatureEnabled('queueManagement', rolloutSubject(req)))) {
+    return { notFound: true };
+  }
+
+  const token = typeof query.token === 'string' ? query.token : '';
+  const appointmentId = token ? verifyFollowToken(token) : null;
+  const config = getPublicConfig();
+
+  let ticket: FollowedTicket | null = null;
+  if (appointmentId) {
+    try {
+      const found = await getQueueTicket(appointmentId);
+      if (found && isActiveTicket(found)) {
+        const doctorWaits =
+          found.status === 'arrived' ? await getDoctorWaits(found.doctorId, found.queueDate) : null;
+        ticket = {
+          queueNumber: found.queueNumber,
+          doctorName: found.doctorName,
+          called: found.status === 'in_consultation',
+          ahead: doctorWaits && countAhead(doctorWaits.sequences, found.queueSequence),
+          wait: doctorWaits && waitFor(doctorWaits, found.queueSequence),
+        };
+      }
+    } catch (lookupError) {
+      console.error('[queue-follow]', (lookupError as Error).message);
+      res.statusCode = 503;
+      res.setHeader('Retry-After', '30');
+    }
+  }
+
+  if (!ticket && res.statusCode !== 503) res.statusCode = 410;
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  return {
+    props: {
+      ...(await getI18nProps(locale)),
+      token,
+      ticket,
+      shareUrl: `${config.appUrl}${followPath(token, locale)}`,
+      clinicPhone: config.clinic.phone,
+    },
+  };
+};
+
+function describeTicket(ticket: FollowedTicket, t: TranslateFn) {
+  if (ticket.called) return t('push.called', { queueNumber: ticket.queueNumber });
+  if (ticket.ahead === null) return t('push.notCheckedIn');
+  return t('queue.peopleAhead', { count: ticket.ahead });
+}
+
+export default function QueueFollowPage({ token, ticket, shareUrl, clinicPhone }: FollowPageProps) {
+  const { t } = useTranslation();
+  const [label, setLabel] = useState('');
+
+  if (!ticket) {
+    return (
+      <main className="mx-auto max-w-lg px-4 py-12">
+        <h1 className="text-2xl font-semibold">{t('push.followUnavailableTitle')}</h1>
+        <p className="mt-4 text-lg" role="alert">
+          {t('push.followUnavailable')}
+        </p>
+        <p className="mt-4">{t('common.callUs', { phone: clinicPhone })}</p>
+      </main>
+    );
+  }
+
+  return (
+    <main className="mx-auto max-w-lg px-4 py-12">
+      <h1 className="text-2xl font-semibold">
+        {t('push.followTitle', { queueNumber: ticket.queueNumber })}
+      </h1>
+      <p className="mt-4 text-lg" role="status">
+        {describeTicket(ticket, t)}
+      </p>
+      <dl className="mt-6 grid grid-cols-2 gap-2 text-lg">
+        <dt>{t('booking.queueNumber')}</dt>
+        <dd className="text-3xl font-bold">{ticket.queueNumber}</dd>
+        {ticket.doctorName && (
+          <>
+            <dt>{t('booking.doctor')}</dt>
+            <dd>{ticket.doctorName}</dd>
+          </>
+        )}
+        {ticket.wait && (
+          <>
+            <dt>{t('queue.estWait')}</dt>
+            <dd>
+              <WaitRange wait={ticket.wait} />
+            </dd>
+          </>
+        )}
+      </dl>
+      <a className="touch-target mt-4 inline-flex items-center underline" href={shareUrl}>
+        {t('push.refresh')}
+      </a>
+
+      {!ticket.called && (
+        <>
+          <label className="mt-6 block">
+            <span className="block font-medium">{t('push.followerLabel')}</span>
+            <input
+              type="text"
+              className="touch-target mt-1 w-full rounded-md border border-input px-3"
+              maxLength={MAX_FOLLOWER_LABEL_LENGTH}
+              placeholder={t('push.followerLabelPlaceholder')}
+              value={label}
+              onChange={(event) => setLabel(event.target.value)}
+            />
+          </label>
+          <QueueAlertsToggle ticket={token} follower="caregiver" label={label} />
+        </>
+      )}
+
+      <FollowLinkShare url={shareUrl} queueNumber={ticket.queueNumber} />
+    </main>
+  );
+}
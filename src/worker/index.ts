@@ -0,0 +1,198 @@
+/// <reference lib="webworker" />
+
+/**
+ * Custom service worker code
+ * next-pwa bundles this file and loads it into the generated
+ * service-worker.js alongside the runtime caching rules from
+ * pwa-runtime-caching.js.
+ *
+ * Booking posts that fail for lack of a connection are queued with
+ * Workbox background sync and answered with 202 (or, for plain form posts,
+ * a redirect to the offline page), so the patient knows the booking is
+ * waiting rather than lost. When the connection
+ * returns each one is replayed and its outcome (booked, slot gone, ...)
+ * is posted to open pages and kept in IndexedDB for pages opened later.
+ *
+ * Queue alerts arrive as Web Push messages (see src/lib/push) and are shown
+ * as notifications that open the ticket's follow page when tapped.
+ *
+ * Bundled without the @/ path aliases: use relative imports.
+ */
+
+import { Queue } from 'workbox-background-sync';
+
+import {
+  BOOKING_ENDPOINT,
+  BOOKING_QUEUE_RETENTION_MINUTES,
+  BOOKING_SYNC_QUEUE,
+  BOOKING_SYNC_REPLAY_MESSAGE,
+  BOOKING_SYNC_RESULT_MESSAGE,
+  saveBookingResult,
+} from '../lib/offline/booking-sync';
+
+import type {
+  BookingSyncResultMessage,
+  QueuedBookingResponse,
+  QueuedBookingResult,
+} from '../lib/offline/booking-sync';
+import type { QueueAlertPayload } from '../lib/push/payload';
+
+declare const self: ServiceWorkerGlobalScope;
+
+interface QueueMetadata {
+  id: string;
+  queuedAt: string;
+}
+
+interface BookingResponseBody {
+  booking?: QueuedBookingResult['booking'];
+  code?: QueuedBookingResult['code'];
+}
+
+const OFFLINE_QUEUED_URL = '/offline?booking=queued';
+/** PUBLIC_CONFIG_PATH, cached as in pwa-runtime-caching.js */
+const PUBLIC_CONFIG_PATH = '/api/config';
+const PUBLIC_CONFIG_CACHE = 'public-config';
+
+class RetryLaterError extends Error {}
+
+async function toResult(metadata: QueueMetadata, response: Response): Promise<QueuedBookingResult> {
+  const body = (await response.json().catch(() => ({}))) as BookingResponseBody;
+  const base = { id: metadata.id, queuedAt: metadata.queuedAt };
+
+  if (response.ok && body.booking) {
+    return { ...base, outcome: 'confirmed', booking: body.booking, code: null };
+  }
+  return {
+    ...base,
+    outcome: response.status === 409 ? 'conflict' : 'failed',
+    booking: null,
+    code: body.code ?? null,
+  };
+}
+
+async function reportResult(result: QueuedBookingResult) {
+  await saveBookingResult(result);
+  const message: BookingSyncResultMessage = { type: BOOKING_SYNC_RESULT_MESSAGE, result };
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clients.forEach((client) => client.postMessage(message));
+}
+
+async function replayBookings({ queue }: { queue: Queue }) {
+  let entry = await queue.shiftRequest();
+  while (entry) {
+    const metadata = entry.metadata as QueueMetadata;
+    try {
+      const response = await fetch(entry.request.clone());
+      // Server trouble or a rate limit is not the patient's answer; try again on the next sync
+      if (response.status >= 500 || response.status === 429) {
+        throw new RetryLaterError(`booking replay ${response.status}`);
+      }
+      await reportResult(await toResult(metadata, response));
+    } catch (error) {
+      await queue.unshiftRequest(entry);
+      // Rethrowing tells the browser the sync failed, so it schedules a retry
+      throw error;
+    }
+    entry = await queue.shiftRequest();
+  }
+}
+
+const bookingQueue = new Queue(BOOKING_SYNC_QUEUE, {
+  maxRetentionTime: BOOKING_QUEUE_RETENTION_MINUTES,
+  onSync: replayBookings,
+});
+
+async function sendOrQueue(request: Request): Promise<Response> {
+  const backup = request.clone();
+  try {
+    return await fetch(request);
+  } catch {
+    const metadata: QueueMetadata = { id: crypto.randomUUID(), queuedAt: new Date().toISOString() };
+    await bookingQueue.pushRequest({ request: backup, metadata });
+
+    // Plain form posts (JavaScript off) navigate, so send them to a page
+    if (request.mode === 'navigate') return Response.redirect(OFFLINE_QUEUED_URL, 303);
+
+    const body: QueuedBookingResponse = { queued: true, id: metadata.id };
+    return new Response(JSON.stringify(body), {
+      status: 202,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+}
+
+// The offline page is prerendered and loads its settings from the network,
+// so keep them from the start rather than from the first time it is shown
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(PUBLIC_CONFIG_CACHE)
+      .then((cache) => cache.add(PUBLIC_CONFIG_PATH))
+      .catch((error: unknown) => console.warn('[public-config] not cached', error))
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (
+    request.method !== 'POST' ||
+    url.origin !== self.location.origin ||
+    url.pathname !== BOOKING_ENDPOINT
+  ) {
+    return;
+  }
+  event.respondWith(sendOrQueue(request));
+});
+
+// Browsers without the Background Sync API (Safari, Firefox) only replay
+// when the worker starts; pages nudge it when they come back online
+self.addEventListener('message', (event) => {
+  if ((event.data as { type?: unknown } | null)?.type !== BOOKING_SYNC_REPLAY_MESSAGE) return;
+  event.waitUntil(
+    replayBookings({ queue: bookingQueue }).catch((error: unknown) => {
+      if (!(error instanceof RetryLaterError)) {
+        console.warn('[booking-sync] replay failed', error);
+      }
+    })
+  );
+});
+
+self.addEventListener('push', (event) => {
+  let payload: QueueAlertPayload | undefined;
+  try {
+    payload = event.data?.json() as QueueAlertPayload | undefined;
+  } catch {
+    return;
+  }
+  if (!payload?.title) return;
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title, {
+      body: payload.body,
+      tag: payload.tag,
+      lang: payload.lang,
+      // A "called" alert replacing "approaching" must still buzz
+      renotify: true,
+      requireInteraction: payload.kind === 'called',
+      data: { url: payload.url },
+    } as NotificationOptions)
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { url } = (event.notification.data ?? {}) as { url?: string };
+  const target = new URL(url ?? '/', self.location.origin);
+  if (target.origin !== self.location.origin) return;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const open = clients.find((client) => new URL(client.url).pathname === target.pathname);
+      return open
+        ? open.navigate(target.href).then((client) => client?.focus())
+        : self.clients.openWindow(target.href);
+    })
+  );
+});
@@ -0,0 +1,91 @@
+-- ============================================================================
+-- 00002: Quick booking from the public landing page
+-- ============================================================================
+-- Applies on top of the base schema in database_schema.md (00001).
+--
+-- The landing page books with only a name and a mobile number. Patients
+-- who book this way get a provisional record; the front desk completes
+-- NRIC, date of birth and gender when they arrive.
+-- ============================================================================
+
+ALTER TABLE patients
+    ADD COLUMN IF NOT EXISTS registration_status TEXT NOT NULL DEFAULT 'complete'
+        CHECK (registration_status IN ('provisional', 'complete'));
+
+ALTER TABLE patients ALTER COLUMN nric_hash DROP NOT NULL;
+ALTER TABLE patients ALTER COLUMN nric_masked DROP NOT NULL;
+ALTER TABLE patients ALTER COLUMN nric_last_4 DROP NOT NULL;
+ALTER TABLE patients ALTER COLUMN date_of_birth DROP NOT NULL;
+ALTER TABLE patients ALTER COLUMN gender DROP NOT NULL;
+
+-- Complete registrations still need every identity field
+ALTER TABLE patients ADD CONSTRAINT complete_registration_fields CHECK (
+    registration_status = 'provisional'
+    OR (nric_hash IS NOT NULL
+        AND nric_masked IS NOT NULL
+        AND nric_last_4 IS NOT NULL
+        AND date_of_birth IS NOT NULL
+        AND gender IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_patients_phone ON patients(phone) WHERE is_active;
+
+-- Books a slot for the patient with this mobile number, creating a
+-- provisional patient if there is none. Raises:
+--   'Slot is not available'  - taken, blocked or not this doctor's slot
+--   'Already booked'         - patient already has a live booking that day
+CREATE OR REPLACE FUNCTION book_quick_appointment(
+    p_full_name TEXT,
+    p_phone TEXT,
+    p_slot_id UUID,
+    p_language language_code DEFAULT 'en'
+) RETURNS appointments AS $$
+DECLARE
+    v_patient_id UUID;
+    v_slot time_slots;
+    v_appointment appointments;
+BEGIN
+    SELECT * INTO v_slot FROM time_slots WHERE id = p_slot_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Slot is not available';
+    END IF;
+
+    SELECT id INTO v_patient_id
+    FROM patients
+    WHERE phone = p_phone AND is_active
+    ORDER BY registration_status = 'complete' DESC, created_at
+    LIMIT 1;
+
+    IF v_patient_id IS NULL THEN
+        INSERT INTO patients (full_name, phone, preferred_language, registration_status)
+        VALUES (p_full_name, p_phone, p_language, 'provisional')
+        RETURNING id INTO v_patient_id;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM appointments
+        WHERE patient_id = v_patient_id
+          AND queue_date = v_slot.slot_date
+          AND status NOT IN ('cancelled', 'no_show', 'rescheduled')
+    ) THEN
+        RAISE EXCEPTION 'Already booked';
+    END IF;
+
+    v_appointment := book_appointment(
+        v_patient_id,
+        v_slot.doctor_id,
+        p_slot_id,
+        'consultation',
+        'Quick booking (landing page)'
+    );
+
+    -- book_appointment stores slot_date + slot_time in the session time
+    -- zone (UTC on Supabase); slot times are clinic wall-clock times.
+    UPDATE appointments
+    SET scheduled_time = (v_slot.slot_date + v_slot.slot_time) AT TIME ZONE 'Asia/Singapore'
+    WHERE id = v_appointment.id
+    RETURNING * INTO v_appointment;
+
+    RETURN v_appointment;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,44 @@
+-- ============================================================================
+-- 00003: Web Push subscriptions for queue alerts
+-- ============================================================================
+-- One row per browser following one queue ticket (appointment). The patient
+-- and any caregivers they shared the follow link with each get their own
+-- row, and each is alerted once when the ticket is close and once when it
+-- is called.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    appointment_id UUID NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+
+    -- PushSubscription from the browser
+    endpoint TEXT NOT NULL,
+    p256dh TEXT NOT NULL,
+    auth TEXT NOT NULL,
+
+    -- Who is following: the patient, or a caregiver with a label such as "Mum"
+    follower_role TEXT NOT NULL DEFAULT 'patient'
+        CHECK (follower_role IN ('patient', 'caregiver')),
+    label TEXT CHECK (char_length(label) <= 40),
+    language language_code NOT NULL DEFAULT 'en',
+    positions_away SMALLINT NOT NULL DEFAULT 3 CHECK (positions_away BETWEEN 1 AND 20),
+
+    -- Set when the alert is claimed for sending, so each goes out once even
+    -- with several app instances running the alert loop
+    approaching_sent_at TIMESTAMPTZ,
+    called_sent_at TIMESTAMPTZ,
+
+    -- End of the ticket's clinic day; expired rows are purged
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT unique_push_follow UNIQUE (appointment_id, endpoint)
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_pending
+    ON push_subscriptions(appointment_id) WHERE called_sent_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_endpoint ON push_subscriptions(endpoint);
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_expires ON push_subscriptions(expires_at);
+
+-- Only the service role (API routes) reads or writes subscriptions
+ALTER TABLE push_subscriptions ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,42 @@
+-- ============================================================================
+-- 00004: Report the applied schema migration
+-- ============================================================================
+-- GET /api/version compares the newest migration an image was built with
+-- against the newest one applied to the database. Migrations may be applied
+-- with Prisma (_prisma_migrations) or the Supabase CLI
+-- (supabase_migrations.schema_migrations); neither table is exposed through
+-- the API, so this function reads whichever exists.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION applied_schema_migration()
+RETURNS TEXT
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    latest TEXT;
+BEGIN
+    IF to_regclass('public._prisma_migrations') IS NOT NULL THEN
+        EXECUTE 'SELECT migration_name FROM public._prisma_migrations
+                 WHERE finished_at IS NOT NULL AND rolled_back_at IS NULL
+                 ORDER BY migration_name DESC LIMIT 1'
+            INTO latest;
+    ELSIF to_regclass('supabase_migrations.schema_migrations') IS NOT NULL THEN
+        -- Older CLI versions have no name column, hence the jsonb lookup
+        EXECUTE 'SELECT version || COALESCE(''_'' || (to_jsonb(m) ->> ''name''), '''')
+                 FROM supabase_migrations.schema_migrations m
+                 ORDER BY version DESC LIMIT 1'
+            INTO latest;
+    END IF;
+    RETURN latest;
+END;
+$$;
+
+-- Supabase's default privileges grant EXECUTE to anon and authenticated
+-- directly, so revoking from PUBLIC alone leaves the function callable
+-- over /rest/v1/rpc with the public anon key.
+REVOKE ALL ON FUNCTION applied_schema_migration() FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION applied_schema_migration() FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION applied_schema_migration() TO service_role;
@@ -0,0 +1,103 @@
+-- ============================================================================
+-- 00005: Feature flag overrides
+-- ============================================================================
+-- Flags default to the FEATURE_* environment variables (feature-flags.js).
+-- Admins can override a flag per clinic from the admin dashboard, switching
+-- it on or off or rolling it out to a percentage of browsers. No row means
+-- the environment default applies.
+--
+-- Overrides are only changed through set_feature_flag_override(), which
+-- writes the matching audit_logs row in the same transaction.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS feature_flag_overrides (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- NEXT_PUBLIC_CLINIC_REGISTRATION of the clinic the override applies to
+    clinic_code TEXT NOT NULL,
+    flag TEXT NOT NULL CHECK (flag ~ '^[a-z][A-Za-z]*$'),
+
+    enabled BOOLEAN NOT NULL,
+    rollout_percent SMALLINT NOT NULL DEFAULT 100 CHECK (rollout_percent BETWEEN 0 AND 100),
+
+    updated_by UUID,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT unique_feature_flag_override UNIQUE (clinic_code, flag)
+);
+
+-- Only the service role (API routes) reads or writes overrides
+ALTER TABLE feature_flag_overrides ENABLE ROW LEVEL SECURITY;
+
+-- Sets (p_enabled not null) or removes (p_enabled null) an override and
+-- records the change in audit_logs
+CREATE OR REPLACE FUNCTION set_feature_flag_override(
+    p_clinic_code TEXT,
+    p_flag TEXT,
+    p_enabled BOOLEAN,
+    p_rollout_percent SMALLINT,
+    p_actor_id UUID,
+    p_actor_role TEXT,
+    p_ip_address INET,
+    p_user_agent TEXT
+)
+RETURNS feature_flag_overrides
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    previous feature_flag_overrides;
+    saved feature_flag_overrides;
+BEGIN
+    SELECT * INTO previous
+    FROM feature_flag_overrides
+    WHERE clinic_code = p_clinic_code AND flag = p_flag
+    FOR UPDATE;
+
+    IF p_enabled IS NULL THEN
+        DELETE FROM feature_flag_overrides
+        WHERE clinic_code = p_clinic_code AND flag = p_flag;
+    ELSE
+        INSERT INTO feature_flag_overrides (clinic_code, flag, enabled, rollout_percent, updated_by)
+        VALUES (p_clinic_code, p_flag, p_enabled, COALESCE(p_rollout_percent, 100), p_actor_id)
+        ON CONFLICT (clinic_code, flag) DO UPDATE
+        SET enabled = EXCLUDED.enabled,
+            rollout_percent = EXCLUDED.rollout_percent,
+            updated_by = EXCLUDED.updated_by,
+            updated_at = CURRENT_TIMESTAMP
+        RETURNING * INTO saved;
+    END IF;
+
+    INSERT INTO audit_logs (
+        user_id, user_role, ip_address, user_agent,
+        action, action_category, table_name, record_id,
+        old_values, new_values, changed_fields, risk_level
+    ) VALUES (
+        p_actor_id,
+        p_actor_role::user_role,
+        p_ip_address,
+        p_user_agent,
+        CASE
+            WHEN p_enabled IS NULL THEN 'delete'
+            WHEN previous.id IS NULL THEN 'create'
+            ELSE 'update'
+        END,
+        'admin',
+        'feature_flag_overrides',
+        COALESCE(saved.id, previous.id),
+        CASE WHEN previous.id IS NULL THEN NULL ELSE to_jsonb(previous) END,
+        CASE WHEN saved.id IS NULL THEN NULL ELSE to_jsonb(saved) END,
+        ARRAY['enabled', 'rollout_percent'],
+        -- Switching features changes what every patient sees
+        5
+    );
+
+    RETURN saved;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION set_feature_flag_override(TEXT, TEXT, BOOLEAN, SMALLINT, UUID, TEXT, INET, TEXT) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION set_feature_flag_override(TEXT, TEXT, BOOLEAN, SMALLINT, UUID, TEXT, INET, TEXT) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION set_feature_flag_override(TEXT, TEXT, BOOLEAN, SMALLINT, UUID, TEXT, INET, TEXT) TO service_role;
@@ -0,0 +1,138 @@
+-- ============================================================================
+-- 00006: Short links
+-- ============================================================================
+-- Printable links for posters and SMS messages, such as /b for booking or
+-- /q/:number for a queue number, that staff can change without a redeploy.
+-- Middleware loads the table and redirects; the fixed redirects in
+-- next.config.js still apply first.
+--
+-- Links are only changed through save_short_link(), which writes the
+-- matching audit_logs row in the same transaction.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS short_links (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- Literal segments and :params, e.g. /b or /q/:number
+    path TEXT NOT NULL UNIQUE
+        CHECK (path ~ '^(/([a-z0-9][a-z0-9-]*|:[A-Za-z][A-Za-z0-9]*)){1,3}$'),
+    -- Same-site path or https URL; :params from the path are substituted
+    destination TEXT NOT NULL CHECK (destination ~ '^(/|https://)'),
+    description TEXT CHECK (char_length(description) <= 200),
+    permanent BOOLEAN NOT NULL DEFAULT FALSE,
+    expires_at TIMESTAMPTZ,
+
+    click_count BIGINT NOT NULL DEFAULT 0,
+    last_clicked_at TIMESTAMPTZ,
+
+    created_by UUID,
+    updated_by UUID,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_short_links_expires ON short_links(expires_at);
+
+-- Only the service role (middleware and API routes) reads or writes links
+ALTER TABLE short_links ENABLE ROW LEVEL SECURITY;
+
+-- Counts a redirect; called by middleware after it has answered
+CREATE OR REPLACE FUNCTION record_short_link_click(p_id UUID)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    UPDATE short_links
+    SET click_count = click_count + 1,
+        last_clicked_at = CURRENT_TIMESTAMP
+    WHERE id = p_id;
+$$;
+
+-- Creates (p_id null), updates or deletes (p_delete) a link and records the
+-- change in audit_logs. Click counts survive updates.
+CREATE OR REPLACE FUNCTION save_short_link(
+    p_id UUID,
+    p_delete BOOLEAN,
+    p_path TEXT,
+    p_destination TEXT,
+    p_description TEXT,
+    p_permanent BOOLEAN,
+    p_expires_at TIMESTAMPTZ,
+    p_actor_id UUID,
+    p_actor_role TEXT,
+    p_ip_address INET,
+    p_user_agent TEXT
+)
+RETURNS short_links
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    previous short_links;
+    saved short_links;
+BEGIN
+    IF p_id IS NOT NULL THEN
+        SELECT * INTO previous FROM short_links WHERE id = p_id FOR UPDATE;
+        IF previous.id IS NULL THEN
+            RAISE EXCEPTION 'short link % not found', p_id USING ERRCODE = 'no_data_found';
+        END IF;
+    END IF;
+
+    IF p_delete THEN
+        DELETE FROM short_links WHERE id = p_id;
+    ELSIF p_id IS NULL THEN
+        INSERT INTO short_links (
+            path, destination, description, permanent, expires_at, created_by, updated_by
+        ) VALUES (
+            p_path, p_destination, p_description, p_permanent, p_expires_at, p_actor_id, p_actor_id
+        )
+        RETURNING * INTO saved;
+    ELSE
+        UPDATE short_links
+        SET path = p_path,
+            destination = p_destination,
+            description = p_description,
+            permanent = p_permanent,
+            expires_at = p_expires_at,
+            updated_by = p_actor_id,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = p_id
+        RETURNING * INTO saved;
+    END IF;
+
+    INSERT INTO audit_logs (
+        user_id, user_role, ip_address, user_agent,
+        action, action_category, table_name, record_id,
+        old_values, new_values, changed_fields, risk_level
+    ) VALUES (
+        p_actor_id,
+        p_actor_role::user_role,
+        p_ip_address,
+        p_user_agent,
+        CASE
+            WHEN p_delete THEN 'delete'
+            WHEN p_id IS NULL THEN 'create'
+            ELSE 'update'
+        END,
+        'admin',
+        'short_links',
+        COALESCE(saved.id, previous.id),
+        CASE WHEN previous.id IS NULL THEN NULL ELSE to_jsonb(previous) END,
+        CASE WHEN saved.id IS NULL THEN NULL ELSE to_jsonb(saved) END,
+        ARRAY['path', 'destination', 'description', 'permanent', 'expires_at'],
+        -- A changed destination sends printed links somewhere else
+        3
+    );
+
+    RETURN saved;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION record_short_link_click(UUID) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION record_short_link_click(UUID) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_short_link_click(UUID) TO service_role;
+REVOKE ALL ON FUNCTION save_short_link(UUID, BOOLEAN, TEXT, TEXT, TEXT, BOOLEAN, TIMESTAMPTZ, UUID, TEXT, INET, TEXT) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION save_short_link(UUID, BOOLEAN, TEXT, TEXT, TEXT, BOOLEAN, TIMESTAMPTZ, UUID, TEXT, INET, TEXT) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION save_short_link(UUID, BOOLEAN, TEXT, TEXT, TEXT, BOOLEAN, TIMESTAMPTZ, UUID, TEXT, INET, TEXT) TO service_role;
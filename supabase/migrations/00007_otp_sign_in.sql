@@ -0,0 +1,29 @@
+-- ============================================================================
+-- 00007: Passwordless sign-in
+-- ============================================================================
+-- Patients and staff sign in with a one-time code sent to their mobile
+-- number or email address (src/lib/auth/otp.ts). Codes and sessions live
+-- in Redis; the database only resolves who a verified number or address
+-- belongs to, and records sign-ins in audit_logs.
+-- ============================================================================
+
+-- The Supabase Auth user with this phone (E.164) or email, if any.
+-- auth.users keeps phone numbers without the leading +.
+CREATE OR REPLACE FUNCTION find_auth_user(p_phone TEXT, p_email TEXT)
+RETURNS UUID
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = auth, public
+AS $$
+    SELECT id
+    FROM auth.users
+    WHERE (p_phone IS NOT NULL AND phone = ltrim(p_phone, '+'))
+       OR (p_email IS NOT NULL AND lower(email) = lower(p_email))
+    ORDER BY created_at
+    LIMIT 1;
+$$;
+
+REVOKE ALL ON FUNCTION find_auth_user(TEXT, TEXT) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION find_auth_user(TEXT, TEXT) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION find_auth_user(TEXT, TEXT) TO service_role;
@@ -0,0 +1,369 @@
+-- ============================================================================
+-- 00008: Caregiver access
+-- ============================================================================
+-- A patient (or clinic staff for them) lets a caregiver's mobile number see
+-- or manage their appointments until an expiry date. Caregivers sign in with
+-- that number and switch between the patients who have granted them access
+-- in the portal.
+--
+-- Grants only change through save_caregiver_grant(), and the portal books
+-- and cancels through portal_book_appointment() and
+-- portal_cancel_appointment(); each writes its audit_logs row in the same
+-- transaction. Reads on a patient's behalf are recorded by the API routes.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS caregiver_grants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    -- E.164, as stored in patients.phone
+    caregiver_phone TEXT NOT NULL CHECK (caregiver_phone ~ '^\+65[89][0-9]{7}$'),
+    -- How the patient knows them, e.g. "Daughter"
+    label TEXT CHECK (char_length(label) <= 50),
+    scopes TEXT[] NOT NULL CHECK (
+        cardinality(scopes) > 0
+        AND scopes <@ ARRAY['view_queue', 'book', 'cancel', 'view_records']
+    ),
+    expires_at TIMESTAMPTZ NOT NULL,
+
+    granted_by UUID,
+    granted_by_role user_role,
+    revoked_at TIMESTAMPTZ,
+    revoked_by UUID,
+
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One live grant per patient and caregiver; changing scopes updates it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_caregiver_grants_live
+    ON caregiver_grants(patient_id, caregiver_phone) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_caregiver_grants_caregiver
+    ON caregiver_grants(caregiver_phone) WHERE revoked_at IS NULL;
+
+-- Only the service role (API routes) reads or writes grants
+ALTER TABLE caregiver_grants ENABLE ROW LEVEL SECURITY;
+
+-- Whether a grant is live and lets its caregiver act for the patient in this way
+CREATE OR REPLACE FUNCTION caregiver_grant_allows(p_grant_id UUID, p_patient_id UUID, p_scope TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM caregiver_grants
+        WHERE id = p_grant_id
+          AND patient_id = p_patient_id
+          AND revoked_at IS NULL
+          AND expires_at > CURRENT_TIMESTAMP
+          AND p_scope = ANY(scopes)
+    );
+$$;
+
+-- Creates (p_id null), updates or revokes (p_revoke) a grant and records the
+-- change in audit_logs. Revoked grants are kept for the audit trail.
+CREATE OR REPLACE FUNCTION save_caregiver_grant(
+    p_id UUID,
+    p_revoke BOOLEAN,
+    p_patient_id UUID,
+    p_caregiver_phone TEXT,
+    p_label TEXT,
+    p_scopes TEXT[],
+    p_expires_at TIMESTAMPTZ,
+    p_actor_id UUID,
+    p_actor_role TEXT,
+    p_ip_address INET,
+    p_user_agent TEXT
+)
+RETURNS caregiver_grants
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    previous caregiver_grants;
+    saved caregiver_grants;
+BEGIN
+    IF p_id IS NOT NULL THEN
+        SELECT * INTO previous FROM caregiver_grants
+        WHERE id = p_id AND patient_id = p_patient_id AND revoked_at IS NULL
+        FOR UPDATE;
+        IF previous.id IS NULL THEN
+            RAISE EXCEPTION 'caregiver grant % not found', p_id USING ERRCODE = 'no_data_found';
+        END IF;
+    END IF;
+
+    IF p_revoke THEN
+        UPDATE caregiver_grants
+        SET revoked_at = CURRENT_TIMESTAMP,
+            revoked_by = p_actor_id,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = p_id
+        RETURNING * INTO saved;
+    ELSIF p_id IS NULL THEN
+        INSERT INTO caregiver_grants (
+            patient_id, caregiver_phone, label, scopes, expires_at, granted_by, granted_by_role
+        ) VALUES (
+            p_patient_id, p_caregiver_phone, p_label, p_scopes, p_expires_at,
+            p_actor_id, p_actor_role::user_role
+        )
+        RETURNING * INTO saved;
+    ELSE
+        UPDATE caregiver_grants
+        SET label = p_label,
+            scopes = p_scopes,
+            expires_at = p_expires_at,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = p_id
+        RETURNING * INTO saved;
+    END IF;
+
+    INSERT INTO audit_logs (
+        user_id, user_role, ip_address, user_agent,
+        action, action_category, table_name, record_id,
+        old_values, new_values, changed_fields, risk_level
+    ) VALUES (
+        p_actor_id,
+        p_actor_role::user_role,
+        p_ip_address,
+        p_user_agent,
+        CASE
+            WHEN p_revoke THEN 'revoke'
+            WHEN p_id IS NULL THEN 'create'
+            ELSE 'update'
+        END,
+        'auth',
+        'caregiver_grants',
+        saved.id,
+        CASE WHEN previous.id IS NULL THEN NULL ELSE to_jsonb(previous) END,
+        to_jsonb(saved),
+        CASE
+            WHEN p_revoke THEN ARRAY['revoked_at']
+            ELSE ARRAY['label', 'scopes', 'expires_at']
+        END,
+        -- A grant can open a patient's records to someone else
+        CASE WHEN p_revoke THEN 2 ELSE 4 END
+    );
+
+    RETURN saved;
+END;
+$$;
+
+-- Books a slot for a known patient. Raises the same errors as
+-- book_quick_appointment(), which now finds the patient and calls this.
+CREATE OR REPLACE FUNCTION book_patient_appointment(
+    p_patient_id UUID,
+    p_slot_id UUID,
+    p_notes TEXT
+) RETURNS appointments AS $$
+DECLARE
+    v_slot time_slots;
+    v_appointment appointments;
+BEGIN
+    SELECT * INTO v_slot FROM time_slots WHERE id = p_slot_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Slot is not available';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM appointments
+        WHERE patient_id = p_patient_id
+          AND queue_date = v_slot.slot_date
+          AND status NOT IN ('cancelled', 'no_show', 'rescheduled')
+    ) THEN
+        RAISE EXCEPTION 'Already booked';
+    END IF;
+
+    v_appointment := book_appointment(
+        p_patient_id,
+        v_slot.doctor_id,
+        p_slot_id,
+        'consultation',
+        p_notes
+    );
+
+    -- book_appointment stores slot_date + slot_time in the session time
+    -- zone (UTC on Supabase); slot times are clinic wall-clock times.
+    UPDATE appointments
+    SET scheduled_time = (v_slot.slot_date + v_slot.slot_time) AT TIME ZONE 'Asia/Singapore'
+    WHERE id = v_appointment.id
+    RETURNING * INTO v_appointment;
+
+    RETURN v_appointment;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION book_quick_appointment(
+    p_full_name TEXT,
+    p_phone TEXT,
+    p_slot_id UUID,
+    p_language language_code DEFAULT 'en'
+) RETURNS appointments AS $$
+DECLARE
+    v_patient_id UUID;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM time_slots WHERE id = p_slot_id) THEN
+        RAISE EXCEPTION 'Slot is not available';
+    END IF;
+
+    SELECT id INTO v_patient_id
+    FROM patients
+    WHERE phone = p_phone AND is_active
+    ORDER BY registration_status = 'complete' DESC, created_at
+    LIMIT 1;
+
+    IF v_patient_id IS NULL THEN
+        INSERT INTO patients (full_name, phone, preferred_language, registration_status)
+        VALUES (p_full_name, p_phone, p_language, 'provisional')
+        RETURNING id INTO v_patient_id;
+    END IF;
+
+    RETURN book_patient_appointment(v_patient_id, p_slot_id, 'Quick booking (landing page)');
+END;
+$$ LANGUAGE plpgsql;
+
+-- Books from the portal, either for the signed-in patient (p_grant_id null)
+-- or on a caregiver grant with the "book" scope, and records who booked.
+CREATE OR REPLACE FUNCTION portal_book_appointment(
+    p_patient_id UUID,
+    p_slot_id UUID,
+    p_grant_id UUID,
+    p_actor_id UUID,
+    p_actor_role TEXT,
+    p_ip_address INET,
+    p_user_agent TEXT
+)
+RETURNS appointments
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    booked appointments;
+BEGIN
+    IF p_grant_id IS NOT NULL AND NOT caregiver_grant_allows(p_grant_id, p_patient_id, 'book') THEN
+        RAISE EXCEPTION 'caregiver grant % does not allow booking', p_grant_id
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    booked := book_patient_appointment(
+        p_patient_id,
+        p_slot_id,
+        CASE WHEN p_grant_id IS NULL THEN 'Patient portal' ELSE 'Patient portal (caregiver)' END
+    );
+
+    INSERT INTO audit_logs (
+        user_id, user_role, ip_address, user_agent,
+        action, action_category, table_name, record_id,
+        new_values, risk_level
+    ) VALUES (
+        p_actor_id,
+        p_actor_role::user_role,
+        p_ip_address,
+        p_user_agent,
+        'create',
+        'medical',
+        'appointments',
+        booked.id,
+        to_jsonb(booked) || jsonb_build_object(
+            'on_behalf_of', p_patient_id,
+            'caregiver_grant_id', p_grant_id,
+            'scope', 'book'
+        ),
+        1
+    );
+
+    RETURN booked;
+END;
+$$;
+
+-- Cancels one of the patient's upcoming appointments from the portal, on
+-- the same terms as portal_book_appointment() with the "cancel" scope.
+-- Raises no_data_found when the appointment is not theirs or has started.
+CREATE OR REPLACE FUNCTION portal_cancel_appointment(
+    p_appointment_id UUID,
+    p_patient_id UUID,
+    p_reason TEXT,
+    p_grant_id UUID,
+    p_actor_id UUID,
+    p_actor_role TEXT,
+    p_ip_address INET,
+    p_user_agent TEXT
+)
+RETURNS appointments
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    previous appointments;
+    cancelled appointments;
+BEGIN
+    IF p_grant_id IS NOT NULL AND NOT caregiver_grant_allows(p_grant_id, p_patient_id, 'cancel') THEN
+        RAISE EXCEPTION 'caregiver grant % does not allow cancelling', p_grant_id
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    SELECT * INTO previous FROM appointments
+    WHERE id = p_appointment_id
+      AND patient_id = p_patient_id
+      AND status IN ('pending', 'confirmed', 'reminder_sent')
+    FOR UPDATE;
+    IF previous.id IS NULL THEN
+        RAISE EXCEPTION 'appointment % cannot be cancelled', p_appointment_id
+            USING ERRCODE = 'no_data_found';
+    END IF;
+
+    -- The appointments trigger frees the slot and counts the cancellation
+    UPDATE appointments
+    SET status = 'cancelled',
+        cancelled_at = CURRENT_TIMESTAMP,
+        cancelled_by = p_actor_id,
+        cancellation_reason = p_reason,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = p_appointment_id
+    RETURNING * INTO cancelled;
+
+    INSERT INTO audit_logs (
+        user_id, user_role, ip_address, user_agent,
+        action, action_category, table_name, record_id,
+        old_values, new_values, changed_fields, risk_level
+    ) VALUES (
+        p_actor_id,
+        p_actor_role::user_role,
+        p_ip_address,
+        p_user_agent,
+        'cancel',
+        'medical',
+        'appointments',
+        cancelled.id,
+        to_jsonb(previous),
+        to_jsonb(cancelled) || jsonb_build_object(
+            'on_behalf_of', p_patient_id,
+            'caregiver_grant_id', p_grant_id,
+            'scope', 'cancel'
+        ),
+        ARRAY['status', 'cancelled_at', 'cancelled_by', 'cancellation_reason'],
+        1
+    );
+
+    RETURN cancelled;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION caregiver_grant_allows(UUID, UUID, TEXT) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION caregiver_grant_allows(UUID, UUID, TEXT) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION caregiver_grant_allows(UUID, UUID, TEXT) TO service_role;
+REVOKE ALL ON FUNCTION book_patient_appointment(UUID, UUID, TEXT) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION book_patient_appointment(UUID, UUID, TEXT) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION book_patient_appointment(UUID, UUID, TEXT) TO service_role;
+REVOKE ALL ON FUNCTION save_caregiver_grant(UUID, BOOLEAN, UUID, TEXT, TEXT, TEXT[], TIMESTAMPTZ, UUID, TEXT, INET, TEXT) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION save_caregiver_grant(UUID, BOOLEAN, UUID, TEXT, TEXT, TEXT[], TIMESTAMPTZ, UUID, TEXT, INET, TEXT) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION save_caregiver_grant(UUID, BOOLEAN, UUID, TEXT, TEXT, TEXT[], TIMESTAMPTZ, UUID, TEXT, INET, TEXT) TO service_role;
+REVOKE ALL ON FUNCTION portal_book_appointment(UUID, UUID, UUID, UUID, TEXT, INET, TEXT) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION portal_book_appointment(UUID, UUID, UUID, UUID, TEXT, INET, TEXT) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION portal_book_appointment(UUID, UUID, UUID, UUID, TEXT, INET, TEXT) TO service_role;
+REVOKE ALL ON FUNCTION portal_cancel_appointment(UUID, UUID, TEXT, UUID, UUID, TEXT, INET, TEXT) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION portal_cancel_appointment(UUID, UUID, TEXT, UUID, UUID, TEXT, INET, TEXT) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION portal_cancel_appointment(UUID, UUID, TEXT, UUID, UUID, TEXT, INET, TEXT) TO service_role;
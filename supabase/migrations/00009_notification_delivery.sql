@@ -0,0 +1,35 @@
+-- ============================================================================
+-- 00009: Notification delivery
+-- ============================================================================
+-- Booking confirmations and appointment reminders are queued as
+-- notifications rows and sent by the delivery loop in every app instance
+-- (src/lib/notifications/delivery.ts). Each row is rendered in the patient's
+-- language when it is queued and carries the channels to fall back to, in
+-- order, if its current channel fails.
+--
+-- A loop claims a due row by setting status 'sending' and claimed_at in one
+-- conditional update, so only one instance sends it; a claim older than a
+-- few minutes belongs to an instance that stopped mid-send and is retaken.
+-- Delivery receipts from Twilio and SendGrid move sent rows on to delivered,
+-- read, failed or bounced, or back to pending on the next fallback channel.
+-- ============================================================================
+
+ALTER TABLE notifications
+    ADD COLUMN IF NOT EXISTS language language_code DEFAULT 'en',
+    -- Values the message was rendered with, also passed to SendGrid templates
+    ADD COLUMN IF NOT EXISTS template_data JSONB,
+    -- Channels still to try after notification_type, in order
+    ADD COLUMN IF NOT EXISTS fallback_channels notification_type[] NOT NULL DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ,
+    -- e.g. appointmentReminder:<appointment id>; queueing the same one twice is a no-op
+    ADD COLUMN IF NOT EXISTS dedupe_key TEXT UNIQUE;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_due
+    ON notifications(next_attempt_at) WHERE status IN ('pending', 'sending');
+CREATE INDEX IF NOT EXISTS idx_notifications_provider_message
+    ON notifications(provider, provider_message_id) WHERE provider_message_id IS NOT NULL;
+
+-- Reminders: appointments not yet reminded, by time
+CREATE INDEX IF NOT EXISTS idx_appointments_reminder_due
+    ON appointments(scheduled_time) WHERE reminder_sent = FALSE;
@@ -0,0 +1,104 @@
+-- ============================================================================
+-- 00010: CHAS claims at checkout
+-- ============================================================================
+-- Front-desk staff record a CHAS claim for a visit when the patient pays.
+-- The subsidy is worked out by the app (src/lib/chas/subsidy.ts), which has
+-- the per-visit amounts and yearly caps of the current MOH schedule and
+-- supersedes calculate_chas_subsidy(); the valid_amounts check still holds
+-- the figures to fee = subsidy + payable.
+--
+-- Claims are recorded only through record_chas_claim(), which writes its
+-- audit_logs row in the same transaction. Monthly batches are exported from
+-- the admin dashboard.
+-- ============================================================================
+
+-- What the visit is claimed as; chronic visits count towards a yearly cap
+ALTER TABLE chas_claims
+    ADD COLUMN IF NOT EXISTS visit_category TEXT CHECK (visit_category IN (
+        'acute', 'chronicSimple', 'chronicComplex', 'screening', 'vaccination'
+    ));
+
+-- One live claim per visit
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chas_claims_live_appointment
+    ON chas_claims(appointment_id) WHERE status <> 'cancelled';
+CREATE INDEX IF NOT EXISTS idx_chas_claims_claim_date ON chas_claims(claim_date);
+
+-- Records the claim for a visit the patient has arrived for. Raises
+-- no_data_found when the appointment does not exist or was never attended,
+-- and unique_violation when the visit already has a claim.
+CREATE OR REPLACE FUNCTION record_chas_claim(
+    p_appointment_id UUID,
+    p_visit_category TEXT,
+    p_chas_tier TEXT,
+    p_consultation_fee_cents INTEGER,
+    p_medication_fee_cents INTEGER,
+    p_subsidy_cents INTEGER,
+    p_actor_id UUID,
+    p_actor_role TEXT,
+    p_ip_address INET,
+    p_user_agent TEXT
+)
+RETURNS chas_claims
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    visit appointments;
+    card_number TEXT;
+    recorded chas_claims;
+BEGIN
+    SELECT * INTO visit FROM appointments WHERE id = p_appointment_id FOR UPDATE;
+    IF NOT FOUND OR visit.status NOT IN ('arrived', 'in_consultation', 'completed') THEN
+        RAISE EXCEPTION 'appointment % has no visit to claim for', p_appointment_id
+            USING ERRCODE = 'no_data_found';
+    END IF;
+
+    SELECT chas_card_number INTO card_number FROM patients WHERE id = visit.patient_id;
+
+    INSERT INTO chas_claims (
+        appointment_id, patient_id, medical_record_id, claim_date,
+        chas_tier, chas_card_number, visit_category,
+        consultation_fee_cents, medication_fee_cents, total_fee_cents,
+        subsidy_amount_cents, patient_payable_cents, status
+    ) VALUES (
+        visit.id,
+        visit.patient_id,
+        (SELECT id FROM medical_records WHERE appointment_id = visit.id),
+        visit.queue_date,
+        p_chas_tier::chas_tier,
+        card_number,
+        p_visit_category,
+        p_consultation_fee_cents,
+        p_medication_fee_cents,
+        p_consultation_fee_cents + p_medication_fee_cents,
+        p_subsidy_cents,
+        p_consultation_fee_cents + p_medication_fee_cents - p_subsidy_cents,
+        'pending'
+    )
+    RETURNING * INTO recorded;
+
+    INSERT INTO audit_logs (
+        user_id, user_role, ip_address, user_agent,
+        action, action_category, table_name, record_id,
+        new_values, risk_level
+    ) VALUES (
+        p_actor_id,
+        p_actor_role::user_role,
+        p_ip_address,
+        p_user_agent,
+        'create',
+        'billing',
+        'chas_claims',
+        recorded.id,
+        to_jsonb(recorded),
+        3
+    );
+
+    RETURN recorded;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION record_chas_claim(UUID, TEXT, TEXT, INTEGER, INTEGER, INTEGER, UUID, TEXT, INET, TEXT) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION record_chas_claim(UUID, TEXT, TEXT, INTEGER, INTEGER, INTEGER, UUID, TEXT, INET, TEXT) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_chas_claim(UUID, TEXT, TEXT, INTEGER, INTEGER, INTEGER, UUID, TEXT, INET, TEXT) TO service_role;
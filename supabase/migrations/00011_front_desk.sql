@@ -0,0 +1,455 @@
+-- ============================================================================
+-- 00011: Front-desk console
+-- ============================================================================
+-- Staff check patients in, register walk-ins, call the next patient for a
+-- doctor, mark no-shows and put patients back in the queue from the
+-- front-desk console (src/pages/admin/front-desk.tsx). Every change goes
+-- through one of the front_desk_* functions below, which writes its
+-- audit_logs row and refreshes queue_status in the same transaction, so the
+-- public queue snapshot follows the console.
+--
+-- Patients join the queue in the order they arrive: checking in (or
+-- re-queueing) gives the appointment the doctor's next queue_sequence for
+-- the day, which is the order patients are called in. Booked patients keep
+-- the queue number they were given when booking; walk-ins are numbered
+-- under the prefix the front desk picks, e.g. W001, W002.
+-- ============================================================================
+
+-- Walk-ins have no time slot
+ALTER TABLE appointments ALTER COLUMN time_slot_id DROP NOT NULL;
+
+-- queue_status.queue_date is a clinic date, which is a day ahead of
+-- CURRENT_DATE (UTC on Supabase) until 08:00 in Singapore
+ALTER TABLE queue_status DROP CONSTRAINT IF EXISTS valid_queue_date;
+ALTER TABLE queue_status ADD CONSTRAINT valid_queue_date
+    CHECK (queue_date <= (CURRENT_TIMESTAMP AT TIME ZONE 'Asia/Singapore')::DATE);
+
+-- Serialises numbering within one doctor's queue for a day, so two desks
+-- checking patients in at the same moment never get the same sequence
+CREATE OR REPLACE FUNCTION lock_doctor_queue(p_doctor_id UUID, p_queue_date DATE)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+    SELECT pg_advisory_xact_lock(hashtext('queue:' || p_doctor_id || ':' || p_queue_date));
+$$;
+
+-- The place at the back of a doctor's queue. Call with the queue locked.
+CREATE OR REPLACE FUNCTION next_queue_sequence(p_doctor_id UUID, p_queue_date DATE)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT COALESCE(MAX(queue_sequence), 0) + 1
+    FROM appointments
+    WHERE doctor_id = p_doctor_id AND queue_date = p_queue_date;
+$$;
+
+-- The next number under a prefix in a doctor's queue, e.g. W007 after W006.
+-- Call with the queue locked.
+CREATE OR REPLACE FUNCTION next_queue_number(p_doctor_id UUID, p_queue_date DATE, p_prefix TEXT)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT p_prefix || LPAD((COALESCE(MAX(SUBSTRING(queue_number FROM '\d+$')::INTEGER), 0) + 1)::TEXT, 3, '0')
+    FROM appointments
+    WHERE doctor_id = p_doctor_id
+      AND queue_date = p_queue_date
+      AND queue_number ~ ('^' || p_prefix || '\d+$');
+$$;
+
+-- Brings a doctor's queue_status row up to date with their appointments:
+-- who is being seen and the day's counts. Creates the row on the first
+-- change of the day.
+CREATE OR REPLACE FUNCTION sync_queue_status(p_doctor_id UUID, p_queue_date DATE, p_called BOOLEAN)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    current_visit appointments;
+BEGIN
+    SELECT * INTO current_visit FROM appointments
+    WHERE doctor_id = p_doctor_id AND queue_date = p_queue_date AND status = 'in_consultation'
+    ORDER BY actual_start_time DESC NULLS LAST
+    LIMIT 1;
+
+    INSERT INTO queue_status AS qs (
+        doctor_id, queue_date,
+        current_queue_number, current_queue_sequence, current_patient_id, current_appointment_id,
+        total_queued_today, total_seen_today, total_no_shows_today,
+        last_called_at, last_updated_at
+    )
+    SELECT
+        p_doctor_id,
+        p_queue_date,
+        current_visit.queue_number,
+        COALESCE(current_visit.queue_sequence, 0),
+        current_visit.patient_id,
+        current_visit.id,
+        COUNT(*) FILTER (WHERE status IN ('arrived', 'in_consultation', 'completed')),
+        COUNT(*) FILTER (WHERE status = 'completed'),
+        COUNT(*) FILTER (WHERE status = 'no_show'),
+        CASE WHEN p_called THEN CURRENT_TIMESTAMP END,
+        CURRENT_TIMESTAMP
+    FROM appointments
+    WHERE doctor_id = p_doctor_id AND queue_date = p_queue_date
+    ON CONFLICT (doctor_id) DO UPDATE SET
+        queue_date = EXCLUDED.queue_date,
+        current_queue_number = EXCLUDED.current_queue_number,
+        current_queue_sequence = EXCLUDED.current_queue_sequence,
+        current_patient_id = EXCLUDED.current_patient_id,
+        current_appointment_id = EXCLUDED.current_appointment_id,
+        total_queued_today = EXCLUDED.total_queued_today,
+        total_seen_today = EXCLUDED.total_seen_today,
+        total_no_shows_today = EXCLUDED.total_no_shows_today,
+        last_called_at = CASE
+            WHEN p_called THEN EXCLUDED.last_called_at
+            WHEN qs.queue_date = EXCLUDED.queue_date THEN qs.last_called_at
+        END,
+        last_updated_at = EXCLUDED.last_updated_at;
+END;
+$$;
+
+-- Checks in a patient booked for the day. Raises no_data_found when the
+-- appointment is not for that day or is no longer waiting to be checked in.
+CREATE OR REPLACE FUNCTION front_desk_check_in(
+    p_appointment_id UUID,
+    p_queue_date DATE,
+    p_actor_id UUID,
+    p_actor_role TEXT,
+    p_ip_address INET,
+    p_user_agent TEXT
+)
+RETURNS appointments
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    previous appointments;
+    saved appointments;
+BEGIN
+    SELECT * INTO previous FROM appointments
+    WHERE id = p_appointment_id
+      AND queue_date = p_queue_date
+      AND status IN ('pending', 'confirmed', 'reminder_sent')
+    FOR UPDATE;
+    IF previous.id IS NULL THEN
+        RAISE EXCEPTION 'appointment % cannot be checked in', p_appointment_id
+            USING ERRCODE = 'no_data_found';
+    END IF;
+
+    PERFORM lock_doctor_queue(previous.doctor_id, p_queue_date);
+
+    UPDATE appointments
+    SET status = 'arrived',
+        queue_sequence = next_queue_sequence(previous.doctor_id, p_queue_date),
+        checked_in_at = CURRENT_TIMESTAMP,
+        checked_in_by = p_actor_id,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = p_appointment_id
+    RETURNING * INTO saved;
+
+    PERFORM sync_queue_status(saved.doctor_id, p_queue_date, FALSE);
+
+    INSERT INTO audit_logs (
+        user_id, user_role, ip_address, user_agent,
+        action, action_category, table_name, record_id,
+        old_values, new_values, changed_fields, risk_level
+    ) VALUES (
+        p_actor_id, p_actor_role::user_role, p_ip_address, p_user_agent,
+        'check_in', 'medical', 'appointments', saved.id,
+        to_jsonb(previous), to_jsonb(saved),
+        ARRAY['status', 'queue_sequence', 'checked_in_at', 'checked_in_by'],
+        1
+    );
+
+    RETURN saved;
+END;
+$$;
+
+-- Registers a walk-in for the patient with this mobile number (creating a
+-- provisional patient if there is none, as quick booking does) and queues
+-- them under p_prefix. Raises unique_violation when the patient already has
+-- a live appointment that day; the front desk checks that one in instead.
+CREATE OR REPLACE FUNCTION front_desk_register_walk_in(
+    p_full_name TEXT,
+    p_phone TEXT,
+    p_language language_code,
+    p_doctor_id UUID,
+    p_prefix TEXT,
+    p_queue_date DATE,
+    p_actor_id UUID,
+    p_actor_role TEXT,
+    p_ip_address INET,
+    p_user_agent TEXT
+)
+RETURNS appointments
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_patient_id UUID;
+    saved appointments;
+BEGIN
+    SELECT id INTO v_patient_id
+    FROM patients
+    WHERE phone = p_phone AND is_active
+    ORDER BY registration_status = 'complete' DESC, created_at
+    LIMIT 1;
+
+    IF v_patient_id IS NULL THEN
+        INSERT INTO patients (full_name, phone, preferred_language, registration_status)
+        VALUES (p_full_name, p_phone, p_language, 'provisional')
+        RETURNING id INTO v_patient_id;
+    ELSIF EXISTS (
+        SELECT 1 FROM appointments
+        WHERE patient_id = v_patient_id
+          AND queue_date = p_queue_date
+          AND status NOT IN ('cancelled', 'no_show', 'rescheduled', 'completed')
+    ) THEN
+        RAISE EXCEPTION 'patient % already has an appointment on %', v_patient_id, p_queue_date
+            USING ERRCODE = 'unique_violation';
+    END IF;
+
+    PERFORM lock_doctor_queue(p_doctor_id, p_queue_date);
+
+    INSERT INTO appointments (
+        patient_id, doctor_id, time_slot_id,
+        queue_number, queue_sequence, queue_date,
+        status, scheduled_time, checked_in_at, checked_in_by,
+        booking_source, booking_notes
+    ) VALUES (
+        v_patient_id,
+        p_doctor_id,
+        NULL,
+        next_queue_number(p_doctor_id, p_queue_date, p_prefix),
+        next_queue_sequence(p_doctor_id, p_queue_date),
+        p_queue_date,
+        'arrived',
+        CURRENT_TIMESTAMP,
+        CURRENT_TIMESTAMP,
+        p_actor_id,
+        'walk-in',
+        'Walk-in (front desk)'
+    )
+    RETURNING * INTO saved;
+
+    PERFORM sync_queue_status(p_doctor_id, p_queue_date, FALSE);
+
+    INSERT INTO audit_logs (
+        user_id, user_role, ip_address, user_agent,
+        action, action_category, table_name, record_id,
+        new_values, risk_level
+    ) VALUES (
+        p_actor_id, p_actor_role::user_role, p_ip_address, p_user_agent,
+        'create', 'medical', 'appointments', saved.id,
+        to_jsonb(saved),
+        1
+    );
+
+    RETURN saved;
+END;
+$$;
+
+-- Finishes the doctor's current consultation, if any, and calls the next
+-- checked-in patient. Returns NULL when nobody is waiting.
+CREATE OR REPLACE FUNCTION front_desk_call_next(
+    p_doctor_id UUID,
+    p_queue_date DATE,
+    p_actor_id UUID,
+    p_actor_role TEXT,
+    p_ip_address INET,
+    p_user_agent TEXT
+)
+RETURNS appointments
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    next_visit appointments;
+    saved appointments;
+BEGIN
+    PERFORM lock_doctor_queue(p_doctor_id, p_queue_date);
+
+    UPDATE appointments
+    SET status = 'completed',
+        actual_end_time = CURRENT_TIMESTAMP,
+        consultation_duration_minutes = CEIL(
+            EXTRACT(EPOCH FROM CURRENT_TIMESTAMP - COALESCE(actual_start_time, CURRENT_TIMESTAMP)) / 60
+        )::INTEGER,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE doctor_id = p_doctor_id AND queue_date = p_queue_date AND status = 'in_consultation';
+
+    SELECT * INTO next_visit FROM appointments
+    WHERE doctor_id = p_doctor_id AND queue_date = p_queue_date AND status = 'arrived'
+    ORDER BY queue_sequence
+    LIMIT 1
+    FOR UPDATE;
+
+    IF next_visit.id IS NOT NULL THEN
+        UPDATE appointments
+        SET status = 'in_consultation',
+            actual_start_time = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = next_visit.id
+        RETURNING * INTO saved;
+    END IF;
+
+    PERFORM sync_queue_status(p_doctor_id, p_queue_date, saved.id IS NOT NULL);
+
+    IF saved.id IS NOT NULL THEN
+        INSERT INTO audit_logs (
+            user_id, user_role, ip_address, user_agent,
+            action, action_category, table_name, record_id,
+            old_values, new_values, changed_fields, risk_level
+        ) VALUES (
+            p_actor_id, p_actor_role::user_role, p_ip_address, p_user_agent,
+            'call', 'medical', 'appointments', saved.id,
+            to_jsonb(next_visit), to_jsonb(saved),
+            ARRAY['status', 'actual_start_time'],
+            1
+        );
+    END IF;
+
+    RETURN saved;
+END;
+$$;
+
+-- Marks a patient who was booked, checked in or called but is not here as
+-- a no-show. Raises no_data_found when the appointment has moved on.
+CREATE OR REPLACE FUNCTION front_desk_mark_no_show(
+    p_appointment_id UUID,
+    p_queue_date DATE,
+    p_actor_id UUID,
+    p_actor_role TEXT,
+    p_ip_address INET,
+    p_user_agent TEXT
+)
+RETURNS appointments
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    previous appointments;
+    saved appointments;
+BEGIN
+    SELECT * INTO previous FROM appointments
+    WHERE id = p_appointment_id
+      AND queue_date = p_queue_date
+      AND status IN ('pending', 'confirmed', 'reminder_sent', 'arrived', 'in_consultation')
+    FOR UPDATE;
+    IF previous.id IS NULL THEN
+        RAISE EXCEPTION 'appointment % cannot be marked as a no-show', p_appointment_id
+            USING ERRCODE = 'no_data_found';
+    END IF;
+
+    -- The appointments triggers free the slot and count the no-show
+    UPDATE appointments
+    SET status = 'no_show',
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = p_appointment_id
+    RETURNING * INTO saved;
+
+    PERFORM sync_queue_status(saved.doctor_id, p_queue_date, FALSE);
+
+    INSERT INTO audit_logs (
+        user_id, user_role, ip_address, user_agent,
+        action, action_category, table_name, record_id,
+        old_values, new_values, changed_fields, risk_level
+    ) VALUES (
+        p_actor_id, p_actor_role::user_role, p_ip_address, p_user_agent,
+        'no_show', 'medical', 'appointments', saved.id,
+        to_jsonb(previous), to_jsonb(saved),
+        ARRAY['status'],
+        1
+    );
+
+    RETURN saved;
+END;
+$$;
+
+-- Puts a no-show who turned up after all, or a called patient who did not
+-- come in, back at the end of the queue with the same queue number. Their
+-- followers are alerted again as the queue reaches them. Raises
+-- no_data_found when the appointment is in neither state.
+CREATE OR REPLACE FUNCTION front_desk_requeue(
+    p_appointment_id UUID,
+    p_queue_date DATE,
+    p_actor_id UUID,
+    p_actor_role TEXT,
+    p_ip_address INET,
+    p_user_agent TEXT
+)
+RETURNS appointments
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    previous appointments;
+    saved appointments;
+BEGIN
+    SELECT * INTO previous FROM appointments
+    WHERE id = p_appointment_id
+      AND queue_date = p_queue_date
+      AND status IN ('no_show', 'in_consultation')
+    FOR UPDATE;
+    IF previous.id IS NULL THEN
+        RAISE EXCEPTION 'appointment % cannot be re-queued', p_appointment_id
+            USING ERRCODE = 'no_data_found';
+    END IF;
+
+    PERFORM lock_doctor_queue(previous.doctor_id, p_queue_date);
+
+    UPDATE appointments
+    SET status = 'arrived',
+        queue_sequence = next_queue_sequence(previous.doctor_id, p_queue_date),
+        checked_in_at = COALESCE(checked_in_at, CURRENT_TIMESTAMP),
+        checked_in_by = COALESCE(checked_in_by, p_actor_id),
+        actual_start_time = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = p_appointment_id
+    RETURNING * INTO saved;
+
+    UPDATE push_subscriptions
+    SET approaching_sent_at = NULL,
+        called_sent_at = NULL
+    WHERE appointment_id = p_appointment_id;
+
+    PERFORM sync_queue_status(saved.doctor_id, p_queue_date, FALSE);
+
+    INSERT INTO audit_logs (
+        user_id, user_role, ip_address, user_agent,
+        action, action_category, table_name, record_id,
+        old_values, new_values, changed_fields, risk_level
+    ) VALUES (
+        p_actor_id, p_actor_role::user_role, p_ip_address, p_user_agent,
+        'requeue', 'medical', 'appointments', saved.id,
+        to_jsonb(previous), to_jsonb(saved),
+        ARRAY['status', 'queue_sequence', 'actual_start_time'],
+        1
+    );
+
+    RETURN saved;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION front_desk_check_in(UUID, DATE, UUID, TEXT, INET, TEXT) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION front_desk_check_in(UUID, DATE, UUID, TEXT, INET, TEXT) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION front_desk_check_in(UUID, DATE, UUID, TEXT, INET, TEXT) TO service_role;
+REVOKE ALL ON FUNCTION front_desk_register_walk_in(TEXT, TEXT, language_code, UUID, TEXT, DATE, UUID, TEXT, INET, TEXT) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION front_desk_register_walk_in(TEXT, TEXT, language_code, UUID, TEXT, DATE, UUID, TEXT, INET, TEXT) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION front_desk_register_walk_in(TEXT, TEXT, language_code, UUID, TEXT, DATE, UUID, TEXT, INET, TEXT) TO service_role;
+REVOKE ALL ON FUNCTION front_desk_call_next(UUID, DATE, UUID, TEXT, INET, TEXT) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION front_desk_call_next(UUID, DATE, UUID, TEXT, INET, TEXT) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION front_desk_call_next(UUID, DATE, UUID, TEXT, INET, TEXT) TO service_role;
+REVOKE ALL ON FUNCTION front_desk_mark_no_show(UUID, DATE, UUID, TEXT, INET, TEXT) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION front_desk_mark_no_show(UUID, DATE, UUID, TEXT, INET, TEXT) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION front_desk_mark_no_show(UUID, DATE, UUID, TEXT, INET, TEXT) TO service_role;
+REVOKE ALL ON FUNCTION front_desk_requeue(UUID, DATE, UUID, TEXT, INET, TEXT) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION front_desk_requeue(UUID, DATE, UUID, TEXT, INET, TEXT) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION front_desk_requeue(UUID, DATE, UUID, TEXT, INET, TEXT) TO service_role;
@@ -0,0 +1,12 @@
+-- ============================================================================
+-- 00012: Consultation rooms for the waiting-room display
+-- ============================================================================
+-- The waiting-room TV (src/pages/queue/display.tsx) calls patients to a
+-- room: "A013, please proceed to Room 2". The room is a short label such as
+-- "2" or "2A"; the display adds the word "Room" in each language. Doctors
+-- without a room are called to "the consultation room".
+-- ============================================================================
+
+ALTER TABLE doctors
+    ADD COLUMN IF NOT EXISTS consultation_room TEXT
+        CHECK (consultation_room ~ '^[A-Za-z0-9-]{1,8}$');
@@ -0,0 +1,92 @@
+-- ============================================================================
+-- 00013: Self check-in kiosk
+-- ============================================================================
+-- Patients check themselves in at the tablet by the entrance
+-- (src/pages/check-in.tsx), either by showing the QR code from their
+-- booking confirmation or by entering the last 4 characters of their NRIC
+-- and their date of birth. The tablet is signed in with a staff account, so
+-- the check-in itself goes through front_desk_check_in() and is audited as
+-- that account; self_check_ins records how the patient identified
+-- themselves.
+--
+-- QR codes are signed tokens that are only valid on the day of the
+-- appointment (checked in the app) and carry a unique id. The id is stored
+-- here when the code is used, so the same code, or a screenshot of it,
+-- cannot check anyone in twice.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS self_check_ins (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    appointment_id UUID NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+    method TEXT NOT NULL CHECK (method IN ('qr', 'nric')),
+    -- jti of the QR code's token
+    token_id TEXT UNIQUE,
+    checked_in_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT qr_has_token CHECK ((method = 'qr') = (token_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_self_check_ins_appointment ON self_check_ins(appointment_id);
+
+-- Only the service role (the kiosk API) reads or writes check-ins
+ALTER TABLE self_check_ins ENABLE ROW LEVEL SECURITY;
+
+-- Checks in the appointment from a QR code (p_appointment_id and
+-- p_token_id), or the one booked for p_queue_date by the patient with this
+-- NRIC ending and date of birth. Raises unique_violation when the QR code
+-- has been used before, no_data_found when there is no appointment waiting
+-- to be checked in and too_many_rows when the NRIC ending and date of birth
+-- match more than one patient.
+CREATE OR REPLACE FUNCTION self_check_in(
+    p_appointment_id UUID,
+    p_token_id TEXT,
+    p_nric_last_4 TEXT,
+    p_date_of_birth DATE,
+    p_queue_date DATE,
+    p_actor_id UUID,
+    p_actor_role TEXT,
+    p_ip_address INET,
+    p_user_agent TEXT
+)
+RETURNS appointments
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    target UUID := p_appointment_id;
+    found UUID[];
+    saved appointments;
+BEGIN
+    IF target IS NULL THEN
+        SELECT array_agg(a.id) INTO found
+        FROM appointments a
+        JOIN patients p ON p.id = a.patient_id
+        WHERE a.queue_date = p_queue_date
+          AND a.status IN ('pending', 'confirmed', 'reminder_sent')
+          AND p.nric_last_4 = upper(p_nric_last_4)
+          AND p.date_of_birth = p_date_of_birth;
+
+        IF COALESCE(array_length(found, 1), 0) = 0 THEN
+            RAISE EXCEPTION 'no appointment to check in' USING ERRCODE = 'no_data_found';
+        ELSIF array_length(found, 1) > 1 THEN
+            RAISE EXCEPTION 'NRIC ending and date of birth match % appointments', array_length(found, 1)
+                USING ERRCODE = 'too_many_rows';
+        END IF;
+        target := found[1];
+    END IF;
+
+    -- A used code fails here, before anything else changes
+    INSERT INTO self_check_ins (appointment_id, method, token_id)
+    VALUES (target, CASE WHEN p_token_id IS NULL THEN 'nric' ELSE 'qr' END, p_token_id);
+
+    SELECT * INTO saved
+    FROM front_desk_check_in(target, p_queue_date, p_actor_id, p_actor_role, p_ip_address, p_user_agent);
+
+    RETURN saved;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION self_check_in(UUID, TEXT, TEXT, DATE, DATE, UUID, TEXT, INET, TEXT) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION self_check_in(UUID, TEXT, TEXT, DATE, DATE, UUID, TEXT, INET, TEXT) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION self_check_in(UUID, TEXT, TEXT, DATE, DATE, UUID, TEXT, INET, TEXT) TO service_role;
@@ -195,7 +195,7 @@ module.exports = {
   plugins: [
     require('tailwindcss-animate'),
     // Custom plugin for focus-visible utilities
-    function({ addUtilities }) {
+    function({ addUtilities, addVariant }) {
       addUtilities({
         '.focus-visible-ring': {
           '@apply focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-offset-2 focus-visible:ring-primary-500': {},
@@ -204,6 +204,12 @@ module.exports = {
           '@apply min-h-[48px] min-w-[48px]': {}, // WCAG AAA touch target size
         },
       });
+      // Follow the accessibility panel (classes set on <html> by src/lib/accessibility)
+      addVariant('high-contrast', ':is(.high-contrast &)');
+      addVariant('reduced-motion', [
+        '@media (prefers-reduced-motion: reduce)',
+        ':is([data-reduced-motion] &)',
+      ]);
     },
   ],
 };
@@ -0,0 +1,11 @@
+/**
+ * Test environment
+ * src/lib/config/env validates process.env when imported, so tests run with
+ * the documented defaults from .env.example. Variables already set win.
+ */
+
+import path from 'path';
+
+import { config } from 'dotenv';
+
+config({ path: path.join(__dirname, '..', '.env.example') });
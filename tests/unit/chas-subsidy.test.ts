@@ -0,0 +1,140 @@
+import { calculateSubsidy, visitCategory } from '@/lib/chas/subsidy';
+import type { VisitCategory } from '@/lib/chas/subsidy';
+import type { ChasTier } from '@/lib/chas/tiers';
+
+/** $200: above every per-visit amount, so nothing here is cut to the bill */
+const FEE = 20_000;
+
+describe('calculateSubsidy', () => {
+  // Subsidy in cents on a FEE bill, with no chronic subsidy claimed yet this year
+  it.each<[ChasTier, VisitCategory, number]>([
+    ['blue', 'acute', 1_850],
+    ['blue', 'chronicSimple', 8_500],
+    ['blue', 'chronicComplex', 13_000],
+    ['blue', 'screening', 19_500],
+    ['blue', 'vaccination', 1_850],
+
+    ['orange', 'acute', 1_050],
+    ['orange', 'chronicSimple', 6_500],
+    ['orange', 'chronicComplex', 10_500],
+    ['orange', 'screening', 19_500],
+    ['orange', 'vaccination', 1_050],
+
+    ['green', 'acute', 0],
+    ['green', 'chronicSimple', 4_000],
+    ['green', 'chronicComplex', 8_000],
+    ['green', 'screening', 19_500],
+    ['green', 'vaccination', 0],
+
+    ['pioneer', 'acute', 2_850],
+    ['pioneer', 'chronicSimple', 13_500],
+    ['pioneer', 'chronicComplex', 18_000],
+    ['pioneer', 'screening', 20_000],
+    ['pioneer', 'vaccination', 2_850],
+
+    ['merdeka', 'acute', 2_350],
+    ['merdeka', 'chronicSimple', 11_250],
+    ['merdeka', 'chronicComplex', 16_250],
+    ['merdeka', 'screening', 20_000],
+    ['merdeka', 'vaccination', 2_350],
+
+    // Pioneer Generation with Merdeka status is subsidised at Pioneer rates
+    ['pg_merdeka', 'acute', 2_850],
+    ['pg_merdeka', 'chronicSimple', 13_500],
+    ['pg_merdeka', 'chronicComplex', 18_000],
+    ['pg_merdeka', 'screening', 20_000],
+    ['pg_merdeka', 'vaccination', 2_850],
+
+    // A card with no colour on record gets the lowest tier, green
+    ['chas_card', 'acute', 0],
+    ['chas_card', 'chronicSimple', 4_000],
+    ['chas_card', 'chronicComplex', 8_000],
+    ['chas_card', 'screening', 19_500],
+    ['chas_card', 'vaccination', 0],
+
+    ['none', 'acute', 0],
+    ['none', 'chronicSimple', 0],
+    ['none', 'chronicComplex', 0],
+    ['none', 'screening', 0],
+    ['none', 'vaccination', 0],
+  ])('%s, %s: %i cents off', (tier, category, subsidyCents) => {
+    expect(calculateSubsidy({ tier, category, feeCents: FEE })).toEqual({
+      tier,
+      category,
+      feeCents: FEE,
+      subsidyCents,
+      payableCents: FEE - subsidyCents,
+      capped: false,
+    });
+  });
+
+  describe('yearly chronic cap', () => {
+    it.each<[string, ChasTier, VisitCategory, number, number, boolean]>([
+      ['untouched', 'blue', 'chronicSimple', 0, 8_500, false],
+      ['leaving exactly one visit', 'blue', 'chronicSimple', 25_500, 8_500, false],
+      ['partly used up', 'blue', 'chronicSimple', 30_000, 4_000, true],
+      ['used up', 'blue', 'chronicSimple', 34_000, 0, true],
+      ['overdrawn', 'blue', 'chronicSimple', 40_000, 0, true],
+      ['shared with complex visits', 'green', 'chronicComplex', 28_000, 4_000, true],
+      ['used up at Pioneer rates', 'pg_merdeka', 'chronicComplex', 72_000, 0, true],
+    ])('%s: %s %s after %i claimed', (_case, tier, category, claimed, subsidyCents, capped) => {
+      expect(
+        calculateSubsidy({ tier, category, feeCents: FEE, chronicClaimedCents: claimed })
+      ).toMatchObject({ subsidyCents, payableCents: FEE - subsidyCents, capped });
+    });
+
+    it('does not apply to acute visits', () => {
+      expect(
+        calculateSubsidy({
+          tier: 'blue',
+          category: 'acute',
+          feeCents: FEE,
+          chronicClaimedCents: 100_000,
+        })
+      ).toMatchObject({ subsidyCents: 1_850, capped: false });
+    });
+  });
+
+  describe('clamping to the bill', () => {
+    it('never subsidises more than the bill', () => {
+      expect(
+        calculateSubsidy({ tier: 'pioneer', category: 'chronicComplex', feeCents: 6_000 })
+      ).toMatchObject({ subsidyCents: 6_000, payableCents: 0, capped: false });
+    });
+
+    it('charges a bill below the co-payment in full', () => {
+      expect(
+        calculateSubsidy({ tier: 'blue', category: 'screening', feeCents: 300 })
+      ).toMatchObject({ subsidyCents: 0, payableCents: 300 });
+    });
+
+    it('subsidises nothing when the bill is exactly the co-payment', () => {
+      expect(
+        calculateSubsidy({ tier: 'orange', category: 'screening', feeCents: 500 })
+      ).toMatchObject({ subsidyCents: 0, payableCents: 500 });
+    });
+
+    it('rounds fractional cents and treats a negative fee as nothing', () => {
+      expect(
+        calculateSubsidy({ tier: 'green', category: 'screening', feeCents: 1_234.6 })
+      ).toMatchObject({ feeCents: 1_235, subsidyCents: 735, payableCents: 500 });
+      expect(calculateSubsidy({ tier: 'blue', category: 'acute', feeCents: -100 })).toMatchObject({
+        feeCents: 0,
+        subsidyCents: 0,
+        payableCents: 0,
+      });
+    });
+  });
+});
+
+describe('visitCategory', () => {
+  it.each<[string | null, VisitCategory]>([
+    ['chronic_care', 'chronicSimple'],
+    ['health_screening', 'screening'],
+    ['vaccination', 'vaccination'],
+    ['consultation', 'acute'],
+    [null, 'acute'],
+  ])('claims %s as %s', (appointmentType, category) => {
+    expect(visitCategory(appointmentType)).toBe(category);
+  });
+});
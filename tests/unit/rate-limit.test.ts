@@ -0,0 +1,216 @@
+import RedisMock from 'ioredis-mock';
+
+import { consumeRateLimit, withRateLimit } from '@/lib/rate-limit';
+import { createMemoryStore, redisStore } from '@/lib/rate-limit/stores';
+import type { RateLimitStore } from '@/lib/rate-limit/stores';
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+// In-memory stand-in for Redis that runs the Lua script like the real thing
+const mockRedis = new RedisMock();
+
+jest.mock('@/lib/redis', () => ({ getRedis: () => mockRedis }));
+
+const policy = { limit: 2, windowMs: 10_000 };
+const T = 1_700_000_000_000;
+
+let keyCount = 0;
+const nextKey = () => `ratelimit:test:${(keyCount += 1)}`;
+
+interface FakeResponse {
+  statusCode: number;
+  body: unknown;
+  headers: Record<string, string>;
+}
+
+function fakeRequest(headers: Record<string, string>): NextApiRequest {
+  return { headers, socket: { remoteAddress: '10.0.0.2' } } as unknown as NextApiRequest;
+}
+
+function fakeResponse(): NextApiResponse & FakeResponse {
+  const res = {
+    statusCode: 200,
+    body: undefined as unknown,
+    headers: {} as Record<string, string>,
+    setHeader(name: string, value: string) {
+      res.headers[name] = value;
+      return res;
+    },
+    status(code: number) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body: unknown) {
+      res.body = body;
+      return res;
+    },
+    once() {
+      return res;
+    },
+  };
+  return res as unknown as NextApiResponse & FakeResponse;
+}
+
+describe.each<[string, () => RateLimitStore]>([
+  ['redis (sliding-window script)', () => redisStore],
+  ['memory', () => createMemoryStore()],
+])('%s store', (_name, createStore) => {
+  let store: RateLimitStore;
+  let key: string;
+
+  beforeEach(() => {
+    store = createStore();
+    key = nextKey();
+  });
+
+  it('allows `limit` requests in a window and refuses the next', async () => {
+    expect(await store.hit(key, policy, T, 'a')).toEqual({
+      allowed: true,
+      count: 1,
+      resetAt: T + 10_000,
+    });
+    expect(await store.hit(key, policy, T + 1_000, 'b')).toEqual({
+      allowed: true,
+      count: 2,
+      resetAt: T + 10_000,
+    });
+    expect(await store.hit(key, policy, T + 2_000, 'c')).toEqual({
+      allowed: false,
+      count: 2,
+      resetAt: T + 10_000,
+    });
+  });
+
+  it('lets a request back in as soon as the oldest leaves the window', async () => {
+    await store.hit(key, policy, T, 'a');
+    await store.hit(key, policy, T + 4_000, 'b');
+
+    expect((await store.hit(key, policy, T + 9_999, 'c')).allowed).toBe(false);
+    expect(await store.hit(key, policy, T + 10_000, 'd')).toEqual({
+      allowed: true,
+      count: 2,
+      resetAt: T + 14_000,
+    });
+  });
+
+  it('does not count refused requests', async () => {
+    await store.hit(key, policy, T, 'a');
+    await store.hit(key, policy, T + 1_000, 'b');
+    for (let at = T + 2_000; at < T + 10_000; at += 1_000) {
+      await store.hit(key, policy, at, `retry-${at}`);
+    }
+
+    // Only "a" has left: the retries never took its place
+    expect((await store.hit(key, policy, T + 10_000, 'c')).allowed).toBe(true);
+    expect((await store.hit(key, policy, T + 10_500, 'd')).allowed).toBe(false);
+  });
+
+  it('takes a released request back out of the count', async () => {
+    await store.hit(key, policy, T, 'a');
+    await store.hit(key, policy, T + 1_000, 'b');
+    await store.release(key, 'b');
+
+    expect(await store.hit(key, policy, T + 2_000, 'c')).toMatchObject({
+      allowed: true,
+      count: 2,
+    });
+  });
+});
+
+describe('consumeRateLimit', () => {
+  let errorLog: jest.SpyInstance;
+  let infoLog: jest.SpyInstance;
+
+  beforeEach(() => {
+    errorLog = jest.spyOn(console, 'error').mockImplementation(() => undefined);
+    infoLog = jest.spyOn(console, 'info').mockImplementation(() => undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts in Redis while it answers', async () => {
+    const first = await consumeRateLimit('cspReport', 'redis-client', T);
+    const second = await consumeRateLimit('cspReport', 'redis-client', T + 1);
+
+    expect(first).toMatchObject({ allowed: true, limit: 20, remaining: 19, resetSeconds: 60 });
+    expect(second.remaining).toBe(18);
+    expect(errorLog).not.toHaveBeenCalled();
+  });
+
+  it('falls back to counting in memory while Redis fails, and logs the outage once', async () => {
+    jest.spyOn(mockRedis, 'eval').mockRejectedValue(new Error('Command timed out'));
+
+    const results = [];
+    for (let index = 0; index < 21; index += 1) {
+      results.push(await consumeRateLimit('cspReport', 'fallback-client', T + index));
+    }
+
+    expect(results[0]).toMatchObject({ allowed: true, remaining: 19 });
+    expect(results[19]).toMatchObject({ allowed: true, remaining: 0 });
+    expect(results[20]).toMatchObject({ allowed: false, remaining: 0, resetSeconds: 60 });
+    expect(errorLog).toHaveBeenCalledTimes(1);
+    expect(errorLog.mock.calls[0]?.join(' ')).toContain('Command timed out');
+
+    jest.mocked(mockRedis.eval).mockRestore();
+    expect((await consumeRateLimit('cspReport', 'fallback-client', T + 30)).allowed).toBe(true);
+    expect(infoLog).toHaveBeenCalledWith('[rate-limit] Redis is back; limits are shared again');
+  });
+});
+
+describe('withRateLimit', () => {
+  const handler = jest.fn((_req: NextApiRequest, res: NextApiResponse) => {
+    res.status(200).json({ ok: true });
+  });
+  const limited = withRateLimit('cspReport', handler);
+
+  beforeEach(() => {
+    handler.mockClear();
+  });
+
+  it('sets the RateLimit headers on allowed requests', async () => {
+    const res = fakeResponse();
+    await limited(fakeRequest({ 'x-real-ip': '203.0.113.1' }), res);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(res.statusCode).toBe(200);
+    expect(res.headers).toEqual({
+      'RateLimit-Limit': '20',
+      'RateLimit-Remaining': '19',
+      'RateLimit-Reset': '60',
+      'RateLimit-Policy': '20;w=60',
+    });
+  });
+
+  it('answers 429 with Retry-After once the limit is used up', async () => {
+    const req = fakeRequest({ 'x-real-ip': '203.0.113.2' });
+    for (let index = 0; index < 20; index += 1) await limited(req, fakeResponse());
+
+    const res = fakeResponse();
+    await limited(req, res);
+
+    expect(handler).toHaveBeenCalledTimes(20);
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['RateLimit-Remaining']).toBe('0');
+    expect(Number(res.headers['Retry-After'])).toBeGreaterThan(0);
+    expect(res.headers['Retry-After']).toBe(res.headers['RateLimit-Reset']);
+    expect(res.body).toMatchObject({ code: 'rate_limited' });
+  });
+
+  it('counts by the address nginx saw, not a forwarded-for header the client sent', async () => {
+    for (let index = 0; index < 20; index += 1) {
+      await limited(
+        fakeRequest({ 'x-real-ip': '203.0.113.3', 'x-forwarded-for': `198.51.100.${index}` }),
+        fakeResponse()
+      );
+    }
+
+    const res = fakeResponse();
+    await limited(
+      fakeRequest({ 'x-real-ip': '203.0.113.3', 'x-forwarded-for': '198.51.100.99' }),
+      res
+    );
+    expect(res.statusCode).toBe(429);
+  });
+});
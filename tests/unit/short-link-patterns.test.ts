@@ -0,0 +1,34 @@
+import fs from 'fs';
+import path from 'path';
+
+import { RESERVED_SEGMENTS, isReservedPath } from '@/lib/short-links/patterns';
+
+const PAGES = path.resolve(__dirname, '../../src/pages');
+
+/** First path segment of every route under src/pages */
+function pageSegments(): string[] {
+  return fs
+    .readdirSync(PAGES, { withFileTypes: true })
+    .map((entry) => (entry.isDirectory() ? entry.name : entry.name.replace(/\.tsx?$/, '')))
+    .filter((name) => !name.startsWith('_') && !name.startsWith('[') && name !== 'index');
+}
+
+describe('RESERVED_SEGMENTS', () => {
+  it.each(pageSegments())('reserves the /%s route', (segment) => {
+    expect(RESERVED_SEGMENTS).toContain(segment);
+  });
+});
+
+describe('isReservedPath', () => {
+  it.each<[string, boolean]>([
+    ['/check-in', true],
+    ['/check-in/:code', true],
+    ['/queue', true],
+    ['/:number', true],
+    ['/b', false],
+    ['/q/:number', false],
+    ['/checkin', false],
+  ])('%s: %s', (shortPath, reserved) => {
+    expect(isReservedPath(shortPath)).toBe(reserved);
+  });
+});
@@ -0,0 +1,267 @@
+import { atClinicTime, getClinicSchedule } from '@/lib/clinic';
+import { createTranslator } from '@/lib/i18n';
+import {
+  estimateQueueWaits,
+  formatWait,
+  learnConsultationDurations,
+  replayWaitEstimates,
+  scorePredictions,
+} from '@/lib/queue';
+import type { ConsultationRecord, DoctorQueue, ReplayPrediction } from '@/lib/queue';
+
+import en from '../../src/locales/en.json';
+
+// Lunch is 12:00-13:00 from NEXT_PUBLIC_LUNCH_HOURS in .env.example
+const schedule = getClinicSchedule();
+const MINUTE_MS = 60_000;
+
+/** A Tuesday with no public holiday */
+const TODAY = '2026-10-20';
+const LAST_WEEK = ['2026-10-12', '2026-10-13', '2026-10-14', '2026-10-15', '2026-10-16'];
+/** Consultations 10 or 20 minutes (15 ± 5), vaccinations always 5 */
+const DAILY_VISITS: Array<[string, number]> = [
+  ['consultation', 10],
+  ['consultation', 20],
+  ['vaccination', 5],
+  ['consultation', 10],
+  ['consultation', 20],
+  ['vaccination', 5],
+];
+
+const at = (time: string, date = TODAY) => atClinicTime(date, time);
+const iso = (time: string, date = TODAY) => at(time, date).toISOString();
+const minutesAfter = (date: Date, minutes: number) =>
+  new Date(date.getTime() + minutes * MINUTE_MS);
+
+/** Back-to-back consultations for doctor A from 09:00, everyone checked in by 08:45 */
+function clinicDay(date: string, visits = DAILY_VISITS): ConsultationRecord[] {
+  let start = at('09:00', date);
+  return visits.map(([visitType, minutes]) => {
+    const end = minutesAfter(start, minutes);
+    const record = {
+      doctorId: 'A',
+      visitType,
+      queueDate: date,
+      checkedInAt: iso('08:45', date),
+      startedAt: start.toISOString(),
+      endedAt: end.toISOString(),
+    };
+    start = end;
+    return record;
+  });
+}
+
+const history = LAST_WEEK.flatMap((date) => clinicDay(date));
+const model = learnConsultationDurations(history, schedule);
+
+/** A consultation that started 5 minutes before `now`, then consultation, vaccination, consultation, consultation */
+function queueAt(now: Date): DoctorQueue {
+  return {
+    doctorId: 'A',
+    current: { visitType: 'consultation', startedAt: minutesAfter(now, -5).toISOString() },
+    waiting: ['consultation', 'vaccination', 'consultation', 'consultation'].map(
+      (visitType, index) => ({ queueSequence: index + 1, visitType })
+    ),
+  };
+}
+
+describe('learnConsultationDurations', () => {
+  it('learns the mean and variance of each visit type', () => {
+    expect(model.visits.get('A:consultation')).toEqual({ count: 20, mean: 15, variance: 25 });
+    expect(model.visits.get('A:vaccination')).toEqual({ count: 10, mean: 5, variance: 0 });
+    expect(model.doctors.get('A')).toMatchObject({ count: 30 });
+    expect(model.clinic.mean).toBeCloseTo(35 / 3);
+  });
+
+  it('leaves lunch out of a consultation that ran over it', () => {
+    const learned = learnConsultationDurations(
+      [
+        {
+          doctorId: 'A',
+          visitType: 'consultation',
+          queueDate: TODAY,
+          checkedInAt: iso('11:30'),
+          startedAt: iso('11:50'),
+          endedAt: iso('13:05'),
+        },
+      ],
+      schedule
+    );
+    expect(learned.visits.get('A:consultation')).toEqual({ count: 1, mean: 15, variance: 0 });
+  });
+
+  it('skips lengths that only say when the next patient arrived, and forgotten call-nexts', () => {
+    const learned = learnConsultationDurations(
+      [
+        // Ended when a patient who walked in a minute earlier was called
+        {
+          doctorId: 'A',
+          visitType: 'consultation',
+          queueDate: TODAY,
+          checkedInAt: iso('09:00'),
+          startedAt: iso('09:00'),
+          endedAt: iso('09:40'),
+        },
+        {
+          doctorId: 'A',
+          visitType: 'consultation',
+          queueDate: TODAY,
+          checkedInAt: iso('09:39'),
+          startedAt: iso('09:40'),
+          endedAt: iso('09:52'),
+        },
+        // Left running for two hours
+        {
+          doctorId: 'A',
+          visitType: 'consultation',
+          queueDate: TODAY,
+          checkedInAt: iso('09:45'),
+          startedAt: iso('09:52'),
+          endedAt: iso('11:52'),
+        },
+      ],
+      schedule
+    );
+    expect(learned.visits.get('A:consultation')).toEqual({ count: 1, mean: 12, variance: 0 });
+  });
+});
+
+describe('estimateQueueWaits', () => {
+  it('assumes 15 ± 7 minutes a consultation before there is any history', () => {
+    const waits = estimateQueueWaits(
+      learnConsultationDurations([], schedule),
+      { doctorId: 'A', current: null, waiting: [{ queueSequence: 1, visitType: 'consultation' }] },
+      schedule,
+      at('10:00')
+    );
+    expect(waits).toEqual([
+      { minutes: 0, low: 0, high: 0 },
+      { minutes: 15, low: 6, high: 24 },
+    ]);
+  });
+
+  it('widens the range with every patient ahead', () => {
+    expect(estimateQueueWaits(model, queueAt(at('10:00')), schedule, at('10:00'))).toEqual([
+      { minutes: 9, low: 2, high: 17 },
+      { minutes: 24, low: 14, high: 34 },
+      { minutes: 31, low: 20, high: 42 },
+      { minutes: 45, low: 32, high: 58 },
+      { minutes: 60, low: 45, high: 74 },
+    ]);
+  });
+
+  it('stretches waits that run into lunch by the lunch hour', () => {
+    // The same queue as at 10:00, but noon comes 30 minutes in
+    expect(estimateQueueWaits(model, queueAt(at('11:30')), schedule, at('11:30'))).toEqual([
+      // Seen before lunch
+      { minutes: 9, low: 2, high: 17 },
+      // Probably before lunch, possibly after it
+      { minutes: 24, low: 14, high: 94 },
+      // Probably after lunch
+      { minutes: 91, low: 20, high: 102 },
+      // After lunch, whichever way the morning goes
+      { minutes: 105, low: 92, high: 118 },
+      { minutes: 120, low: 105, high: 134 },
+    ]);
+  });
+
+  it('does not stretch anything without a lunch break', () => {
+    const noLunch = { ...schedule, lunch: null };
+    expect(estimateQueueWaits(model, queueAt(at('11:30')), noLunch, at('11:30'))).toEqual(
+      estimateQueueWaits(model, queueAt(at('10:00')), noLunch, at('10:00'))
+    );
+  });
+
+  it('counts a wait over lunch from when the afternoon session opens', () => {
+    // Five minutes into a consultation at noon, as at 10:05 in the morning
+    const queue: DoctorQueue = {
+      doctorId: 'A',
+      current: { visitType: 'consultation', startedAt: iso('11:55') },
+      waiting: [],
+    };
+    // Nothing moves until 13:00, 45 minutes away, then the morning's { 9, 2, 17 }
+    expect(estimateQueueWaits(model, queue, schedule, at('12:15'))).toEqual([
+      { minutes: 54, low: 47, high: 62 },
+    ]);
+  });
+
+  it('expects a consultation running over to end any minute', () => {
+    // Vaccinations take 5 minutes; this one has run for 30
+    const queue: DoctorQueue = {
+      doctorId: 'A',
+      current: { visitType: 'vaccination', startedAt: iso('09:30') },
+      waiting: [],
+    };
+    expect(estimateQueueWaits(model, queue, schedule, at('10:00'))).toEqual([
+      { minutes: 1, low: 0, high: 6 },
+    ]);
+  });
+});
+
+describe('formatWait', () => {
+  const t = createTranslator('en', en);
+
+  it.each([
+    [{ minutes: 15, low: 6, high: 24 }, '6–24 mins'],
+    [{ minutes: 5, low: 5, high: 5 }, '5 mins'],
+    [{ minutes: 1, low: 1, high: 1 }, '1 min'],
+  ])('%o reads %s', (wait, text) => {
+    expect(formatWait(t, wait)).toBe(text);
+  });
+});
+
+describe('scorePredictions', () => {
+  it('scores most-likely errors and range coverage', () => {
+    const predictions: ReplayPrediction[] = [
+      { estimate: { minutes: 10, low: 5, high: 15 }, actual: 12 },
+      { estimate: { minutes: 20, low: 10, high: 30 }, actual: 14 },
+      { estimate: { minutes: 30, low: 25, high: 55 }, actual: 60 },
+    ].map((prediction) => ({ doctorId: 'A', queueDate: TODAY, ...prediction }));
+
+    expect(scorePredictions(predictions)).toEqual({
+      predictions: 3,
+      meanAbsoluteError: 38 / 3,
+      medianAbsoluteError: 6,
+      bias: -26 / 3,
+      coverage: 2 / 3,
+      meanRangeWidth: 20,
+    });
+  });
+
+  it('scores no predictions as zeros', () => {
+    expect(scorePredictions([])).toMatchObject({ predictions: 0, meanAbsoluteError: 0 });
+  });
+});
+
+describe('replayWaitEstimates', () => {
+  // Monday: each patient checks in as the one before them is called
+  const replayed = clinicDay('2026-10-19').map((record, index, day) => ({
+    ...record,
+    checkedInAt: index === 0 ? iso('08:55', record.queueDate) : (day[index - 1]?.startedAt ?? null),
+  }));
+
+  it('replays each checked-in patient against durations learned before that day', () => {
+    const report = replayWaitEstimates([...history, ...replayed], {
+      from: '2026-10-19',
+      to: '2026-10-19',
+      historyDays: 7,
+      schedule,
+    });
+
+    expect(report.days.map(({ date }) => date)).toEqual(['2026-10-19']);
+    expect(report.overall.predictions).toBe(replayed.length);
+    expect(report.overall.coverage).toBe(1);
+  });
+
+  it('leaves out days with no consultations and doctors not asked for', () => {
+    const report = replayWaitEstimates([...history, ...replayed], {
+      from: '2026-10-17',
+      to: '2026-10-19',
+      historyDays: 7,
+      schedule,
+      doctorId: 'B',
+    });
+    expect(report.days).toEqual([]);
+    expect(report.overall.predictions).toBe(0);
+  });
+});